@@ -18,6 +18,8 @@ const envSchema = z.object({
 
   // GitHub Configuration
   GITHUB_MCP_SERVER_URL: z.string().url().optional().default('http://localhost:3000/mcp'),
+  GITHUB_DUPLICATE_THRESHOLD: z.string().optional().default('0.4'),
+  GITHUB_IDENTITY_VERIFICATION: z.enum(['required', 'optional']).optional().default('required'),
 
   // Database Configuration
   MONGODB_URI: z.string().optional().default('mongodb://localhost:27017'),
@@ -27,27 +29,136 @@ const envSchema = z.object({
   ENCRYPTION_KEY: z.string().length(64, 'ENCRYPTION_KEY must be 64 hex characters (32 bytes)'),
 
   // LLM Configuration
-  LLM_PROVIDER: z.enum(['openai', 'anthropic']).optional().default('openai'),
-  OPENAI_API_KEY: z.string().min(1, 'OPENAI_API_KEY is required'),
+  LLM_PROVIDER: z.enum(['openai', 'anthropic', 'openai_compatible']).optional().default('openai'),
+  OPENAI_API_KEY: z.string().optional(),
   OPENAI_MODEL: z.string().optional().default('gpt-4'),
   OPENAI_TEMPERATURE: z.string().optional().default('0.7'),
 
+  // Anthropic Configuration (used when LLM_PROVIDER=anthropic)
+  ANTHROPIC_API_KEY: z.string().optional(),
+  ANTHROPIC_MODEL: z.string().optional().default('claude-sonnet-4-5'),
+  ANTHROPIC_TEMPERATURE: z.string().optional().default('0.7'),
+
+  // OpenAI-compatible endpoint Configuration (used when LLM_PROVIDER=openai_compatible)
+  // Points at self-hosted servers such as Ollama, vLLM or LM Studio
+  OPENAI_COMPATIBLE_BASE_URL: z.string().url().optional(),
+  OPENAI_COMPATIBLE_API_KEY: z.string().optional(),
+  OPENAI_COMPATIBLE_MODEL: z.string().optional().default('llama3.1'),
+  OPENAI_COMPATIBLE_CLASSIFIER_MODEL: z.string().optional(),
+  OPENAI_COMPATIBLE_GENERATOR_MODEL: z.string().optional(),
+  OPENAI_COMPATIBLE_TEMPERATURE: z.string().optional().default('0.7'),
+  // Whether the endpoint supports tool calling (structured classification output)
+  OPENAI_COMPATIBLE_TOOL_CALLING: z.enum(['true', 'false']).optional().default('false'),
+
   // Intent Classifier Configuration
-  INTENT_CLASSIFIER_MODEL: z.string().optional().default('gpt-4'),
+  // Falls back to the active provider's model when not set
+  INTENT_CLASSIFIER_MODEL: z.string().optional(),
   INTENT_CLASSIFIER_TEMPERATURE: z.string().optional().default('0.3'),
   INTENT_CONFIDENCE_THRESHOLD: z.string().optional().default('0.3'),
 
+  // Degraded Mode Configuration
+  // After this many LLM failures in a row, messages are classified by keyword heuristics
+  LLM_FAILURE_THRESHOLD: z.string().optional().default('3'),
+  // Seconds before the LLM is tried again while degraded (doubles while it keeps failing)
+  LLM_RETRY_INTERVAL_SECONDS: z.string().optional().default('60'),
+
+  // LLM Pricing (USD per million tokens) for cost estimates
+  // Overrides the built-in price list, e.g. for self-hosted models
+  LLM_INPUT_PRICE_PER_MILLION: z.string().optional(),
+  LLM_OUTPUT_PRICE_PER_MILLION: z.string().optional(),
+
   // Generator Configuration
   GENERATOR_TEMPERATURE: z.string().optional().default('0.7'),
 
+  // Agent Configuration (groups with /agent on)
+  // Most tool calls the agent may make for one request
+  AGENT_MAX_STEPS: z.string().optional().default('8'),
+  // Comma-separated GitHub tools the agent may use to change the repository
+  AGENT_WRITE_TOOLS: z.string().optional().default('issue_write'),
+
+  // Voice Transcription Configuration
+  // Backend for voice and audio messages: none, whisper (local whisper-compatible endpoint) or openai
+  TRANSCRIPTION_PROVIDER: z.enum(['none', 'whisper', 'openai']).optional().default('none'),
+  // Full endpoint URL for whisper, API base URL for openai (defaults to the OpenAI API)
+  TRANSCRIPTION_URL: z.string().url().optional(),
+  // Falls back to OPENAI_API_KEY for the openai backend
+  TRANSCRIPTION_API_KEY: z.string().optional(),
+  TRANSCRIPTION_MODEL: z.string().optional().default('whisper-1'),
+  // Longer voice and audio messages are not transcribed
+  TRANSCRIPTION_MAX_DURATION_SECONDS: z.string().optional().default('300'),
+  // Opt-in: also transcribe voice messages without a triggering caption, and process
+  // those whose transcript names the bot or contains hashtags
+  TRANSCRIPTION_SPOKEN_TRIGGERS: z.enum(['true', 'false']).optional().default('false'),
+
+  // Public URL of this server, used for proxied Telegram file links in issues
+  // Falls back to WEBHOOK_DOMAIN
+  PUBLIC_URL: z.string().url().optional(),
+  WEBHOOK_DOMAIN: z.string().optional(),
+
   // Application Configuration
   PORT: z.string().optional().default('3000'),
   NODE_ENV: z.enum(['development', 'production', 'test']).optional().default('development'),
   LOG_LEVEL: z.enum(['debug', 'info', 'warn', 'error']).optional().default('info'),
   RATE_LIMIT_MAX_CONCURRENT: z.string().optional().default('5'),
   RATE_LIMIT_MIN_TIME: z.string().optional().default('1000'),
+}).superRefine((env, ctx) => {
+  // Only the active provider's API key is mandatory
+  if (env.LLM_PROVIDER === 'openai' && !env.OPENAI_API_KEY) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['OPENAI_API_KEY'],
+      message: 'OPENAI_API_KEY is required when LLM_PROVIDER is openai',
+    });
+  }
+
+  if (env.LLM_PROVIDER === 'anthropic' && !env.ANTHROPIC_API_KEY) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['ANTHROPIC_API_KEY'],
+      message: 'ANTHROPIC_API_KEY is required when LLM_PROVIDER is anthropic',
+    });
+  }
+
+  if (env.LLM_PROVIDER === 'openai_compatible' && !env.OPENAI_COMPATIBLE_BASE_URL) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['OPENAI_COMPATIBLE_BASE_URL'],
+      message: 'OPENAI_COMPATIBLE_BASE_URL is required when LLM_PROVIDER is openai_compatible',
+    });
+  }
+
+  if (env.TRANSCRIPTION_PROVIDER === 'whisper' && !env.TRANSCRIPTION_URL) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['TRANSCRIPTION_URL'],
+      message: 'TRANSCRIPTION_URL is required when TRANSCRIPTION_PROVIDER is whisper',
+    });
+  }
+
+  if (env.TRANSCRIPTION_PROVIDER === 'openai' && !env.TRANSCRIPTION_API_KEY && !env.OPENAI_API_KEY) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['TRANSCRIPTION_API_KEY'],
+      message: 'TRANSCRIPTION_API_KEY or OPENAI_API_KEY is required when TRANSCRIPTION_PROVIDER is openai',
+    });
+  }
 });
 
+/**
+ * Normalizes the public URL of the server
+ * WEBHOOK_DOMAIN may be a bare domain, which Telegraf accepts
+ * @param {string|undefined} value - PUBLIC_URL or WEBHOOK_DOMAIN
+ * @returns {string|null} URL without trailing slash, or null if not set
+ */
+function parsePublicUrl(value) {
+  if (!value) {
+    return null;
+  }
+
+  const url = /^https?:\/\//.test(value) ? value : `https://${value}`;
+  return url.replace(/\/+$/, '');
+}
+
 /**
  * Validates and parses environment variables
  * @returns {import('../src/types/config.js').ParsedConfig} Parsed configuration object
@@ -94,6 +205,8 @@ export function loadConfig() {
       },
       github: {
         mcpServerUrl: env.GITHUB_MCP_SERVER_URL,
+        duplicateThreshold: parseFloat(env.GITHUB_DUPLICATE_THRESHOLD),
+        identityVerificationRequired: env.GITHUB_IDENTITY_VERIFICATION === 'required',
       },
       database: databaseConfig,
       security: {
@@ -104,15 +217,50 @@ export function loadConfig() {
         apiKey: env.OPENAI_API_KEY,
         model: env.OPENAI_MODEL,
         temperature: parseFloat(env.OPENAI_TEMPERATURE),
-        intentClassifierModel: env.INTENT_CLASSIFIER_MODEL,
+        anthropic: {
+          apiKey: env.ANTHROPIC_API_KEY,
+          model: env.ANTHROPIC_MODEL,
+          temperature: parseFloat(env.ANTHROPIC_TEMPERATURE),
+        },
+        openaiCompatible: {
+          baseUrl: env.OPENAI_COMPATIBLE_BASE_URL,
+          apiKey: env.OPENAI_COMPATIBLE_API_KEY,
+          model: env.OPENAI_COMPATIBLE_MODEL,
+          classifierModel: env.OPENAI_COMPATIBLE_CLASSIFIER_MODEL || null,
+          generatorModel: env.OPENAI_COMPATIBLE_GENERATOR_MODEL || null,
+          temperature: parseFloat(env.OPENAI_COMPATIBLE_TEMPERATURE),
+          toolCalling: env.OPENAI_COMPATIBLE_TOOL_CALLING === 'true',
+        },
+        intentClassifierModel: env.INTENT_CLASSIFIER_MODEL || null,
         intentClassifierTemperature: parseFloat(env.INTENT_CLASSIFIER_TEMPERATURE),
         intentConfidenceThreshold: parseFloat(env.INTENT_CONFIDENCE_THRESHOLD),
+        degradedMode: {
+          failureThreshold: parseInt(env.LLM_FAILURE_THRESHOLD, 10),
+          retryIntervalMs: parseInt(env.LLM_RETRY_INTERVAL_SECONDS, 10) * 1000,
+        },
+        pricing: {
+          inputPerMillion: env.LLM_INPUT_PRICE_PER_MILLION ? parseFloat(env.LLM_INPUT_PRICE_PER_MILLION) : null,
+          outputPerMillion: env.LLM_OUTPUT_PRICE_PER_MILLION ? parseFloat(env.LLM_OUTPUT_PRICE_PER_MILLION) : null,
+        },
         generatorTemperature: parseFloat(env.GENERATOR_TEMPERATURE),
       },
+      agent: {
+        maxSteps: parseInt(env.AGENT_MAX_STEPS, 10),
+        writeTools: env.AGENT_WRITE_TOOLS.split(',').map(tool => tool.trim()).filter(Boolean),
+      },
+      transcription: {
+        provider: env.TRANSCRIPTION_PROVIDER,
+        url: env.TRANSCRIPTION_URL || (env.TRANSCRIPTION_PROVIDER === 'openai' ? 'https://api.openai.com/v1' : null),
+        apiKey: env.TRANSCRIPTION_API_KEY || (env.TRANSCRIPTION_PROVIDER === 'openai' ? env.OPENAI_API_KEY : null) || null,
+        model: env.TRANSCRIPTION_MODEL,
+        maxDurationSeconds: parseInt(env.TRANSCRIPTION_MAX_DURATION_SECONDS, 10),
+        spokenTriggers: env.TRANSCRIPTION_SPOKEN_TRIGGERS === 'true',
+      },
       app: {
         nodeEnv: env.NODE_ENV,
         logLevel: env.LOG_LEVEL,
         port: parseInt(env.PORT, 10),
+        publicUrl: parsePublicUrl(env.PUBLIC_URL || env.WEBHOOK_DOMAIN),
         rateLimit: {
           maxConcurrent: parseInt(env.RATE_LIMIT_MAX_CONCURRENT, 10),
           minTime: parseInt(env.RATE_LIMIT_MIN_TIME, 10),
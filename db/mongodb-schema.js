@@ -6,6 +6,11 @@
 import { getDb } from '../src/database/db.js';
 import logger from '../src/utils/logger.js';
 
+/**
+ * How long checkpoints of unfinished workflows are kept (7 days)
+ */
+const WORKFLOW_CHECKPOINT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
 /**
  * Initialize MongoDB schema with collections, validators, and indexes
  * @returns {Promise<void>}
@@ -27,6 +32,15 @@ export async function initializeSchema() {
   // Create conversation_context collection
   await createConversationContextCollection(db);
 
+  // Create workflow checkpoint collections
+  await createWorkflowCheckpointCollections(db);
+
+  // Create user_identities collection
+  await createUserIdentitiesCollection(db);
+
+  // Create llm_usage collection
+  await createLLMUsageCollection(db);
+
   logger.info('MongoDB schema initialization completed');
 }
 
@@ -106,7 +120,7 @@ async function createOperationsCollection(db) {
           description: 'Telegram message ID',
         },
         operationType: {
-          enum: ['pending', 'create_bug', 'create_task', 'create_idea', 'update_issue', 'search_issues'],
+          enum: ['pending', 'create_bug', 'create_task', 'create_idea', 'update_issue', 'close_issue', 'reopen_issue', 'comment_issue', 'search_issues', 'agent_request'],
           description: 'Type of GitHub operation',
         },
         status: {
@@ -117,6 +131,14 @@ async function createOperationsCollection(db) {
           bsonType: 'object',
           description: 'Operation metadata (issue URL, error details, etc.)',
         },
+        trace: {
+          bsonType: 'object',
+          description: 'Per-node workflow trace and classifier reasoning (shown by /why)',
+        },
+        sideEffects: {
+          bsonType: 'object',
+          description: 'GitHub calls the workflow completed, by action index (skipped when it is recovered)',
+        },
         createdAt: {
           bsonType: 'date',
           description: 'Creation timestamp',
@@ -147,65 +169,69 @@ async function createOperationsCollection(db) {
   await db.collection('operations').createIndex({ telegramMessageId: 1 });
   await db.collection('operations').createIndex({ status: 1 });
   await db.collection('operations').createIndex({ createdAt: -1 });
+  await db.collection('operations').createIndex({ telegramGroupId: 1, 'operationData.githubIssueNumber': 1 });
 }
 
 /**
  * Create operation_feedback collection with validators and indexes
  */
 async function createOperationFeedbackCollection(db) {
-  try {
-    await db.createCollection('operation_feedback', {
-      validator: {
-        $jsonSchema: {
-          bsonType: 'object',
-          required: ['operationId', 'telegramChatId', 'feedbackMessageId', 'scheduledDeletion', 'dismissed', 'createdAt'],
-          properties: {
-            operationId: {
-              bsonType: 'objectId',
-              description: 'Reference to operations collection',
-            },
-            telegramChatId: {
-              bsonType: 'long',
-              description: 'Telegram chat ID where feedback message was sent',
-            },
-            feedbackMessageId: {
-              bsonType: 'long',
-              description: 'Telegram message ID of the feedback message',
-            },
-            scheduledDeletion: {
-              bsonType: 'date',
-              description: 'Timestamp when message should be deleted',
-            },
-            dismissed: {
-              bsonType: 'bool',
-              description: 'Whether user dismissed the feedback message',
-            },
-            createdAt: {
-              bsonType: 'date',
-              description: 'Creation timestamp',
-            },
-          },
+  const validator = {
+    $jsonSchema: {
+      bsonType: 'object',
+      required: ['operationId', 'telegramChatId', 'feedbackMessageId', 'scheduledDeletion', 'dismissed', 'createdAt'],
+      properties: {
+        operationId: {
+          bsonType: 'objectId',
+          description: 'Reference to operations collection',
+        },
+        telegramChatId: {
+          bsonType: 'long',
+          description: 'Telegram chat ID where feedback message was sent',
+        },
+        feedbackMessageId: {
+          bsonType: 'long',
+          description: 'Telegram message ID of the feedback message',
+        },
+        scheduledDeletion: {
+          bsonType: ['date', 'null'],
+          description: 'Timestamp when message should be deleted (null for messages that are kept)',
+        },
+        dismissed: {
+          bsonType: 'bool',
+          description: 'Whether user dismissed the feedback message',
+        },
+        createdAt: {
+          bsonType: 'date',
+          description: 'Creation timestamp',
         },
       },
-    });
-
-    // Create indexes
-    await db.collection('operation_feedback').createIndex({ operationId: 1 });
-    await db.collection('operation_feedback').createIndex({ feedbackMessageId: 1 }, { unique: true });
-    // Partial index for scheduled deletions (only non-dismissed messages)
-    await db.collection('operation_feedback').createIndex(
-      { scheduledDeletion: 1 },
-      { partialFilterExpression: { dismissed: false } }
-    );
-
+    },
+  };
+  try {
+    await db.createCollection('operation_feedback', { validator });
     logger.info('Created operation_feedback collection');
   } catch (error) {
     if (error.code === 48) {
-      logger.info('operation_feedback collection already exists');
+      logger.info('operation_feedback collection already exists, updating validator');
+      await db.command({
+        collMod: 'operation_feedback',
+        validator,
+      });
+      logger.info('Updated operation_feedback collection validator');
     } else {
       throw error;
     }
   }
+
+  // Create indexes
+  await db.collection('operation_feedback').createIndex({ operationId: 1 });
+  await db.collection('operation_feedback').createIndex({ feedbackMessageId: 1 }, { unique: true });
+  // Partial index for scheduled deletions (only non-dismissed messages)
+  await db.collection('operation_feedback').createIndex(
+    { scheduledDeletion: 1 },
+    { partialFilterExpression: { dismissed: false } }
+  );
 }
 
 /**
@@ -272,6 +298,210 @@ async function createConversationContextCollection(db) {
   }
 }
 
+/**
+ * Create workflow_checkpoints and workflow_checkpoint_writes collections with indexes
+ * Stores LangGraph checkpoints of paused workflows, keyed by operation ID
+ */
+async function createWorkflowCheckpointCollections(db) {
+  try {
+    await db.createCollection('workflow_checkpoints', {
+      validator: {
+        $jsonSchema: {
+          bsonType: 'object',
+          required: ['threadId', 'checkpointNs', 'checkpointId', 'checkpoint', 'metadata', 'createdAt'],
+          properties: {
+            threadId: {
+              bsonType: 'string',
+              description: 'Workflow thread ID (operation ID)',
+            },
+            checkpointNs: {
+              bsonType: 'string',
+              description: 'Checkpoint namespace (empty for the root graph)',
+            },
+            checkpointId: {
+              bsonType: 'string',
+              description: 'Checkpoint ID (time-ordered)',
+            },
+            checkpoint: {
+              bsonType: 'string',
+              description: 'AES-256-GCM encrypted serialized checkpoint',
+            },
+            metadata: {
+              bsonType: 'string',
+              description: 'AES-256-GCM encrypted serialized checkpoint metadata',
+            },
+            createdAt: {
+              bsonType: 'date',
+              description: 'Creation timestamp',
+            },
+          },
+        },
+      },
+    });
+
+    await db.createCollection('workflow_checkpoint_writes');
+
+    // Create indexes
+    await db.collection('workflow_checkpoints').createIndex(
+      { threadId: 1, checkpointNs: 1, checkpointId: -1 },
+      { unique: true }
+    );
+    await db.collection('workflow_checkpoint_writes').createIndex(
+      { threadId: 1, checkpointNs: 1, checkpointId: 1, taskId: 1, idx: 1 },
+      { unique: true }
+    );
+
+    // Finished workflows delete their checkpoints; TTL indexes expire paused ones nobody answered
+    await db.collection('workflow_checkpoints').createIndex(
+      { createdAt: 1 },
+      { expireAfterSeconds: WORKFLOW_CHECKPOINT_TTL_SECONDS }
+    );
+    await db.collection('workflow_checkpoint_writes').createIndex(
+      { createdAt: 1 },
+      { expireAfterSeconds: WORKFLOW_CHECKPOINT_TTL_SECONDS }
+    );
+
+    logger.info('Created workflow checkpoint collections');
+  } catch (error) {
+    if (error.code === 48) {
+      logger.info('workflow checkpoint collections already exist');
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create user_identities collection with validators and indexes
+ * Links Telegram users to the GitHub accounts they are assigned as
+ */
+async function createUserIdentitiesCollection(db) {
+  try {
+    await db.createCollection('user_identities', {
+      validator: {
+        $jsonSchema: {
+          bsonType: 'object',
+          required: ['telegramUserId', 'githubLogin', 'verified', 'createdAt', 'updatedAt'],
+          properties: {
+            telegramUserId: {
+              bsonType: 'long',
+              description: 'Telegram user ID',
+            },
+            telegramUsername: {
+              bsonType: ['string', 'null'],
+              description: 'Lowercase Telegram username at link time',
+            },
+            githubLogin: {
+              bsonType: 'string',
+              description: 'GitHub login',
+            },
+            verified: {
+              bsonType: 'bool',
+              description: 'Whether the user proved owning the GitHub account',
+            },
+            verificationToken: {
+              bsonType: 'string',
+              description: 'Token to put in the GitHub bio or a public gist',
+            },
+            verificationMethod: {
+              enum: ['bio', 'gist', null],
+              description: 'How the account was verified',
+            },
+            verifiedAt: {
+              bsonType: ['date', 'null'],
+              description: 'Verification timestamp',
+            },
+            createdAt: {
+              bsonType: 'date',
+              description: 'Creation timestamp',
+            },
+            updatedAt: {
+              bsonType: 'date',
+              description: 'Last update timestamp',
+            },
+          },
+        },
+      },
+    });
+
+    // Create indexes
+    await db.collection('user_identities').createIndex({ telegramUserId: 1 }, { unique: true });
+    await db.collection('user_identities').createIndex({ telegramUsername: 1 });
+
+    logger.info('Created user_identities collection');
+  } catch (error) {
+    if (error.code === 48) {
+      logger.info('user_identities collection already exists');
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create llm_usage collection with validators and indexes
+ * One record per LLM call, attributed to a group and operation
+ */
+async function createLLMUsageCollection(db) {
+  const validator = {
+    $jsonSchema: {
+      bsonType: 'object',
+      required: ['telegramGroupId', 'purpose', 'promptTokens', 'completionTokens', 'createdAt'],
+      properties: {
+        telegramGroupId: {
+          bsonType: 'long',
+          description: 'Telegram group the call was made for',
+        },
+        operationId: {
+          bsonType: ['string', 'null'],
+          description: 'Operation the call was made for',
+        },
+        purpose: {
+          enum: ['classification', 'generation', 'search', 'translation', 'agent', 'summary'],
+          description: 'What the call was for',
+        },
+        model: {
+          bsonType: 'string',
+          description: 'Model name',
+        },
+        promptTokens: {
+          bsonType: ['int', 'long', 'double'],
+          description: 'Prompt (input) tokens',
+        },
+        completionTokens: {
+          bsonType: ['int', 'long', 'double'],
+          description: 'Completion (output) tokens',
+        },
+        estimatedCost: {
+          bsonType: ['int', 'long', 'double'],
+          description: 'Estimated cost in USD',
+        },
+        createdAt: {
+          bsonType: 'date',
+          description: 'Call timestamp',
+        },
+      },
+    },
+  };
+  try {
+    await db.createCollection('llm_usage', { validator });
+    logger.info('Created llm_usage collection');
+  } catch (error) {
+    if (error.code === 48) {
+      logger.info('llm_usage collection already exists, updating validator');
+      await db.command({
+        collMod: 'llm_usage',
+        validator,
+      });
+      logger.info('Updated llm_usage collection validator');
+    } else {
+      throw error;
+    }
+  }
+  await db.collection('llm_usage').createIndex({ telegramGroupId: 1, createdAt: -1 });
+  await db.collection('llm_usage').createIndex({ operationId: 1 });
+}
+
 // Run initialization if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   try {
@@ -0,0 +1,337 @@
+/**
+ * MongoDB LangGraph Checkpointer
+ * Persists workflow checkpoints so paused workflows can be resumed later
+ *
+ * Workflows are keyed by operation ID (the LangGraph thread_id). Checkpoints
+ * contain the decrypted group token, so serialized payloads are encrypted at rest.
+ */
+
+import { BaseCheckpointSaver, WRITES_IDX_MAP, copyCheckpoint } from '@langchain/langgraph-checkpoint';
+import { getDb } from '../database/db.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Collection names
+ */
+export const CHECKPOINTS_COLLECTION = 'workflow_checkpoints';
+export const CHECKPOINT_WRITES_COLLECTION = 'workflow_checkpoint_writes';
+
+/**
+ * Encrypts serialized checkpoint bytes for storage
+ *
+ * @param {Uint8Array} bytes - Serialized value
+ * @returns {string} Encrypted payload
+ */
+function sealPayload(bytes) {
+  return encrypt(Buffer.from(bytes).toString('base64'));
+}
+
+/**
+ * Decrypts a stored checkpoint payload
+ *
+ * @param {string} payload - Encrypted payload
+ * @returns {Uint8Array} Serialized value
+ */
+function openPayload(payload) {
+  return new Uint8Array(Buffer.from(decrypt(payload), 'base64'));
+}
+
+/**
+ * LangGraph checkpoint saver backed by MongoDB
+ */
+export class MongoDBSaver extends BaseCheckpointSaver {
+  /**
+   * @param {Object} [serde] - Optional LangGraph serializer
+   */
+  constructor(serde) {
+    super(serde);
+  }
+
+  /**
+   * Get a checkpoint tuple by config
+   * Returns the latest checkpoint of the thread when no checkpoint_id is given
+   * @param {Object} config - Runnable config with configurable.thread_id
+   * @returns {Promise<Object|undefined>} Checkpoint tuple
+   */
+  async getTuple(config) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+    const checkpointId = config.configurable?.checkpoint_id;
+
+    try {
+      const db = await getDb();
+      const query = { threadId, checkpointNs };
+
+      if (checkpointId) {
+        query.checkpointId = checkpointId;
+      }
+
+      const doc = await db.collection(CHECKPOINTS_COLLECTION)
+        .find(query)
+        .sort({ checkpointId: -1 })
+        .limit(1)
+        .next();
+
+      if (!doc) {
+        return undefined;
+      }
+
+      return await this._toTuple(db, doc);
+    } catch (err) {
+      logger.error({ err, threadId, checkpointNs, checkpointId }, 'Error loading workflow checkpoint');
+      throw err;
+    }
+  }
+
+  /**
+   * List checkpoints, newest first
+   * @param {Object} config - Runnable config (thread_id optional)
+   * @param {Object} [options] - List options
+   * @param {number} [options.limit] - Maximum number of checkpoints
+   * @param {Object} [options.before] - Only return checkpoints older than this config
+   * @param {Object} [options.filter] - Metadata fields that must match
+   * @returns {AsyncGenerator<Object>} Checkpoint tuples
+   */
+  async *list(config, options = {}) {
+    const { limit, before, filter } = options;
+    const query = {};
+
+    if (config.configurable?.thread_id) {
+      query.threadId = config.configurable.thread_id;
+    }
+
+    if (config.configurable?.checkpoint_ns !== undefined) {
+      query.checkpointNs = config.configurable.checkpoint_ns;
+    }
+
+    if (config.configurable?.checkpoint_id) {
+      query.checkpointId = config.configurable.checkpoint_id;
+    }
+
+    if (before?.configurable?.checkpoint_id) {
+      query.checkpointId = { $lt: before.configurable.checkpoint_id };
+    }
+
+    const db = await getDb();
+    const cursor = db.collection(CHECKPOINTS_COLLECTION)
+      .find(query)
+      .sort({ checkpointId: -1 });
+
+    let remaining = limit;
+
+    for await (const doc of cursor) {
+      if (remaining !== undefined && remaining <= 0) {
+        break;
+      }
+
+      const tuple = await this._toTuple(db, doc);
+
+      // Metadata is stored serialized, so filtering happens after loading
+      if (filter && !Object.entries(filter).every(([key, value]) => tuple.metadata?.[key] === value)) {
+        continue;
+      }
+
+      if (remaining !== undefined) {
+        remaining -= 1;
+      }
+
+      yield tuple;
+    }
+  }
+
+  /**
+   * Store a checkpoint
+   * @param {Object} config - Runnable config with configurable.thread_id
+   * @param {Object} checkpoint - Checkpoint to store
+   * @param {Object} metadata - Checkpoint metadata
+   * @returns {Promise<Object>} Config pointing at the stored checkpoint
+   */
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+
+    if (threadId === undefined) {
+      throw new Error('Failed to put checkpoint: config is missing configurable.thread_id');
+    }
+
+    try {
+      const [[checkpointType, serializedCheckpoint], [metadataType, serializedMetadata]] = await Promise.all([
+        this.serde.dumpsTyped(copyCheckpoint(checkpoint)),
+        this.serde.dumpsTyped(metadata),
+      ]);
+
+      const db = await getDb();
+      await db.collection(CHECKPOINTS_COLLECTION).updateOne(
+        { threadId, checkpointNs, checkpointId: checkpoint.id },
+        {
+          $set: {
+            parentCheckpointId: config.configurable?.checkpoint_id ?? null,
+            checkpointType,
+            checkpoint: sealPayload(serializedCheckpoint),
+            metadataType,
+            metadata: sealPayload(serializedMetadata),
+            step: metadata?.step ?? null,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+
+      return {
+        configurable: {
+          thread_id: threadId,
+          checkpoint_ns: checkpointNs,
+          checkpoint_id: checkpoint.id,
+        },
+      };
+    } catch (err) {
+      logger.error({ err, threadId, checkpointNs, checkpointId: checkpoint.id }, 'Error storing workflow checkpoint');
+      throw err;
+    }
+  }
+
+  /**
+   * Store intermediate writes linked to a checkpoint
+   * @param {Object} config - Runnable config with thread_id and checkpoint_id
+   * @param {Array<[string, *]>} writes - Channel writes
+   * @param {string} taskId - Task that produced the writes
+   * @returns {Promise<void>}
+   */
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+    const checkpointId = config.configurable?.checkpoint_id;
+
+    if (threadId === undefined || checkpointId === undefined) {
+      throw new Error('Failed to put writes: config is missing configurable.thread_id or checkpoint_id');
+    }
+
+    try {
+      const db = await getDb();
+      const collection = db.collection(CHECKPOINT_WRITES_COLLECTION);
+
+      await Promise.all(writes.map(async ([channel, value], index) => {
+        const [type, serializedValue] = await this.serde.dumpsTyped(value);
+        const idx = WRITES_IDX_MAP[channel] ?? index;
+        const fields = {
+          channel,
+          type,
+          value: sealPayload(serializedValue),
+          createdAt: new Date(),
+        };
+
+        // Regular writes are kept as first written; special writes are replaced
+        await collection.updateOne(
+          { threadId, checkpointNs, checkpointId, taskId, idx },
+          idx >= 0 ? { $setOnInsert: fields } : { $set: fields },
+          { upsert: true }
+        );
+      }));
+    } catch (err) {
+      logger.error({ err, threadId, checkpointNs, checkpointId, taskId }, 'Error storing workflow checkpoint writes');
+      throw err;
+    }
+  }
+
+  /**
+   * List threads checkpointed since a given time
+   * @param {Object} [options] - List options
+   * @param {Date} [options.since] - Only threads with a checkpoint stored at or after this time
+   * @returns {Promise<string[]>} Thread (operation) IDs
+   */
+  async listThreadIds({ since } = {}) {
+    const query = { checkpointNs: '' };
+
+    if (since) {
+      query.createdAt = { $gte: since };
+    }
+
+    try {
+      const db = await getDb();
+      return await db.collection(CHECKPOINTS_COLLECTION).distinct('threadId', query);
+    } catch (err) {
+      logger.error({ err, since }, 'Error listing workflow checkpoint threads');
+      throw err;
+    }
+  }
+
+  /**
+   * Delete all checkpoints and writes of a thread
+   * @param {string} threadId - Thread (operation) ID
+   * @returns {Promise<void>}
+   */
+  async deleteThread(threadId) {
+    try {
+      const db = await getDb();
+      await db.collection(CHECKPOINTS_COLLECTION).deleteMany({ threadId });
+      await db.collection(CHECKPOINT_WRITES_COLLECTION).deleteMany({ threadId });
+    } catch (err) {
+      logger.error({ err, threadId }, 'Error deleting workflow checkpoints');
+      throw err;
+    }
+  }
+
+  /**
+   * Converts a stored checkpoint document into a checkpoint tuple
+   * @param {Object} db - MongoDB database
+   * @param {Object} doc - Stored checkpoint document
+   * @returns {Promise<Object>} Checkpoint tuple
+   * @private
+   */
+  async _toTuple(db, doc) {
+    const { threadId, checkpointNs, checkpointId, parentCheckpointId } = doc;
+
+    const writes = await db.collection(CHECKPOINT_WRITES_COLLECTION)
+      .find({ threadId, checkpointNs, checkpointId })
+      .sort({ taskId: 1, idx: 1 })
+      .toArray();
+
+    const tuple = {
+      config: {
+        configurable: {
+          thread_id: threadId,
+          checkpoint_ns: checkpointNs,
+          checkpoint_id: checkpointId,
+        },
+      },
+      checkpoint: await this.serde.loadsTyped(doc.checkpointType, openPayload(doc.checkpoint)),
+      metadata: await this.serde.loadsTyped(doc.metadataType, openPayload(doc.metadata)),
+      pendingWrites: await Promise.all(writes.map(async (write) => [
+        write.taskId,
+        write.channel,
+        await this.serde.loadsTyped(write.type, openPayload(write.value)),
+      ])),
+    };
+
+    if (parentCheckpointId) {
+      tuple.parentConfig = {
+        configurable: {
+          thread_id: threadId,
+          checkpoint_ns: checkpointNs,
+          checkpoint_id: parentCheckpointId,
+        },
+      };
+    }
+
+    return tuple;
+  }
+}
+
+/**
+ * Shared checkpointer instance
+ */
+let checkpointer = null;
+
+/**
+ * Gets the shared workflow checkpointer
+ *
+ * @returns {MongoDBSaver} Checkpointer instance
+ */
+export function getCheckpointer() {
+  if (!checkpointer) {
+    checkpointer = new MongoDBSaver();
+  }
+
+  return checkpointer;
+}
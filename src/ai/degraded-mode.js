@@ -0,0 +1,114 @@
+/**
+ * Degraded Mode
+ * Tracks LLM failures and decides when classification falls back to heuristics
+ *
+ * After repeated failures in a row the classifier stops waiting on the LLM
+ * and uses keyword heuristics. The LLM is retried after an interval that
+ * doubles while it keeps failing; the first success ends degraded mode.
+ */
+
+import { getConfig } from '../../config/env.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Longest wait between LLM retries while degraded
+ */
+const MAX_RETRY_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * LLM health, shared by all classifications in this process
+ */
+const health = {
+  consecutiveFailures: 0,
+  degradedSince: null,
+  retryIntervalMs: 0,
+  retryAt: 0,
+};
+
+/**
+ * Checks whether classification currently runs in degraded mode
+ *
+ * @returns {boolean} True while the LLM is considered unavailable
+ */
+export function isDegraded() {
+  return health.degradedSince !== null;
+}
+
+/**
+ * Checks whether the LLM should be called for the next classification
+ * While degraded, only one call per retry interval probes whether it recovered
+ *
+ * @param {number} [now] - Current timestamp
+ * @returns {boolean} True if the LLM should be tried
+ */
+export function shouldTryLLM(now = Date.now()) {
+  if (!isDegraded()) {
+    return true;
+  }
+
+  if (now < health.retryAt) {
+    return false;
+  }
+
+  // Push the next retry out so concurrent messages do not all probe at once
+  health.retryAt = now + health.retryIntervalMs;
+  return true;
+}
+
+/**
+ * Records a successful LLM call, leaving degraded mode if it was active
+ */
+export function recordLLMSuccess() {
+  if (isDegraded()) {
+    logger.info({
+      degradedForMs: Date.now() - health.degradedSince,
+    }, 'LLM recovered, leaving degraded mode');
+  }
+
+  health.consecutiveFailures = 0;
+  health.degradedSince = null;
+  health.retryIntervalMs = 0;
+  health.retryAt = 0;
+}
+
+/**
+ * Records a failed LLM call, entering degraded mode after repeated failures
+ *
+ * @param {Error} error - Error the LLM call failed with
+ * @param {number} [now] - Current timestamp
+ */
+export function recordLLMFailure(error, now = Date.now()) {
+  const { failureThreshold, retryIntervalMs } = getConfig().llm.degradedMode;
+
+  health.consecutiveFailures += 1;
+
+  if (isDegraded()) {
+    // The retry failed too, so wait longer before the next one
+    health.retryIntervalMs = Math.min(health.retryIntervalMs * 2, MAX_RETRY_INTERVAL_MS);
+    health.retryAt = now + health.retryIntervalMs;
+    return;
+  }
+
+  if (health.consecutiveFailures >= failureThreshold) {
+    health.degradedSince = now;
+    health.retryIntervalMs = retryIntervalMs;
+    health.retryAt = now + retryIntervalMs;
+
+    logger.warn({
+      err: error,
+      consecutiveFailures: health.consecutiveFailures,
+      retryIntervalMs,
+    }, 'LLM keeps failing, entering degraded mode');
+  }
+}
+
+/**
+ * Resets LLM health to normal operation
+ * Useful for testing
+ */
+export function resetDegradedMode() {
+  health.consecutiveFailures = 0;
+  health.degradedSince = null;
+  health.retryIntervalMs = 0;
+  health.retryAt = 0;
+}
@@ -0,0 +1,388 @@
+/**
+ * GitHub Agent
+ * Plans and runs free-form requests as a sequence of GitHub tool calls
+ *
+ * Requests the fixed intents can't express ("assign all open auth bugs to me
+ * and label them p1") are handed to a tool-calling model in groups with agent
+ * mode on (see /agent). Reading issues and labels is always allowed; changes
+ * are limited to the configured write tools and every call is pinned to the
+ * group's repository, searches included. Each change is reported with the issue's previous state
+ * so it can be undone.
+ */
+
+import { HumanMessage, SystemMessage, ToolMessage } from '@langchain/core/messages';
+import { PromptTemplate } from '@langchain/core/prompts';
+import { getGeneratorLLMClient, supportsToolCalling, getMessageText } from './llm-client.js';
+import { createUsageCallbacks, UsagePurpose } from './token-usage.js';
+import { createGitHubTools } from '../integrations/github/github-tools.js';
+import { scopeSearchQuery } from '../integrations/github/issue-search.js';
+import { ConfigRepository } from '../database/repositories/config.js';
+import { getConfig } from '../../config/env.js';
+import { t, DEFAULT_LOCALE } from '../i18n/index.js';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Operation type of the operations recorded for agent actions
+ */
+export const AGENT_OPERATION_TYPE = 'agent_request';
+
+/**
+ * Tools the agent may always use; they only read the repository
+ */
+export const AGENT_READ_TOOLS = ['issue_read', 'search_issues', 'list_issues', 'list_label'];
+
+/**
+ * Loads the agent system prompt template
+ *
+ * @returns {Promise<string>} Prompt template text
+ * @throws {Error} If prompt file cannot be loaded
+ */
+async function loadPromptTemplate() {
+  const promptPath = join(__dirname, '../../prompts/github-agent.txt');
+
+  try {
+    return await readFile(promptPath, 'utf-8');
+  } catch (error) {
+    throw new Error(
+      `Failed to load GitHub agent prompt from ${promptPath}: ${error.message}\n` +
+      'Make sure the prompts/github-agent.txt file exists.'
+    );
+  }
+}
+
+/**
+ * Splits a repository into owner and name
+ *
+ * @param {string} repository - Repository in format owner/repo
+ * @returns {{owner: string, repo: string}} Owner and repository name
+ * @throws {Error} If the repository is not in owner/repo format
+ */
+function splitRepository(repository) {
+  const [owner, repo] = (repository || '').split('/');
+
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository format: ${repository}. Expected format: owner/repo`);
+  }
+
+  return { owner, repo };
+}
+
+/**
+ * Parses a tool response (MCP tools typically return JSON strings)
+ *
+ * @param {*} response - Tool response
+ * @returns {*} Parsed response, or the text itself if it is not JSON
+ */
+function parseToolResponse(response) {
+  if (typeof response !== 'string') {
+    return response;
+  }
+
+  try {
+    return JSON.parse(response);
+  } catch {
+    return response;
+  }
+}
+
+/**
+ * Reads the fields of an issue an update can change
+ *
+ * @param {Object} tools - GitHub tools instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue number
+ * @returns {Promise<Object>} Previous state ({ title, body, state, labels, assignees })
+ * @throws {Error} If the issue cannot be read
+ */
+async function readIssueState(tools, owner, repo, issueNumber) {
+  const readTool = tools.getTool('issue_read');
+
+  if (!readTool) {
+    throw new Error('issue_read tool not available');
+  }
+
+  const issue = parseToolResponse(await readTool.invoke({
+    method: 'get',
+    owner,
+    repo,
+    issue_number: issueNumber,
+  }));
+
+  return {
+    title: issue.title,
+    body: issue.body || '',
+    state: issue.state,
+    labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    assignees: (issue.assignees || []).map(assignee => (typeof assignee === 'string' ? assignee : assignee.login)),
+  };
+}
+
+/**
+ * Checks whether a tool call creates or updates an issue
+ *
+ * @param {string} tool - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {boolean} True for issue_write calls
+ */
+function isIssueWrite(tool, args) {
+  return tool === 'issue_write' && ['create', 'update'].includes(args?.method);
+}
+
+/**
+ * Runs one tool call of the agent
+ * Calls to tools outside the allowlist are refused; every call is pinned to the
+ * group's repository (search queries lose their own repo:, org: and user:
+ * qualifiers) and issue updates capture the issue's previous state first
+ *
+ * @param {Object} tools - GitHub tools instance
+ * @param {Object} toolCall - Tool call from the model ({ name, args, id })
+ * @param {Object} options - Call options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string[]} options.allowedTools - Tools the agent may call
+ * @returns {Promise<{content: string, action: Object|null}>} Tool message content and the recorded action (null for reads)
+ */
+async function runToolCall(tools, toolCall, { owner, repo, allowedTools }) {
+  const { name } = toolCall;
+  const isRead = AGENT_READ_TOOLS.includes(name);
+  const args = { ...toolCall.args, owner, repo };
+
+  // The search tool only adds its own repo: qualifier when the query has none
+  if (name === 'search_issues') {
+    args.query = scopeSearchQuery(args.query, `${owner}/${repo}`);
+  }
+
+  if (!allowedTools.includes(name)) {
+    logger.warn({ tool: name, repository: `${owner}/${repo}` }, 'Agent tool call refused');
+
+    return {
+      content: `Error: ${name} is not allowed. Allowed tools: ${allowedTools.join(', ')}`,
+      action: isRead ? null : { tool: name, args, success: false, error: 'not_allowed', undoable: false },
+    };
+  }
+
+  const action = isRead ? null : {
+    tool: name,
+    args,
+    issueNumber: args.issue_number ?? null,
+    issueUrl: null,
+    previousState: null,
+    success: false,
+    error: null,
+    undoable: false,
+  };
+
+  try {
+    if (action && isIssueWrite(name, args) && args.method === 'update') {
+      action.previousState = await readIssueState(tools, owner, repo, args.issue_number);
+    }
+
+    const response = await tools.getTool(name).invoke(args);
+    const data = parseToolResponse(response);
+
+    if (action) {
+      action.success = true;
+      action.issueNumber = data?.number ?? action.issueNumber;
+      action.issueUrl = data?.html_url || null;
+      action.undoable = isIssueWrite(name, args);
+    }
+
+    return {
+      content: typeof response === 'string' ? response : JSON.stringify(response),
+      action,
+    };
+  } catch (error) {
+    logger.warn({ err: error, tool: name, repository: `${owner}/${repo}` }, 'Agent tool call failed');
+
+    if (action) {
+      action.error = error.message;
+    }
+
+    return { content: `Error: ${error.message}`, action };
+  }
+}
+
+/**
+ * Runs a free-form request with the GitHub tools
+ * The model calls tools until it answers with a summary or the step limit is reached
+ *
+ * @param {Object} params - Agent parameters
+ * @param {string} params.request - Request text from the chat
+ * @param {Object} params.tools - GitHub tools instance
+ * @param {string} params.repository - Group repository in format owner/repo; every call is pinned to it
+ * @param {string|null} [params.requester] - Requester's GitHub login, if linked
+ * @param {string[]} [params.writeTools] - Tools allowed to change the repository (defaults to AGENT_WRITE_TOOLS)
+ * @param {number} [params.maxSteps] - Most tool calls to make (defaults to AGENT_MAX_STEPS)
+ * @param {Object} [params.llm] - Tool-calling chat model (defaults to the generator model)
+ * @param {Object} [params.usage] - Group and operation the token usage is attributed to ({ groupId, operationId })
+ * @returns {Promise<{summary: string, actions: Object[], steps: number, stoppedAtLimit: boolean}>} Agent run
+ * @throws {Error} If the model cannot call tools or fails
+ */
+export async function runGitHubAgent({
+  request,
+  tools,
+  repository,
+  requester = null,
+  writeTools,
+  maxSteps,
+  llm = null,
+  usage = {},
+}) {
+  const config = getConfig();
+  const { owner, repo } = splitRepository(repository);
+  const allowedWriteTools = writeTools ?? config.agent.writeTools;
+  const stepLimit = maxSteps ?? config.agent.maxSteps;
+
+  const client = llm || getGeneratorLLMClient();
+
+  if (typeof client.bindTools !== 'function' || (!llm && !supportsToolCalling(client))) {
+    throw new Error('The configured model does not support tool calling');
+  }
+
+  const allowedTools = [...AGENT_READ_TOOLS, ...allowedWriteTools].filter(name => tools.getTool(name));
+  const model = client.bindTools(allowedTools.map(name => tools.getTool(name)));
+
+  const prompt = PromptTemplate.fromTemplate(await loadPromptTemplate());
+  const messages = [
+    new SystemMessage(await prompt.format({
+      repository,
+      requester: requester ? `@${requester} on GitHub` : 'someone without a linked GitHub account',
+      writeTools: allowedWriteTools.length > 0 ? allowedWriteTools.join(', ') : 'none (read only)',
+      maxSteps: stepLimit,
+    })),
+    new HumanMessage(request),
+  ];
+
+  const callbacks = createUsageCallbacks({ ...usage, purpose: UsagePurpose.AGENT });
+  const actions = [];
+  let steps = 0;
+  let stoppedAtLimit = false;
+  let summary = '';
+
+  while (!stoppedAtLimit) {
+    const response = await model.invoke(messages, { callbacks });
+    messages.push(response);
+
+    const toolCalls = response.tool_calls || [];
+    summary = getMessageText(response).trim();
+
+    if (toolCalls.length === 0) {
+      break;
+    }
+
+    for (const toolCall of toolCalls) {
+      if (steps >= stepLimit) {
+        stoppedAtLimit = true;
+        break;
+      }
+
+      steps++;
+      const { content, action } = await runToolCall(tools, toolCall, { owner, repo, allowedTools });
+
+      if (action) {
+        actions.push(action);
+      }
+
+      messages.push(new ToolMessage({ content, tool_call_id: toolCall.id, name: toolCall.name }));
+    }
+  }
+
+  logger.info({
+    repository,
+    steps,
+    stoppedAtLimit,
+    actions: actions.length,
+    failed: actions.filter(action => !action.success).length,
+  }, 'Agent request finished');
+
+  return { summary, actions, steps, stoppedAtLimit };
+}
+
+/**
+ * Reverts one recorded agent action
+ * Created issues are closed as not planned; updated issues get their previous
+ * title, body, state, labels and assignees back
+ *
+ * @param {Object} operationData - Recorded action ({ tool, args, issueNumber, previousState, repository })
+ * @param {Object} tools - GitHub tools instance
+ * @param {string} [locale] - Locale of the confirmation
+ * @returns {Promise<{message: string}>} Confirmation of what was reverted
+ * @throws {Error} If the action cannot be undone
+ */
+export async function undoAgentAction(operationData, tools, locale = DEFAULT_LOCALE) {
+  const { tool, args, issueNumber, previousState, repository } = operationData || {};
+
+  if (!isIssueWrite(tool, args) || !issueNumber) {
+    throw new Error('This action cannot be undone');
+  }
+
+  const { owner, repo } = splitRepository(repository);
+  const writeTool = tools.getTool('issue_write');
+
+  if (!writeTool) {
+    throw new Error('issue_write tool not available');
+  }
+
+  if (args.method === 'create') {
+    await writeTool.invoke({
+      method: 'update',
+      owner,
+      repo,
+      issue_number: issueNumber,
+      state: 'closed',
+      state_reason: 'not_planned',
+    });
+
+    return { message: t(locale, 'undo.closed', { number: issueNumber }) };
+  }
+
+  if (!previousState) {
+    throw new Error('Previous state not available for revert');
+  }
+
+  await writeTool.invoke({
+    method: 'update',
+    owner,
+    repo,
+    issue_number: issueNumber,
+    ...previousState,
+  });
+
+  return { message: t(locale, 'undo.restored', { number: issueNumber }) };
+}
+
+/**
+ * Undoes an operation recorded for an agent action
+ * Agent branch of the operation undo (see src/ai/undo.js)
+ *
+ * @param {Object} operation - Operation record
+ * @param {string} [locale] - Locale of the confirmation
+ * @returns {Promise<{message: string}>} Confirmation of what was reverted
+ * @throws {Error} If the operation is not an agent action or cannot be undone
+ */
+export async function undoAgentOperation(operation, locale = DEFAULT_LOCALE) {
+  if (operation.operationType !== AGENT_OPERATION_TYPE) {
+    throw new Error('Only actions taken in agent mode can be undone');
+  }
+
+  const groupConfig = await new ConfigRepository().getGroupConfig(operation.telegramGroupId);
+
+  if (!groupConfig?.githubToken) {
+    throw new Error('Missing GitHub token in group configuration');
+  }
+
+  const tools = await createGitHubTools(groupConfig.githubToken, operation.operationData?.repository);
+
+  try {
+    return await undoAgentAction(operation.operationData, tools, locale);
+  } finally {
+    await tools.close();
+  }
+}
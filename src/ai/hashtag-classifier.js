@@ -0,0 +1,96 @@
+/**
+ * Hashtag Classifier
+ * Rule-based pre-classifier for messages whose intent is spelled out with a hashtag
+ *
+ * "#bug Login fails on Safari" needs no LLM to tell what it is. Messages
+ * that are ambiguous in any way return null and go through the LLM.
+ */
+
+import { IntentType, ClassificationSource } from './state-schema.js';
+
+/**
+ * Intent hashtags (lowercase, without #) and the create intent they stand for
+ */
+export const INTENT_HASHTAGS = {
+  bug: IntentType.CREATE_BUG,
+  task: IntentType.CREATE_TASK,
+  todo: IntentType.CREATE_TASK,
+  idea: IntentType.CREATE_IDEA,
+  feature: IntentType.CREATE_IDEA,
+};
+
+/**
+ * Words a title needs at least / may have at most to count as clear
+ */
+const MIN_TITLE_WORDS = 2;
+const MAX_TITLE_WORDS = 15;
+
+/**
+ * Issue references (#42) point at existing issues, so the message is not a plain create
+ */
+const ISSUE_REFERENCE_PATTERN = /(^|\s)#\d+\b/;
+
+/**
+ * Phrases carrying entities only the LLM extracts (milestones, project boards)
+ */
+const EXTRACTION_PHRASE_PATTERN = /\b(milestone|sprint|project|board|column)\b/i;
+
+/**
+ * Classifies a message from its intent hashtag without calling the LLM
+ *
+ * @param {string} message - Message text
+ * @param {Object} [options] - Options
+ * @param {string} [options.botUsername] - Bot username; its mention is not an assignee
+ * @returns {Object|null} Classification result, or null if the message needs the LLM
+ */
+export function classifyByHashtags(message, { botUsername } = {}) {
+  const text = (message || '').trim();
+
+  if (!text || ISSUE_REFERENCE_PATTERN.test(text) || EXTRACTION_PHRASE_PATTERN.test(text)) {
+    return null;
+  }
+
+  const hashtags = [...text.matchAll(/#(\w+)/g)].map(match => match[1].toLowerCase());
+  const intentTags = hashtags.filter(tag => INTENT_HASHTAGS[tag]);
+  const intents = new Set(intentTags.map(tag => INTENT_HASHTAGS[tag]));
+
+  // No intent hashtag, or several that could mean several issues
+  if (intentTags.length !== 1 || intents.size !== 1) {
+    return null;
+  }
+
+  const [firstLine, ...rest] = text.split('\n');
+  const title = firstLine.replace(/#\w+/g, '').replace(/@\w+/g, '').replace(/\s+/g, ' ').trim();
+  const words = title.split(' ').filter(word => /[\p{L}\p{N}]/u.test(word));
+
+  if (words.length < MIN_TITLE_WORDS || words.length > MAX_TITLE_WORDS) {
+    return null;
+  }
+
+  const bot = botUsername?.toLowerCase();
+  const assignees = [...text.matchAll(/@(\w+)/g)]
+    .map(match => match[1])
+    .filter(username => username.toLowerCase() !== bot);
+  const description = rest.join('\n').trim();
+  const [intentType] = intents;
+
+  const action = {
+    intent: intentType,
+    confidence: 1,
+    entities: {
+      title,
+      description: description || text,
+      labels: hashtags,
+      assignees,
+    },
+  };
+
+  return {
+    intent: action.intent,
+    confidence: action.confidence,
+    entities: action.entities,
+    actions: [action],
+    reasoning: `Explicit #${intentTags[0]} hashtag with a clear title`,
+    classifiedBy: ClassificationSource.HASHTAGS,
+  };
+}
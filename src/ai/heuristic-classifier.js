@@ -0,0 +1,154 @@
+/**
+ * Heuristic Classifier
+ * Keyword-based classification used in degraded mode, when the LLM is unavailable
+ *
+ * Looks only at hashtags, keywords and issue references, so it is far less
+ * accurate than the LLM. Its results are marked as degraded and the issues it
+ * files get a needs-triage label.
+ */
+
+import { INTENT_HASHTAGS } from './hashtag-classifier.js';
+import { IntentType, ClassificationSource } from './state-schema.js';
+
+/**
+ * Confidence for intents named explicitly (hashtags, issue commands)
+ */
+const EXPLICIT_CONFIDENCE = 0.8;
+
+/**
+ * Confidence for intents guessed from keywords
+ */
+const KEYWORD_CONFIDENCE = 0.5;
+
+/**
+ * Issue reference (#42)
+ */
+const ISSUE_REFERENCE_PATTERN = /(?:^|\s)#(\d+)\b/;
+
+/**
+ * Commands on a referenced issue, checked in order
+ */
+const ISSUE_COMMANDS = [
+  { intent: IntentType.REOPEN_ISSUE, pattern: /\bre-?open(?:ed|ing)?\b/i },
+  { intent: IntentType.CLOSE_ISSUE, pattern: /\b(?:close[ds]?|closing|fixed|resolved)\b/i },
+  { intent: IntentType.COMMENT_ISSUE, pattern: /\bcomment\b/i },
+];
+
+/**
+ * Requests to search existing issues
+ */
+const SEARCH_PATTERN = /^(?:find|search(?: for)?|show(?: me)?|list|look up)\b/i;
+
+/**
+ * Keywords per create intent, checked in order
+ */
+const CREATE_KEYWORDS = [
+  {
+    intent: IntentType.CREATE_BUG,
+    pattern: /\b(?:bug|error|crash(?:es|ed|ing)?|broken|fails?|failing|failed|exception|not working|doesn't work|does not work)\b/i,
+  },
+  {
+    intent: IntentType.CREATE_IDEA,
+    pattern: /\b(?:idea|feature|what if|would be (?:nice|cool|great)|suggest(?:ion)?|proposal)\b/i,
+  },
+  {
+    intent: IntentType.CREATE_TASK,
+    pattern: /\b(?:todo|task|need to|needs to|implement|refactor|add|set up|migrate)\b/i,
+  },
+];
+
+/**
+ * Removes mentions and hashtags from text
+ *
+ * @param {string} text - Message text
+ * @returns {string} Text without mentions and hashtags
+ */
+function stripMarkers(text) {
+  return text.replace(/@\w+/g, '').replace(/#\w+/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Builds a degraded classification result for one action
+ *
+ * @param {string} intent - Intent type
+ * @param {number} confidence - Confidence score
+ * @param {Object} entities - Extracted entities
+ * @param {string} reasoning - Why the heuristic picked the intent
+ * @returns {Object} Classification result
+ */
+function buildResult(intent, confidence, entities, reasoning) {
+  const action = { intent, confidence, entities };
+
+  return {
+    intent,
+    confidence,
+    entities,
+    actions: [action],
+    reasoning,
+    classifiedBy: ClassificationSource.HEURISTIC,
+    degraded: true,
+  };
+}
+
+/**
+ * Classifies a message with keyword heuristics
+ *
+ * @param {string} message - Message text
+ * @param {Object} [options] - Options
+ * @param {string} [options.botUsername] - Bot username; its mention is not an assignee
+ * @returns {Object} Classification result (unknown with confidence 0 if nothing matched)
+ */
+export function classifyHeuristically(message, { botUsername } = {}) {
+  const text = (message || '').trim();
+  const bot = botUsername?.toLowerCase();
+  const labels = [...text.matchAll(/#(\w+)/g)].map(match => match[1].toLowerCase()).filter(tag => !/^\d+$/.test(tag));
+  const assignees = [...text.matchAll(/@(\w+)/g)].map(match => match[1]).filter(username => username.toLowerCase() !== bot);
+  const plainText = stripMarkers(text);
+
+  // Commands on existing issues need an explicit verb; a bare reference could mean anything
+  const reference = text.match(ISSUE_REFERENCE_PATTERN);
+
+  if (reference) {
+    const command = ISSUE_COMMANDS.find(({ pattern }) => pattern.test(text));
+
+    if (!command) {
+      return buildResult(IntentType.UNKNOWN, 0, {}, `Issue #${reference[1]} referenced without a command`);
+    }
+
+    const entities = { issueNumber: reference[1] };
+
+    if (command.intent === IntentType.COMMENT_ISSUE) {
+      entities.comment = plainText.replace(/^.*?\bcomment\b(?:\s+on)?\s*:?\s*/i, '') || plainText;
+    }
+
+    return buildResult(command.intent, EXPLICIT_CONFIDENCE, entities, `Issue #${reference[1]} with an explicit command`);
+  }
+
+  if (SEARCH_PATTERN.test(plainText)) {
+    const searchQuery = plainText.replace(SEARCH_PATTERN, '').replace(/^\s*(?:issues?|bugs?|tasks?)\b\s*(?:about|for|with)?\s*/i, '').trim();
+    return buildResult(IntentType.SEARCH_ISSUES, KEYWORD_CONFIDENCE, { searchQuery, labels }, 'Search keyword');
+  }
+
+  const intentTag = labels.find(tag => INTENT_HASHTAGS[tag]);
+  const keywordMatch = CREATE_KEYWORDS.find(({ pattern }) => pattern.test(plainText));
+  const intent = intentTag ? INTENT_HASHTAGS[intentTag] : keywordMatch?.intent;
+
+  if (!intent || !plainText) {
+    return buildResult(IntentType.UNKNOWN, 0, {}, 'No hashtag or keyword matched');
+  }
+
+  const firstLine = stripMarkers(text.split('\n')[0]) || plainText;
+  const firstSentence = firstLine.match(/^[^.!?]+/)?.[0] || firstLine;
+
+  return buildResult(
+    intent,
+    intentTag ? EXPLICIT_CONFIDENCE : KEYWORD_CONFIDENCE,
+    {
+      title: firstSentence.trim().substring(0, 60),
+      description: text,
+      labels,
+      assignees,
+    },
+    intentTag ? `Explicit #${intentTag} hashtag` : 'Keyword match'
+  );
+}
@@ -5,11 +5,16 @@
  * Task 4.2.1: Implement Intent Classifier
  */
 
-import { StructuredOutputParser } from '@langchain/core/output_parsers';
+import { StructuredOutputParser, OutputParserException } from '@langchain/core/output_parsers';
 import { PromptTemplate } from '@langchain/core/prompts';
+import { HumanMessage, AIMessage } from '@langchain/core/messages';
 import { z } from 'zod';
-import { getClassifierLLMClient } from './llm-client.js';
+import { getClassifierLLMClient, supportsToolCalling, getMessageText, extractJsonText } from './llm-client.js';
 import { IntentType } from './state-schema.js';
+import { classifyHeuristically } from './heuristic-classifier.js';
+import { shouldTryLLM, recordLLMSuccess, recordLLMFailure, isDegraded } from './degraded-mode.js';
+import { createUsageCallbacks, UsagePurpose } from './token-usage.js';
+import { llmOutputValidationTotal, incrementCounter } from '../utils/metrics.js';
 import { readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -19,16 +24,20 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 /**
- * Schema for intent classification output
- * Ensures LLM returns properly structured data
+ * Schema for a single classified action
+ * One message may contain several of these
  */
-const intentOutputSchema = z.object({
+const actionSchema = z.object({
   intent: z.enum([
     IntentType.CREATE_BUG,
     IntentType.CREATE_TASK,
     IntentType.CREATE_IDEA,
     IntentType.UPDATE_ISSUE,
+    IntentType.CLOSE_ISSUE,
+    IntentType.REOPEN_ISSUE,
+    IntentType.COMMENT_ISSUE,
     IntentType.SEARCH_ISSUES,
+    IntentType.AGENT_REQUEST,
     IntentType.UNKNOWN,
   ]).describe('The classified intent type'),
 
@@ -56,12 +65,44 @@ const intentOutputSchema = z.object({
 
     issueNumber: z.string()
       .optional()
-      .describe('Issue number if updating an existing issue'),
+      .describe('Issue number if updating, closing, reopening or commenting on an existing issue'),
+
+    stateReason: z.enum(['completed', 'not_planned', 'duplicate'])
+      .optional()
+      .describe('Reason for closing an issue'),
+
+    comment: z.string()
+      .optional()
+      .describe('Comment text to post on an existing issue'),
 
     searchQuery: z.string()
       .optional()
       .describe('Search query if searching for issues'),
+
+    milestone: z.string()
+      .optional()
+      .describe('Milestone or sprint the new issue belongs to'),
+
+    project: z.string()
+      .optional()
+      .describe('GitHub project board to add the new issue to'),
+
+    projectStatus: z.string()
+      .optional()
+      .describe('Status column of the project board for the new issue'),
   }).describe('Extracted entities from the message'),
+});
+
+/**
+ * Schema for intent classification output
+ * Ensures LLM returns properly structured data
+ * Top-level fields describe the first action; `actions` lists every action
+ * when the message asks for more than one
+ */
+const intentOutputSchema = actionSchema.extend({
+  actions: z.array(actionSchema)
+    .optional()
+    .describe('Every distinct action when the message contains more than one request, in message order'),
 
   reasoning: z.string()
     .optional()
@@ -70,39 +111,121 @@ const intentOutputSchema = z.object({
 
 /**
  * Output parser for structured intent classification
+ * Supplies the text format instructions for models without tool calling
  */
 const intentParser = StructuredOutputParser.fromZodSchema(intentOutputSchema);
 
 /**
- * Loads the intent classification prompt template
+ * Name of the tool models with tool calling answer through
+ */
+const CLASSIFICATION_TOOL_NAME = 'classify_intent';
+
+/**
+ * Validation outcomes recorded in the output validation metric
+ * @enum {string}
+ */
+const ValidationOutcome = {
+  VALID: 'valid',
+  REPAIRED: 'repaired',
+  FAILED: 'failed',
+};
+
+/**
+ * Loads a prompt template from the prompts directory
  *
+ * @param {string} [name] - Prompt file name
  * @returns {Promise<string>} Prompt template text
  * @throws {Error} If prompt file cannot be loaded
  */
-async function loadPromptTemplate() {
-  const promptPath = join(__dirname, '../../prompts/intent-classification.txt');
+async function loadPromptTemplate(name = 'intent-classification.txt') {
+  const promptPath = join(__dirname, '../../prompts', name);
 
   try {
     return await readFile(promptPath, 'utf-8');
   } catch (error) {
     throw new Error(
       `Failed to load intent classification prompt from ${promptPath}: ${error.message}\n` +
-      'Make sure the prompts/intent-classification.txt file exists.'
+      `Make sure the prompts/${name} file exists.`
     );
   }
 }
 
+/**
+ * Validates an LLM answer against intentOutputSchema
+ *
+ * @param {Object|string} answer - Tool call arguments, or answer text
+ * @returns {{result: Object|null, raw: string, errors: string|null}} Validated result, or
+ *   the answer as text with the validation errors
+ */
+export function validateClassificationOutput(answer) {
+  const raw = typeof answer === 'string' ? answer : JSON.stringify(answer ?? null);
+  let value = answer;
+
+  if (typeof answer === 'string') {
+    const fenced = answer.match(/```(?:json)?\s*([\s\S]*?)```/);
+
+    try {
+      value = JSON.parse((fenced ? fenced[1] : answer).trim());
+    } catch (error) {
+      return { result: null, raw, errors: `The answer is not valid JSON: ${error.message}` };
+    }
+  }
+
+  const validation = intentOutputSchema.safeParse(value);
+
+  if (validation.success) {
+    return { result: validation.data, raw, errors: null };
+  }
+
+  const errors = validation.error.issues
+    .map(issue => `- ${issue.path.join('.') || 'answer'}: ${issue.message}`)
+    .join('\n');
+
+  return { result: null, raw, errors };
+}
+
+/**
+ * Sends the conversation to the LLM and validates its answer
+ * Models with tool calling answer through a schema-bound tool, others in text
+ *
+ * @param {Object} client - Chat model
+ * @param {Object[]} messages - Conversation
+ * @param {Object[]} callbacks - Usage callbacks
+ * @returns {Promise<{result: Object|null, raw: string, errors: string|null}>} Validation result
+ */
+async function requestClassification(client, messages, callbacks) {
+  if (supportsToolCalling(client)) {
+    const structured = client.withStructuredOutput(intentOutputSchema, {
+      name: CLASSIFICATION_TOOL_NAME,
+      method: 'functionCalling',
+      includeRaw: true,
+    });
+    const { raw } = await structured.invoke(messages, { callbacks });
+
+    return validateClassificationOutput(raw?.tool_calls?.[0]?.args ?? getMessageText(raw));
+  }
+
+  const response = await client.invoke(messages, { callbacks });
+  return validateClassificationOutput(extractJsonText(response));
+}
+
 /**
  * Classifies intent from a Telegram message
+ * While the LLM is unavailable (degraded mode), keyword heuristics classify instead
  *
  * @param {Object} params - Classification parameters
  * @param {string} params.message - Message text to classify
  * @param {Object[]} [params.context] - Conversation context (previous messages)
  * @param {Object} [params.messageMetadata] - Additional message metadata
+ * @param {string} [params.messageMetadata.botUsername] - Bot username, ignored as an assignee by the heuristics
+ * @param {number} [params.messageMetadata.chatId] - Group the token usage is attributed to
+ * @param {string} [params.messageMetadata.operationId] - Operation the token usage is attributed to
+ * @param {Object} [params.llm] - Chat model to classify with instead of the classifier client
+ *   (the evaluation harness passes recorded responses this way)
  * @returns {Promise<Object>} Classification result
  * @throws {Error} If classification fails
  */
-export async function classifyIntent({ message, context = [], messageMetadata = {} }) {
+export async function classifyIntent({ message, context = [], messageMetadata = {}, llm = null }) {
   if (!message || typeof message !== 'string') {
     throw new Error('Message text is required for intent classification');
   }
@@ -110,37 +233,79 @@ export async function classifyIntent({ message, context = [], messageMetadata =
   // Format context before try block so it's available in catch
   const contextText = formatContext(context);
 
+  if (!shouldTryLLM()) {
+    return classifyHeuristically(message, { botUsername: messageMetadata.botUsername });
+  }
+
   try {
     // Load prompt template
     const promptTemplateText = await loadPromptTemplate();
 
-    // Create prompt with format instructions
-    const prompt = PromptTemplate.fromTemplate(promptTemplateText);
-
     // Get LLM client optimized for classification
-    const llm = getClassifierLLMClient();
-
-    // Create chain
-    const chain = prompt.pipe(llm).pipe(intentParser);
-
-    // Execute classification
-    const result = await chain.invoke({
-      format_instructions: intentParser.getFormatInstructions(),
+    const client = llm || getClassifierLLMClient();
+    const useTools = supportsToolCalling(client);
+
+    // Tool calls carry the schema themselves; other models get it as text instructions
+    const promptText = await PromptTemplate.fromTemplate(promptTemplateText).format({
+      format_instructions: useTools
+        ? `Answer by calling the ${CLASSIFICATION_TOOL_NAME} tool.`
+        : intentParser.getFormatInstructions(),
       context: contextText,
       message: message.trim(),
     });
 
+    const callbacks = createUsageCallbacks({
+      purpose: UsagePurpose.CLASSIFICATION,
+      groupId: messageMetadata.chatId,
+      operationId: messageMetadata.operationId,
+    });
+
+    const conversation = [new HumanMessage(promptText)];
+    let answer = await requestClassification(client, conversation, callbacks);
+    let outcome = ValidationOutcome.VALID;
+
+    // One repair round: the model gets its answer back with the validation errors
+    if (answer.errors) {
+      logger.warn({ errors: answer.errors, message: message.trim() }, 'Intent classification did not match the schema, repairing');
+
+      const repairPrompt = await PromptTemplate.fromTemplate(
+        await loadPromptTemplate('intent-classification-repair.txt')
+      ).format({ errors: answer.errors });
+
+      conversation.push(new AIMessage(answer.raw), new HumanMessage(repairPrompt));
+      answer = await requestClassification(client, conversation, callbacks);
+      outcome = answer.errors ? ValidationOutcome.FAILED : ValidationOutcome.REPAIRED;
+    }
+
+    incrementCounter(llmOutputValidationTotal, { purpose: UsagePurpose.CLASSIFICATION, outcome });
+
+    if (answer.errors) {
+      throw new OutputParserException(`Classification does not match the schema after repair:\n${answer.errors}`, answer.raw);
+    }
+
+    recordLLMSuccess();
+
     // Post-process and validate result
-    return validateAndEnrichResult(result, message, messageMetadata);
+    return validateAndEnrichResult(answer.result, message, messageMetadata);
   } catch (error) {
     // Log error for debugging
     logger.error({ err: error, message: message.trim(), context: contextText }, 'Intent classification error');
 
+    // Unparseable answers mean the LLM responded; anything else counts towards degraded mode
+    if (!(error instanceof OutputParserException)) {
+      recordLLMFailure(error);
+    }
+
+    if (isDegraded()) {
+      return classifyHeuristically(message, { botUsername: messageMetadata.botUsername });
+    }
+
     // Return unknown intent with error info
     return {
       intent: IntentType.UNKNOWN,
       confidence: 0,
       entities: {},
+      actions: [],
       error: error.message,
     };
   }
@@ -148,6 +313,7 @@ export async function classifyIntent({ message, context = [], messageMetadata =
 
 /**
  * Formats conversation context for the prompt
+ * Accepts both gathered thread messages and raw Telegram messages
  *
  * @param {Object[]} context - Array of context messages
  * @returns {string} Formatted context text
@@ -158,7 +324,7 @@ function formatContext(context) {
   }
 
   return context.map((msg, index) => {
-    const speaker = msg.from?.username || msg.from?.first_name || 'User';
+    const speaker = msg.username || msg.from?.username || msg.firstName || msg.from?.first_name || 'User';
     const text = msg.text || '[media message]';
     return `[${index + 1}] ${speaker}: ${text}`;
   }).join('\n');
@@ -166,6 +332,7 @@ function formatContext(context) {
 
 /**
  * Validates and enriches the classification result
+ * Every result gets an `actions` list; the top-level fields mirror the first action
  *
  * @param {Object} result - Raw classification result
  * @param {string} message - Original message
@@ -173,33 +340,59 @@ function formatContext(context) {
  * @returns {Object} Validated and enriched result
  */
 function validateAndEnrichResult(result, message, messageMetadata) {
+  const isMultiAction = Array.isArray(result.actions) && result.actions.length > 1;
+
+  // For multi-action messages, enrich each action from its own part of the message
+  const actions = isMultiAction
+    ? result.actions.map(action => enrichAction(action, action.entities?.description || action.entities?.title || message))
+    : [enrichAction(result, message)];
+
+  const [primary] = actions;
+
+  return {
+    ...result,
+    intent: primary.intent,
+    confidence: primary.confidence,
+    entities: primary.entities,
+    actions: actions.map(({ intent, confidence, entities }) => ({ intent, confidence, entities })),
+  };
+}
+
+/**
+ * Validates and enriches a single classified action
+ *
+ * @param {Object} action - Raw classified action
+ * @param {string} text - Message text the action was extracted from
+ * @returns {Object} Validated and enriched action
+ */
+function enrichAction(action, text) {
   // Ensure confidence is within bounds
-  result.confidence = Math.max(0, Math.min(1, result.confidence || 0));
+  action.confidence = Math.max(0, Math.min(1, action.confidence || 0));
 
   // Ensure entities object exists
-  result.entities = result.entities || {};
+  action.entities = action.entities || {};
 
   // Auto-extract labels from hashtags if not already extracted
-  if (!result.entities.labels || result.entities.labels.length === 0) {
-    result.entities.labels = extractHashtags(message);
+  if (!action.entities.labels || action.entities.labels.length === 0) {
+    action.entities.labels = extractHashtags(text);
   }
 
   // Auto-extract assignees from mentions if not already extracted
-  if (!result.entities.assignees || result.entities.assignees.length === 0) {
-    result.entities.assignees = extractMentions(message);
+  if (!action.entities.assignees || action.entities.assignees.length === 0) {
+    action.entities.assignees = extractMentions(text);
   }
 
   // Generate default title if create intent but no title
-  if (isCreateIntent(result.intent) && !result.entities.title) {
-    result.entities.title = generateDefaultTitle(message);
+  if (isCreateIntent(action.intent) && !action.entities.title) {
+    action.entities.title = generateDefaultTitle(text);
   }
 
-  // Use full message as description if none provided
-  if (isCreateIntent(result.intent) && !result.entities.description) {
-    result.entities.description = message.trim();
+  // Use full text as description if none provided
+  if (isCreateIntent(action.intent) && !action.entities.description) {
+    action.entities.description = text.trim();
   }
 
-  return result;
+  return action;
 }
 
 /**
@@ -255,6 +448,32 @@ function generateDefaultTitle(message) {
   return title.replace(/#\w+/g, '').replace(/@\w+/g, '').trim();
 }
 
+/**
+ * Applies an intent type chosen by the user to a classification result
+ * Used when a low-confidence classification is settled by a clarifying question
+ *
+ * @param {Object} result - Original classification result
+ * @param {string} intentType - Intent type picked by the user
+ * @param {string} message - Original message text
+ * @returns {Object} Classification result with the chosen intent
+ */
+export function applyIntentChoice(result, intentType, message) {
+  const action = enrichAction({
+    intent: intentType,
+    confidence: 1,
+    entities: { ...(result?.entities || {}) },
+  }, message);
+
+  return {
+    ...result,
+    intent: action.intent,
+    confidence: action.confidence,
+    entities: action.entities,
+    actions: [action],
+    clarified: true,
+  };
+}
+
 /**
  * Batch classifies multiple messages
  * Useful for testing and evaluation
@@ -0,0 +1,210 @@
+/**
+ * Issue Body Generator
+ * Uses LLM to rewrite reports into structured issue bodies per intent type
+ */
+
+import { StructuredOutputParser } from '@langchain/core/output_parsers';
+import { PromptTemplate } from '@langchain/core/prompts';
+import { z } from 'zod';
+import { getGeneratorLLMClient, extractJsonText } from './llm-client.js';
+import { createUsageCallbacks, UsagePurpose } from './token-usage.js';
+import { IntentType } from './state-schema.js';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Placeholder for sections the report did not cover
+ */
+export const NOT_PROVIDED = '_Not provided_';
+
+/**
+ * Schema for bug report bodies
+ */
+const bugBodySchema = z.object({
+  summary: z.string()
+    .describe('One or two sentences describing the problem'),
+
+  stepsToReproduce: z.array(z.string())
+    .describe('Ordered steps that trigger the bug, empty if unknown'),
+
+  expected: z.string()
+    .optional()
+    .describe('What should happen'),
+
+  actual: z.string()
+    .optional()
+    .describe('What happens instead, including error messages'),
+
+  environment: z.string()
+    .optional()
+    .describe('Platform, device, browser, app version or other environment details'),
+});
+
+/**
+ * Schema for task bodies
+ */
+const taskBodySchema = z.object({
+  summary: z.string()
+    .describe('One or two sentences describing the work'),
+
+  acceptanceCriteria: z.array(z.string())
+    .describe('Verifiable conditions that must hold when the task is done'),
+});
+
+/**
+ * Renders a generated bug body as markdown
+ *
+ * @param {Object} body - Parsed bug body
+ * @returns {string} Markdown body
+ */
+function renderBugBody(body) {
+  const steps = body.stepsToReproduce?.length
+    ? body.stepsToReproduce.map((step, index) => `${index + 1}. ${step}`).join('\n')
+    : NOT_PROVIDED;
+
+  return [
+    body.summary,
+    `### Steps to reproduce\n\n${steps}`,
+    `### Expected behavior\n\n${body.expected || NOT_PROVIDED}`,
+    `### Actual behavior\n\n${body.actual || NOT_PROVIDED}`,
+    `### Environment\n\n${body.environment || NOT_PROVIDED}`,
+  ].join('\n\n');
+}
+
+/**
+ * Renders a generated task body as markdown
+ *
+ * @param {Object} body - Parsed task body
+ * @returns {string} Markdown body
+ */
+function renderTaskBody(body) {
+  const criteria = body.acceptanceCriteria?.length
+    ? body.acceptanceCriteria.map(criterion => `- [ ] ${criterion}`).join('\n')
+    : NOT_PROVIDED;
+
+  return `${body.summary}\n\n### Acceptance criteria\n\n${criteria}`;
+}
+
+/**
+ * Body templates per intent type
+ * Intents without a template keep the extracted description as the body
+ */
+const BODY_TEMPLATES = {
+  [IntentType.CREATE_BUG]: {
+    issueType: 'bug report',
+    structure: [
+      '- summary: what is broken, in one or two sentences',
+      '- stepsToReproduce: ordered steps that trigger the bug',
+      '- expected: what should happen',
+      '- actual: what happens instead, with any error message quoted verbatim',
+      '- environment: platform, device, browser or version, only if mentioned',
+    ].join('\n'),
+    parser: StructuredOutputParser.fromZodSchema(bugBodySchema),
+    render: renderBugBody,
+  },
+  [IntentType.CREATE_TASK]: {
+    issueType: 'task',
+    structure: [
+      '- summary: the work to be done, in one or two sentences',
+      '- acceptanceCriteria: short, verifiable conditions that must hold when the task is done',
+    ].join('\n'),
+    parser: StructuredOutputParser.fromZodSchema(taskBodySchema),
+    render: renderTaskBody,
+  },
+};
+
+/**
+ * Loads the issue body generation prompt template
+ *
+ * @returns {Promise<string>} Prompt template text
+ * @throws {Error} If prompt file cannot be loaded
+ */
+async function loadPromptTemplate() {
+  const promptPath = join(__dirname, '../../prompts/issue-body-generation.txt');
+
+  try {
+    return await readFile(promptPath, 'utf-8');
+  } catch (error) {
+    throw new Error(
+      `Failed to load issue body generation prompt from ${promptPath}: ${error.message}\n` +
+      'Make sure the prompts/issue-body-generation.txt file exists.'
+    );
+  }
+}
+
+/**
+ * Formats thread context for the prompt
+ * Accepts both gathered thread messages and raw Telegram messages
+ *
+ * @param {Object[]} context - Earlier messages of the thread
+ * @returns {string} Formatted context text
+ */
+function formatContext(context) {
+  if (!context || context.length === 0) {
+    return 'No previous context available.';
+  }
+
+  return context.map((msg, index) => {
+    const speaker = msg.username || msg.from?.username || msg.firstName || msg.from?.first_name || 'User';
+    const text = msg.text || '[media message]';
+    return `[${index + 1}] ${speaker}: ${text}`;
+  }).join('\n');
+}
+
+/**
+ * Checks whether an intent type gets a generated body
+ *
+ * @param {string} intentType - Intent type
+ * @returns {boolean} True if a body template exists
+ */
+export function hasBodyTemplate(intentType) {
+  return Boolean(BODY_TEMPLATES[intentType]);
+}
+
+/**
+ * Generates a structured issue body for the given intent type
+ *
+ * @param {Object} params - Generation parameters
+ * @param {string} params.intentType - Intent type (see IntentType)
+ * @param {string} params.message - Original message text
+ * @param {string} [params.title] - Extracted issue title
+ * @param {string} [params.description] - Extracted issue description
+ * @param {Object[]} [params.context] - Earlier messages of the thread
+ * @param {Object} [params.usage] - Group and operation the token usage is attributed to ({ groupId, operationId })
+ * @returns {Promise<string|null>} Markdown body, or null if the intent has no template
+ * @throws {Error} If generation fails
+ */
+export async function generateIssueBody({ intentType, message, title = '', description = '', context = [], usage = {} }) {
+  const template = BODY_TEMPLATES[intentType];
+
+  if (!template) {
+    return null;
+  }
+
+  const promptTemplateText = await loadPromptTemplate();
+  const prompt = PromptTemplate.fromTemplate(promptTemplateText);
+
+  // Output is normalized so every provider parses the same way
+  const chain = prompt.pipe(getGeneratorLLMClient()).pipe(extractJsonText).pipe(template.parser);
+
+  const result = await chain.invoke({
+    issue_type: template.issueType,
+    structure: template.structure,
+    format_instructions: template.parser.getFormatInstructions(),
+    context: formatContext(context),
+    title: title || '(none)',
+    description: description || '(none)',
+    message: message.trim(),
+  }, {
+    callbacks: createUsageCallbacks({ ...usage, purpose: UsagePurpose.GENERATION }),
+  });
+
+  logger.debug({ intentType }, 'Issue body generated');
+
+  return template.render(result);
+}
@@ -0,0 +1,89 @@
+/**
+ * Issue Translator
+ * Uses LLM to translate issue titles and bodies into English
+ *
+ * Groups can have issues written in English whatever language the team chats
+ * in (see /translate); the original text is kept in the issue by the format node.
+ */
+
+import { StructuredOutputParser } from '@langchain/core/output_parsers';
+import { PromptTemplate } from '@langchain/core/prompts';
+import { z } from 'zod';
+import { getGeneratorLLMClient, extractJsonText } from './llm-client.js';
+import { createUsageCallbacks, UsagePurpose } from './token-usage.js';
+import { getLanguageName } from '../i18n/index.js';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Schema for translated issues
+ */
+const translationSchema = z.object({
+  title: z.string()
+    .min(1)
+    .describe('Issue title in English'),
+
+  body: z.string()
+    .describe('Issue body in English, same markdown structure as the original'),
+});
+
+const parser = StructuredOutputParser.fromZodSchema(translationSchema);
+
+/**
+ * Loads the issue translation prompt template
+ *
+ * @returns {Promise<string>} Prompt template text
+ * @throws {Error} If prompt file cannot be loaded
+ */
+async function loadPromptTemplate() {
+  const promptPath = join(__dirname, '../../prompts/issue-translation.txt');
+
+  try {
+    return await readFile(promptPath, 'utf-8');
+  } catch (error) {
+    throw new Error(
+      `Failed to load issue translation prompt from ${promptPath}: ${error.message}\n` +
+      'Make sure the prompts/issue-translation.txt file exists.'
+    );
+  }
+}
+
+/**
+ * Translates an issue title and body into English
+ *
+ * @param {Object} params - Translation parameters
+ * @param {string} params.title - Issue title
+ * @param {string} params.body - Issue body (markdown)
+ * @param {string} params.language - Locale the issue is written in (e.g. ru)
+ * @param {Object} [params.usage] - Group and operation the token usage is attributed to ({ groupId, operationId })
+ * @returns {Promise<{title: string, body: string}>} Translated title and body
+ * @throws {Error} If translation fails
+ */
+export async function translateIssue({ title, body, language, usage = {} }) {
+  const promptTemplateText = await loadPromptTemplate();
+  const prompt = PromptTemplate.fromTemplate(promptTemplateText);
+
+  // Output is normalized so every provider parses the same way
+  const chain = prompt.pipe(getGeneratorLLMClient()).pipe(extractJsonText).pipe(parser);
+
+  const result = await chain.invoke({
+    language: getLanguageName(language),
+    format_instructions: parser.getFormatInstructions(),
+    title,
+    body: body || '(none)',
+  }, {
+    callbacks: createUsageCallbacks({ ...usage, purpose: UsagePurpose.TRANSLATION }),
+  });
+
+  logger.debug({ language }, 'Issue translated into English');
+
+  return {
+    title: result.title.trim(),
+    body: result.body.trim(),
+  };
+}
@@ -1,11 +1,12 @@
 /**
  * LLM Client Initialization
- * Supports multiple LLM providers (OpenAI, Anthropic) with retry logic
+ * Supports multiple LLM providers (OpenAI, Anthropic, OpenAI-compatible endpoints) with retry logic
  *
  * Task 4.1.1: Initialize LLM Clients
  */
 
 import { ChatOpenAI } from '@langchain/openai';
+import { ChatAnthropic } from '@langchain/anthropic';
 import { getConfig } from '../../config/env.js';
 
 /**
@@ -15,49 +16,93 @@ import { getConfig } from '../../config/env.js';
 export const LLMProvider = {
   OPENAI: 'openai',
   ANTHROPIC: 'anthropic',
+  OPENAI_COMPATIBLE: 'openai_compatible',
 };
 
+/**
+ * @typedef {import('@langchain/core/language_models/chat_models').BaseChatModel} BaseChatModel
+ */
+
 /**
  * Creates an LLM client instance based on configuration
  *
  * @param {Object} options - Configuration options
- * @param {string} [options.provider] - LLM provider to use (openai or anthropic)
+ * @param {string} [options.provider] - LLM provider to use (openai, anthropic or openai_compatible)
  * @param {string} [options.model] - Model name to use
  * @param {number} [options.temperature] - Temperature for responses (0-1)
  * @param {number} [options.maxRetries] - Maximum number of retries on failure
  * @param {number} [options.timeout] - Request timeout in milliseconds
- * @returns {ChatOpenAI} Configured LLM client instance
+ * @returns {BaseChatModel} Configured LLM client instance
  * @throws {Error} If configuration is invalid or provider is unsupported
  */
 export function createLLMClient(options = {}) {
   const config = getConfig();
 
-  // Merge options with config defaults
   const provider = options.provider || config.llm.provider;
-  const model = options.model || config.llm.model;
-  const temperature = options.temperature !== undefined ? options.temperature : config.llm.temperature;
-  const maxRetries = options.maxRetries || 3;
-  const timeout = options.timeout || 30000; // 30 seconds default
 
   // Validate provider
   if (!Object.values(LLMProvider).includes(provider)) {
     throw new Error(`Unsupported LLM provider: ${provider}. Supported providers: ${Object.values(LLMProvider).join(', ')}`);
   }
 
+  // Merge options with provider defaults
+  const defaults = getProviderDefaults(provider, config);
+  const model = options.model || defaults.model;
+  const temperature = options.temperature !== undefined ? options.temperature : defaults.temperature;
+  const maxRetries = options.maxRetries || 3;
+  const timeout = options.timeout || 30000; // 30 seconds default
+
   // Initialize based on provider
   switch (provider) {
     case LLMProvider.OPENAI:
       return createOpenAIClient({ model, temperature, maxRetries, timeout, config });
 
     case LLMProvider.ANTHROPIC:
-      // Anthropic support to be implemented when needed
-      throw new Error('Anthropic provider not yet implemented. Use OpenAI for now.');
+      return createAnthropicClient({ model, temperature, maxRetries, timeout, config });
+
+    case LLMProvider.OPENAI_COMPATIBLE:
+      return createOpenAICompatibleClient({ model, temperature, maxRetries, timeout, config });
 
     default:
       throw new Error(`Unknown provider: ${provider}`);
   }
 }
 
+/**
+ * Gets the default models and temperature configured for a provider
+ *
+ * @param {string} provider - LLM provider
+ * @param {Object} config - Application configuration
+ * @returns {{model: string, temperature: number, classifierModel: string|null, generatorModel: string|null}} Provider defaults
+ */
+function getProviderDefaults(provider, config) {
+  switch (provider) {
+    case LLMProvider.ANTHROPIC:
+      return {
+        model: config.llm.anthropic.model,
+        temperature: config.llm.anthropic.temperature,
+        classifierModel: null,
+        generatorModel: null,
+      };
+
+    case LLMProvider.OPENAI_COMPATIBLE:
+      return {
+        model: config.llm.openaiCompatible.model,
+        temperature: config.llm.openaiCompatible.temperature,
+        classifierModel: config.llm.openaiCompatible.classifierModel,
+        generatorModel: config.llm.openaiCompatible.generatorModel,
+      };
+
+    default:
+      return {
+        model: config.llm.model,
+        temperature: config.llm.temperature,
+        classifierModel: null,
+        generatorModel: null,
+      };
+  }
+}
+
 /**
  * Creates an OpenAI LLM client
  *
@@ -88,11 +133,76 @@ function createOpenAIClient({ model, temperature, maxRetries, timeout, config })
   });
 }
 
+/**
+ * Creates a client for a self-hosted OpenAI-compatible endpoint (Ollama, vLLM, LM Studio)
+ * Requests never leave the configured base URL
+ *
+ * @param {Object} params - Configuration parameters
+ * @param {string} params.model - Model name
+ * @param {number} params.temperature - Temperature setting
+ * @param {number} params.maxRetries - Maximum retries
+ * @param {number} params.timeout - Request timeout
+ * @param {Object} params.config - Application configuration
+ * @returns {ChatOpenAI} OpenAI-compatible client instance
+ * @throws {Error} If base URL is missing
+ */
+function createOpenAICompatibleClient({ model, temperature, maxRetries, timeout, config }) {
+  const { baseUrl, apiKey } = config.llm.openaiCompatible;
+
+  if (!baseUrl) {
+    throw new Error('OpenAI-compatible base URL is required. Set OPENAI_COMPATIBLE_BASE_URL environment variable.');
+  }
+
+  return new ChatOpenAI({
+    // Most local servers ignore the key, but the OpenAI SDK refuses an empty one
+    apiKey: apiKey || 'not-needed',
+    model,
+    temperature,
+    maxRetries,
+    timeout,
+    configuration: {
+      baseURL: baseUrl,
+    },
+    streaming: false,
+    verbose: config.app.nodeEnv === 'development',
+  });
+}
+
+/**
+ * Creates an Anthropic LLM client
+ *
+ * @param {Object} params - Configuration parameters
+ * @param {string} params.model - Model name
+ * @param {number} params.temperature - Temperature setting
+ * @param {number} params.maxRetries - Maximum retries
+ * @param {number} params.timeout - Request timeout
+ * @param {Object} params.config - Application configuration
+ * @returns {ChatAnthropic} Anthropic client instance
+ * @throws {Error} If API key is missing
+ */
+function createAnthropicClient({ model, temperature, maxRetries, timeout, config }) {
+  if (!config.llm.anthropic.apiKey) {
+    throw new Error('Anthropic API key is required. Set ANTHROPIC_API_KEY environment variable.');
+  }
+
+  return new ChatAnthropic({
+    apiKey: config.llm.anthropic.apiKey,
+    model,
+    temperature,
+    maxRetries,
+    clientOptions: {
+      timeout,
+    },
+    streaming: false,
+    verbose: config.app.nodeEnv === 'development',
+  });
+}
+
 /**
  * Gets a default LLM client instance using environment configuration
  * This is a convenience function for common usage
  *
- * @returns {ChatOpenAI} Default configured LLM client
+ * @returns {BaseChatModel} Default configured LLM client
  */
 export function getDefaultLLMClient() {
   return createLLMClient();
@@ -102,14 +212,16 @@ export function getDefaultLLMClient() {
  * Gets an LLM client optimized for intent classification
  * Uses lower temperature for more deterministic outputs
  *
- * @returns {ChatOpenAI} LLM client configured for classification
+ * @returns {BaseChatModel} LLM client configured for classification
  */
 export function getClassifierLLMClient() {
   const config = getConfig();
+  const defaults = getProviderDefaults(config.llm.provider, config);
 
   return createLLMClient({
     temperature: config.llm.intentClassifierTemperature,
-    model: config.llm.intentClassifierModel,
+    // Falls back to the provider's role or default model when not configured
+    model: config.llm.intentClassifierModel || defaults.classifierModel || undefined,
   });
 }
 
@@ -117,21 +229,96 @@ export function getClassifierLLMClient() {
  * Gets an LLM client optimized for content generation
  * Uses moderate temperature for more creative outputs
  *
- * @returns {ChatOpenAI} LLM client configured for generation
+ * @returns {BaseChatModel} LLM client configured for generation
  */
 export function getGeneratorLLMClient() {
   const config = getConfig();
+  const defaults = getProviderDefaults(config.llm.provider, config);
 
   return createLLMClient({
     temperature: config.llm.generatorTemperature,
+    model: defaults.generatorModel || undefined,
   });
 }
 
+/**
+ * Checks whether a chat model can answer through schema-bound tool calls
+ * OpenAI and Anthropic models can; OpenAI-compatible servers only when configured to
+ *
+ * @param {Object} client - Chat model
+ * @returns {boolean} True if structured output through tool calling can be used
+ */
+export function supportsToolCalling(client) {
+  if (typeof client?.withStructuredOutput !== 'function') {
+    return false;
+  }
+
+  const config = getConfig();
+
+  return config.llm.provider !== LLMProvider.OPENAI_COMPATIBLE || config.llm.openaiCompatible.toolCalling;
+}
+
+/**
+ * Extracts plain text from an LLM response message
+ * OpenAI returns string content while Anthropic returns an array of content blocks
+ *
+ * @param {Object|string} message - AI message or raw text
+ * @returns {string} Concatenated text content
+ */
+export function getMessageText(message) {
+  if (typeof message === 'string') {
+    return message;
+  }
+
+  const content = message?.content;
+
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .map(block => {
+        if (typeof block === 'string') return block;
+        return block?.type === 'text' ? block.text : '';
+      })
+      .join('');
+  }
+
+  return '';
+}
+
+/**
+ * Normalizes raw LLM output into the text expected by the structured parser
+ * Some models wrap the JSON object in prose, so anything outside the outermost
+ * braces is dropped unless the answer uses a fenced code block
+ *
+ * @param {Object|string} message - LLM response message
+ * @returns {string} JSON text to parse
+ */
+export function extractJsonText(message) {
+  const text = getMessageText(message).trim();
+
+  // The parser already handles ```json fenced blocks
+  if (text.includes('```')) {
+    return text;
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return text;
+  }
+
+  return text.slice(start, end + 1);
+}
+
 /**
  * Validates that the LLM client can connect to the API
  * Useful for health checks and startup validation
  *
- * @param {ChatOpenAI} client - LLM client to test
+ * @param {BaseChatModel} client - LLM client to test
  * @returns {Promise<boolean>} True if connection is successful
  * @throws {Error} If connection fails
  */
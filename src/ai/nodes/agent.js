@@ -0,0 +1,185 @@
+/**
+ * Agent Node
+ * Hands free-form requests to the GitHub agent in groups with agent mode on
+ *
+ * Every change the agent makes is stored as its own operation so it can be
+ * undone from the feedback message.
+ */
+
+import { runGitHubAgent, AGENT_OPERATION_TYPE } from '../github-agent.js';
+import { createGitHubTools } from '../../integrations/github/github-tools.js';
+import { OperationsRepository } from '../../database/repositories/operations.js';
+import { IdentityRepository } from '../../database/repositories/identities.js';
+import { WorkflowStatus } from '../state-schema.js';
+import { getConfig } from '../../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Checks whether a group has agent mode enabled
+ *
+ * @param {Object|null} groupConfig - Group configuration
+ * @returns {boolean} True if free-form requests are handed to the agent
+ */
+export function isAgentModeEnabled(groupConfig) {
+  return groupConfig?.settings?.agentMode === true;
+}
+
+/**
+ * Gets the GitHub login of the requester
+ * "Me" in a request can only be resolved for linked (and, when required, verified) accounts
+ *
+ * @param {number|undefined} userId - Telegram user ID
+ * @returns {Promise<string|null>} GitHub login or null
+ */
+async function getRequesterLogin(userId) {
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    const identity = await new IdentityRepository().getIdentity(userId);
+
+    if (!identity || (!identity.verified && getConfig().github.identityVerificationRequired)) {
+      return null;
+    }
+
+    return identity.githubLogin;
+  } catch (error) {
+    logger.warn({ err: error, userId }, 'GitHub identity lookup failed, running agent without requester login');
+    return null;
+  }
+}
+
+/**
+ * Stores an operation for each change the agent made
+ * Failed and refused calls are reported but not stored
+ *
+ * @param {Object} state - Current workflow state
+ * @param {Object[]} actions - Agent actions
+ * @returns {Promise<Object[]>} Actions with the operation ID of each stored change
+ */
+async function recordActions(state, actions) {
+  const { telegramMessage, groupConfig } = state;
+  const operationsRepo = new OperationsRepository();
+
+  return Promise.all(actions.map(async (action) => {
+    if (!action.success) {
+      return { ...action, operationId: null };
+    }
+
+    try {
+      const operation = await operationsRepo.createOperation({
+        telegramGroupId: telegramMessage?.chat?.id,
+        telegramMessageId: telegramMessage?.message_id,
+        operationType: AGENT_OPERATION_TYPE,
+        githubIssueUrl: action.issueUrl,
+        operationData: {
+          userId: telegramMessage?.from?.id,
+          language: state.language,
+          repository: groupConfig.githubRepo,
+          tool: action.tool,
+          args: action.args,
+          // Tool arguments may carry the number as a string
+          issueNumber: Number(action.issueNumber) || null,
+          previousState: action.previousState,
+        },
+        status: 'completed',
+      });
+
+      return { ...action, operationId: operation.id };
+    } catch (error) {
+      logger.error({ err: error, tool: action.tool, issueNumber: action.issueNumber }, 'Failed to store agent action');
+      return { ...action, operationId: null, undoable: false };
+    }
+  }));
+}
+
+/**
+ * Agent node - runs a free-form request with the GitHub tools
+ * Interrupted runs are not recovered: the agent plans its calls afresh on
+ * every run, so a replay could repeat changes the interrupted run made
+ *
+ * @param {Object} state - Current workflow state
+ * @param {Object} [config] - Runnable config (configurable.recovering)
+ * @returns {Promise<Object>} Updated state with the agent run
+ */
+export async function agentNode(state, config) {
+  const { telegramMessage, groupConfig } = state;
+
+  if (config?.configurable?.recovering) {
+    logger.warn({
+      chatId: telegramMessage?.chat?.id,
+      messageId: telegramMessage?.message_id,
+    }, 'Agent run was interrupted, not running it again');
+
+    return {
+      ...state,
+      error: {
+        message: 'Agent run was interrupted before it finished',
+        code: 'AGENT_INTERRUPTED',
+        details: null,
+      },
+      status: WorkflowStatus.ERROR,
+    };
+  }
+
+  if (!isAgentModeEnabled(groupConfig)) {
+    logger.debug({ chatId: telegramMessage?.chat?.id }, 'Agent request in a group without agent mode');
+
+    return {
+      ...state,
+      agentRun: { disabled: true, summary: '', actions: [], steps: 0, stoppedAtLimit: false },
+      status: WorkflowStatus.EXECUTING,
+    };
+  }
+
+  try {
+    if (!groupConfig?.githubToken) {
+      throw new Error('Missing GitHub token in group configuration');
+    }
+
+    const requester = await getRequesterLogin(telegramMessage?.from?.id);
+    const tools = await createGitHubTools(groupConfig.githubToken, groupConfig.githubRepo);
+    let run;
+
+    try {
+      run = await runGitHubAgent({
+        request: telegramMessage?.text || '',
+        tools,
+        repository: groupConfig.githubRepo,
+        requester,
+        usage: { groupId: telegramMessage?.chat?.id, operationId: state.operationId },
+      });
+    } finally {
+      await tools.close();
+    }
+
+    const actions = await recordActions(state, run.actions);
+
+    return {
+      ...state,
+      agentRun: { ...run, actions },
+      status: WorkflowStatus.EXECUTING,
+      timestamps: {
+        ...state.timestamps,
+        executedAt: Date.now(),
+      },
+    };
+  } catch (error) {
+    logger.error({
+      err: error,
+      chatId: telegramMessage?.chat?.id,
+      messageId: telegramMessage?.message_id,
+    }, 'Error running agent request');
+
+    return {
+      ...state,
+      error: {
+        message: error.message,
+        code: 'AGENT_ERROR',
+        details: error.stack,
+      },
+      status: WorkflowStatus.ERROR,
+    };
+  }
+}
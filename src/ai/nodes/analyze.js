@@ -6,16 +6,44 @@
  */
 
 import { classifyIntent } from '../intent-classifier.js';
+import { classifyByHashtags } from '../hashtag-classifier.js';
+import { checkBudget, BudgetAction } from '../token-usage.js';
+import { getBot } from '../../services/telegram/bot.js';
 import { WorkflowStatus } from '../state-schema.js';
+import { getMessageLocale } from '../../i18n/index.js';
 import logger from '../../utils/logger.js';
 
 /**
- * Analyze node - classifies user intent from Telegram message
+ * Checks the group's monthly LLM budget
+ * Budget lookups are not fatal: if usage cannot be read, the message is processed as usual
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {Promise<Object|null>} Budget status, or null if the group has no budget
+ */
+async function getBudgetStatus(state) {
+  try {
+    return await checkBudget(state.groupConfig);
+  } catch (error) {
+    logger.warn({
+      err: error,
+      chatId: state.telegramMessage?.chat?.id,
+    }, 'LLM budget check failed, processing without budget');
+
+    return null;
+  }
+}
+
+/**
+ * Analyze node - classifies user intent from Telegram message and detects its language
+ * Groups over their monthly LLM budget are limited to the hashtag fast path or paused
  *
  * @param {Object} state - Current workflow state
  * @returns {Promise<Object>} Updated state with intent classification
  */
 export async function analyzeNode(state) {
+  // Replies go out in the message's language, errors included
+  const language = getMessageLocale(state.telegramMessage);
+
   try {
     // Extract message text from Telegram message
     const message = state.telegramMessage?.text || '';
@@ -23,6 +51,7 @@ export async function analyzeNode(state) {
     if (!message) {
       return {
         ...state,
+        language,
         error: {
           message: 'No message text found in Telegram message',
           code: 'MISSING_MESSAGE_TEXT',
@@ -45,10 +74,51 @@ export async function analyzeNode(state) {
       username: state.telegramMessage?.from?.username,
       chatId: state.telegramMessage?.chat?.id,
       messageId: state.telegramMessage?.message_id,
+      botUsername: getBot()?.botInfo?.username,
+      operationId: state.operationId,
     };
 
+    // Unambiguous hashtag messages skip the LLM
+    const hashtagIntent = classifyByHashtags(message, { botUsername: messageMetadata.botUsername });
+    const budget = await getBudgetStatus(state);
+
+    if (budget?.exceeded && (budget.action === BudgetAction.PAUSE || !hashtagIntent)) {
+      logger.info({
+        ...messageMetadata,
+        usedTokens: budget.usedTokens,
+        monthlyTokens: budget.monthlyTokens,
+        action: budget.action,
+      }, 'Monthly LLM budget used up, message not processed');
+
+      return {
+        ...state,
+        language,
+        error: {
+          message: `Monthly LLM budget of ${budget.monthlyTokens} tokens used up`,
+          code: budget.action === BudgetAction.PAUSE ? 'LLM_BUDGET_PAUSED' : 'LLM_BUDGET_HASHTAGS_ONLY',
+          details: `Used ${budget.usedTokens} tokens, budget resets ${budget.resetsAt.toISOString()}`,
+        },
+        status: WorkflowStatus.ERROR,
+        timestamps: {
+          ...state.timestamps,
+          analyzedAt: Date.now(),
+        },
+      };
+    }
+
+    if (hashtagIntent && budget?.exceeded) {
+      hashtagIntent.budgetExceeded = true;
+    }
+
+    if (hashtagIntent) {
+      logger.info({
+        ...messageMetadata,
+        intent: hashtagIntent.intent,
+      }, 'Message classified from hashtags, LLM bypassed');
+    }
+
     // Classify the intent
-    const intent = await classifyIntent({
+    const intent = hashtagIntent || await classifyIntent({
       message,
       context,
       messageMetadata,
@@ -58,6 +128,7 @@ export async function analyzeNode(state) {
     return {
       ...state,
       intent,
+      language,
       status: WorkflowStatus.PROCESSING,
       timestamps: {
         ...state.timestamps,
@@ -73,6 +144,7 @@ export async function analyzeNode(state) {
 
     return {
       ...state,
+      language,
       error: {
         message: `Intent classification failed: ${error.message}`,
         code: 'INTENT_CLASSIFICATION_ERROR',
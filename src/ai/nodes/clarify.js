@@ -0,0 +1,134 @@
+/**
+ * Clarify Nodes
+ * Ask the user what to do with a low-confidence message and wait for the answer
+ *
+ * The workflow is paused with a LangGraph interrupt between the two nodes and
+ * resumed from a callback query once someone taps one of the buttons.
+ */
+
+import { Markup } from 'telegraf';
+import { interrupt } from '@langchain/langgraph';
+import { setReaction, StatusReactions } from '../../services/telegram/reactions.js';
+import { postFeedback } from '../../services/telegram/feedback.js';
+import { applyIntentChoice } from '../intent-classifier.js';
+import { WorkflowStatus, IntentType } from '../state-schema.js';
+import { t, getMessageLocale } from '../../i18n/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Options offered by the clarifying question
+ * Keys are used in callback data (clarify_<operationId>_<choice>) and
+ * name the button labels in the catalogs (clarify.<choice>Button)
+ */
+export const ClarificationChoices = {
+  bug: { intent: IntentType.CREATE_BUG },
+  task: { intent: IntentType.CREATE_TASK },
+  idea: { intent: IntentType.CREATE_IDEA },
+  ignore: { intent: null },
+};
+
+/**
+ * Builds the inline keyboard for the clarifying question
+ *
+ * @param {string} operationId - Operation the workflow is keyed by
+ * @param {string} locale - Reply locale
+ * @returns {Object} Inline keyboard markup
+ */
+function buildClarificationKeyboard(operationId, locale) {
+  return Markup.inlineKeyboard([
+    Object.keys(ClarificationChoices).map(choice =>
+      Markup.button.callback(t(locale, `clarify.${choice}Button`), `clarify_${operationId}_${choice}`)
+    ),
+  ]).reply_markup;
+}
+
+/**
+ * Clarify node - posts the clarifying question with an inline keyboard
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {Promise<Object>} Updated state with the posted question
+ */
+export async function clarifyNode(state) {
+  try {
+    const { telegramMessage, intent, operationId } = state;
+    const chatId = telegramMessage?.chat?.id;
+    const messageId = telegramMessage?.message_id;
+
+    if (!chatId || !messageId) {
+      throw new Error('Missing chat ID or message ID for clarification');
+    }
+
+    await setReaction(chatId, messageId, StatusReactions.PROCESSING);
+
+    const locale = state.language || getMessageLocale(telegramMessage);
+    const confidence = Math.round((intent?.confidence || 0) * 100);
+    const question = t(locale, 'clarify.question', { confidence });
+
+    // Kept until answered: the workflow waits for the answer far longer than feedback lives
+    const feedback = await postFeedback(chatId, messageId, question, operationId, {
+      persistent: true,
+      replyMarkup: buildClarificationKeyboard(operationId, locale),
+    });
+
+    return {
+      ...state,
+      clarification: {
+        messageId: feedback.messageId,
+        choice: null,
+        askedAt: Date.now(),
+      },
+      status: WorkflowStatus.AWAITING_CLARIFICATION,
+    };
+  } catch (error) {
+    logger.error({
+      err: error,
+      chatId: state.telegramMessage?.chat?.id,
+      messageId: state.telegramMessage?.message_id,
+    }, 'Error in clarify node');
+
+    return {
+      ...state,
+      error: {
+        message: `Failed to ask clarifying question: ${error.message}`,
+        code: 'CLARIFICATION_ERROR',
+        details: error.stack,
+      },
+      status: WorkflowStatus.ERROR,
+    };
+  }
+}
+
+/**
+ * Await clarification node - pauses until the user picks an option
+ * Runs again from the start when resumed, so it must not have side effects
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {Object} Updated state with the chosen intent
+ */
+export function awaitClarificationNode(state) {
+  const choice = interrupt({
+    operationId: state.operationId,
+    messageId: state.clarification?.messageId,
+  });
+
+  const intentType = ClarificationChoices[choice]?.intent;
+
+  if (!intentType) {
+    return {
+      ...state,
+      clarification: { ...state.clarification, choice: 'ignore' },
+      status: WorkflowStatus.COMPLETED,
+      timestamps: {
+        ...state.timestamps,
+        completedAt: Date.now(),
+      },
+    };
+  }
+
+  return {
+    ...state,
+    intent: applyIntentChoice(state.intent, intentType, state.telegramMessage?.text || ''),
+    clarification: { ...state.clarification, choice },
+    status: WorkflowStatus.PROCESSING,
+  };
+}
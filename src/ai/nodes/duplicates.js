@@ -0,0 +1,187 @@
+/**
+ * Duplicate Check Nodes
+ * Look for open issues similar to a new one and ask before creating it
+ *
+ * The workflow is paused with a LangGraph interrupt while the question is
+ * open and resumed from a callback query once someone taps one of the buttons.
+ */
+
+import { Markup } from 'telegraf';
+import { interrupt } from '@langchain/langgraph';
+import { escapeMarkdownV1 } from 'telegram-escape';
+import { createGitHubTools } from '../../integrations/github/github-tools.js';
+import { findDuplicateIssues } from '../../integrations/github/duplicate-search.js';
+import { postFeedback } from '../../services/telegram/feedback.js';
+import { formatComment } from './format.js';
+import { WorkflowStatus, IntentType, GitHubOperationType } from '../state-schema.js';
+import { getConfig } from '../../../config/env.js';
+import { t, getMessageLocale } from '../../i18n/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Decisions that resume a paused duplicate check
+ * Used in callback data: dup_<operationId>_<issueNumber|create>
+ * @enum {string}
+ */
+export const DuplicateDecision = {
+  COMMENT: 'comment',
+  CREATE: 'create',
+};
+
+/**
+ * Formats the duplicate question
+ *
+ * @param {Object[]} candidates - Likely duplicates
+ * @param {string} locale - Reply locale
+ * @returns {string} Question message (Markdown)
+ */
+function formatDuplicateQuestion(candidates, locale) {
+  const lines = candidates.map(candidate =>
+    `• #${candidate.number} ${escapeMarkdownV1(candidate.title || '')}\n  ${escapeMarkdownV1(candidate.url || '')}`
+  );
+
+  return t(locale, 'duplicates.question', { candidates: lines.join('\n') });
+}
+
+/**
+ * Builds the inline keyboard for the duplicate question
+ *
+ * @param {string} operationId - Operation the workflow is keyed by
+ * @param {Object[]} candidates - Likely duplicates
+ * @param {string} locale - Reply locale
+ * @returns {Object} Inline keyboard markup
+ */
+function buildDuplicateKeyboard(operationId, candidates, locale) {
+  return Markup.inlineKeyboard([
+    ...candidates.map(candidate => [
+      Markup.button.callback(
+        t(locale, 'duplicates.commentButton', { number: candidate.number }),
+        `dup_${operationId}_${candidate.number}`
+      ),
+    ]),
+    [Markup.button.callback(t(locale, 'duplicates.createButton'), `dup_${operationId}_${DuplicateDecision.CREATE}`)],
+  ]).reply_markup;
+}
+
+/**
+ * Check duplicates node - searches for similar open issues and asks when one is found
+ * A failed search never blocks issue creation
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {Promise<Object>} Updated state with duplicate candidates
+ */
+export async function checkDuplicatesNode(state) {
+  const { githubOperation, groupConfig, telegramMessage, operationId } = state;
+  let candidates = [];
+
+  try {
+    const tools = await createGitHubTools(groupConfig.githubToken, groupConfig.githubRepo);
+
+    try {
+      candidates = await findDuplicateIssues(tools, {
+        repository: githubOperation.repository,
+        title: githubOperation.data.title,
+        description: state.intent?.entities?.description || '',
+        threshold: getConfig().github.duplicateThreshold,
+      });
+    } finally {
+      await tools.close();
+    }
+  } catch (error) {
+    logger.warn({
+      err: error,
+      chatId: telegramMessage?.chat?.id,
+      messageId: telegramMessage?.message_id,
+    }, 'Duplicate check failed, creating issue without it');
+
+    return { ...state, duplicates: null };
+  }
+
+  if (candidates.length === 0) {
+    return {
+      ...state,
+      duplicates: { candidates, messageId: null, decision: null, issueNumber: null },
+    };
+  }
+
+  try {
+    const locale = state.language || getMessageLocale(telegramMessage);
+
+    // Kept until answered: the workflow waits for the answer far longer than feedback lives
+    const feedback = await postFeedback(
+      telegramMessage.chat.id,
+      telegramMessage.message_id,
+      formatDuplicateQuestion(candidates, locale),
+      operationId,
+      { persistent: true, replyMarkup: buildDuplicateKeyboard(operationId, candidates, locale) }
+    );
+
+    return {
+      ...state,
+      duplicates: { candidates, messageId: feedback.messageId, decision: null, issueNumber: null },
+      status: WorkflowStatus.AWAITING_DUPLICATE_DECISION,
+    };
+  } catch (error) {
+    logger.error({
+      err: error,
+      chatId: telegramMessage?.chat?.id,
+      messageId: telegramMessage?.message_id,
+    }, 'Error in check duplicates node');
+
+    return {
+      ...state,
+      error: {
+        message: `Failed to ask about duplicate issues: ${error.message}`,
+        code: 'DUPLICATE_CHECK_ERROR',
+        details: error.stack,
+      },
+      status: WorkflowStatus.ERROR,
+    };
+  }
+}
+
+/**
+ * Await duplicate decision node - pauses until the user comments or creates anyway
+ * Runs again from the start when resumed, so it must not have side effects
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {Object} Updated state with the decision applied
+ */
+export function awaitDuplicateDecisionNode(state) {
+  const answer = interrupt({
+    operationId: state.operationId,
+    messageId: state.duplicates?.messageId,
+  });
+
+  const { intent, githubOperation, telegramMessage, duplicates } = state;
+  const candidate = duplicates.candidates.find(({ number }) => number === answer?.issueNumber);
+
+  if (answer?.decision !== DuplicateDecision.COMMENT || !candidate) {
+    return {
+      ...state,
+      duplicates: { ...duplicates, decision: DuplicateDecision.CREATE },
+      status: WorkflowStatus.PROCESSING,
+    };
+  }
+
+  const text = intent?.entities?.description || githubOperation.data.title;
+
+  return {
+    ...state,
+    intent: {
+      ...intent,
+      intent: IntentType.COMMENT_ISSUE,
+      entities: { ...intent?.entities, issueNumber: String(candidate.number) },
+    },
+    githubOperation: {
+      type: GitHubOperationType.COMMENT,
+      repository: githubOperation.repository,
+      data: {
+        issueNumber: candidate.number,
+        body: formatComment(text, telegramMessage),
+      },
+    },
+    duplicates: { ...duplicates, decision: DuplicateDecision.COMMENT, issueNumber: candidate.number },
+    status: WorkflowStatus.PROCESSING,
+  };
+}
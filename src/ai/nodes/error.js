@@ -8,33 +8,47 @@
 import { setReaction } from '../../services/telegram/reactions.js';
 import { postFeedback } from '../../services/telegram/feedback.js';
 import { WorkflowStatus } from '../state-schema.js';
+import { t, getMessageLocale } from '../../i18n/index.js';
 import logger from '../../utils/logger.js';
 
+/**
+ * Error codes with their own user-friendly message (errors.<code> in the catalogs)
+ */
+const ERROR_CODES = [
+  'MISSING_MESSAGE_TEXT',
+  'INTENT_CLASSIFICATION_ERROR',
+  'FORMATTING_ERROR',
+  'CLARIFICATION_ERROR',
+  'DUPLICATE_CHECK_ERROR',
+  'PREVIEW_ERROR',
+  'AGENT_ERROR',
+  'AGENT_INTERRUPTED',
+  'STORAGE_ERROR',
+  'WORKFLOW_EXECUTION_ERROR',
+  'LLM_BUDGET_PAUSED',
+  'LLM_BUDGET_HASHTAGS_ONLY',
+];
+
 /**
  * Formats user-friendly error message
  *
  * @param {Object} error - Error object
+ * @param {string} locale - Reply locale
  * @returns {string} Formatted error message
  */
-function formatErrorMessage(error) {
+function formatErrorMessage(error, locale) {
   if (!error) {
-    return '😵‍💫 An unexpected error occurred.';
+    return t(locale, 'errors.unexpected');
   }
 
   // Map error codes to user-friendly messages
-  const errorMessages = {
-    MISSING_MESSAGE_TEXT: '❌ No message text found. Please send a text message.',
-    INTENT_CLASSIFICATION_ERROR: '😵‍💫 I had trouble understanding your message. Please try rephrasing it.',
-    FORMATTING_ERROR: '❌ There was an issue preparing your request.',
-    STORAGE_ERROR: '⚠️ Your request was processed but couldn\'t be saved to the database.',
-    WORKFLOW_EXECUTION_ERROR: '😵‍💫 Something went wrong while processing your request.',
-  };
-
-  const userMessage = errorMessages[error.code] || '😵‍💫 An error occurred while processing your request.';
+  const userMessage = ERROR_CODES.includes(error.code)
+    ? t(locale, `errors.${error.code}`)
+    : t(locale, 'errors.generic');
 
   // Add detailed error message in development
   const config = process.env.NODE_ENV === 'development'
-    ? `\n\n🔍 Details: ${error.message}`
+    ? `\n\n${t(locale, 'errors.details', { message: error.message })}`
     : '';
 
   return userMessage + config;
@@ -68,7 +82,7 @@ export async function errorNode(state) {
     await setReaction(chatId, messageId, '😱');
 
     // Post error feedback
-    const errorMessage = formatErrorMessage(error);
+    const errorMessage = formatErrorMessage(error, state.language || getMessageLocale(telegramMessage));
     const feedbackMessageId = await postFeedback(chatId, messageId, errorMessage);
 
     // Log detailed error for debugging
@@ -6,16 +6,22 @@
  */
 
 import { createGitHubTools } from '../../integrations/github/github-tools.js';
+import { findMilestone, findProject, addIssueToProject } from '../../integrations/github/planning.js';
+import { searchIssues } from '../../integrations/github/issue-search.js';
 import { GitHubOperationType, WorkflowStatus } from '../state-schema.js';
+import { OperationsRepository } from '../../database/repositories/operations.js';
 import logger from '../../utils/logger.js';
 
 /**
  * Execute GitHub operation via MCP tools
  *
  * @param {Object} state - Current workflow state
+ * @param {Object} [config] - Runnable config; configurable.operationId is the
+ *   operation side effects are recorded on, configurable.recovering is set when
+ *   an interrupted workflow is resumed on startup
  * @returns {Promise<Object>} Updated state with execution result
  */
-export async function executeNode(state) {
+export async function executeNode(state, config) {
   try {
     const { githubOperation, groupConfig } = state;
 
@@ -44,13 +50,31 @@ export async function executeNode(state) {
     let result = null;
 
     try {
+      const sideEffects = await openSideEffects(config, state);
+
       switch (githubOperation.type) {
         case GitHubOperationType.CREATE:
-          result = await executeCreate(tools, githubOperation);
+          // The interrupted run may have created the issue before recording it
+          result = await runOnce(sideEffects, 'create', async () =>
+            (config?.configurable?.recovering && await findCreatedIssue(tools, state))
+            || await executeCreate(tools, githubOperation, groupConfig.githubToken)
+          );
           break;
 
         case GitHubOperationType.UPDATE:
-          result = await executeUpdate(tools, githubOperation);
+          result = await executeUpdate(tools, githubOperation, sideEffects);
+          break;
+
+        case GitHubOperationType.CLOSE:
+          result = await executeStateChange(tools, githubOperation, 'closed', sideEffects);
+          break;
+
+        case GitHubOperationType.REOPEN:
+          result = await executeStateChange(tools, githubOperation, 'open', sideEffects);
+          break;
+
+        case GitHubOperationType.COMMENT:
+          result = await executeComment(tools, githubOperation, sideEffects);
           break;
 
         case GitHubOperationType.SEARCH:
@@ -96,14 +120,195 @@ export async function executeNode(state) {
   }
 }
 
+/**
+ * Opens the side effect record of the workflow's operation
+ * A recovering run loads the GitHub calls the interrupted run completed
+ *
+ * @param {Object} [config] - Runnable config (configurable.operationId, actionIndex, recovering)
+ * @param {Object} [state] - Current workflow state; drafted actions are recorded under their queue index
+ * @returns {Promise<Object|null>} Side effect record ({ operationId, actionIndex, completed }),
+ *   or null for workflows without an operation
+ * @throws {Error} If a recovering run cannot load them (repeating the calls could duplicate them)
+ */
+async function openSideEffects(config, state) {
+  const { operationId, recovering } = config?.configurable || {};
+  const actionIndex = config?.configurable?.actionIndex ?? state?.draftQueue?.index ?? 0;
+
+  if (!operationId) {
+    return null;
+  }
+
+  const completed = recovering
+    ? await new OperationsRepository().getSideEffects(operationId, actionIndex)
+    : {};
+
+  return { operationId, actionIndex, completed };
+}
+
+/**
+ * Runs a GitHub call once per workflow
+ * The result is recorded on the operation, so a recovered run reuses it
+ * instead of making the call again. Recording failures are not fatal.
+ *
+ * @param {Object|null} sideEffects - Side effect record (see openSideEffects)
+ * @param {string} effect - Side effect name
+ * @param {Function} call - Makes the call and resolves to its result
+ * @returns {Promise<Object>} Result of the call, or the recorded one
+ */
+async function runOnce(sideEffects, effect, call) {
+  if (!sideEffects) {
+    return await call();
+  }
+
+  const { operationId, actionIndex, completed } = sideEffects;
+
+  if (completed[effect]) {
+    logger.info({ operationId, actionIndex, effect }, 'Skipping GitHub call completed before the workflow was interrupted');
+    return completed[effect];
+  }
+
+  const result = await call();
+
+  try {
+    await new OperationsRepository().recordSideEffect(operationId, actionIndex, effect, result);
+  } catch (error) {
+    logger.warn({ err: error, operationId, actionIndex, effect }, 'Failed to record GitHub call');
+  }
+
+  return result;
+}
+
+/**
+ * Resolves the requested milestone before the issue is created
+ * A missing milestone is reported as a warning instead of failing the issue
+ *
+ * @param {string} token - GitHub token
+ * @param {string} repository - Repository in format owner/repo
+ * @param {string} name - Requested milestone name
+ * @param {string[]} warnings - Planning warnings, appended to
+ * @returns {Promise<Object|null>} Milestone ({ number, title }) or null
+ */
+async function resolveMilestone(token, repository, name, warnings) {
+  try {
+    const milestone = await findMilestone(token, repository, name);
+
+    if (!milestone) {
+      warnings.push(`No open milestone matches "${name}"`);
+    }
+
+    return milestone;
+  } catch (error) {
+    logger.warn({ err: error, repository, milestone: name }, 'Milestone lookup failed');
+    warnings.push(`Could not look up milestone "${name}"`);
+    return null;
+  }
+}
+
+/**
+ * Adds a created issue to the requested project board
+ * Failures are reported as warnings; the issue itself already exists
+ *
+ * @param {Object} tools - GitHub tools instance
+ * @param {string} owner - Repository owner
+ * @param {Object} issueData - Created issue
+ * @param {Object} data - Operation data (project, projectStatus)
+ * @param {string[]} warnings - Planning warnings, appended to
+ * @returns {Promise<Object|null>} Project placement ({ project, status }) or null
+ */
+async function placeInProject(tools, owner, issueData, data, warnings) {
+  try {
+    const project = await findProject(tools, owner, data.project);
+
+    if (!project) {
+      warnings.push(`No project matches "${data.project}"`);
+      return null;
+    }
+
+    const { status, warning } = await addIssueToProject(tools, {
+      owner,
+      project,
+      issueId: Number(issueData.id),
+      status: data.projectStatus,
+    });
+
+    if (warning) {
+      warnings.push(warning);
+    }
+
+    return { project: project.title, status };
+  } catch (error) {
+    logger.warn({ err: error, owner, project: data.project }, 'Adding issue to project failed');
+    warnings.push(`Could not add the issue to "${data.project}"`);
+    return null;
+  }
+}
+
+/**
+ * Finds the issue an interrupted run of this workflow already created
+ * Issues created since the workflow started are matched by title and by the
+ * chat and message IDs in their metadata footer
+ *
+ * @param {Object} tools - GitHub tools instance
+ * @param {Object} state - Current workflow state
+ * @returns {Promise<Object|null>} Execution result for the existing issue, or null if none was created
+ * @throws {Error} If the issues cannot be listed (creating blindly could duplicate the issue)
+ */
+async function findCreatedIssue(tools, state) {
+  const { githubOperation, telegramMessage, timestamps } = state;
+  const { title } = githubOperation.data;
+  const [owner, repo] = githubOperation.repository.split('/');
+
+  const listTool = tools.getTool('list_issues');
+
+  if (!listTool) {
+    throw new Error('list_issues tool not available');
+  }
+
+  const response = await listTool.invoke({
+    owner,
+    repo,
+    orderBy: 'CREATED_AT',
+    direction: 'DESC',
+    since: new Date(timestamps?.startedAt || Date.now()).toISOString(),
+    perPage: 50,
+  });
+
+  const listed = typeof response === 'string' ? JSON.parse(response) : response;
+  const issues = Array.isArray(listed) ? listed : listed?.issues || [];
+  const footer = `- Chat ID: ${telegramMessage?.chat?.id}\n- Message ID: ${telegramMessage?.message_id}`;
+
+  const issue = issues.find(candidate =>
+    candidate.title === title && candidate.body?.replace(/\r\n/g, '\n').includes(footer)
+  );
+
+  if (!issue) {
+    return null;
+  }
+
+  logger.info({
+    issueUrl: issue.html_url,
+    issueNumber: issue.number,
+  }, 'Found issue created before the workflow was interrupted');
+
+  return {
+    success: true,
+    issueUrl: issue.html_url,
+    issueNumber: issue.number,
+    data: issue,
+    recovered: true,
+  };
+}
+
 /**
  * Execute create issue operation
+ * Sets the requested milestone and adds the issue to the requested project board
  *
  * @param {Object} tools - GitHub tools instance
  * @param {Object} operation - GitHub operation data
+ * @param {string} token - GitHub token (milestone lookups use the REST API)
  * @returns {Promise<Object>} Execution result
  */
-async function executeCreate(tools, operation) {
+async function executeCreate(tools, operation, token) {
   const { repository, data } = operation;
   const { title, body, labels, assignees } = data;
 
@@ -128,6 +333,11 @@ async function executeCreate(tools, operation) {
     throw new Error('issue_write tool not available');
   }
 
+  const warnings = [];
+  const milestone = data.milestone
+    ? await resolveMilestone(token, repository, data.milestone, warnings)
+    : null;
+
   // Invoke the tool with correct schema
   const response = await createTool.invoke({
     method: 'create',
@@ -137,6 +347,7 @@ async function executeCreate(tools, operation) {
     body,
     labels: labels || [],
     assignees: assignees || [],
+    ...(milestone && { milestone: milestone.number }),
   });
 
   // Parse response (MCP tools typically return JSON strings)
@@ -147,12 +358,27 @@ async function executeCreate(tools, operation) {
     issueNumber: issueData.number,
   }, 'GitHub issue created successfully');
 
-  return {
+  const placement = data.project
+    ? await placeInProject(tools, owner, issueData, data, warnings)
+    : null;
+
+  const result = {
     success: true,
     issueUrl: issueData.html_url,
     issueNumber: issueData.number,
     data: issueData,
   };
+
+  if (data.milestone || data.project) {
+    result.planning = {
+      milestone: milestone?.title || null,
+      project: placement?.project || null,
+      projectStatus: placement?.status || null,
+      warnings,
+    };
+  }
+
+  return result;
 }
 
 /**
@@ -160,9 +386,10 @@ async function executeCreate(tools, operation) {
  *
  * @param {Object} tools - GitHub tools instance
  * @param {Object} operation - GitHub operation data
+ * @param {Object|null} [sideEffects] - Side effect record (see openSideEffects)
  * @returns {Promise<Object>} Execution result
  */
-async function executeUpdate(tools, operation) {
+async function executeUpdate(tools, operation, sideEffects = null) {
   const { repository, data } = operation;
   const { issueNumber, title, body, labels, assignees, state } = data;
 
@@ -186,33 +413,176 @@ async function executeUpdate(tools, operation) {
     throw new Error('issue_write tool not available');
   }
 
-  const response = await updateTool.invoke({
-    method: 'update',
+  const issueData = await runOnce(sideEffects, 'update', async () => {
+    const response = await updateTool.invoke({
+      method: 'update',
+      owner,
+      repo,
+      issue_number: issueNumber,
+      title,
+      body,
+      // Left out rather than emptied when the message did not change them
+      ...(labels ? { labels } : {}),
+      ...(assignees ? { assignees } : {}),
+      state,
+    });
+
+    return typeof response === 'string' ? JSON.parse(response) : response;
+  });
+
+  logger.info({
+    issueUrl: issueData.html_url,
+    issueNumber: issueData.number,
+  }, 'GitHub issue updated successfully');
+
+  return {
+    success: true,
+    issueUrl: issueData.html_url,
+    issueNumber: issueData.number,
+    data: issueData,
+  };
+}
+
+/**
+ * Execute close or reopen issue operation
+ * Posts the optional explanation comment before changing the state
+ *
+ * @param {Object} tools - GitHub tools instance
+ * @param {Object} operation - GitHub operation data
+ * @param {'open'|'closed'} state - Target issue state
+ * @param {Object|null} [sideEffects] - Side effect record (see openSideEffects)
+ * @returns {Promise<Object>} Execution result
+ */
+async function executeStateChange(tools, operation, state, sideEffects = null) {
+  const { repository, data } = operation;
+  const { issueNumber, stateReason, comment } = data;
+
+  // Split repository into owner and repo
+  const [owner, repo] = repository.split('/');
+
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository format: ${repository}. Expected format: owner/repo`);
+  }
+
+  logger.debug({
     owner,
     repo,
-    issue_number: issueNumber,
-    title,
-    body,
-    labels: labels || [],
-    assignees: assignees || [],
+    issueNumber,
     state,
-  });
+    stateReason,
+  }, 'Changing GitHub issue state');
 
-  const issueData = typeof response === 'string' ? JSON.parse(response) : response;
+  const updateTool = tools.getTool('issue_write');
+
+  if (!updateTool) {
+    throw new Error('issue_write tool not available');
+  }
+
+  if (comment) {
+    await runOnce(sideEffects, 'comment', () =>
+      addIssueComment(tools, { owner, repo, issueNumber, body: comment })
+    );
+  }
+
+  const issueData = await runOnce(sideEffects, 'state', async () => {
+    const response = await updateTool.invoke({
+      method: 'update',
+      owner,
+      repo,
+      issue_number: issueNumber,
+      state,
+      ...(state === 'closed' && stateReason ? { state_reason: stateReason } : {}),
+    });
+
+    return typeof response === 'string' ? JSON.parse(response) : response;
+  });
 
   logger.info({
     issueUrl: issueData.html_url,
     issueNumber: issueData.number,
-  }, 'GitHub issue updated successfully');
+    state,
+  }, 'GitHub issue state changed successfully');
 
   return {
     success: true,
     issueUrl: issueData.html_url,
-    issueNumber: issueData.number,
+    issueNumber: issueData.number ?? issueNumber,
     data: issueData,
   };
 }
 
+/**
+ * Execute comment on issue operation
+ *
+ * @param {Object} tools - GitHub tools instance
+ * @param {Object} operation - GitHub operation data
+ * @param {Object|null} [sideEffects] - Side effect record (see openSideEffects)
+ * @returns {Promise<Object>} Execution result
+ */
+async function executeComment(tools, operation, sideEffects = null) {
+  const { repository, data } = operation;
+  const { issueNumber, body } = data;
+
+  // Split repository into owner and repo
+  const [owner, repo] = repository.split('/');
+
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository format: ${repository}. Expected format: owner/repo`);
+  }
+
+  const commentData = await runOnce(sideEffects, 'comment', () =>
+    addIssueComment(tools, { owner, repo, issueNumber, body })
+  );
+
+  return {
+    success: true,
+    issueUrl: commentData.html_url,
+    issueNumber,
+    data: commentData,
+  };
+}
+
+/**
+ * Posts a comment on an issue via the add_issue_comment tool
+ *
+ * @param {Object} tools - GitHub tools instance
+ * @param {Object} params - Comment parameters
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {number} params.issueNumber - Issue number
+ * @param {string} params.body - Comment body
+ * @returns {Promise<Object>} Created comment data
+ */
+async function addIssueComment(tools, { owner, repo, issueNumber, body }) {
+  logger.debug({
+    owner,
+    repo,
+    issueNumber,
+  }, 'Adding comment to GitHub issue');
+
+  const commentTool = tools.getTool('add_issue_comment');
+
+  if (!commentTool) {
+    throw new Error('add_issue_comment tool not available');
+  }
+
+  const response = await commentTool.invoke({
+    owner,
+    repo,
+    issue_number: issueNumber,
+    body,
+  });
+
+  const commentData = typeof response === 'string' ? JSON.parse(response) : response;
+
+  logger.info({
+    commentUrl: commentData.html_url,
+    issueNumber,
+  }, 'GitHub issue comment added successfully');
+
+  return commentData;
+}
+
 /**
  * Execute search issues operation
  *
@@ -222,37 +592,34 @@ async function executeUpdate(tools, operation) {
  */
 async function executeSearch(tools, operation) {
   const { repository, data } = operation;
-  const { query, labels, state, limit } = data;
+  const { query, labels, state, qualifiers } = data;
 
   logger.debug({
     repository,
     query,
     labels,
+    qualifiers,
   }, 'Searching GitHub issues');
 
-  const searchTool = tools.getTool('search_issues');
-
-  if (!searchTool) {
-    throw new Error('search_issues tool not available');
-  }
-
-  const response = await searchTool.invoke({
+  const { query: searchQuery, issues, totalCount, page, perPage } = await searchIssues(tools, {
     repository,
     query,
     labels: labels || [],
     state: state || 'open',
-    limit: limit || 10,
+    qualifiers: qualifiers || [],
   });
 
-  const searchResults = typeof response === 'string' ? JSON.parse(response) : response;
-
   logger.info({
-    resultsCount: searchResults.length || 0,
+    resultsCount: totalCount,
   }, 'GitHub issues search completed');
 
   return {
     success: true,
-    results: searchResults,
-    count: searchResults.length || 0,
+    query: searchQuery,
+    results: issues,
+    count: issues.length,
+    totalCount,
+    page,
+    perPage,
   };
 }
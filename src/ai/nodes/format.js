@@ -7,31 +7,260 @@
 
 import { IntentType, GitHubOperationType } from '../state-schema.js';
 import { sanitizeTitle, sanitizeMessageBody } from '../../utils/sanitize.js';
+import {
+  getIssueTemplates,
+  selectIssueTemplate,
+  renderIssueTemplate,
+  splitMarkdownSections,
+  matchSectionField,
+} from '../../integrations/github/issue-templates.js';
+import {
+  getRepositoryLabels,
+  resolveLabels,
+  UnknownLabelPolicy,
+  DEFAULT_UNKNOWN_LABEL_POLICY,
+} from '../../integrations/github/labels.js';
+import { IdentityRepository } from '../../database/repositories/identities.js';
+import { NOT_PROVIDED } from '../issue-body-generator.js';
+import { isLongThread, getSpeakerName, getThreadMessageText } from '../thread-summarizer.js';
+import { translateSearchRequest } from '../search-query-translator.js';
+import { translateIssue } from '../issue-translator.js';
+import { Locale, getLanguageName } from '../../i18n/index.js';
+import { getConfig } from '../../../config/env.js';
 import logger from '../../utils/logger.js';
 
+/**
+ * Words identifying the repository issue template for each create intent
+ */
+const TEMPLATE_KEYWORDS = {
+  [IntentType.CREATE_BUG]: ['bug', 'defect', 'crash', 'error', 'problem'],
+  [IntentType.CREATE_TASK]: ['task', 'chore', 'todo'],
+  [IntentType.CREATE_IDEA]: ['feature', 'enhancement', 'idea', 'request', 'suggestion', 'proposal'],
+};
+
+/**
+ * Loads the repository issue template matching the intent
+ * Template lookup failures are not fatal: the issue is created without a template
+ *
+ * @param {Object} intent - Classified intent
+ * @param {Object} groupConfig - Group configuration
+ * @returns {Promise<Object|null>} Matching template, or null if there is none
+ */
+async function loadIssueTemplate(intent, groupConfig) {
+  const keywords = TEMPLATE_KEYWORDS[intent.intent];
+
+  if (!keywords) {
+    return null;
+  }
+
+  try {
+    const templates = await getIssueTemplates(groupConfig);
+    const template = selectIssueTemplate(templates, keywords);
+
+    if (template) {
+      logger.debug({ repository: groupConfig.githubRepo, template: template.fileName }, 'Using issue template');
+    }
+
+    return template;
+  } catch (error) {
+    logger.warn({
+      err: error,
+      repository: groupConfig.githubRepo,
+      intent: intent.intent,
+    }, 'Issue template lookup failed, creating issue without template');
+
+    return null;
+  }
+}
+
+/**
+ * Resolves hashtag labels through the group's label mapping and the repository's labels
+ * Label lookup failures are not fatal: hashtags are then used as labels directly
+ *
+ * @param {Object} intent - Classified intent
+ * @param {Object} groupConfig - Group configuration
+ * @returns {Promise<{labels: string[], keptTags: string[]}>} Labels to set and tags to keep in the body
+ */
+async function resolveTagLabels(intent, groupConfig) {
+  const tags = (intent.entities?.labels || []).filter(tag => tag && typeof tag === 'string');
+
+  if (tags.length === 0) {
+    return { labels: [], keptTags: [] };
+  }
+
+  const { labelMap = {}, unknownLabels: policy = DEFAULT_UNKNOWN_LABEL_POLICY } = groupConfig.settings || {};
+  let repoLabels = null;
+
+  try {
+    repoLabels = await getRepositoryLabels(groupConfig);
+  } catch (error) {
+    logger.warn({
+      err: error,
+      repository: groupConfig.githubRepo,
+    }, 'Repository label lookup failed, using hashtags as labels');
+  }
+
+  const { labels, unknown } = resolveLabels(tags, { labelMap, repoLabels, policy });
+
+  return {
+    labels,
+    keptTags: policy === UnknownLabelPolicy.KEEP ? unknown : [],
+  };
+}
+
 /**
  * Formats issue title
  *
  * @param {Object} intent - Classified intent
+ * @param {Object|null} [template] - Repository issue template
  * @returns {string} Formatted title
  */
-function formatTitle(intent) {
-  const title = intent.entities?.title || 'Untitled Issue';
+function formatTitle(intent, template = null) {
+  let title = intent.entities?.title || 'Untitled Issue';
+  const prefix = template?.title?.trim();
+
+  if (prefix && !title.startsWith(prefix)) {
+    title = `${prefix} ${title}`;
+  }
+
   return sanitizeTitle(title);
 }
 
 /**
- * Formats issue body with metadata
+ * Collects the values used to fill template sections
+ * Sections of the generated body map onto the template's own sections
  *
  * @param {Object} intent - Classified intent
+ * @param {string|null} issueBody - Generated structured body
+ * @returns {Object} Field values keyed by field name
+ */
+function formatTemplateFields(intent, issueBody) {
+  const description = sanitizeMessageBody(intent.entities?.description || intent.entities?.title || '');
+
+  if (!issueBody) {
+    return { description };
+  }
+
+  const { preamble, sections } = splitMarkdownSections(sanitizeMessageBody(issueBody));
+  const fields = { description: preamble || description };
+
+  for (const { heading, content } of sections) {
+    const field = matchSectionField(heading);
+
+    if (field && !fields[field] && content && content !== NOT_PROVIDED) {
+      fields[field] = content;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Formats a duration as m:ss
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Quotes the original Telegram message for traceability
+ * Voice messages are quoted as their transcript, with a link to the recording
+ *
  * @param {Object} telegramMessage - Original Telegram message
- * @returns {string} Formatted body
+ * @returns {string} Quoted message section
  */
-function formatBody(intent, telegramMessage) {
+function formatOriginalMessage(telegramMessage) {
+  const text = sanitizeMessageBody(telegramMessage?.text || telegramMessage?.caption || '');
+  const quoted = text.split('\n').map(line => `> ${line}`).join('\n');
+  const transcript = telegramMessage?.transcript;
+
+  if (transcript) {
+    const link = transcript.audioUrl
+      ? `[🎧 ${transcript.kind === 'audio' ? 'Audio' : 'Voice message'} (${formatDuration(transcript.duration)})](${transcript.audioUrl})\n\n`
+      : '';
+
+    return `### Transcript\n\n${link}${quoted}`;
+  }
+
+  return `### Original message\n\n${quoted}`;
+}
+
+/**
+ * Longest quoted thread message; keeps long threads within GitHub's issue body limit
+ */
+const MAX_THREAD_MESSAGE_LENGTH = 2000;
+
+/**
+ * Keeps the messages of the reply thread an issue was filed from in a collapsible block
+ * Names are code spans so Telegram usernames don't mention GitHub users
+ *
+ * @param {Object[]} messages - Thread messages, oldest first
+ * @returns {string} Collapsible discussion section
+ */
+function formatThreadMessages(messages) {
+  const entries = messages.map((message) => {
+    const date = message.date
+      ? ` · ${new Date(message.date * 1000).toISOString().slice(0, 16).replace('T', ' ')} UTC`
+      : '';
+    const text = sanitizeMessageBody(getThreadMessageText(message), { maxLength: MAX_THREAD_MESSAGE_LENGTH });
+    const quoted = text.split('\n').map(line => `> ${line}`).join('\n');
+
+    return `**\`${getSpeakerName(message)}\`**${date}\n\n${quoted}`;
+  });
+
+  return `<details>\n<summary>Discussion (${messages.length} messages)</summary>\n\n${entries.join('\n\n')}\n\n</details>`;
+}
+
+/**
+ * Formats the content of an issue body (everything above the metadata footer)
+ * Uses the generated structured body when available, quoting the original message (or the
+ * transcript of a voice message) below it, and fills the repository issue template when one matches
+ *
+ * @param {Object} intent - Classified intent
+ * @param {Object} telegramMessage - Original Telegram message
+ * @param {string|null} [issueBody] - Generated structured body
+ * @param {Object|null} [template] - Repository issue template
+ * @param {string[]} [keptTags] - Hashtags kept as text because no label matches them
+ * @param {string|null} [threadSummary] - Summary of the reply thread the issue was filed from
+ * @returns {string} Formatted content
+ */
+function formatContent(intent, telegramMessage, issueBody = null, template = null, keptTags = [], threadSummary = null) {
   const description = intent.entities?.description || intent.entities?.title || '';
-  const sanitizedDescription = sanitizeMessageBody(description);
+  let sanitizedDescription;
+
+  if (template) {
+    sanitizedDescription = renderIssueTemplate(template, formatTemplateFields(intent, issueBody));
+  } else {
+    sanitizedDescription = issueBody ? sanitizeMessageBody(issueBody) : sanitizeMessageBody(description);
+  }
+
+  if (keptTags.length > 0) {
+    sanitizedDescription += `\n\nTags: ${keptTags.map(tag => `#${tag}`).join(' ')}`;
+  }
+
+  if (threadSummary) {
+    sanitizedDescription += `\n\n${sanitizeMessageBody(threadSummary)}`;
+  }
 
-  // Build metadata footer
+  if (issueBody || telegramMessage?.transcript) {
+    sanitizedDescription += `\n\n${formatOriginalMessage(telegramMessage)}`;
+  }
+
+  return sanitizedDescription;
+}
+
+/**
+ * Formats the metadata footer of an issue body
+ *
+ * @param {Object} intent - Classified intent
+ * @param {Object} telegramMessage - Original Telegram message
+ * @returns {string} Metadata footer
+ */
+function formatMetadata(intent, telegramMessage) {
   const username = telegramMessage?.from?.username || 'Unknown';
   const chatId = telegramMessage?.chat?.id || 'Unknown';
   const messageId = telegramMessage?.message_id || 'Unknown';
@@ -46,17 +275,107 @@ function formatBody(intent, telegramMessage) {
 - Message ID: ${messageId}
 - Confidence: ${Math.round(intent.confidence * 100)}%`;
 
-  return sanitizedDescription + metadata;
+  return metadata;
+}
+
+/**
+ * Formats issue body with metadata
+ *
+ * @param {Object} intent - Classified intent
+ * @param {Object} telegramMessage - Original Telegram message
+ * @returns {string} Formatted body
+ */
+function formatBody(intent, telegramMessage) {
+  return formatContent(intent, telegramMessage) + formatMetadata(intent, telegramMessage);
+}
+
+/**
+ * Checks whether a new issue should be written in English
+ * Only groups that turned translation on (see /translate) get translated issues, and never
+ * when the LLM is unavailable or the group's budget is used up
+ *
+ * @param {Object} intent - Classified intent
+ * @param {Object} groupConfig - Group configuration
+ * @param {string|null} language - Language of the message
+ * @returns {boolean} True if the issue should be translated
+ */
+function shouldTranslateIssue(intent, groupConfig, language) {
+  return groupConfig.settings?.translateIssues === true &&
+    Boolean(language) &&
+    language !== Locale.ENGLISH &&
+    !intent.degraded &&
+    !intent.budgetExceeded;
+}
+
+/**
+ * Keeps the original title and content of a translated issue in a collapsible block
+ *
+ * @param {string} title - Original title
+ * @param {string} content - Original content
+ * @param {string} language - Original language
+ * @returns {string} Collapsible original text section
+ */
+function formatOriginalText(title, content, language) {
+  return `<details>\n<summary>Original (${getLanguageName(language)})</summary>\n\n**${title}**\n\n${content}\n\n</details>`;
+}
+
+/**
+ * Translates the title and content of a new issue into English
+ * Translation failures are not fatal: the issue is created in the original language
+ *
+ * @param {Object} params - Issue text
+ * @param {string} params.title - Formatted title
+ * @param {string} params.content - Formatted content
+ * @param {string} params.language - Language of the message
+ * @param {Object} params.telegramMessage - Original Telegram message
+ * @param {string|null} [params.operationId] - Operation the translation's token usage is attributed to
+ * @returns {Promise<{title: string, content: string, translatedFrom: string|null}>} Issue text to use
+ */
+async function translateIssueText({ title, content, language, telegramMessage, operationId = null }) {
+  try {
+    const translated = await translateIssue({
+      title,
+      body: content,
+      language,
+      usage: { groupId: telegramMessage?.chat?.id, operationId },
+    });
+
+    return {
+      title: sanitizeTitle(translated.title),
+      content: `${sanitizeMessageBody(translated.body)}\n\n${formatOriginalText(title, content, language)}`,
+      translatedFrom: language,
+    };
+  } catch (error) {
+    logger.warn({
+      err: error,
+      chatId: telegramMessage?.chat?.id,
+      messageId: telegramMessage?.message_id,
+      language,
+    }, 'Issue translation failed, creating issue in the original language');
+
+    return { title, content, translatedFrom: null };
+  }
 }
 
 /**
- * Formats labels from intent and hashtags
+ * Label for issues filed from a degraded-mode (heuristic) classification
+ */
+const NEEDS_TRIAGE_LABEL = 'needs-triage';
+
+/**
+ * Formats labels from intent, hashtags and the issue template
+ * Hashtags are lowercased unless they were already resolved to repository labels
  *
  * @param {Object} intent - Classified intent
+ * @param {Object|null} [template] - Repository issue template
+ * @param {string[]|null} [tagLabels] - Hashtags resolved to repository labels
  * @returns {string[]} Array of labels
  */
-function formatLabels(intent) {
-  const labels = [...(intent.entities?.labels || [])];
+function formatLabels(intent, template = null, tagLabels = null) {
+  const tags = tagLabels ?? (intent.entities?.labels || [])
+    .filter(label => label && typeof label === 'string')
+    .map(label => label.toLowerCase());
+  const labels = [...tags, ...(template?.labels || [])];
 
   // Add intent-based label
   switch (intent.intent) {
@@ -72,24 +391,83 @@ function formatLabels(intent) {
       break;
   }
 
+  // Heuristic classifications need a human to check them
+  if (intent.degraded && !labels.includes(NEEDS_TRIAGE_LABEL)) labels.push(NEEDS_TRIAGE_LABEL);
+
   // Add TeleGit label
   if (!labels.includes('telegit')) labels.push('telegit');
 
-  // Remove duplicates and filter invalid labels
-  return [...new Set(labels)]
+  // Remove duplicates (GitHub compares label names case-insensitively) and filter invalid labels
+  return labels
     .filter(label => label && typeof label === 'string')
-    .map(label => label.toLowerCase())
+    .filter((label, index, all) => all.findIndex(other => other.toLowerCase() === label.toLowerCase()) === index)
     .slice(0, 10); // GitHub max 10 labels per issue
 }
 
 /**
- * Formats assignees
+ * Translates Telegram mentions into linked GitHub logins
+ * Covers @username mentions and text_mention entities of users without a username;
+ * mentions without a usable link are reported instead of being sent as logins
  *
  * @param {Object} intent - Classified intent
+ * @param {Object} telegramMessage - Original Telegram message
+ * @returns {Promise<{logins: string[], unresolved: string[]}>} GitHub logins and unlinked mentions
+ */
+async function resolveAssignees(intent, telegramMessage) {
+  const usernames = [...new Set((intent.entities?.assignees || [])
+    .filter(assignee => assignee && typeof assignee === 'string')
+    .map(assignee => assignee.replace(/^@/, '')))];
+  const entities = telegramMessage?.entities || telegramMessage?.caption_entities || [];
+  const mentionedUsers = entities
+    .filter(entity => entity.type === 'text_mention' && entity.user?.id)
+    .map(entity => entity.user);
+
+  if (usernames.length === 0 && mentionedUsers.length === 0) {
+    return { logins: [], unresolved: [] };
+  }
+
+  let identities = [];
+
+  try {
+    identities = await new IdentityRepository().findIdentities({
+      telegramUserIds: mentionedUsers.map(user => user.id),
+      telegramUsernames: usernames,
+    });
+  } catch (error) {
+    logger.warn({
+      err: error,
+      chatId: telegramMessage?.chat?.id,
+      messageId: telegramMessage?.message_id,
+    }, 'GitHub identity lookup failed, leaving mentions unassigned');
+  }
+
+  const requireVerified = getConfig().github.identityVerificationRequired;
+  const usable = identities.filter(identity => identity.verified || !requireVerified);
+  const logins = [];
+  const unresolved = [];
+
+  for (const username of usernames) {
+    const identity = usable.find(({ telegramUsername }) => telegramUsername === username.toLowerCase());
+    identity ? logins.push(identity.githubLogin) : unresolved.push(`@${username}`);
+  }
+
+  for (const user of mentionedUsers) {
+    const identity = usable.find(({ telegramUserId }) => telegramUserId === user.id);
+    identity ? logins.push(identity.githubLogin) : unresolved.push(user.first_name || String(user.id));
+  }
+
+  return { logins, unresolved };
+}
+
+/**
+ * Formats assignees from resolved GitHub logins and the issue template
+ *
+ * @param {string[]} logins - GitHub logins resolved from mentions
+ * @param {Object|null} [template] - Repository issue template
  * @returns {string[]} Array of assignees
  */
-function formatAssignees(intent) {
-  const assignees = intent.entities?.assignees || [];
+function formatAssignees(logins, template = null) {
+  const assignees = [...logins, ...(template?.assignees || [])];
 
   // Remove duplicates and filter invalid assignees
   return [...new Set(assignees)]
@@ -97,6 +475,89 @@ function formatAssignees(intent) {
     .slice(0, 10); // Limit to 10 assignees
 }
 
+/**
+ * Formats search data, translating the request into GitHub search qualifiers
+ * Translation failures are not fatal: the classified search terms are used as they are
+ * Degraded mode searches for the classified terms without translating
+ *
+ * @param {Object} intent - Classified intent
+ * @param {Object} telegramMessage - Original Telegram message
+ * @param {string|null} [operationId] - Operation the translation's token usage is attributed to
+ * @returns {Promise<Object>} Search data ({ query, labels, state, qualifiers, unresolved })
+ */
+async function formatSearchData(intent, telegramMessage, operationId = null) {
+  const classifiedLabels = intent.entities?.labels || [];
+  const message = telegramMessage?.text || telegramMessage?.caption || '';
+  const classifiedSearch = {
+    query: intent.entities?.searchQuery || '',
+    labels: classifiedLabels,
+  };
+
+  // Degraded mode has no LLM to call
+  if (intent.degraded) {
+    return classifiedSearch;
+  }
+
+  try {
+    const search = await translateSearchRequest({
+      message,
+      sender: telegramMessage?.from,
+      usage: { groupId: telegramMessage?.chat?.id, operationId },
+    });
+
+    return {
+      query: search.keywords,
+      labels: [...new Set([...search.labels, ...classifiedLabels])],
+      state: search.state,
+      qualifiers: search.qualifiers,
+      unresolved: search.unresolved,
+    };
+  } catch (error) {
+    logger.warn({
+      err: error,
+      chatId: telegramMessage?.chat?.id,
+      messageId: telegramMessage?.message_id,
+    }, 'Search request translation failed, searching for the classified terms');
+
+    return classifiedSearch;
+  }
+}
+
+/**
+ * Parses the issue number referenced by the intent
+ *
+ * @param {Object} intent - Classified intent
+ * @returns {number} Issue number
+ * @throws {Error} If no valid issue number was extracted
+ */
+function formatIssueNumber(intent) {
+  const rawNumber = String(intent.entities?.issueNumber ?? '').replace(/^#/, '');
+  const issueNumber = parseInt(rawNumber, 10);
+
+  if (!Number.isInteger(issueNumber) || issueNumber <= 0) {
+    throw new Error(`An issue number is required for ${intent.intent}`);
+  }
+
+  return issueNumber;
+}
+
+/**
+ * Formats a comment body with attribution footer
+ *
+ * @param {string} text - Comment text
+ * @param {Object} telegramMessage - Original Telegram message
+ * @returns {string} Formatted comment body
+ */
+export function formatComment(text, telegramMessage) {
+  const username = telegramMessage?.from?.username || 'Unknown';
+
+  return `${sanitizeMessageBody(text)}
+
+---
+
+*Posted by TeleGit from Telegram on behalf of @${username}*`;
+}
+
 /**
  * Determines the GitHub operation type from intent
  *
@@ -113,6 +574,15 @@ function getOperationType(intentType) {
     case IntentType.UPDATE_ISSUE:
       return GitHubOperationType.UPDATE;
 
+    case IntentType.CLOSE_ISSUE:
+      return GitHubOperationType.CLOSE;
+
+    case IntentType.REOPEN_ISSUE:
+      return GitHubOperationType.REOPEN;
+
+    case IntentType.COMMENT_ISSUE:
+      return GitHubOperationType.COMMENT;
+
     case IntentType.SEARCH_ISSUES:
       return GitHubOperationType.SEARCH;
 
@@ -129,7 +599,7 @@ function getOperationType(intentType) {
  */
 export async function formatNode(state) {
   try {
-    const { intent, telegramMessage, groupConfig } = state;
+    const { intent, telegramMessage, groupConfig, issueBody, threadSummary, conversationContext } = state;
 
     if (!intent) {
       throw new Error('No intent found in state');
@@ -149,32 +619,97 @@ export async function formatNode(state) {
     };
 
     switch (operationType) {
-      case GitHubOperationType.CREATE:
+      case GitHubOperationType.CREATE: {
+        const template = await loadIssueTemplate(intent, groupConfig);
+        const { labels, keptTags } = await resolveTagLabels(intent, groupConfig);
+        const { logins, unresolved } = await resolveAssignees(intent, telegramMessage);
+        let text = {
+          title: formatTitle(intent, template),
+          content: formatContent(intent, telegramMessage, issueBody, template, keptTags, threadSummary),
+          translatedFrom: null,
+        };
+
+        if (shouldTranslateIssue(intent, groupConfig, state.language)) {
+          text = await translateIssueText({
+            ...text,
+            language: state.language,
+            telegramMessage,
+            operationId: state.operationId,
+          });
+        }
+
+        // Thread messages are added after translation so they stay verbatim
+        if (isLongThread(conversationContext)) {
+          text.content += `\n\n${formatThreadMessages(conversationContext)}`;
+        }
+
         githubOperation.data = {
-          title: formatTitle(intent),
-          body: formatBody(intent, telegramMessage),
-          labels: formatLabels(intent),
-          assignees: formatAssignees(intent),
+          title: text.title,
+          body: text.content + formatMetadata(intent, telegramMessage),
+          labels: formatLabels(intent, template, labels),
+          assignees: formatAssignees(logins, template),
+          milestone: intent.entities?.milestone || undefined,
+          project: intent.entities?.project || undefined,
+          projectStatus: (intent.entities?.project && intent.entities?.projectStatus) || undefined,
         };
+        githubOperation.unassignedMentions = unresolved;
+        githubOperation.translatedFrom = text.translatedFrom;
         break;
+      }
+
+      case GitHubOperationType.UPDATE: {
+        const { labels } = await resolveTagLabels(intent, groupConfig);
+        const { logins, unresolved } = await resolveAssignees(intent, telegramMessage);
 
-      case GitHubOperationType.UPDATE:
+        // Labels replace the issue's labels, so they are only set when hashtags resolved to some
         githubOperation.data = {
-          issueNumber: intent.entities?.issueNumber,
+          issueNumber: formatIssueNumber(intent),
           title: intent.entities?.title ? formatTitle(intent) : undefined,
           body: intent.entities?.description ? formatBody(intent, telegramMessage) : undefined,
-          labels: intent.entities?.labels ? formatLabels(intent) : undefined,
-          assignees: intent.entities?.assignees ? formatAssignees(intent) : undefined,
+          labels: labels.length > 0 ? formatLabels(intent, null, labels) : undefined,
+          assignees: logins.length > 0 ? formatAssignees(logins) : undefined,
         };
+        githubOperation.unassignedMentions = unresolved;
         break;
+      }
 
-      case GitHubOperationType.SEARCH:
+      case GitHubOperationType.CLOSE:
         githubOperation.data = {
-          query: intent.entities?.searchQuery || '',
-          labels: intent.entities?.labels || [],
+          issueNumber: formatIssueNumber(intent),
+          stateReason: intent.entities?.stateReason || 'completed',
+          comment: intent.entities?.comment
+            ? formatComment(intent.entities.comment, telegramMessage)
+            : undefined,
         };
         break;
 
+      case GitHubOperationType.REOPEN:
+        githubOperation.data = {
+          issueNumber: formatIssueNumber(intent),
+          comment: intent.entities?.comment
+            ? formatComment(intent.entities.comment, telegramMessage)
+            : undefined,
+        };
+        break;
+
+      case GitHubOperationType.COMMENT: {
+        const text = intent.entities?.comment || intent.entities?.description;
+
+        if (!text) {
+          throw new Error('No comment text found in message');
+        }
+
+        githubOperation.data = {
+          issueNumber: formatIssueNumber(intent),
+          body: formatComment(text, telegramMessage),
+        };
+        break;
+      }
+
+      case GitHubOperationType.SEARCH:
+        githubOperation.data = await formatSearchData(intent, telegramMessage, state.operationId);
+        break;
+
       default:
         // No operation needed
         githubOperation.data = {};
@@ -0,0 +1,103 @@
+/**
+ * Generate Node
+ * Rewrites the report into a structured issue body for its intent type and
+ * summarizes the discussion new issues are filed from
+ */
+
+import { generateIssueBody, hasBodyTemplate } from '../issue-body-generator.js';
+import { summarizeThread, isLongThread } from '../thread-summarizer.js';
+import { IntentType } from '../state-schema.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Intents that create a new issue
+ */
+const CREATE_INTENTS = [IntentType.CREATE_BUG, IntentType.CREATE_TASK, IntentType.CREATE_IDEA];
+
+/**
+ * Summarizes the reply thread a new issue is filed from
+ * Summarization failures are not fatal: the issue still gets the original messages
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {Promise<string|null>} Discussion summary, or null for short threads
+ */
+async function summarizeDiscussion(state) {
+  const { intent, telegramMessage, conversationContext } = state;
+
+  // Degraded mode has no LLM to call
+  if (!CREATE_INTENTS.includes(intent?.intent) || intent.degraded || !isLongThread(conversationContext)) {
+    return null;
+  }
+
+  try {
+    return await summarizeThread({
+      messages: conversationContext,
+      usage: { groupId: telegramMessage?.chat?.id, operationId: state.operationId },
+    });
+  } catch (error) {
+    logger.warn({
+      err: error,
+      chatId: telegramMessage?.chat?.id,
+      messageId: telegramMessage?.message_id,
+      threadLength: conversationContext.length,
+    }, 'Thread summarization failed, filing issue without discussion summary');
+
+    return null;
+  }
+}
+
+/**
+ * Generate node - produces a structured body for bugs and tasks and a
+ * discussion summary for issues filed from long reply threads
+ * Generation failures are not fatal: the format node falls back to the
+ * extracted description
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {Promise<Object>} Updated state with the generated issue body and thread summary
+ */
+export async function generateNode(state) {
+  const { intent, telegramMessage, conversationContext } = state;
+
+  // Over-budget groups keep the extracted description
+  if (!intent || intent.budgetExceeded) {
+    return state;
+  }
+
+  const threadSummary = await summarizeDiscussion(state);
+  const summarized = threadSummary ? { ...state, threadSummary } : state;
+
+  // Degraded mode has no LLM to call
+  if (intent.degraded || !hasBodyTemplate(intent.intent)) {
+    return summarized;
+  }
+
+  try {
+    // The thread context ends with the message itself
+    const context = (conversationContext || []).filter(msg =>
+      (msg.messageId ?? msg.message_id) !== telegramMessage?.message_id
+    );
+
+    const issueBody = await generateIssueBody({
+      intentType: intent.intent,
+      message: telegramMessage?.text || telegramMessage?.caption || '',
+      title: intent.entities?.title,
+      description: intent.entities?.description,
+      context,
+      usage: { groupId: telegramMessage?.chat?.id, operationId: state.operationId },
+    });
+
+    return {
+      ...summarized,
+      issueBody,
+    };
+  } catch (error) {
+    logger.warn({
+      err: error,
+      chatId: telegramMessage?.chat?.id,
+      messageId: telegramMessage?.message_id,
+      intent: intent?.intent,
+    }, 'Issue body generation failed, using extracted description');
+
+    return summarized;
+  }
+}
@@ -6,9 +6,12 @@
  */
 
 import { escapeMarkdownV1 } from 'telegram-escape';
+import { Markup } from 'telegraf';
 import { setReaction } from '../../services/telegram/reactions.js';
 import { postFeedback } from '../../services/telegram/feedback.js';
-import { WorkflowStatus, IntentType } from '../state-schema.js';
+import { formatSearchResultsMessage, buildSearchKeyboard } from '../../services/telegram/search.js';
+import { WorkflowStatus, IntentType, GitHubOperationType } from '../state-schema.js';
+import { t, getMessageLocale } from '../../i18n/index.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -25,11 +28,131 @@ function getSuccessEmoji(intentType) {
       return '🫡'; // Task issued
     case IntentType.CREATE_IDEA:
       return '🦄'; // Idea logged
+    case IntentType.CLOSE_ISSUE:
+      return '💯'; // Issue closed
+    case IntentType.REOPEN_ISSUE:
+      return '⚡'; // Issue reopened
+    case IntentType.COMMENT_ISSUE:
+      return '✍'; // Comment posted
     default:
       return '👌'; // Generic success (processing complete)
   }
 }
 
+/**
+ * Gets the locale to reply in
+ * The language detected during analysis, or the message's language if analysis did not run
+ *
+ * @param {Object} state - Workflow state
+ * @returns {string} Locale
+ */
+function getReplyLocale(state) {
+  return state.language || getMessageLocale(state.telegramMessage);
+}
+
+/**
+ * Formats the headline of a success feedback message
+ *
+ * @param {string} intentType - Intent type
+ * @param {Object} result - GitHub operation result
+ * @param {string} locale - Reply locale
+ * @returns {string} Headline text
+ */
+function formatSuccessHeadline(intentType, result, locale) {
+  const number = result.issueNumber;
+
+  switch (intentType) {
+    case IntentType.CLOSE_ISSUE:
+      return t(locale, 'notify.closed', { number });
+    case IntentType.REOPEN_ISSUE:
+      return t(locale, 'notify.reopened', { number });
+    case IntentType.COMMENT_ISSUE:
+      return t(locale, 'notify.commented', { number });
+    default:
+      return t(locale, 'notify.created');
+  }
+}
+
+/**
+ * Formats the headline of a failure feedback message
+ *
+ * @param {Object} githubOperation - GitHub operation that failed
+ * @param {string} locale - Reply locale
+ * @returns {string} Headline text
+ */
+function formatFailureHeadline(githubOperation, locale) {
+  const { title, issueNumber: number } = githubOperation.data;
+
+  switch (githubOperation.type) {
+    case GitHubOperationType.CLOSE:
+      return t(locale, 'notify.closeFailed', { number });
+    case GitHubOperationType.REOPEN:
+      return t(locale, 'notify.reopenFailed', { number });
+    case GitHubOperationType.COMMENT:
+      return t(locale, 'notify.commentFailed', { number });
+    default:
+      return t(locale, 'notify.createFailed', { title: escapeMarkdownV1(title || '') });
+  }
+}
+
+/**
+ * Formats where a created issue was planned (milestone and project board)
+ *
+ * @param {Object} [planning] - Planning result of the create operation
+ * @param {string} locale - Reply locale
+ * @returns {string} Planning lines, empty if nothing was requested
+ */
+function formatPlanningNote(planning, locale) {
+  if (!planning) {
+    return '';
+  }
+
+  const lines = [];
+
+  if (planning.milestone) {
+    lines.push(t(locale, 'notify.milestone', { milestone: escapeMarkdownV1(planning.milestone) }));
+  }
+
+  if (planning.project) {
+    const status = planning.projectStatus ? ` → ${planning.projectStatus}` : '';
+    lines.push(t(locale, 'notify.project', { project: escapeMarkdownV1(planning.project + status) }));
+  }
+
+  for (const warning of planning.warnings || []) {
+    lines.push(`⚠️ ${escapeMarkdownV1(warning)}`);
+  }
+
+  return lines.length > 0 ? `\n\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Checks whether the state holds the results of a successful search
+ *
+ * @param {Object} state - Workflow or action state
+ * @returns {boolean} True for search results
+ */
+function isSearchResult({ result, githubOperation }) {
+  return Boolean(result?.success) && githubOperation?.type === GitHubOperationType.SEARCH;
+}
+
+/**
+ * Converts a search execution result to a result page
+ *
+ * @param {Object} result - Search execution result
+ * @returns {Object} Result page ({ query, issues, totalCount, page, perPage })
+ */
+function toResultPage(result) {
+  const issues = result.results || [];
+
+  return {
+    query: result.query || '',
+    issues,
+    totalCount: result.totalCount ?? issues.length,
+    page: result.page || 1,
+    perPage: result.perPage || issues.length || 1,
+  };
+}
+
 /**
  * Formats feedback message for the user
  *
@@ -38,34 +161,271 @@ function getSuccessEmoji(intentType) {
  */
 function formatFeedbackMessage(state) {
   const { intent, result, githubOperation } = state;
+  const locale = getReplyLocale(state);
+
+  // Search results
+  if (isSearchResult(state)) {
+    return formatSearchResultsMessage({ ...toResultPage(result), unresolved: githubOperation.data.unresolved }, locale);
+  }
 
   // Success case
   if (result?.success && result?.issueUrl) {
     const emoji = getSuccessEmoji(intent.intent);
-    return `${emoji} Issue created successfully!\n\n📎 ${escapeMarkdownV1(result.issueUrl)}`;
+    const unassigned = githubOperation?.unassignedMentions || [];
+    const unassignedNote = unassigned.length > 0
+      ? `\n\n${t(locale, 'notify.unassigned', { names: escapeMarkdownV1(unassigned.join(', ')) })}`
+      : '';
+
+    const degradedNote = intent.degraded ? `\n\n${t(locale, 'notify.degraded')}` : '';
+    const translatedNote = githubOperation?.translatedFrom ? `\n\n${t(locale, 'notify.translated')}` : '';
+
+    return `${emoji} ${formatSuccessHeadline(intent.intent, result, locale)}\n\n📎 ${escapeMarkdownV1(result.issueUrl)}` +
+      `${formatPlanningNote(result.planning, locale)}${unassignedNote}${degradedNote}${translatedNote}`;
   }
 
   // Error case (GitHub operation failed)
   if (result && !result.success && githubOperation?.data) {
-    const { title } = githubOperation.data;
-    const errorMsg = result.error || 'Unknown error';
-    return `❌ Failed to create issue: "${escapeMarkdownV1(title)}"\n\nError: ${escapeMarkdownV1(errorMsg)}`;
+    const errorMsg = result.error || t(locale, 'notify.unknownError');
+    return `❌ ${formatFailureHeadline(githubOperation, locale)}\n\n${t(locale, 'notify.error', { error: escapeMarkdownV1(errorMsg) })}`;
   }
 
   // Unknown intent case
   if (intent.intent === IntentType.UNKNOWN) {
-    return `🤷 I couldn't determine what action you want me to take.\n\nTry being more specific, or use keywords like "bug", "task", or "feature idea".`;
+    return t(locale, 'notify.unknown');
   }
 
   // Low confidence case
   if (intent.confidence < 0.5) {
-    const confidence = Math.round(intent.confidence * 100);
-    return `🤔 I'm not very confident about this request (${confidence}%).\n\nCould you rephrase or add more details?`;
+    return t(locale, 'notify.lowConfidence', { confidence: Math.round(intent.confidence * 100) });
   }
 
   // Default case
-  const confidence = Math.round(intent.confidence * 100);
-  return `👌 Message analyzed successfully.\n\nIntent: ${escapeMarkdownV1(intent.intent)}\nConfidence: ${confidence}%`;
+  return t(locale, 'notify.analyzed', {
+    intent: escapeMarkdownV1(intent.intent),
+    confidence: Math.round(intent.confidence * 100),
+  });
+}
+
+/**
+ * Formats one line of a consolidated feedback message
+ *
+ * @param {Object} actionResult - Result of one fanned-out action
+ * @param {string} locale - Reply locale
+ * @returns {string} Formatted line
+ */
+function formatActionLine(actionResult, locale) {
+  const { intent, result, githubOperation, error } = actionResult;
+
+  if (isSearchResult(actionResult)) {
+    const { query, totalCount } = toResultPage(result);
+    return t(locale, 'notify.searchLine', { count: totalCount, query: escapeMarkdownV1(query) });
+  }
+
+  if (result?.success && result?.issueUrl) {
+    const headline = githubOperation?.type === GitHubOperationType.CREATE
+      ? t(locale, 'notify.createdLine', {
+        number: result.issueNumber,
+        title: escapeMarkdownV1(githubOperation.data.title || ''),
+      })
+      : formatSuccessHeadline(intent.intent, result, locale);
+    return `${getSuccessEmoji(intent.intent)} ${headline}\n📎 ${escapeMarkdownV1(result.issueUrl)}`;
+  }
+
+  if (githubOperation?.data && result && !result.success) {
+    const errorMsg = result.error || t(locale, 'notify.unknownError');
+    return `❌ ${formatFailureHeadline(githubOperation, locale)}\n${t(locale, 'notify.error', { error: escapeMarkdownV1(errorMsg) })}`;
+  }
+
+  if (error) {
+    return t(locale, 'notify.actionFailed', {
+      intent: escapeMarkdownV1(intent.intent),
+      error: escapeMarkdownV1(error.message),
+    });
+  }
+
+  return t(locale, 'notify.actionProcessed', { intent: escapeMarkdownV1(intent.intent) });
+}
+
+/**
+ * Formats the consolidated feedback message for a multi-action message
+ *
+ * @param {Object[]} actionResults - Results of all fanned-out actions
+ * @param {string} locale - Reply locale
+ * @returns {string} Formatted feedback message
+ */
+function formatConsolidatedFeedbackMessage(actionResults, locale) {
+  const succeeded = actionResults.filter(actionResult => actionResult.result?.success).length;
+  const lines = actionResults.map(actionResult => formatActionLine(actionResult, locale));
+  const undoable = getUndoableResults(actionResults);
+
+  let message = `${t(locale, 'notify.summary', { succeeded, total: actionResults.length })}\n\n${lines.join('\n\n')}`;
+
+  if (undoable.length > 0) {
+    message += `\n\n${t(locale, 'notify.undoHint')}`;
+  }
+
+  return message;
+}
+
+/**
+ * Gets the action results that can be undone individually
+ *
+ * @param {Object[]} actionResults - Results of all fanned-out actions
+ * @returns {Object[]} Successful results with a stored operation
+ */
+function getUndoableResults(actionResults) {
+  return actionResults.filter(actionResult =>
+    actionResult.result?.success &&
+    actionResult.operationId &&
+    actionResult.githubOperation?.type !== GitHubOperationType.SEARCH
+  );
+}
+
+/**
+ * Builds the inline keyboard with one undo button per action
+ *
+ * @param {Object[]} actionResults - Results of all fanned-out actions
+ * @param {string} locale - Reply locale
+ * @returns {Object|undefined} Inline keyboard markup, or undefined if nothing can be undone
+ */
+function buildUndoKeyboard(actionResults, locale) {
+  const undoable = getUndoableResults(actionResults);
+
+  if (undoable.length === 0) {
+    return undefined;
+  }
+
+  return Markup.inlineKeyboard(
+    undoable.map(actionResult => [
+      Markup.button.callback(t(locale, 'notify.undoButton', { number: actionResult.result.issueNumber }), `undo_${actionResult.operationId}`),
+    ])
+  ).reply_markup;
+}
+
+/**
+ * Tool arguments that identify the issue rather than change it
+ */
+const AGENT_TARGET_ARGS = ['method', 'owner', 'repo', 'issue_number'];
+
+/**
+ * Formats one change the GitHub agent made or tried to make
+ *
+ * @param {Object} action - Agent action
+ * @param {string} locale - Reply locale
+ * @returns {string} Formatted line
+ */
+function formatAgentActionLine(action, locale) {
+  const tool = escapeMarkdownV1(action.tool);
+
+  if (action.error === 'not_allowed') {
+    return t(locale, 'notify.agentRefused', { tool });
+  }
+
+  if (!action.success) {
+    return t(locale, 'notify.agentFailed', {
+      tool,
+      error: escapeMarkdownV1(action.error || t(locale, 'notify.unknownError')),
+    });
+  }
+
+  const number = action.issueNumber;
+  const link = action.issueUrl ? `\n📎 ${escapeMarkdownV1(action.issueUrl)}` : '';
+
+  if (action.tool === 'issue_write' && action.args?.method === 'create') {
+    return t(locale, 'notify.agentCreated', { number }) + link;
+  }
+
+  if (action.tool === 'issue_write') {
+    const fields = Object.keys(action.args || {}).filter(field => !AGENT_TARGET_ARGS.includes(field));
+    return t(locale, 'notify.agentUpdated', { number, fields: escapeMarkdownV1(fields.join(', ')) }) + link;
+  }
+
+  if (action.tool === 'add_issue_comment') {
+    return t(locale, 'notify.agentCommented', { number }) + link;
+  }
+
+  return t(locale, 'notify.agentToolCall', { tool }) + link;
+}
+
+/**
+ * Formats the feedback message for a request handled by the GitHub agent
+ *
+ * @param {Object} agentRun - Agent run ({ disabled, summary, actions, steps, stoppedAtLimit })
+ * @param {string} locale - Reply locale
+ * @returns {string} Formatted feedback message
+ */
+function formatAgentFeedbackMessage(agentRun, locale) {
+  if (agentRun.disabled) {
+    return t(locale, 'notify.agentDisabled');
+  }
+
+  const parts = [];
+
+  if (agentRun.summary) {
+    parts.push(`🤖 ${escapeMarkdownV1(agentRun.summary)}`);
+  }
+
+  parts.push(agentRun.actions.length > 0
+    ? agentRun.actions.map(action => formatAgentActionLine(action, locale)).join('\n\n')
+    : t(locale, 'notify.agentNoActions'));
+
+  if (agentRun.stoppedAtLimit) {
+    parts.push(t(locale, 'notify.agentStepLimit', { steps: agentRun.steps }));
+  }
+
+  if (getUndoableAgentActions(agentRun).length > 0) {
+    parts.push(t(locale, 'notify.undoHint'));
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Gets the agent actions that can be undone individually
+ *
+ * @param {Object} agentRun - Agent run
+ * @returns {Object[]} Successful, undoable actions with a stored operation
+ */
+function getUndoableAgentActions(agentRun) {
+  return (agentRun.actions || []).filter(action => action.success && action.undoable && action.operationId);
+}
+
+/**
+ * Builds the inline keyboard with one undo button per agent change
+ *
+ * @param {Object} agentRun - Agent run
+ * @param {string} locale - Reply locale
+ * @returns {Object|undefined} Inline keyboard markup, or undefined if nothing can be undone
+ */
+function buildAgentUndoKeyboard(agentRun, locale) {
+  const undoable = getUndoableAgentActions(agentRun);
+
+  if (undoable.length === 0) {
+    return undefined;
+  }
+
+  return Markup.inlineKeyboard(
+    undoable.map(action => [
+      Markup.button.callback(t(locale, 'notify.undoButton', { number: action.issueNumber }), `undo_${action.operationId}`),
+    ])
+  ).reply_markup;
+}
+
+/**
+ * Gets the reaction emoji for a multi-action message
+ *
+ * @param {Object[]} actionResults - Results of all fanned-out actions
+ * @returns {string} Emoji reaction
+ */
+function getConsolidatedEmoji(actionResults) {
+  const succeeded = actionResults.filter(actionResult => actionResult.result?.success);
+
+  if (succeeded.length === 0) {
+    return '😱';
+  }
+
+  const intents = new Set(succeeded.map(actionResult => actionResult.intent.intent));
+  return intents.size === 1 ? getSuccessEmoji([...intents][0]) : '👌';
 }
 
 /**
@@ -84,6 +444,58 @@ export async function notifyNode(state) {
       throw new Error('Missing chat ID or message ID for notification');
     }
 
+    // Free-form request handled by the GitHub agent
+    if (state.agentRun) {
+      const locale = getReplyLocale(state);
+      const { agentRun } = state;
+      const succeeded = agentRun.actions.some(action => action.success);
+
+      await setReaction(chatId, messageId, succeeded ? '👌' : '🤷');
+
+      const feedbackMessageId = await postFeedback(
+        chatId,
+        messageId,
+        formatAgentFeedbackMessage(agentRun, locale),
+        state.operationId || getUndoableAgentActions(agentRun)[0]?.operationId,
+        { replyMarkup: buildAgentUndoKeyboard(agentRun, locale) }
+      );
+
+      return {
+        ...state,
+        status: WorkflowStatus.COMPLETED,
+        timestamps: {
+          ...state.timestamps,
+          completedAt: Date.now(),
+        },
+        feedbackMessageId,
+      };
+    }
+
+    // Several actions fanned out - post a single consolidated message
+    if (state.actionResults?.length > 0) {
+      const locale = getReplyLocale(state);
+
+      await setReaction(chatId, messageId, getConsolidatedEmoji(state.actionResults));
+
+      const feedbackMessageId = await postFeedback(
+        chatId,
+        messageId,
+        formatConsolidatedFeedbackMessage(state.actionResults, locale),
+        state.operationId || getUndoableResults(state.actionResults)[0]?.operationId,
+        { replyMarkup: buildUndoKeyboard(state.actionResults, locale) }
+      );
+
+      return {
+        ...state,
+        status: WorkflowStatus.COMPLETED,
+        timestamps: {
+          ...state.timestamps,
+          completedAt: Date.now(),
+        },
+        feedbackMessageId,
+      };
+    }
+
     // Update reaction to success emoji
     const emoji = result?.success
       ? getSuccessEmoji(intent.intent)
@@ -91,9 +503,12 @@ export async function notifyNode(state) {
 
     await setReaction(chatId, messageId, emoji);
 
-    // Post feedback message
+    // Post feedback message; search results stay until dismissed and page with buttons
     const feedbackMessage = formatFeedbackMessage(state);
-    const feedbackMessageId = await postFeedback(chatId, messageId, feedbackMessage, state.operationId);
+    const feedbackOptions = isSearchResult(state)
+      ? { persistent: true, replyMarkup: buildSearchKeyboard(state.operationId, toResultPage(result), getReplyLocale(state)) }
+      : {};
+    const feedbackMessageId = await postFeedback(chatId, messageId, feedbackMessage, state.operationId, feedbackOptions);
 
     return {
       ...state,
@@ -0,0 +1,238 @@
+/**
+ * Preview Nodes
+ * Show a draft of the issue and wait for confirmation before creating it
+ *
+ * Used by groups with draft mode enabled (group_configs.settings.draftMode).
+ * The workflow is paused with a LangGraph interrupt after the preview card is
+ * posted and resumed from a callback query or a title reply.
+ */
+
+import { Markup } from 'telegraf';
+import { interrupt } from '@langchain/langgraph';
+import { escapeMarkdownV1 } from 'telegram-escape';
+import { setReaction, StatusReactions } from '../../services/telegram/reactions.js';
+import { postFeedback, editFeedback } from '../../services/telegram/feedback.js';
+import { sanitizeTitle } from '../../utils/sanitize.js';
+import { WorkflowStatus, GitHubOperationType } from '../state-schema.js';
+import { t, getMessageLocale } from '../../i18n/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Decisions that resume a paused draft
+ * Used in callback data: draft_<operationId>_<decision>
+ * @enum {string}
+ */
+export const DraftDecision = {
+  CREATE: 'create',
+  EDIT: 'edit',
+  CANCEL: 'cancel',
+};
+
+/**
+ * Maximum length of the body excerpt shown on the preview card
+ */
+const BODY_EXCERPT_LENGTH = 300;
+
+/**
+ * Checks whether a group has draft mode enabled
+ *
+ * @param {Object|null} groupConfig - Group configuration
+ * @returns {boolean} True if new issues must be confirmed first
+ */
+export function isDraftModeEnabled(groupConfig) {
+  return groupConfig?.settings?.draftMode === true;
+}
+
+/**
+ * Checks whether the formatted operation must be previewed before execution
+ * Only issue creation is drafted; edits to existing issues run directly
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {boolean} True if the operation needs confirmation
+ */
+export function requiresConfirmation(state) {
+  return isDraftModeEnabled(state.groupConfig)
+    && state.githubOperation?.type === GitHubOperationType.CREATE;
+}
+
+/**
+ * Builds the body excerpt shown on the preview card
+ * Drops the TeleGit metadata footer and truncates long descriptions
+ *
+ * @param {string} body - Formatted issue body
+ * @returns {string} Body excerpt
+ */
+function formatBodyExcerpt(body) {
+  const description = (body || '').split('\n\n---\n\n')[0].trim();
+
+  if (description.length <= BODY_EXCERPT_LENGTH) {
+    return description;
+  }
+
+  return `${description.substring(0, BODY_EXCERPT_LENGTH).trimEnd()}…`;
+}
+
+/**
+ * Formats the preview card text
+ *
+ * @param {Object} data - Issue data of the GitHub operation
+ * @param {string} locale - Reply locale
+ * @returns {string} Preview message (Markdown)
+ */
+function formatPreviewMessage(data, locale) {
+  const none = t(locale, 'preview.none');
+  const labels = data.labels?.length ? data.labels.join(', ') : none;
+  const assignees = data.assignees?.length ? data.assignees.map(login => `@${login}`).join(', ') : none;
+  const excerpt = formatBodyExcerpt(data.body);
+
+  const lines = [
+    t(locale, 'preview.header'),
+    '',
+    t(locale, 'preview.title', { title: escapeMarkdownV1(data.title || '') }),
+    t(locale, 'preview.labels', { labels: escapeMarkdownV1(labels) }),
+    t(locale, 'preview.assignees', { assignees: escapeMarkdownV1(assignees) }),
+  ];
+
+  if (data.milestone) {
+    lines.push(t(locale, 'preview.milestone', { milestone: escapeMarkdownV1(data.milestone) }));
+  }
+
+  if (data.project) {
+    const status = data.projectStatus ? ` → ${data.projectStatus}` : '';
+    lines.push(t(locale, 'preview.project', { project: escapeMarkdownV1(data.project + status) }));
+  }
+
+  if (excerpt) {
+    lines.push('', escapeMarkdownV1(excerpt));
+  }
+
+  lines.push('', t(locale, 'preview.confirm'));
+
+  return lines.join('\n');
+}
+
+/**
+ * Builds the inline keyboard for the preview card
+ *
+ * @param {string} operationId - Operation the workflow is keyed by
+ * @param {string} locale - Reply locale
+ * @returns {Object} Inline keyboard markup
+ */
+function buildPreviewKeyboard(operationId, locale) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback(t(locale, 'preview.createButton'), `draft_${operationId}_${DraftDecision.CREATE}`),
+      Markup.button.callback(t(locale, 'preview.editButton'), `draft_${operationId}_${DraftDecision.EDIT}`),
+    ],
+    [
+      Markup.button.callback(t(locale, 'preview.cancelButton'), `draft_${operationId}_${DraftDecision.CANCEL}`),
+    ],
+  ]).reply_markup;
+}
+
+/**
+ * Preview node - posts the draft card, or refreshes it after a title edit
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {Promise<Object>} Updated state with the preview card
+ */
+export async function previewNode(state) {
+  try {
+    const { telegramMessage, githubOperation, operationId, draft } = state;
+    const chatId = telegramMessage?.chat?.id;
+    const messageId = telegramMessage?.message_id;
+
+    if (!chatId || !messageId) {
+      throw new Error('Missing chat ID or message ID for preview');
+    }
+
+    const locale = state.language || getMessageLocale(telegramMessage);
+    const message = formatPreviewMessage(githubOperation.data, locale);
+    const replyMarkup = buildPreviewKeyboard(operationId, locale);
+    let previewMessageId = draft?.messageId;
+
+    if (previewMessageId) {
+      await editFeedback(chatId, previewMessageId, message, { replyMarkup });
+    } else {
+      await setReaction(chatId, messageId, StatusReactions.PROCESSING);
+
+      // Kept until decided: the workflow waits for the decision far longer than feedback lives
+      const feedback = await postFeedback(chatId, messageId, message, operationId, { persistent: true, replyMarkup });
+      previewMessageId = feedback.messageId;
+    }
+
+    return {
+      ...state,
+      draft: {
+        messageId: previewMessageId,
+        decision: draft?.decision ?? null,
+        previewedAt: Date.now(),
+      },
+      status: WorkflowStatus.AWAITING_CONFIRMATION,
+    };
+  } catch (error) {
+    logger.error({
+      err: error,
+      chatId: state.telegramMessage?.chat?.id,
+      messageId: state.telegramMessage?.message_id,
+    }, 'Error in preview node');
+
+    return {
+      ...state,
+      error: {
+        message: `Failed to post issue preview: ${error.message}`,
+        code: 'PREVIEW_ERROR',
+        details: error.stack,
+      },
+      status: WorkflowStatus.ERROR,
+    };
+  }
+}
+
+/**
+ * Await confirmation node - pauses until the draft is confirmed, edited or cancelled
+ * Runs again from the start when resumed, so it must not have side effects
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {Object} Updated state with the decision applied
+ */
+export function awaitConfirmationNode(state) {
+  const answer = interrupt({
+    operationId: state.operationId,
+    messageId: state.draft?.messageId,
+  });
+
+  const decision = answer?.decision;
+
+  if (decision === DraftDecision.CREATE) {
+    return {
+      ...state,
+      draft: { ...state.draft, decision },
+      status: WorkflowStatus.PROCESSING,
+    };
+  }
+
+  if (decision === DraftDecision.EDIT) {
+    const { githubOperation } = state;
+    const title = sanitizeTitle(answer.title) || githubOperation.data.title;
+
+    return {
+      ...state,
+      githubOperation: {
+        ...githubOperation,
+        data: { ...githubOperation.data, title },
+      },
+      draft: { ...state.draft, decision },
+    };
+  }
+
+  return {
+    ...state,
+    draft: { ...state.draft, decision: DraftDecision.CANCEL },
+    status: WorkflowStatus.COMPLETED,
+    timestamps: {
+      ...state.timestamps,
+      completedAt: Date.now(),
+    },
+  };
+}
@@ -6,7 +6,7 @@
  */
 
 import { OperationsRepository } from '../../database/repositories/operations.js';
-import { WorkflowStatus } from '../state-schema.js';
+import { WorkflowStatus, GitHubOperationType, ClassificationSource } from '../state-schema.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -29,10 +29,17 @@ export async function storeNode(state) {
         userId: telegramMessage?.from?.id,
         intentType: intent?.intent,
         confidence: intent?.confidence,
-        githubIssueNumber: result?.issueNumber || null,
+        classifiedBy: intent?.classifiedBy || ClassificationSource.LLM,
+        degraded: Boolean(intent?.degraded),
+        language: state.language,
+        // Looked up by number (/why), so never stored as a string
+        githubIssueNumber: Number(result?.issueNumber) || null,
+        repository: githubOperation?.repository,
         title: githubOperation?.data?.title,
         labels: githubOperation?.data?.labels,
         assignees: githubOperation?.data?.assignees,
+        // Kept so result pages can re-run the search
+        ...(githubOperation?.type === GitHubOperationType.SEARCH ? { search: githubOperation.data } : {}),
       },
       status: result?.success ? 'completed' : 'pending',
     };
@@ -5,18 +5,68 @@
  * Task 4.4.1: Implement Message Processor
  */
 
-import { executeWorkflow, getWorkflowStats } from './workflow.js';
+import { executeWorkflow, resumeWorkflow, recoverWorkflow, getWorkflowStats } from './workflow.js';
 import { createInitialState } from './state-schema.js';
+import { buildOperationTrace } from './trace.js';
 import { ConfigRepository } from '../database/repositories/config.js';
+import { OperationsRepository } from '../database/repositories/operations.js';
 import { gatherThreadContext } from '../services/telegram/thread-context.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Stores the run's trace on every operation it recorded
+ * Fanned-out actions get the steps of their own branch; failures are only logged
+ *
+ * @param {Object} result - Final workflow state
+ * @returns {Promise<void>}
+ */
+async function storeWorkflowTrace(result) {
+  if (!result?.trace?.length) {
+    return;
+  }
+
+  // Operation ID -> fanned-out action index (null for the whole run)
+  const targets = new Map();
+
+  if (result.operationId) {
+    targets.set(String(result.operationId), null);
+  }
+
+  for (const entry of result.actionResults || []) {
+    if (entry.operationId) {
+      targets.set(entry.operationId, entry.index);
+    }
+  }
+
+  // Drafted actions stored before the last one
+  for (const operationId of result.draftQueue?.operationIds || []) {
+    targets.set(operationId, null);
+  }
+
+  for (const action of result.agentRun?.actions || []) {
+    if (action.operationId) {
+      targets.set(action.operationId, null);
+    }
+  }
+
+  const operationsRepo = new OperationsRepository();
+
+  await Promise.all([...targets].map(async ([operationId, actionIndex]) => {
+    try {
+      await operationsRepo.updateOperationTrace(operationId, buildOperationTrace(result, actionIndex));
+    } catch (error) {
+      logger.warn({ err: error, operationId }, 'Failed to store workflow trace');
+    }
+  }));
+}
+
 /**
  * Processes a Telegram message through the AI workflow
  *
  * @param {Object} telegramMessage - Telegram message object
  * @param {Object} options - Processing options
  * @param {boolean} [options.skipContextGathering] - Skip conversation context gathering
+ * @param {Object[]} [options.threadContext] - Thread context already gathered by the message handler
  * @returns {Promise<Object>} Workflow result with statistics
  * @throws {Error} If processing fails critically
  */
@@ -45,9 +95,9 @@ export async function processMessage(telegramMessage, options = {}) {
       );
     }
 
-    // Gather conversation context if message is a reply
-    let conversationContext = null;
-    if (!options.skipContextGathering && telegramMessage.reply_to_message) {
+    // Use the thread context gathered by the message handler, or gather it if the message is a reply
+    let conversationContext = options.threadContext?.length > 1 ? options.threadContext : null;
+    if (!conversationContext && !options.skipContextGathering && telegramMessage.reply_to_message) {
       try {
         // gatherThreadContext expects a Telegraf context object with a message property
         const mockCtx = { message: telegramMessage };
@@ -65,6 +115,7 @@ export async function processMessage(telegramMessage, options = {}) {
 
     // Execute workflow
     const result = await executeWorkflow(initialState);
+    await storeWorkflowTrace(result);
 
     // Get workflow statistics
     const stats = getWorkflowStats(result);
@@ -96,6 +147,80 @@ export async function processMessage(telegramMessage, options = {}) {
   }
 }
 
+/**
+ * Resumes processing of a message that was paused for user input
+ *
+ * @param {string} operationId - Operation ID the workflow is keyed by
+ * @param {string|Object} answer - Clarification choice (bug, task, idea, ignore),
+ *   draft decision ({ decision, title }) or duplicate decision ({ decision, issueNumber })
+ * @returns {Promise<Object|null>} Workflow result with statistics, or null if nothing was waiting
+ */
+export async function resumeMessageProcessing(operationId, answer) {
+  const startTime = Date.now();
+
+  const result = await resumeWorkflow(operationId, answer);
+
+  if (!result) {
+    return null;
+  }
+
+  await storeWorkflowTrace(result);
+
+  const stats = getWorkflowStats(result);
+
+  logger.info({
+    operationId,
+    chatId: result.telegramMessage?.chat?.id,
+    messageId: result.telegramMessage?.message_id,
+    intent: stats.intent,
+    status: stats.status,
+    success: stats.success,
+  }, 'Resumed message processing completed');
+
+  return {
+    success: stats.success,
+    result,
+    stats,
+    processingTime: Date.now() - startTime,
+  };
+}
+
+/**
+ * Finishes processing of a message interrupted by a crash or restart
+ *
+ * @param {string} operationId - Operation ID the workflow is keyed by
+ * @returns {Promise<Object|null>} Workflow result with statistics, or null if nothing was interrupted
+ */
+export async function recoverMessageProcessing(operationId) {
+  const startTime = Date.now();
+
+  const result = await recoverWorkflow(operationId);
+
+  if (!result) {
+    return null;
+  }
+
+  await storeWorkflowTrace(result);
+
+  const stats = getWorkflowStats(result);
+
+  logger.info({
+    operationId,
+    chatId: result.telegramMessage?.chat?.id,
+    messageId: result.telegramMessage?.message_id,
+    intent: stats.intent,
+    status: stats.status,
+    success: stats.success,
+  }, 'Recovered message processing completed');
+
+  return {
+    success: stats.success,
+    result,
+    stats,
+    processingTime: Date.now() - startTime,
+  };
+}
+
 /**
  * Batch processes multiple messages
  * Useful for testing and evaluation
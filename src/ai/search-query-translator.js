@@ -0,0 +1,316 @@
+/**
+ * Search Query Translator
+ * Turns natural-language search requests into GitHub search qualifiers
+ *
+ * The LLM only extracts structured filters; dates and people are resolved
+ * here so the resulting qualifiers are deterministic for a given request.
+ */
+
+import { StructuredOutputParser } from '@langchain/core/output_parsers';
+import { PromptTemplate } from '@langchain/core/prompts';
+import { z } from 'zod';
+import { getClassifierLLMClient, extractJsonText } from './llm-client.js';
+import { createUsageCallbacks, UsagePurpose } from './token-usage.js';
+import { IdentityRepository } from '../database/repositories/identities.js';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Words the LLM uses for the sender of the request
+ */
+const SELF_REFERENCES = new Set(['me', 'myself']);
+
+/**
+ * Schema for extracted search filters
+ */
+const searchFiltersSchema = z.object({
+  keywords: z.string()
+    .describe('Free-text words to match in issue titles and bodies'),
+
+  state: z.enum(['open', 'closed', 'all'])
+    .describe('Issue state to search'),
+
+  labels: z.array(z.string())
+    .describe('Labels the issues must have'),
+
+  assignees: z.array(z.string())
+    .describe('People the issues are assigned to, as written in the message, or "me"'),
+
+  authors: z.array(z.string())
+    .describe('People who opened the issues, as written in the message, or "me"'),
+
+  unassigned: z.boolean()
+    .optional()
+    .describe('True for issues nobody is assigned to'),
+
+  created: z.string()
+    .optional()
+    .describe('When the issues were created, in one of the documented date forms'),
+
+  updated: z.string()
+    .optional()
+    .describe('When the issues were last updated, in one of the documented date forms'),
+
+  closed: z.string()
+    .optional()
+    .describe('When the issues were closed, in one of the documented date forms'),
+});
+
+const parser = StructuredOutputParser.fromZodSchema(searchFiltersSchema);
+
+/**
+ * Days to go back per relative date unit (months and years use calendar arithmetic)
+ */
+const UNIT_DAYS = { day: 1, week: 7 };
+
+/**
+ * Formats a date as YYYY-MM-DD (UTC)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Moves a date back by a number of units
+ *
+ * @param {Date} now - Reference date
+ * @param {number} amount - Number of units
+ * @param {string} unit - day, week, month or year
+ * @returns {Date} Earlier date
+ */
+function subtractUnits(now, amount, unit) {
+  const date = new Date(now);
+
+  if (unit === 'month') {
+    date.setUTCMonth(date.getUTCMonth() - amount);
+  } else if (unit === 'year') {
+    date.setUTCFullYear(date.getUTCFullYear() - amount);
+  } else {
+    date.setUTCDate(date.getUTCDate() - amount * UNIT_DAYS[unit]);
+  }
+
+  return date;
+}
+
+/**
+ * Resolves a date expression to a date range
+ * Dates are calendar days in UTC; weeks start on Monday
+ *
+ * @param {string} expression - Date expression in one of the forms the prompt allows
+ * @param {Date} [now] - Reference date
+ * @returns {{from: string|null, to: string|null}|null} Date range (YYYY-MM-DD), or null if not understood
+ */
+export function resolveDateRange(expression, now = new Date()) {
+  const text = String(expression || '').trim().toLowerCase();
+  const today = toDateString(now);
+  let match;
+
+  if (!text) {
+    return null;
+  }
+
+  if (text === 'today') {
+    return { from: today, to: today };
+  }
+
+  if (text === 'yesterday') {
+    const yesterday = toDateString(subtractUnits(now, 1, 'day'));
+    return { from: yesterday, to: yesterday };
+  }
+
+  if (text === 'this week') {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    return { from: toDateString(subtractUnits(now, daysSinceMonday, 'day')), to: null };
+  }
+
+  if (text === 'this month') {
+    return { from: `${today.slice(0, 7)}-01`, to: null };
+  }
+
+  if (text === 'this year') {
+    return { from: `${today.slice(0, 4)}-01-01`, to: null };
+  }
+
+  if ((match = text.match(/^(?:last|past)\s+(?:(\d+)\s+)?(day|week|month|year)s?$/))) {
+    const amount = match[1] ? parseInt(match[1], 10) : 1;
+    return { from: toDateString(subtractUnits(now, amount, match[2])), to: null };
+  }
+
+  if ((match = text.match(/^(\d+)\s+(day|week|month|year)s?\s+ago$/))) {
+    const day = toDateString(subtractUnits(now, parseInt(match[1], 10), match[2]));
+    return { from: day, to: day };
+  }
+
+  if ((match = text.match(/^(\d{4}-\d{2}-\d{2})\s*\.\.\s*(\d{4}-\d{2}-\d{2})$/))) {
+    return { from: match[1], to: match[2] };
+  }
+
+  if ((match = text.match(/^(>=|>|<=|<)?\s*(\d{4}-\d{2}-\d{2})$/))) {
+    const [, operator, day] = match;
+
+    if (!operator) {
+      return { from: day, to: day };
+    }
+
+    return operator.startsWith('>') ? { from: day, to: null } : { from: null, to: day };
+  }
+
+  return null;
+}
+
+/**
+ * Formats a date range as a search qualifier
+ *
+ * @param {string} field - Date field (created, updated, closed)
+ * @param {{from: string|null, to: string|null}} range - Date range
+ * @returns {string} Search qualifier
+ */
+function formatDateQualifier(field, { from, to }) {
+  if (from && to) {
+    return from === to ? `${field}:${from}` : `${field}:${from}..${to}`;
+  }
+
+  return from ? `${field}:>=${from}` : `${field}:<=${to}`;
+}
+
+/**
+ * Resolves people named in a search request to GitHub logins
+ * Names match linked identities by Telegram username, GitHub login or the
+ * start of the Telegram display name; "me" is the sender
+ *
+ * @param {string[]} names - People as written in the request
+ * @param {Object} [sender] - Telegram user who sent the request
+ * @returns {Promise<{logins: Map<string, string>, unresolved: string[]}>} Login per name and names that matched nobody
+ */
+export async function resolvePeople(names, sender) {
+  const logins = new Map();
+  const unresolved = [];
+  const wanted = [...new Set(names.map(name => name.trim()).filter(Boolean))];
+
+  if (wanted.length === 0) {
+    return { logins, unresolved };
+  }
+
+  const lookups = wanted.filter(name => !SELF_REFERENCES.has(name.toLowerCase())).map(name => name.replace(/^@/, ''));
+  const identityRepo = new IdentityRepository();
+  const identities = await identityRepo.findIdentities({
+    telegramUserIds: sender?.id && lookups.length < wanted.length ? [sender.id] : [],
+    telegramUsernames: lookups,
+    names: lookups,
+  });
+
+  for (const name of wanted) {
+    const key = name.replace(/^@/, '').toLowerCase();
+    const matches = SELF_REFERENCES.has(key)
+      ? identities.filter(identity => identity.telegramUserId === sender?.id)
+      : identities.filter(identity =>
+        identity.telegramUsername === key ||
+        identity.githubLogin.toLowerCase() === key ||
+        identity.telegramName?.toLowerCase().split(/\s+/)[0] === key ||
+        identity.telegramName?.toLowerCase() === key
+      );
+    const matchedLogins = [...new Set(matches.map(identity => identity.githubLogin))];
+
+    // Several team members with the same first name cannot be told apart
+    if (matchedLogins.length === 1) {
+      logins.set(name, matchedLogins[0]);
+    } else {
+      unresolved.push(name);
+    }
+  }
+
+  return { logins, unresolved };
+}
+
+/**
+ * Loads the search query translation prompt template
+ *
+ * @returns {Promise<string>} Prompt template text
+ * @throws {Error} If prompt file cannot be loaded
+ */
+async function loadPromptTemplate() {
+  const promptPath = join(__dirname, '../../prompts/search-query-translation.txt');
+
+  try {
+    return await readFile(promptPath, 'utf-8');
+  } catch (error) {
+    throw new Error(
+      `Failed to load search query translation prompt from ${promptPath}: ${error.message}\n` +
+      'Make sure the prompts/search-query-translation.txt file exists.'
+    );
+  }
+}
+
+/**
+ * Translates a natural-language search request into GitHub search filters
+ *
+ * @param {Object} params - Translation parameters
+ * @param {string} params.message - Search request text
+ * @param {Object} [params.sender] - Telegram user who sent the request
+ * @param {Date} [params.now] - Reference date for relative dates
+ * @param {Object} [params.usage] - Group and operation the token usage is attributed to ({ groupId, operationId })
+ * @returns {Promise<{keywords: string, state: string, labels: string[], qualifiers: string[], unresolved: string[]}>}
+ *   Search filters; unresolved lists the people and dates that could not be turned into qualifiers
+ * @throws {Error} If the LLM call or parsing fails
+ */
+export async function translateSearchRequest({ message, sender, now = new Date(), usage = {} }) {
+  const promptTemplateText = await loadPromptTemplate();
+  const prompt = PromptTemplate.fromTemplate(promptTemplateText);
+
+  const chain = prompt.pipe(getClassifierLLMClient()).pipe(extractJsonText).pipe(parser);
+
+  const filters = await chain.invoke({
+    format_instructions: parser.getFormatInstructions(),
+    today: toDateString(now),
+    message: message.trim(),
+  }, {
+    callbacks: createUsageCallbacks({ ...usage, purpose: UsagePurpose.SEARCH }),
+  });
+
+  const { logins, unresolved } = await resolvePeople([...filters.assignees, ...filters.authors], sender);
+  const qualifiers = [];
+
+  for (const [field, names] of [['assignee', filters.assignees], ['author', filters.authors]]) {
+    for (const name of names) {
+      if (logins.has(name.trim())) {
+        qualifiers.push(`${field}:${logins.get(name.trim())}`);
+      }
+    }
+  }
+
+  if (filters.unassigned) {
+    qualifiers.push('no:assignee');
+  }
+
+  for (const field of ['created', 'updated', 'closed']) {
+    if (!filters[field]) {
+      continue;
+    }
+
+    const range = resolveDateRange(filters[field], now);
+
+    if (range) {
+      qualifiers.push(formatDateQualifier(field, range));
+    } else {
+      unresolved.push(filters[field]);
+    }
+  }
+
+  logger.debug({ filters, qualifiers, unresolved }, 'Search request translated');
+
+  return {
+    keywords: filters.keywords.trim(),
+    state: filters.state,
+    labels: filters.labels,
+    qualifiers: [...new Set(qualifiers)],
+    unresolved,
+  };
+}
@@ -16,10 +16,28 @@ export const IntentType = {
   CREATE_TASK: 'create_task',
   CREATE_IDEA: 'create_idea',
   UPDATE_ISSUE: 'update_issue',
+  CLOSE_ISSUE: 'close_issue',
+  REOPEN_ISSUE: 'reopen_issue',
+  COMMENT_ISSUE: 'comment_issue',
   SEARCH_ISSUES: 'search_issues',
+  /** Free-form request for the GitHub agent (groups with agent mode on) */
+  AGENT_REQUEST: 'agent_request',
   UNKNOWN: 'unknown',
 };
 
+/**
+ * How a message was classified
+ * @enum {string}
+ */
+export const ClassificationSource = {
+  /** Intent classifier LLM */
+  LLM: 'llm',
+  /** Explicit intent hashtag, without calling the LLM */
+  HASHTAGS: 'hashtags',
+  /** Keyword heuristics while the LLM is unavailable (degraded mode) */
+  HEURISTIC: 'heuristic',
+};
+
 /**
  * GitHub operation types
  * @enum {string}
@@ -27,6 +45,9 @@ export const IntentType = {
 export const GitHubOperationType = {
   CREATE: 'create',
   UPDATE: 'update',
+  CLOSE: 'close',
+  REOPEN: 'reopen',
+  COMMENT: 'comment',
   SEARCH: 'search',
   NONE: 'none',
 };
@@ -39,6 +60,9 @@ export const WorkflowStatus = {
   ANALYZING: 'analyzing',
   PROCESSING: 'processing',
   EXECUTING: 'executing',
+  AWAITING_CLARIFICATION: 'awaiting_clarification',
+  AWAITING_CONFIRMATION: 'awaiting_confirmation',
+  AWAITING_DUPLICATE_DECISION: 'awaiting_duplicate_decision',
   COMPLETED: 'completed',
   ERROR: 'error',
 };
@@ -72,13 +96,50 @@ export const WorkflowState = Annotation.Root({
    * @property {string} entities.description - Issue description
    * @property {string[]} entities.labels - Issue labels
    * @property {string[]} entities.assignees - Issue assignees
-   * @property {string} entities.issueNumber - Issue number (for updates)
+   * @property {string} entities.issueNumber - Issue number (for updates, close, reopen, comment)
+   * @property {string} entities.stateReason - Close reason (completed, not_planned, duplicate)
+   * @property {string} entities.comment - Comment text (for comment and close/reopen notes)
+   * @property {Object[]} actions - Every classified action (same shape as intent); more than one
+   *   when the message contains several requests
+   * @property {string} [classifiedBy] - How the message was classified (see ClassificationSource, LLM if unset)
+   * @property {boolean} [degraded] - Classified by heuristics because the LLM was unavailable
+   * @property {boolean} [budgetExceeded] - The group's monthly LLM budget is used up (no generated body)
    */
   intent: Annotation({
     reducer: (prev, next) => next ?? prev,
     default: () => null,
   }),
 
+  /**
+   * Language of the message (see Locale in src/i18n), used for replies
+   * Set by the analyze node
+   * @type {string|null}
+   */
+  language: Annotation({
+    reducer: (prev, next) => next ?? prev,
+    default: () => null,
+  }),
+
+  /**
+   * Structured issue body generated for the intent type (markdown)
+   * Set by the generate node; null when the intent has no template or generation failed
+   * @type {string|null}
+   */
+  issueBody: Annotation({
+    reducer: (prev, next) => next ?? prev,
+    default: () => null,
+  }),
+
+  /**
+   * Summary of the discussion a new issue is filed from (markdown)
+   * Set by the generate node for long reply threads; null otherwise or when summarization failed
+   * @type {string|null}
+   */
+  threadSummary: Annotation({
+    reducer: (prev, next) => next ?? prev,
+    default: () => null,
+  }),
+
   /**
    * Conversation context from thread (if message is a reply)
    * Array of previous messages in the thread
@@ -96,6 +157,8 @@ export const WorkflowState = Annotation.Root({
    * @property {string} type - Operation type (see GitHubOperationType)
    * @property {string} repository - GitHub repository (owner/repo)
    * @property {Object} data - Operation-specific data
+   * @property {string[]} [unassignedMentions] - Mentions left unassigned for lack of a linked GitHub account
+   * @property {string|null} [translatedFrom] - Language a new issue was translated into English from
    */
   githubOperation: Annotation({
     reducer: (prev, next) => next ?? prev,
@@ -109,12 +172,118 @@ export const WorkflowState = Annotation.Root({
    * @property {string} issueUrl - URL of created/updated issue
    * @property {number} issueNumber - GitHub issue number
    * @property {Object} data - Additional result data
+   * @property {Object[]} [results] - Page of matching issues (search operations)
+   * @property {number} [totalCount] - Number of matching issues (search operations)
+   * @property {boolean} [recovered] - The issue was created by an interrupted run and found on recovery
    */
   result: Annotation({
     reducer: (prev, next) => next ?? prev,
     default: () => null,
   }),
 
+  /**
+   * Per-action results when a message fans out into several actions
+   * Each branch adds one entry; entries are keyed by index so nodes that
+   * return the full state do not duplicate them
+   * @type {Object[]}
+   * @property {number} index - Position of the action in the message
+   * @property {Object} intent - Classified action
+   * @property {Object|null} githubOperation - Formatted GitHub operation
+   * @property {Object|null} result - GitHub operation result
+   * @property {string|null} operationId - Operation ID stored for this action
+   * @property {Object|null} error - Error information for this action
+   */
+  actionResults: Annotation({
+    reducer: (prev, next) => {
+      const merged = new Map(prev.map(entry => [entry.index, entry]));
+      for (const entry of next ?? []) {
+        merged.set(entry.index, entry);
+      }
+      return [...merged.values()].sort((a, b) => a.index - b.index);
+    },
+    default: () => [],
+  }),
+
+  /**
+   * Clarifying question asked for a low-confidence classification
+   * @type {Object|null}
+   * @property {number} messageId - Telegram message ID of the question
+   * @property {string|null} choice - Option picked by the user (bug, task, idea, ignore)
+   * @property {number} askedAt - Timestamp when the question was posted
+   */
+  clarification: Annotation({
+    reducer: (prev, next) => next ?? prev,
+    default: () => null,
+  }),
+
+  /**
+   * Draft preview shown before creating an issue (draft mode groups only)
+   * @type {Object|null}
+   * @property {number} messageId - Telegram message ID of the preview card
+   * @property {string|null} decision - Last decision taken (create, edit, cancel)
+   * @property {number} previewedAt - Timestamp when the preview was last posted or updated
+   */
+  draft: Annotation({
+    reducer: (prev, next) => next ?? prev,
+    default: () => null,
+  }),
+
+  /**
+   * Likely duplicates found before creating an issue
+   * @type {Object|null}
+   * @property {Object[]} candidates - Open issues ({ number, title, url, score }), most similar first
+   * @property {number|null} messageId - Telegram message ID of the duplicate question
+   * @property {string|null} decision - Decision taken (comment, create)
+   * @property {number|null} issueNumber - Issue commented on instead of creating a new one
+   */
+  duplicates: Annotation({
+    reducer: (prev, next) => next ?? prev,
+    default: () => null,
+  }),
+
+  /**
+   * Actions of a multi-action message drafted one at a time (draft mode groups only)
+   * @type {Object|null}
+   * @property {Object[]} actions - Actionable actions in message order
+   * @property {number} index - Position of the action being drafted
+   * @property {string[]} operationIds - Operations stored for the actions already handled
+   */
+  draftQueue: Annotation({
+    reducer: (prev, next) => next ?? prev,
+    default: () => null,
+  }),
+
+  /**
+   * Free-form request handled by the GitHub agent (agent mode groups only)
+   * @type {Object|null}
+   * @property {boolean} [disabled] - True when the group has agent mode off
+   * @property {string} summary - Agent's summary of what it did
+   * @property {Object[]} actions - Tool calls made ({ tool, issueNumber, issueUrl, success, error, undoable, operationId })
+   * @property {number} steps - Number of tool calls made
+   * @property {boolean} stoppedAtLimit - True when the step limit ended the run
+   */
+  agentRun: Annotation({
+    reducer: (prev, next) => next ?? prev,
+    default: () => null,
+  }),
+
+  /**
+   * Per-node trace of the run, oldest first (see src/ai/trace.js)
+   * Every traced node appends one entry; entries survive pauses and recovery
+   * @type {Object[]}
+   * @property {string} node - Node name
+   * @property {number} [action] - Index of the fanned-out action the entry belongs to
+   * @property {number} startedAt - Timestamp when the node started
+   * @property {number} durationMs - Node duration in milliseconds
+   * @property {Object} input - Workflow channels the node was called with (redacted)
+   * @property {Object} output - Workflow channels the node changed (redacted)
+   * @property {Object|null} error - Error the node reported ({ message, code })
+   */
+  trace: Annotation({
+    reducer: (prev, next) => prev.concat(next ?? []),
+    default: () => [],
+  }),
+
   /**
    * Error information if workflow fails
    * @type {Object|null}
@@ -189,9 +358,19 @@ export function createInitialState(telegramMessage, groupConfig) {
     telegramMessage,
     groupConfig,
     intent: null,
+    language: null,
+    issueBody: null,
+    threadSummary: null,
     conversationContext: null,
     githubOperation: null,
     result: null,
+    actionResults: [],
+    clarification: null,
+    draft: null,
+    duplicates: null,
+    draftQueue: null,
+    agentRun: null,
+    trace: [],
     error: null,
     status: WorkflowStatus.ANALYZING,
     timestamps: {
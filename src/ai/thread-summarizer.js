@@ -0,0 +1,181 @@
+/**
+ * Thread Summarizer
+ * Uses LLM to summarize the discussion an issue was filed from
+ *
+ * Issues filed as a reply deep in a discussion get a "Discussion summary"
+ * section with the participants, key facts and decisions, so the issue stands
+ * on its own; the format node keeps the original messages in a collapsible block.
+ */
+
+import { StructuredOutputParser } from '@langchain/core/output_parsers';
+import { PromptTemplate } from '@langchain/core/prompts';
+import { z } from 'zod';
+import { getGeneratorLLMClient, extractJsonText } from './llm-client.js';
+import { createUsageCallbacks, UsagePurpose } from './token-usage.js';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Fewest thread messages (including the triggering one) that get summarized
+ */
+export const MIN_THREAD_MESSAGES = 3;
+
+/**
+ * Schema for discussion summaries
+ */
+const summarySchema = z.object({
+  overview: z.string()
+    .describe('One or two sentences on what the discussion is about'),
+
+  keyFacts: z.array(z.string())
+    .describe('Concrete facts that came up in the discussion'),
+
+  decisions: z.array(z.string())
+    .describe('What the participants agreed on or decided to do, empty if nothing was decided'),
+});
+
+const parser = StructuredOutputParser.fromZodSchema(summarySchema);
+
+/**
+ * Loads the thread summary prompt template
+ *
+ * @returns {Promise<string>} Prompt template text
+ * @throws {Error} If prompt file cannot be loaded
+ */
+async function loadPromptTemplate() {
+  const promptPath = join(__dirname, '../../prompts/thread-summary.txt');
+
+  try {
+    return await readFile(promptPath, 'utf-8');
+  } catch (error) {
+    throw new Error(
+      `Failed to load thread summary prompt from ${promptPath}: ${error.message}\n` +
+      'Make sure the prompts/thread-summary.txt file exists.'
+    );
+  }
+}
+
+/**
+ * Gets the display name of a thread message's author
+ * Accepts both gathered thread messages and raw Telegram messages
+ *
+ * @param {Object} message - Thread message
+ * @returns {string} @username, first name or "Unknown"
+ */
+export function getSpeakerName(message) {
+  const username = message.username || message.from?.username;
+
+  if (username) {
+    return `@${username}`;
+  }
+
+  return message.firstName || message.from?.first_name || 'Unknown';
+}
+
+/**
+ * Gets the text of a thread message, with a placeholder for media without caption
+ *
+ * @param {Object} message - Thread message
+ * @returns {string} Message text
+ */
+export function getThreadMessageText(message) {
+  if (message.text || message.caption) {
+    return message.text || message.caption;
+  }
+
+  if (message.hasPhoto || message.photo) return '[photo]';
+  if (message.hasVideo || message.video) return '[video]';
+  if (message.hasVoice || message.voice || message.audio) return '[voice message]';
+  if (message.hasDocument || message.document) return '[document]';
+
+  return '[media message]';
+}
+
+/**
+ * Checks whether a thread is long enough to be summarized
+ *
+ * @param {Object[]|null} messages - Thread messages, oldest first
+ * @returns {boolean} True if the thread has at least MIN_THREAD_MESSAGES messages
+ */
+export function isLongThread(messages) {
+  return (messages?.length || 0) >= MIN_THREAD_MESSAGES;
+}
+
+/**
+ * Lists the participants of a thread in order of their first message
+ *
+ * @param {Object[]} messages - Thread messages, oldest first
+ * @returns {{name: string, messageCount: number}[]} Participants
+ */
+export function getParticipants(messages) {
+  const participants = new Map();
+
+  for (const message of messages) {
+    const name = getSpeakerName(message);
+    const participant = participants.get(name) || { name, messageCount: 0 };
+    participant.messageCount += 1;
+    participants.set(name, participant);
+  }
+
+  return [...participants.values()];
+}
+
+/**
+ * Renders a discussion summary as markdown
+ * Names are code spans so Telegram usernames don't mention GitHub users
+ *
+ * @param {Object} summary - Parsed summary
+ * @param {{name: string, messageCount: number}[]} participants - Thread participants
+ * @returns {string} Markdown section
+ */
+function renderSummary(summary, participants) {
+  const names = participants.map(({ name, messageCount }) => `\`${name}\` (${messageCount})`).join(', ');
+  const parts = [
+    '### Discussion summary',
+    summary.overview.trim(),
+    `**Participants:** ${names}`,
+  ];
+
+  if (summary.keyFacts.length > 0) {
+    parts.push(`**Key facts**\n\n${summary.keyFacts.map(fact => `- ${fact}`).join('\n')}`);
+  }
+
+  if (summary.decisions.length > 0) {
+    parts.push(`**Decisions**\n\n${summary.decisions.map(decision => `- ${decision}`).join('\n')}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Summarizes the discussion an issue is filed from
+ *
+ * @param {Object} params - Summary parameters
+ * @param {Object[]} params.messages - Thread messages, oldest first, ending with the triggering message
+ * @param {Object} [params.usage] - Group and operation the token usage is attributed to ({ groupId, operationId })
+ * @returns {Promise<string>} "Discussion summary" markdown section
+ * @throws {Error} If summarization fails
+ */
+export async function summarizeThread({ messages, usage = {} }) {
+  const promptTemplateText = await loadPromptTemplate();
+  const prompt = PromptTemplate.fromTemplate(promptTemplateText);
+
+  // Output is normalized so every provider parses the same way
+  const chain = prompt.pipe(getGeneratorLLMClient()).pipe(extractJsonText).pipe(parser);
+
+  const result = await chain.invoke({
+    format_instructions: parser.getFormatInstructions(),
+    discussion: messages.map(message => `${getSpeakerName(message)}: ${getThreadMessageText(message)}`).join('\n'),
+  }, {
+    callbacks: createUsageCallbacks({ ...usage, purpose: UsagePurpose.SUMMARY }),
+  });
+
+  logger.debug({ messageCount: messages.length }, 'Thread summarized');
+
+  return renderSummary(result, getParticipants(messages));
+}
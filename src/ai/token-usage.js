@@ -0,0 +1,222 @@
+/**
+ * Token Usage
+ * Attributes LLM token usage and estimated cost to groups and enforces monthly budgets
+ *
+ * Every classifier, generator and translator call gets a callback that records the tokens
+ * the provider reported. Groups can set a monthly token budget (see /budget);
+ * once it is used up, messages are either limited to the hashtag fast path or
+ * not processed at all until the next month.
+ */
+
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { getConfig } from '../../config/env.js';
+import { UsageRepository } from '../database/repositories/usage.js';
+import { llmTokensUsed, incrementCounter } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+/**
+ * What an LLM call was made for
+ * @enum {string}
+ */
+export const UsagePurpose = {
+  CLASSIFICATION: 'classification',
+  GENERATION: 'generation',
+  SEARCH: 'search',
+  TRANSLATION: 'translation',
+  AGENT: 'agent',
+  SUMMARY: 'summary',
+};
+
+/**
+ * What happens to a group's messages once its monthly budget is used up
+ * @enum {string}
+ */
+export const BudgetAction = {
+  /** Only messages the hashtag fast path classifies are processed, without generated bodies */
+  HASHTAGS: 'hashtags',
+  /** No messages are processed */
+  PAUSE: 'pause',
+};
+
+/**
+ * USD per million prompt (input) and completion (output) tokens, matched by model name prefix
+ */
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+};
+
+/**
+ * Price list prefixes, longest first so gpt-4o-mini wins over gpt-4o and gpt-4
+ */
+const MODEL_PREFIXES = Object.keys(MODEL_PRICES).sort((a, b) => b.length - a.length);
+
+/**
+ * Gets the price of a model
+ * Configured prices take precedence over the built-in price list
+ *
+ * @param {string} model - Model name
+ * @returns {{input: number, output: number}} USD per million prompt and completion tokens (0 if unknown)
+ */
+export function getModelPrice(model) {
+  const { inputPerMillion, outputPerMillion } = getConfig().llm.pricing;
+
+  if (inputPerMillion !== null || outputPerMillion !== null) {
+    return { input: inputPerMillion ?? 0, output: outputPerMillion ?? 0 };
+  }
+
+  const name = (model || '').toLowerCase();
+  const prefix = MODEL_PREFIXES.find(candidate => name.startsWith(candidate));
+
+  return prefix ? MODEL_PRICES[prefix] : { input: 0, output: 0 };
+}
+
+/**
+ * Estimates the cost of an LLM call
+ *
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Prompt (input) tokens
+ * @param {number} completionTokens - Completion (output) tokens
+ * @returns {number} Estimated cost in USD
+ */
+export function estimateCost(model, promptTokens, completionTokens) {
+  const price = getModelPrice(model);
+  return (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Extracts the token usage from an LLM result
+ * Chat models report usage_metadata on the message; older OpenAI results only
+ * carry llmOutput.tokenUsage
+ *
+ * @param {Object} output - LLMResult passed to handleLLMEnd
+ * @returns {{model: string, promptTokens: number, completionTokens: number}|null} Usage, or null if none was reported
+ */
+export function extractTokenUsage(output) {
+  const message = output?.generations?.[0]?.[0]?.message;
+  const usage = message?.usage_metadata;
+  const tokenUsage = output?.llmOutput?.tokenUsage;
+
+  const promptTokens = usage?.input_tokens ?? tokenUsage?.promptTokens;
+  const completionTokens = usage?.output_tokens ?? tokenUsage?.completionTokens;
+
+  if (promptTokens === undefined && completionTokens === undefined) {
+    return null;
+  }
+
+  return {
+    model: message?.response_metadata?.model_name || message?.response_metadata?.model || 'unknown',
+    promptTokens: promptTokens || 0,
+    completionTokens: completionTokens || 0,
+  };
+}
+
+/**
+ * Creates the callbacks that record the token usage of an LLM call
+ * Pass them as { callbacks } when invoking a chain; recording failures are logged, never thrown
+ *
+ * @param {Object} params - Attribution
+ * @param {string} params.purpose - What the call is for (see UsagePurpose)
+ * @param {number} [params.groupId] - Telegram group the call is made for
+ * @param {string|null} [params.operationId] - Operation the call is made for
+ * @returns {Object[]} LangChain callback handlers
+ */
+export function createUsageCallbacks({ purpose, groupId, operationId = null }) {
+  const handler = BaseCallbackHandler.fromMethods({
+    async handleLLMEnd(output) {
+      const usage = extractTokenUsage(output);
+
+      if (!usage) {
+        return;
+      }
+
+      const { model, promptTokens, completionTokens } = usage;
+
+      incrementCounter(llmTokensUsed, { model, type: 'prompt' }, promptTokens);
+      incrementCounter(llmTokensUsed, { model, type: 'completion' }, completionTokens);
+
+      if (!groupId) {
+        return;
+      }
+
+      try {
+        const usageRepo = new UsageRepository();
+        await usageRepo.recordUsage({
+          telegramGroupId: groupId,
+          operationId,
+          purpose,
+          model,
+          promptTokens,
+          completionTokens,
+          estimatedCost: estimateCost(model, promptTokens, completionTokens),
+        });
+      } catch (error) {
+        logger.warn({ err: error, groupId, operationId, purpose }, 'Failed to record LLM usage');
+      }
+    },
+  });
+
+  return [handler];
+}
+
+/**
+ * Gets the start of the UTC day of a date
+ *
+ * @param {Date} now - Date
+ * @returns {Date} Start of the day
+ */
+export function getDayStart(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Gets the start of the UTC month of a date
+ *
+ * @param {Date} now - Date
+ * @param {number} [offset=0] - Months to add (1 for the next month)
+ * @returns {Date} Start of the month
+ */
+export function getMonthStart(now, offset = 0) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1));
+}
+
+/**
+ * Checks a group's usage against its monthly token budget
+ *
+ * @param {Object} groupConfig - Group configuration (budget in settings.llmBudget)
+ * @param {Date} [now] - Current date
+ * @returns {Promise<{exceeded: boolean, action: string, monthlyTokens: number, usedTokens: number, resetsAt: Date}|null>}
+ *   Budget status, or null if the group has no budget
+ */
+export async function checkBudget(groupConfig, now = new Date()) {
+  const budget = groupConfig?.settings?.llmBudget;
+
+  if (!budget?.monthlyTokens) {
+    return null;
+  }
+
+  const usageRepo = new UsageRepository();
+  const usage = await usageRepo.getGroupUsage(groupConfig.telegramGroupId, getMonthStart(now));
+
+  return {
+    exceeded: usage.totalTokens >= budget.monthlyTokens,
+    action: budget.action || BudgetAction.HASHTAGS,
+    monthlyTokens: budget.monthlyTokens,
+    usedTokens: usage.totalTokens,
+    resetsAt: getMonthStart(now, 1),
+  };
+}
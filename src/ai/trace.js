@@ -0,0 +1,195 @@
+/**
+ * Workflow Trace
+ * Records what every workflow node saw, changed and how long it took
+ *
+ * The trace is stored on the operation document so a manager can ask the bot
+ * why an issue was labeled or routed the way it was (/why <issue#>).
+ */
+
+/**
+ * Longest string kept in a trace entry
+ */
+export const MAX_TRACE_STRING_LENGTH = 500;
+
+/**
+ * Most array items kept in a trace entry
+ */
+const MAX_TRACE_ARRAY_LENGTH = 20;
+
+/**
+ * Deepest object nesting kept in a trace entry
+ */
+const MAX_TRACE_DEPTH = 5;
+
+/**
+ * Channels that stay the same for the whole run (or are the trace itself),
+ * left out of node inputs and outputs
+ */
+const CONTEXT_CHANNELS = ['telegramMessage', 'conversationContext', 'groupConfig', 'timestamps', 'trace'];
+
+/**
+ * Keys whose values are never stored
+ */
+const SECRET_KEY_PATTERN = /token|secret|password|api[-_]?key|authorization|cookie|credential|^pat$/i;
+
+/**
+ * Secrets recognizable by their value (GitHub tokens, OpenAI-style keys, Telegram bot tokens)
+ */
+const SECRET_VALUE_PATTERN = /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,}|sk-[A-Za-z0-9_-]{20,}|\d{6,}:[A-Za-z0-9_-]{30,})\b/g;
+
+/**
+ * Makes a value safe and small enough to store in a trace
+ * Secrets are redacted, long strings and arrays truncated, deep objects cut off
+ *
+ * @param {*} value - Value to store
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+export function redactTraceValue(value, depth = 0) {
+  if (value === null || value === undefined) {
+    return value ?? null;
+  }
+
+  if (typeof value === 'string') {
+    const redacted = value.replace(SECRET_VALUE_PATTERN, '[REDACTED]');
+
+    return redacted.length > MAX_TRACE_STRING_LENGTH
+      ? `${redacted.slice(0, MAX_TRACE_STRING_LENGTH)}… (${redacted.length} chars)`
+      : redacted;
+  }
+
+  if (typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (depth >= MAX_TRACE_DEPTH) {
+    return '[…]';
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_TRACE_ARRAY_LENGTH).map(item => redactTraceValue(item, depth + 1));
+
+    if (value.length > MAX_TRACE_ARRAY_LENGTH) {
+      items.push(`… (${value.length - MAX_TRACE_ARRAY_LENGTH} more)`);
+    }
+
+    return items;
+  }
+
+  const redacted = {};
+
+  for (const [key, entry] of Object.entries(value)) {
+    if (SECRET_KEY_PATTERN.test(key)) {
+      redacted[key] = '[REDACTED]';
+    } else if (entry !== undefined && typeof entry !== 'function') {
+      redacted[key] = redactTraceValue(entry, depth + 1);
+    }
+  }
+
+  return redacted;
+}
+
+/**
+ * Picks the workflow channels a node input is recorded with
+ *
+ * @param {Object} state - State the node was called with
+ * @returns {Object} Redacted channels that are set
+ */
+function getTraceInput(state) {
+  const input = {};
+
+  for (const [key, value] of Object.entries(state)) {
+    const isEmpty = value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+
+    if (!CONTEXT_CHANNELS.includes(key) && !isEmpty) {
+      input[key] = redactTraceValue(value);
+    }
+  }
+
+  return input;
+}
+
+/**
+ * Picks the workflow channels a node changed
+ * Nodes return the full state, so unchanged channels are left out
+ *
+ * @param {Object} state - State the node was called with
+ * @param {Object} output - State update the node returned
+ * @returns {Object} Redacted changed channels
+ */
+function getTraceOutput(state, output) {
+  const changed = {};
+
+  for (const [key, value] of Object.entries(output || {})) {
+    if (!CONTEXT_CHANNELS.includes(key) && value !== state[key]) {
+      changed[key] = redactTraceValue(value);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Wraps a workflow node so every run adds a trace entry
+ * Nodes report failures through state.error; a node that throws ends the run
+ * without an entry, and pauses for user input (interrupts) are not recorded
+ * until the node runs to completion on resume.
+ *
+ * @param {string} name - Node name
+ * @param {Function} node - Node function (state, config) => state update
+ * @returns {Function} Traced node function
+ */
+export function traceNode(name, node) {
+  return async (state, config) => {
+    const startedAt = Date.now();
+    const output = await node(state, config);
+
+    const entry = {
+      node: name,
+      // Fanned-out branches carry the index of their action
+      ...(state.actionIndex !== undefined && { action: state.actionIndex }),
+      startedAt,
+      durationMs: Date.now() - startedAt,
+      input: getTraceInput(state),
+      output: getTraceOutput(state, output),
+      error: output?.error && output.error !== state.error
+        ? { message: output.error.message, code: output.error.code }
+        : null,
+    };
+
+    // Nodes that run a nested graph (processAction) return its entries as a new array
+    const nested = output?.trace && output.trace !== state.trace ? output.trace : [];
+
+    return { ...output, trace: [...nested, entry] };
+  };
+}
+
+/**
+ * Builds the trace stored on an operation document
+ *
+ * @param {Object} state - Final workflow state
+ * @param {number|null} [actionIndex=null] - Fanned-out action the operation belongs to
+ * @returns {Object} Operation trace ({ intent, confidence, classifiedBy, reasoning, error, steps })
+ */
+export function buildOperationTrace(state, actionIndex = null) {
+  const actionResult = actionIndex === null
+    ? null
+    : state.actionResults?.find(entry => entry.index === actionIndex);
+  const intent = actionResult?.intent || state.intent;
+  const error = actionResult ? actionResult.error : state.error;
+
+  return {
+    intent: intent?.intent || null,
+    confidence: intent?.confidence ?? null,
+    classifiedBy: state.intent?.classifiedBy || null,
+    reasoning: redactTraceValue(intent?.reasoning || state.intent?.reasoning || null),
+    error: error ? { message: redactTraceValue(error.message), code: error.code || null } : null,
+    steps: (state.trace || []).filter(step =>
+      actionIndex === null || step.action === undefined || step.action === actionIndex
+    ),
+  };
+}
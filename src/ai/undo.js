@@ -0,0 +1,119 @@
+/**
+ * Operation Undo
+ * Reverts the GitHub change behind a stored operation (undo reaction and buttons)
+ *
+ * Operations are undone according to their operation type: agent actions are
+ * reverted by the GitHub agent, everything else by the regular issue undo.
+ */
+
+import { IntentType } from './state-schema.js';
+import { AGENT_OPERATION_TYPE, undoAgentOperation } from './github-agent.js';
+import { createGitHubTools } from '../integrations/github/github-tools.js';
+import { ConfigRepository } from '../database/repositories/config.js';
+import { t, DEFAULT_LOCALE } from '../i18n/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Comment posted on an issue before it is closed by an undo
+ */
+export const UNDO_COMMENT = 'Undone by TeleGit at the request of the Telegram group.';
+
+/**
+ * Issue state each regular operation type is undone with
+ * Created and reopened issues are closed, closed issues reopened
+ */
+const UNDO_STATES = {
+  [IntentType.CREATE_BUG]: 'closed',
+  [IntentType.CREATE_TASK]: 'closed',
+  [IntentType.CREATE_IDEA]: 'closed',
+  [IntentType.REOPEN_ISSUE]: 'closed',
+  [IntentType.CLOSE_ISSUE]: 'open',
+};
+
+/**
+ * Undoes an operation recorded by the message workflow
+ * Issues the operation created are closed as not planned with an undo comment
+ *
+ * @param {Object} operation - Operation record
+ * @param {string} [locale] - Locale of the confirmation
+ * @returns {Promise<{message: string}>} Confirmation of what was reverted
+ * @throws {Error} If the operation cannot be undone
+ */
+export async function undoIssueOperation(operation, locale = DEFAULT_LOCALE) {
+  const state = UNDO_STATES[operation.operationType];
+  const issueNumber = operation.operationData?.githubIssueNumber;
+
+  if (!state || !issueNumber) {
+    throw new Error('This operation cannot be undone');
+  }
+
+  const groupConfig = await new ConfigRepository().getGroupConfig(operation.telegramGroupId);
+
+  if (!groupConfig?.githubToken) {
+    throw new Error('Missing GitHub token in group configuration');
+  }
+
+  const repository = operation.operationData.repository || groupConfig.githubRepo;
+  const [owner, repo] = (repository || '').split('/');
+
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository format: ${repository}. Expected format: owner/repo`);
+  }
+
+  const tools = await createGitHubTools(groupConfig.githubToken, repository);
+
+  try {
+    const writeTool = tools.getTool('issue_write');
+
+    if (!writeTool) {
+      throw new Error('issue_write tool not available');
+    }
+
+    if (state === 'closed') {
+      const commentTool = tools.getTool('add_issue_comment');
+
+      if (!commentTool) {
+        throw new Error('add_issue_comment tool not available');
+      }
+
+      await commentTool.invoke({ owner, repo, issue_number: issueNumber, body: UNDO_COMMENT });
+    }
+
+    await writeTool.invoke({
+      method: 'update',
+      owner,
+      repo,
+      issue_number: issueNumber,
+      state,
+      ...(state === 'closed' ? { state_reason: 'not_planned' } : {}),
+    });
+
+    logger.info({ operationId: operation.id, issueNumber, state }, 'Operation undone');
+
+    return { message: t(locale, state === 'closed' ? 'undo.closed' : 'undo.reopened', { number: issueNumber }) };
+  } finally {
+    await tools.close();
+  }
+}
+
+/**
+ * Undo functions by operation type; other operations use the regular issue undo
+ */
+const UNDO_HANDLERS = {
+  [AGENT_OPERATION_TYPE]: undoAgentOperation,
+};
+
+/**
+ * Undoes a stored operation
+ * Passed to the undo button and reaction handlers
+ *
+ * @param {Object} operation - Operation record
+ * @param {string} [locale] - Locale of the confirmation
+ * @returns {Promise<{message: string}>} Confirmation of what was reverted
+ * @throws {Error} If the operation cannot be undone
+ */
+export async function undoOperation(operation, locale = DEFAULT_LOCALE) {
+  const undo = UNDO_HANDLERS[operation.operationType] || undoIssueOperation;
+
+  return await undo(operation, locale);
+}
@@ -5,46 +5,135 @@
  * Task 4.3.1: Implement LangGraph Workflow Graph
  */
 
-import { StateGraph, END } from '@langchain/langgraph';
-import { WorkflowState, WorkflowStatus, IntentType } from './state-schema.js';
+import { StateGraph, END, Send, Command } from '@langchain/langgraph';
+import { WorkflowState, WorkflowStatus, IntentType, GitHubOperationType } from './state-schema.js';
 import { analyzeNode } from './nodes/analyze.js';
+import { generateNode } from './nodes/generate.js';
 import { formatNode } from './nodes/format.js';
 import { executeNode } from './nodes/execute.js';
 import { storeNode } from './nodes/store.js';
 import { notifyNode } from './nodes/notify.js';
 import { errorNode } from './nodes/error.js';
+import { clarifyNode, awaitClarificationNode } from './nodes/clarify.js';
+import {
+  previewNode,
+  awaitConfirmationNode,
+  isDraftModeEnabled,
+  requiresConfirmation,
+  DraftDecision,
+} from './nodes/preview.js';
+import { checkDuplicatesNode, awaitDuplicateDecisionNode } from './nodes/duplicates.js';
+import { agentNode } from './nodes/agent.js';
+import { getCheckpointer } from './checkpointer.js';
+import { traceNode } from './trace.js';
 import { getConfig } from '../../config/env.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Nodes a workflow can be paused at while waiting for a user answer
+ */
+const PAUSE_NODES = ['awaitClarification', 'awaitConfirmation', 'awaitDuplicateDecision'];
+
+/**
+ * How far back startup recovery looks for interrupted workflows
+ * Older messages are left alone rather than answered hours late
+ */
+export const RECOVERY_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+
 /**
  * Creates the LangGraph workflow
  *
+ * @param {Object} [options] - Workflow options
+ * @param {Object} [options.checkpointer] - LangGraph checkpointer; required for clarifying questions and drafts
  * @returns {StateGraph} Compiled workflow graph
  */
-export function createWorkflow() {
+export function createWorkflow(options = {}) {
   // Initialize workflow graph with state schema
   const workflow = new StateGraph(WorkflowState);
 
-  // Add nodes to the graph
-  workflow.addNode('analyze', analyzeNode);
-  workflow.addNode('format', formatNode);
-  workflow.addNode('execute', executeNode);
-  workflow.addNode('store', storeNode);
-  workflow.addNode('notify', notifyNode);
-  workflow.addNode('handleError', errorNode);
+  // Add nodes to the graph; every node run is recorded in the trace
+  workflow.addNode('analyze', traceNode('analyze', analyzeNode));
+  workflow.addNode('generate', traceNode('generate', generateNode));
+  workflow.addNode('format', traceNode('format', formatNode));
+  workflow.addNode('execute', traceNode('execute', executeNode));
+  workflow.addNode('store', traceNode('store', storeNode));
+  workflow.addNode('notify', traceNode('notify', notifyNode));
+  workflow.addNode('handleError', traceNode('handleError', errorNode));
+  workflow.addNode('processAction', traceNode('processAction', processActionNode));
+  workflow.addNode('clarify', traceNode('clarify', clarifyNode));
+  workflow.addNode('awaitClarification', traceNode('awaitClarification', awaitClarificationNode));
+  workflow.addNode('preview', traceNode('preview', previewNode));
+  workflow.addNode('awaitConfirmation', traceNode('awaitConfirmation', awaitConfirmationNode));
+  workflow.addNode('checkDuplicates', traceNode('checkDuplicates', checkDuplicatesNode));
+  workflow.addNode('awaitDuplicateDecision', traceNode('awaitDuplicateDecision', awaitDuplicateDecisionNode));
+  workflow.addNode('agent', traceNode('agent', agentNode));
+  workflow.addNode('draftNextAction', traceNode('draftNextAction', draftNextActionNode));
 
   // Set entry point
   workflow.setEntryPoint('analyze');
 
   // Add conditional edges from analyze node
   workflow.addConditionalEdges('analyze', routeAfterAnalysis, {
-    format: 'format',
+    generate: 'generate',
+    processAction: 'processAction',
+    draftNextAction: 'draftNextAction',
+    clarify: 'clarify',
+    agent: 'agent',
     error: 'handleError',
     unknown: END,
   });
 
-  // Add edges from format node
-  workflow.addEdge('format', 'execute');
+  // Free-form requests are planned and run by the GitHub agent
+  workflow.addConditionalEdges('agent', (state) => (state.error ? 'error' : 'notify'), {
+    notify: 'notify',
+    error: 'handleError',
+  });
+
+  // Low-confidence messages wait for the user's answer, then resume at generate
+  workflow.addConditionalEdges('clarify', (state) => (state.error ? 'error' : 'wait'), {
+    wait: 'awaitClarification',
+    error: 'handleError',
+  });
+
+  workflow.addConditionalEdges('awaitClarification', routeAfterClarification, {
+    generate: 'generate',
+    ignore: END,
+  });
+
+  // Draft mode messages with several actions draft them one at a time
+  workflow.addEdge('draftNextAction', 'generate');
+
+  // Structured bodies are generated before formatting
+  workflow.addEdge('generate', 'format');
+
+  // Add edges from format node; draft mode groups confirm new issues first
+  workflow.addConditionalEdges('format', routeAfterFormat, {
+    execute: 'execute',
+    checkDuplicates: 'checkDuplicates',
+    preview: 'preview',
+    skip: END,
+  });
+
+  workflow.addConditionalEdges('preview', (state) => (state.error ? 'error' : 'wait'), {
+    wait: 'awaitConfirmation',
+    error: 'handleError',
+  });
+
+  workflow.addConditionalEdges('awaitConfirmation', routeAfterConfirmation, {
+    checkDuplicates: 'checkDuplicates',
+    preview: 'preview',
+    draftNextAction: 'draftNextAction',
+    cancel: END,
+  });
+
+  // New issues that look like open ones wait for "comment instead" or "create anyway"
+  workflow.addConditionalEdges('checkDuplicates', routeAfterDuplicateCheck, {
+    execute: 'execute',
+    wait: 'awaitDuplicateDecision',
+    error: 'handleError',
+  });
+
+  workflow.addEdge('awaitDuplicateDecision', 'execute');
 
   // Add edges from execute node
   workflow.addEdge('execute', 'store');
@@ -52,22 +141,148 @@ export function createWorkflow() {
   // Add edges from store node
   workflow.addEdge('store', 'notify');
 
-  // Add edges from notify node
-  workflow.addEdge('notify', END);
+  // Fanned-out actions converge on a single notification
+  workflow.addEdge('processAction', 'notify');
+
+  // Add edges from notify node; the next drafted action starts once one is done
+  workflow.addConditionalEdges('notify', (state) => (hasNextDraft(state) ? 'draftNextAction' : 'end'), {
+    draftNextAction: 'draftNextAction',
+    end: END,
+  });
 
   // Add edge from handleError node
   workflow.addEdge('handleError', END);
 
   // Compile the workflow
+  return workflow.compile({ checkpointer: options.checkpointer });
+}
+
+/**
+ * Creates the per-action sub-workflow
+ * Runs generate, format, execute and store for one classified action
+ *
+ * @returns {StateGraph} Compiled action graph
+ */
+export function createActionWorkflow() {
+  const workflow = new StateGraph(WorkflowState);
+
+  workflow.addNode('generate', traceNode('generate', generateNode));
+  workflow.addNode('format', traceNode('format', formatNode));
+  workflow.addNode('execute', traceNode('execute', executeNode));
+  workflow.addNode('store', traceNode('store', storeNode));
+
+  workflow.setEntryPoint('generate');
+  workflow.addEdge('generate', 'format');
+  workflow.addEdge('format', 'execute');
+  workflow.addEdge('execute', 'store');
+  workflow.addEdge('store', END);
+
   return workflow.compile();
 }
 
+/**
+ * Process action node - runs one fanned-out action through the action graph
+ *
+ * @param {Object} state - Workflow state for this action, with actionIndex
+ * @param {Object} [config] - Runnable config; configurable.operationId and recovering are passed on to the action graph
+ * @returns {Promise<Object>} State update with the action result
+ */
+async function processActionNode(state, config) {
+  const { actionIndex, ...actionState } = state;
+
+  // Each action stores its own operation record; side effects are recorded on the message's
+  const finalState = await createActionWorkflow().invoke({
+    ...actionState,
+    operationId: null,
+    actionResults: [],
+    trace: [],
+  }, {
+    configurable: {
+      operationId: config?.configurable?.operationId,
+      actionIndex,
+      ...(config?.configurable?.recovering ? { recovering: true } : {}),
+    },
+  });
+
+  return {
+    actionResults: [{
+      index: actionIndex,
+      intent: finalState.intent,
+      githubOperation: finalState.githubOperation,
+      result: finalState.result,
+      operationId: finalState.operationId,
+      error: finalState.error,
+    }],
+    trace: finalState.trace.map(entry => ({ ...entry, action: actionIndex })),
+  };
+}
+
+/**
+ * Draft next action node - moves a draft mode message on to its next action
+ * Drafts are confirmed one at a time, so each action runs the single-action
+ * path (preview, confirmation, execution) before the next one is drafted
+ *
+ * @param {Object} state - Current workflow state
+ * @param {Object} [config] - Runnable config; configurable.operationId is the message's operation
+ * @returns {Object} State update for the next action
+ */
+function draftNextActionNode(state, config) {
+  const queue = state.draftQueue;
+  const threadOperationId = config?.configurable?.operationId;
+  const operationIds = [...(queue?.operationIds || [])];
+
+  // The store node replaced the message's operation with the one stored for the action
+  if (queue && state.operationId && String(state.operationId) !== threadOperationId) {
+    operationIds.push(String(state.operationId));
+  }
+
+  const actions = queue?.actions
+    || getActionableActions(state.intent, getConfig().llm.intentConfidenceThreshold);
+  const index = queue ? queue.index + 1 : 0;
+
+  // Channels keep their value when a node returns null, so per-action state is reset explicitly
+  return {
+    intent: actions[index],
+    issueBody: '',
+    draft: { messageId: null, decision: null, previewedAt: null },
+    duplicates: { candidates: [], messageId: null, decision: null, issueNumber: null },
+    draftQueue: { actions, index, operationIds },
+    operationId: threadOperationId || state.operationId,
+    status: WorkflowStatus.PROCESSING,
+  };
+}
+
+/**
+ * Checks whether a draft mode message has actions left to draft
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {boolean} True if the next action should be drafted
+ */
+function hasNextDraft(state) {
+  const queue = state.draftQueue;
+  return Boolean(queue) && !state.error && queue.index + 1 < queue.actions.length;
+}
+
+/**
+ * Gets the classified actions that pass the confidence threshold
+ *
+ * @param {Object|null} intent - Classification result
+ * @param {number} threshold - Minimum confidence
+ * @returns {Object[]} Actionable actions in message order
+ */
+function getActionableActions(intent, threshold) {
+  return (intent?.actions || []).filter(action =>
+    action.intent !== IntentType.UNKNOWN && action.confidence >= threshold
+  );
+}
+
 /**
  * Routes the workflow after intent analysis
- * Determines the next node based on the classified intent
+ * Determines the next node based on the classified intent, fanning out
+ * one processAction branch per action when the message contains several
  *
  * @param {Object} state - Current workflow state
- * @returns {string} Next node to execute
+ * @returns {string|Send[]} Next node to execute
  */
 function routeAfterAnalysis(state) {
   // Check for errors during analysis
@@ -75,36 +290,172 @@ function routeAfterAnalysis(state) {
     return 'error';
   }
 
+  const config = getConfig();
+  const threshold = config.llm.intentConfidenceThreshold;
+
+  const actions = getActionableActions(state.intent, threshold);
+
+  // The agent handles the whole message when any part of it needs one
+  if (actions.some(action => action.intent === IntentType.AGENT_REQUEST)) {
+    return 'agent';
+  }
+
+  if (actions.length > 1 && !isDraftModeEnabled(state.groupConfig)) {
+    return actions.map((action, index) =>
+      new Send('processAction', { ...state, intent: action, actionIndex: index })
+    );
+  }
+
+  // Drafts are confirmed one at a time, so draft mode goes through the actions in turn
+  if (actions.length > 1 && state.operationId) {
+    return 'draftNextAction';
+  }
+
   // Check if intent was classified
-  if (!state.intent || state.intent.intent === IntentType.UNKNOWN) {
-    // For unknown intents, end workflow (no GitHub action needed)
+  if (!state.intent) {
     return 'unknown';
   }
 
-  // Check confidence threshold
-  const config = getConfig();
-  const threshold = config.llm.intentConfidenceThreshold;
+  // Confidently unknown intents end the workflow (no GitHub action needed)
+  if (state.intent.intent === IntentType.UNKNOWN && state.intent.confidence >= threshold) {
+    return 'unknown';
+  }
 
+  // Check confidence threshold
   if (state.intent.confidence < threshold) {
-    // Low confidence - treat as unknown
-    return 'unknown';
+    // Low confidence - ask the user when the workflow can be paused and resumed
+    return state.operationId && !state.intent.error ? 'clarify' : 'unknown';
+  }
+
+  // Route to generate node for all actionable intents
+  return 'generate';
+}
+
+/**
+ * Routes the workflow after the clarifying question was answered
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {string} Next node to execute
+ */
+function routeAfterClarification(state) {
+  return state.clarification?.choice === 'ignore' ? 'ignore' : 'generate';
+}
+
+/**
+ * Routes the workflow after formatting
+ * Issues in draft mode groups are previewed; without an operation ID the
+ * workflow cannot pause, so the draft is dropped rather than created unconfirmed
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {string} Next node to execute
+ */
+function routeAfterFormat(state) {
+  if (state.error) {
+    return 'execute';
+  }
+
+  if (requiresConfirmation(state)) {
+    return state.operationId ? 'preview' : 'skip';
   }
 
-  // Route to format node for all actionable intents
-  return 'format';
+  return shouldCheckDuplicates(state) ? 'checkDuplicates' : 'execute';
+}
+
+/**
+ * Routes the workflow after a draft decision
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {string} Next node to execute
+ */
+function routeAfterConfirmation(state) {
+  switch (state.draft?.decision) {
+    case DraftDecision.CREATE:
+      return 'checkDuplicates';
+    case DraftDecision.EDIT:
+      return 'preview';
+    default:
+      return hasNextDraft(state) ? 'draftNextAction' : 'cancel';
+  }
+}
+
+/**
+ * Checks whether a new issue should be compared with open issues first
+ * Asking requires pausing, so workflows without an operation ID skip the check
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {boolean} True if duplicates should be searched for
+ */
+function shouldCheckDuplicates(state) {
+  return Boolean(state.operationId) && state.githubOperation?.type === GitHubOperationType.CREATE;
+}
+
+/**
+ * Routes the workflow after the duplicate search
+ *
+ * @param {Object} state - Current workflow state
+ * @returns {string} Next node to execute
+ */
+function routeAfterDuplicateCheck(state) {
+  if (state.error) {
+    return 'error';
+  }
+
+  return state.duplicates?.messageId ? 'wait' : 'execute';
+}
+
+/**
+ * Builds the LangGraph run config for a workflow keyed by operation ID
+ * Nodes read configurable.operationId to record their side effects on the operation
+ *
+ * @param {string} operationId - Operation ID used as the thread ID
+ * @returns {Object} Runnable config
+ */
+function getThreadConfig(operationId) {
+  return { configurable: { thread_id: String(operationId), operationId: String(operationId) } };
+}
+
+/**
+ * Deletes the checkpoints of a workflow that ran to the end
+ * Paused workflows keep theirs until they are resumed; interrupted ones until they are recovered
+ *
+ * @param {Object} workflow - Compiled workflow
+ * @param {Object} checkpointer - Checkpointer the workflow ran with
+ * @param {string} operationId - Operation ID the workflow is keyed by
+ * @returns {Promise<void>}
+ */
+async function discardFinishedThread(workflow, checkpointer, operationId) {
+  try {
+    const snapshot = await workflow.getState(getThreadConfig(operationId));
+
+    if (!snapshot?.next?.length) {
+      await checkpointer.deleteThread(String(operationId));
+    }
+  } catch (error) {
+    logger.warn({ err: error, operationId }, 'Failed to discard finished workflow checkpoints');
+  }
 }
 
 /**
  * Executes the workflow with the given initial state
+ * Workflows with an operation ID are checkpointed so they can pause for user input
  *
  * @param {Object} initialState - Initial workflow state
+ * @param {Object} [options] - Execution options
+ * @param {Object} [options.checkpointer] - Checkpointer override (defaults to MongoDB)
  * @returns {Promise<Object>} Final workflow state
  * @throws {Error} If workflow execution fails
  */
-export async function executeWorkflow(initialState) {
+export async function executeWorkflow(initialState, options = {}) {
   try {
-    const workflow = createWorkflow();
-    const result = await workflow.invoke(initialState);
+    if (!initialState.operationId) {
+      return await createWorkflow().invoke(initialState);
+    }
+
+    const checkpointer = options.checkpointer || getCheckpointer();
+    const workflow = createWorkflow({ checkpointer });
+    const result = await workflow.invoke(initialState, getThreadConfig(initialState.operationId));
+
+    await discardFinishedThread(workflow, checkpointer, initialState.operationId);
     return result;
   } catch (error) {
     logger.error({
@@ -130,6 +481,152 @@ export async function executeWorkflow(initialState) {
   }
 }
 
+/**
+ * Resumes a workflow paused for user input
+ *
+ * @param {string} operationId - Operation ID the workflow is keyed by
+ * @param {string|Object} answer - Clarification choice (see ClarificationChoices),
+ *   draft decision ({ decision, title }) or duplicate decision ({ decision, issueNumber })
+ * @param {Object} [options] - Execution options
+ * @param {Object} [options.checkpointer] - Checkpointer override (defaults to MongoDB)
+ * @returns {Promise<Object|null>} Final workflow state, or null if nothing was waiting
+ */
+export async function resumeWorkflow(operationId, answer, options = {}) {
+  const checkpointer = options.checkpointer || getCheckpointer();
+  const workflow = createWorkflow({ checkpointer });
+  const config = getThreadConfig(operationId);
+
+  const snapshot = await workflow.getState(config);
+
+  if (!snapshot?.next?.some(node => PAUSE_NODES.includes(node))) {
+    logger.info({ operationId, answer }, 'No paused workflow to resume');
+    return null;
+  }
+
+  try {
+    const result = await workflow.invoke(new Command({ resume: answer }), config);
+
+    await discardFinishedThread(workflow, checkpointer, operationId);
+    return result;
+  } catch (error) {
+    logger.error({ err: error, operationId, answer }, 'Workflow resume error');
+
+    return {
+      ...snapshot.values,
+      error: {
+        message: error.message,
+        code: 'WORKFLOW_EXECUTION_ERROR',
+        details: error.stack,
+      },
+      status: WorkflowStatus.ERROR,
+      timestamps: {
+        ...snapshot.values.timestamps,
+        completedAt: Date.now(),
+      },
+    };
+  }
+}
+
+/**
+ * Checks whether a workflow snapshot was interrupted before it finished
+ * Finished workflows have nothing left to run; paused ones wait for the user
+ *
+ * @param {Object|undefined} snapshot - Workflow state snapshot
+ * @returns {boolean} True if the workflow stopped mid-run
+ */
+function isInterrupted(snapshot) {
+  const next = snapshot?.next || [];
+  return next.length > 0 && !next.some(node => PAUSE_NODES.includes(node));
+}
+
+/**
+ * Finds workflows a crash or restart stopped before they finished
+ *
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.checkpointer] - Checkpointer override (defaults to MongoDB); must implement listThreadIds
+ * @param {number} [options.windowMs=RECOVERY_WINDOW_MS] - Only workflows checkpointed this recently
+ * @returns {Promise<string[]>} Operation IDs of the interrupted workflows
+ */
+export async function findInterruptedWorkflows(options = {}) {
+  const checkpointer = options.checkpointer || getCheckpointer();
+  const workflow = createWorkflow({ checkpointer });
+  const since = new Date(Date.now() - (options.windowMs ?? RECOVERY_WINDOW_MS));
+
+  const operationIds = await checkpointer.listThreadIds({ since });
+  const interrupted = [];
+
+  for (const operationId of operationIds) {
+    try {
+      const snapshot = await workflow.getState(getThreadConfig(operationId));
+
+      if (isInterrupted(snapshot)) {
+        interrupted.push(operationId);
+      }
+    } catch (error) {
+      logger.warn({ err: error, operationId }, 'Failed to load workflow checkpoint');
+    }
+  }
+
+  return interrupted;
+}
+
+/**
+ * Resumes a workflow interrupted mid-run from its last checkpoint
+ * Nodes see configurable.recovering, so the execute node skips the GitHub
+ * calls the interrupted run recorded on the operation and looks for an issue
+ * it created before recording it, instead of repeating them. Agent runs are
+ * reported as interrupted rather than replayed. A workflow that fails again
+ * is discarded so it isn't retried on every start.
+ *
+ * @param {string} operationId - Operation ID the workflow is keyed by
+ * @param {Object} [options] - Execution options
+ * @param {Object} [options.checkpointer] - Checkpointer override (defaults to MongoDB)
+ * @returns {Promise<Object|null>} Final workflow state, or null if the workflow wasn't interrupted
+ */
+export async function recoverWorkflow(operationId, options = {}) {
+  const checkpointer = options.checkpointer || getCheckpointer();
+  const workflow = createWorkflow({ checkpointer });
+  const config = getThreadConfig(operationId);
+
+  const snapshot = await workflow.getState(config);
+
+  if (!isInterrupted(snapshot)) {
+    logger.info({ operationId }, 'No interrupted workflow to recover');
+    return null;
+  }
+
+  logger.info({ operationId, next: snapshot.next }, 'Recovering interrupted workflow');
+
+  try {
+    const result = await workflow.invoke(null, {
+      configurable: { ...config.configurable, recovering: true },
+    });
+
+    await discardFinishedThread(workflow, checkpointer, operationId);
+    return result;
+  } catch (error) {
+    logger.error({ err: error, operationId }, 'Workflow recovery error');
+
+    await checkpointer.deleteThread(String(operationId)).catch((err) => {
+      logger.warn({ err, operationId }, 'Failed to discard unrecoverable workflow');
+    });
+
+    return {
+      ...snapshot.values,
+      error: {
+        message: error.message,
+        code: 'WORKFLOW_EXECUTION_ERROR',
+        details: error.stack,
+      },
+      status: WorkflowStatus.ERROR,
+      timestamps: {
+        ...snapshot.values.timestamps,
+        completedAt: Date.now(),
+      },
+    };
+  }
+}
+
 /**
  * Gets workflow statistics
  * Useful for monitoring and debugging
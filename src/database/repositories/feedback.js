@@ -16,7 +16,7 @@ export class FeedbackRepository {
    * @param {string} data.operationId - Operation ObjectId string
    * @param {number} data.chatId - Telegram chat ID
    * @param {number} data.feedbackMessageId - Telegram message ID of the feedback
-   * @param {Date|string} data.scheduledDeletion - Timestamp when message should be deleted
+   * @param {Date|string|null} data.scheduledDeletion - Timestamp when message should be deleted, or null to keep it
    * @returns {Promise<Object>} Created feedback record
    */
   async createFeedback(data) {
@@ -24,7 +24,7 @@ export class FeedbackRepository {
     try {
 
       // Validate required fields
-      if (!operationId || !chatId || !feedbackMessageId || !scheduledDeletion) {
+      if (!operationId || !chatId || !feedbackMessageId || scheduledDeletion === undefined) {
         throw new Error('Missing required fields: operationId, chatId, feedbackMessageId, scheduledDeletion');
       }
 
@@ -41,7 +41,7 @@ export class FeedbackRepository {
         operationId: new ObjectId(operationId),
         telegramChatId: Long.fromNumber(chatId),
         feedbackMessageId: Long.fromNumber(feedbackMessageId),
-        scheduledDeletion: new Date(scheduledDeletion),
+        scheduledDeletion: scheduledDeletion ? new Date(scheduledDeletion) : null,
         dismissed: false,
         createdAt: now,
       };
@@ -0,0 +1,206 @@
+/**
+ * IdentityRepository
+ * Manages links between Telegram users and their GitHub accounts
+ */
+
+import { getDb, Long } from '../db.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converts a stored identity document to a plain object
+ * @param {Object} doc - MongoDB document
+ * @returns {Object} Identity
+ */
+function toIdentity(doc) {
+  return {
+    id: doc._id.toString(),
+    telegramUserId: Number(doc.telegramUserId),
+    telegramUsername: doc.telegramUsername ?? null,
+    telegramName: doc.telegramName ?? null,
+    githubLogin: doc.githubLogin,
+    verified: doc.verified,
+    verificationToken: doc.verificationToken,
+    verificationMethod: doc.verificationMethod ?? null,
+    verifiedAt: doc.verifiedAt ?? null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+/**
+ * Repository for managing Telegram to GitHub identity links
+ */
+export class IdentityRepository {
+  /**
+   * Link a Telegram user to a GitHub login
+   * Replaces any previous link and resets verification
+   * @param {number} userId - Telegram user ID
+   * @param {Object} data - Link data
+   * @param {string|null} data.telegramUsername - Telegram username (without @)
+   * @param {string|null} [data.telegramName] - Telegram display name (first and last name)
+   * @param {string} data.githubLogin - GitHub login
+   * @param {string} data.verificationToken - Token the user can publish to verify the link
+   * @returns {Promise<Object>} Saved identity
+   */
+  async linkIdentity(userId, { telegramUsername, telegramName = null, githubLogin, verificationToken }) {
+    try {
+      if (typeof userId !== 'number') {
+        throw new Error('userId must be a number');
+      }
+
+      const db = await getDb();
+      const collection = db.collection('user_identities');
+      const now = new Date();
+
+      const result = await collection.findOneAndUpdate(
+        { telegramUserId: Long.fromNumber(userId) },
+        {
+          $set: {
+            telegramUsername: telegramUsername ? telegramUsername.toLowerCase() : null,
+            telegramName,
+            githubLogin,
+            verified: false,
+            verificationToken,
+            verificationMethod: null,
+            verifiedAt: null,
+            updatedAt: now,
+          },
+          $setOnInsert: {
+            createdAt: now,
+          },
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+
+      logger.info({ userId, githubLogin }, 'GitHub identity linked');
+
+      return toIdentity(result);
+    } catch (err) {
+      logger.error({ err, userId, githubLogin }, 'Error linking GitHub identity');
+      throw err;
+    }
+  }
+
+  /**
+   * Mark a user's GitHub link as verified
+   * @param {number} userId - Telegram user ID
+   * @param {string} method - Verification method ('bio' or 'gist')
+   * @returns {Promise<Object|null>} Updated identity or null if the user has no link
+   */
+  async markVerified(userId, method) {
+    try {
+      const db = await getDb();
+      const collection = db.collection('user_identities');
+      const now = new Date();
+
+      const result = await collection.findOneAndUpdate(
+        { telegramUserId: Long.fromNumber(userId) },
+        {
+          $set: {
+            verified: true,
+            verificationMethod: method,
+            verifiedAt: now,
+            updatedAt: now,
+          },
+        },
+        { returnDocument: 'after' }
+      );
+
+      return result ? toIdentity(result) : null;
+    } catch (err) {
+      logger.error({ err, userId, method }, 'Error verifying GitHub identity');
+      throw err;
+    }
+  }
+
+  /**
+   * Get the GitHub link of a Telegram user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} Identity or null if not linked
+   */
+  async getIdentity(userId) {
+    try {
+      const db = await getDb();
+      const collection = db.collection('user_identities');
+
+      const doc = await collection.findOne({ telegramUserId: Long.fromNumber(userId) });
+
+      return doc ? toIdentity(doc) : null;
+    } catch (err) {
+      logger.error({ err, userId }, 'Error getting GitHub identity');
+      throw err;
+    }
+  }
+
+  /**
+   * Find identities by Telegram user IDs, usernames or names
+   * @param {Object} criteria - Lookup criteria
+   * @param {number[]} [criteria.telegramUserIds] - Telegram user IDs
+   * @param {string[]} [criteria.telegramUsernames] - Telegram usernames (without @, any case)
+   * @param {string[]} [criteria.names] - Names matching the start of a Telegram display name or a GitHub login (any case)
+   * @returns {Promise<Object[]>} Matching identities
+   */
+  async findIdentities({ telegramUserIds = [], telegramUsernames = [], names = [] }) {
+    try {
+      const conditions = [];
+
+      if (telegramUserIds.length > 0) {
+        conditions.push({ telegramUserId: { $in: telegramUserIds.map(id => Long.fromNumber(id)) } });
+      }
+
+      if (telegramUsernames.length > 0) {
+        conditions.push({ telegramUsername: { $in: telegramUsernames.map(name => name.toLowerCase()) } });
+      }
+
+      if (names.length > 0) {
+        conditions.push({ telegramName: { $in: names.map(name => new RegExp(`^${escapeRegExp(name)}(\\s|$)`, 'i')) } });
+        conditions.push({ githubLogin: { $in: names.map(name => new RegExp(`^${escapeRegExp(name)}$`, 'i')) } });
+      }
+
+      if (conditions.length === 0) {
+        return [];
+      }
+
+      const db = await getDb();
+      const collection = db.collection('user_identities');
+
+      const docs = await collection.find({ $or: conditions }).toArray();
+
+      return docs.map(toIdentity);
+    } catch (err) {
+      logger.error({ err, telegramUserIds, telegramUsernames, names }, 'Error finding GitHub identities');
+      throw err;
+    }
+  }
+
+  /**
+   * Remove a user's GitHub link
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>} True if a link was removed
+   */
+  async removeIdentity(userId) {
+    try {
+      const db = await getDb();
+      const collection = db.collection('user_identities');
+
+      const result = await collection.deleteOne({ telegramUserId: Long.fromNumber(userId) });
+
+      return result.deletedCount > 0;
+    } catch (err) {
+      logger.error({ err, userId }, 'Error removing GitHub identity');
+      throw err;
+    }
+  }
+}
+
+// Export singleton instance
+export default new IdentityRepository();
@@ -6,6 +6,11 @@
 import { getDb, ObjectId, Long } from '../db.js';
 import logger from '../../utils/logger.js';
 
+/**
+ * Operation types that create a GitHub issue
+ */
+const ISSUE_CREATING_OPERATIONS = ['create_bug', 'create_task', 'create_idea'];
+
 /**
  * Repository for managing operations
  */
@@ -166,6 +171,146 @@ export class OperationsRepository {
     }
   }
 
+  /**
+   * Store the workflow trace of an operation
+   * @param {string} operationId - Operation ObjectId string
+   * @param {Object} trace - Operation trace (see buildOperationTrace in src/ai/trace.js)
+   * @returns {Promise<boolean>} True if updated, false if not found
+   */
+  async updateOperationTrace(operationId, trace) {
+    try {
+      const db = await getDb();
+      const collection = db.collection('operations');
+
+      const result = await collection.updateOne(
+        { _id: new ObjectId(operationId) },
+        {
+          $set: {
+            trace,
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      return result.matchedCount > 0;
+    } catch (err) {
+      logger.error({ err, operationId }, 'Error updating operation trace');
+      throw err;
+    }
+  }
+
+  /**
+   * Record a GitHub call the operation's workflow completed
+   * @param {string} operationId - Operation ObjectId string
+   * @param {number} actionIndex - Index of the action that made the call
+   * @param {string} effect - Side effect name (create, update, comment, state)
+   * @param {Object} result - Result of the call
+   * @returns {Promise<boolean>} True if recorded, false if the operation was not found
+   */
+  async recordSideEffect(operationId, actionIndex, effect, result) {
+    try {
+      const db = await getDb();
+      const collection = db.collection('operations');
+
+      const updated = await collection.updateOne(
+        { _id: new ObjectId(operationId) },
+        {
+          $set: {
+            [`sideEffects.${actionIndex}.${effect}`]: result,
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      return updated.matchedCount > 0;
+    } catch (err) {
+      logger.error({ err, operationId, actionIndex, effect }, 'Error recording operation side effect');
+      throw err;
+    }
+  }
+
+  /**
+   * Get the GitHub calls an action of the operation's workflow completed
+   * @param {string} operationId - Operation ObjectId string
+   * @param {number} actionIndex - Index of the action
+   * @returns {Promise<Object>} Results by side effect name (empty if none were recorded)
+   */
+  async getSideEffects(operationId, actionIndex) {
+    try {
+      const db = await getDb();
+      const collection = db.collection('operations');
+
+      const operation = await collection.findOne(
+        { _id: new ObjectId(operationId) },
+        { projection: { sideEffects: 1 } }
+      );
+
+      return operation?.sideEffects?.[actionIndex] || {};
+    } catch (err) {
+      logger.error({ err, operationId, actionIndex }, 'Error getting operation side effects');
+      throw err;
+    }
+  }
+
+  /**
+   * Get the traced operation behind a GitHub issue in a group
+   * Prefers the operation that created the issue; otherwise the latest one that touched it
+   * @param {number} groupId - Telegram group ID
+   * @param {number|string} issueNumber - GitHub issue number
+   * @returns {Promise<Object|null>} Operation with its trace, or null if none was traced
+   */
+  async getTracedIssueOperation(groupId, issueNumber) {
+    try {
+      const db = await getDb();
+      const collection = db.collection('operations');
+
+      // Older records may hold the number as a string
+      const number = parseInt(issueNumber, 10);
+      const numbers = { $in: [number, String(number)] };
+
+      // Agent actions record the issue as issueNumber, other operations as githubIssueNumber
+      const filter = {
+        telegramGroupId: Long.fromNumber(groupId),
+        $or: [
+          { 'operationData.githubIssueNumber': numbers },
+          { 'operationData.issueNumber': numbers },
+        ],
+        trace: { $exists: true },
+      };
+
+      const created = await collection.findOne({
+        ...filter,
+        $and: [{
+          $or: [
+            { operationType: { $in: ISSUE_CREATING_OPERATIONS } },
+            { operationType: 'agent_request', 'operationData.args.method': 'create' },
+          ],
+        }],
+      }, { sort: { createdAt: 1 } });
+
+      const operation = created || await collection.findOne(filter, { sort: { createdAt: -1 } });
+
+      if (!operation) {
+        return null;
+      }
+
+      return {
+        id: operation._id.toString(),
+        telegramGroupId: Number(operation.telegramGroupId),
+        telegramMessageId: Number(operation.telegramMessageId),
+        operationType: operation.operationType,
+        githubIssueUrl: operation.githubIssueUrl,
+        operationData: operation.operationData,
+        status: operation.status,
+        trace: operation.trace,
+        createdAt: operation.createdAt,
+      };
+    } catch (err) {
+      logger.error({ err, groupId, issueNumber }, 'Error getting traced issue operation');
+      throw err;
+    }
+  }
+
   /**
    * Get operation by ID
    * @param {string} operationId - Operation ObjectId string
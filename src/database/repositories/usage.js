@@ -0,0 +1,137 @@
+/**
+ * UsageRepository
+ * Records LLM token usage and estimated cost per operation and group
+ */
+
+import { getDb, Long } from '../db.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Empty usage summary
+ */
+const EMPTY_SUMMARY = {
+  calls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  estimatedCost: 0,
+};
+
+/**
+ * Sums the usage records matching a filter
+ * @param {Object} collection - llm_usage collection
+ * @param {Object} filter - MongoDB filter
+ * @returns {Promise<Object>} Usage summary
+ */
+async function summarize(collection, filter) {
+  const result = await collection.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        calls: { $sum: 1 },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        estimatedCost: { $sum: '$estimatedCost' },
+      },
+    },
+  ]).toArray();
+
+  if (result.length === 0) {
+    return { ...EMPTY_SUMMARY };
+  }
+
+  const { calls, promptTokens, completionTokens, estimatedCost } = result[0];
+
+  return {
+    calls,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimatedCost,
+  };
+}
+
+/**
+ * Repository for LLM usage records
+ */
+export class UsageRepository {
+  /**
+   * Record the token usage of one LLM call
+   * @param {Object} data - Usage data
+   * @param {number} data.telegramGroupId - Telegram group the call was made for
+   * @param {string|null} [data.operationId] - Operation the call was made for
+   * @param {string} data.purpose - What the call was for (classification, generation, search, translation)
+   * @param {string} data.model - Model name
+   * @param {number} data.promptTokens - Prompt (input) tokens
+   * @param {number} data.completionTokens - Completion (output) tokens
+   * @param {number} data.estimatedCost - Estimated cost in USD
+   * @returns {Promise<Object>} Created usage record
+   */
+  async recordUsage(data) {
+    const {
+      telegramGroupId,
+      operationId = null,
+      purpose,
+      model,
+      promptTokens,
+      completionTokens,
+      estimatedCost,
+    } = data;
+
+    try {
+      if (!telegramGroupId || !purpose) {
+        throw new Error('Missing required fields: telegramGroupId, purpose');
+      }
+
+      const db = await getDb();
+      const collection = db.collection('llm_usage');
+
+      const doc = {
+        telegramGroupId: Long.fromNumber(telegramGroupId),
+        operationId,
+        purpose,
+        model,
+        promptTokens,
+        completionTokens,
+        estimatedCost,
+        createdAt: new Date(),
+      };
+
+      const result = await collection.insertOne(doc);
+
+      return {
+        id: result.insertedId.toString(),
+        ...doc,
+        telegramGroupId,
+      };
+    } catch (err) {
+      logger.error({ err, telegramGroupId, operationId, purpose }, 'Error recording LLM usage');
+      throw err;
+    }
+  }
+
+  /**
+   * Get the LLM usage of a group since a point in time
+   * @param {number} groupId - Telegram group ID
+   * @param {Date} since - Start of the period
+   * @returns {Promise<{calls: number, promptTokens: number, completionTokens: number, totalTokens: number, estimatedCost: number}>} Usage summary
+   */
+  async getGroupUsage(groupId, since) {
+    try {
+      const db = await getDb();
+      const collection = db.collection('llm_usage');
+
+      return await summarize(collection, {
+        telegramGroupId: Long.fromNumber(groupId),
+        createdAt: { $gte: since },
+      });
+    } catch (err) {
+      logger.error({ err, groupId, since }, 'Error getting group LLM usage');
+      throw err;
+    }
+  }
+}
+
+// Export singleton instance
+export default new UsageRepository();
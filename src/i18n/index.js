@@ -0,0 +1,158 @@
+/**
+ * Translations
+ * Detects message languages and looks up user-facing strings in the catalogs
+ *
+ * Catalogs are nested objects keyed by area (commands, setup, notify, ...).
+ * Strings use {name} placeholders; plural strings are objects keyed by
+ * Intl.PluralRules category and pick their form from the count parameter.
+ */
+
+import en from './locales/en.js';
+import ru from './locales/ru.js';
+import uk from './locales/uk.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Supported locales
+ * @enum {string}
+ */
+export const Locale = {
+  ENGLISH: 'en',
+  RUSSIAN: 'ru',
+  UKRAINIAN: 'uk',
+};
+
+/**
+ * Locale used when a message's language cannot be told
+ */
+export const DEFAULT_LOCALE = Locale.ENGLISH;
+
+/**
+ * Catalogs by locale
+ */
+const CATALOGS = { en, ru, uk };
+
+/**
+ * Letters only Ukrainian uses among the Cyrillic languages we support
+ */
+const UKRAINIAN_LETTERS = /[іїєґ]/i;
+
+/**
+ * Letters only Russian uses among the Cyrillic languages we support
+ */
+const RUSSIAN_LETTERS = /[ыэъё]/i;
+
+/**
+ * Fewest letters a message needs for its language to be detected
+ */
+const MIN_LETTERS = 3;
+
+/**
+ * Looks up a dotted key in a catalog
+ *
+ * @param {Object} catalog - Catalog
+ * @param {string} key - Dotted key (e.g. notify.closed)
+ * @returns {string|Object|undefined} Entry
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+/**
+ * Maps a language code (Telegram language_code, BCP 47 tag) to a supported locale
+ *
+ * @param {string} [code] - Language code, e.g. ru or en-US
+ * @returns {string} Supported locale, the default locale if unsupported
+ */
+export function resolveLocale(code) {
+  const language = (code || '').toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Gets the English name of a locale (e.g. Russian for ru)
+ *
+ * @param {string} locale - Locale
+ * @returns {string} Language name, the locale itself if it has none
+ */
+export function getLanguageName(locale) {
+  return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale) || locale;
+}
+
+/**
+ * Detects the language of a message from its letters
+ * Mentions, hashtags, links and code are ignored
+ *
+ * @param {string} text - Message text
+ * @returns {string|null} Locale, or null if the message has too few letters to tell
+ */
+export function detectLanguage(text) {
+  const plain = (text || '')
+    .replace(/```[\s\S]*?```|`[^`]*`/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[@#]\w+/g, ' ');
+
+  const cyrillic = (plain.match(/\p{Script=Cyrillic}/gu) || []).length;
+  const latin = (plain.match(/\p{Script=Latin}/gu) || []).length;
+
+  if (cyrillic + latin < MIN_LETTERS) {
+    return null;
+  }
+
+  if (cyrillic < latin) {
+    return Locale.ENGLISH;
+  }
+
+  if (UKRAINIAN_LETTERS.test(plain) && !RUSSIAN_LETTERS.test(plain)) {
+    return Locale.UKRAINIAN;
+  }
+
+  return Locale.RUSSIAN;
+}
+
+/**
+ * Gets the locale to reply to a Telegram message in
+ * The message language wins; the sender's Telegram language is the fallback
+ *
+ * @param {Object} [telegramMessage] - Telegram message
+ * @returns {string} Locale
+ */
+export function getMessageLocale(telegramMessage) {
+  return detectLanguage(telegramMessage?.text || telegramMessage?.caption || '') ||
+    resolveLocale(telegramMessage?.from?.language_code);
+}
+
+/**
+ * Gets the locale of a Telegraf context's user (for command replies)
+ *
+ * @param {Object} ctx - Telegraf context
+ * @returns {string} Locale
+ */
+export function getUserLocale(ctx) {
+  return resolveLocale(ctx?.from?.language_code);
+}
+
+/**
+ * Translates a catalog key
+ * Falls back to English for keys a catalog lacks, and to the key itself if English lacks it too
+ *
+ * @param {string} locale - Locale
+ * @param {string} key - Dotted catalog key
+ * @param {Object} [params] - Placeholder values; count also picks the plural form
+ * @returns {string} Translated text
+ */
+export function t(locale, key, params = {}) {
+  const resolved = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  const entry = lookup(CATALOGS[resolved], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+
+  if (entry === undefined) {
+    logger.warn({ locale, key }, 'Missing translation');
+    return key;
+  }
+
+  const text = typeof entry === 'object'
+    ? entry[new Intl.PluralRules(resolved).select(params.count ?? 0)] ?? entry.other
+    : entry;
+
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder));
+}
@@ -0,0 +1,441 @@
+/**
+ * English catalog
+ * The reference catalog: every key exists here, other catalogs fall back to it
+ */
+
+export default {
+  commands: {
+    groupOnly: '❌ This command only works in group chats.',
+    notLinked: 'ℹ️ This group is not linked to a GitHub repository.\n\nUse /start to set up GitHub integration.',
+    error: '❌ An error occurred. Please try again later.',
+    errorToast: '❌ An error occurred',
+    list:
+      '**Available commands:**\n' +
+      '/start - Show this help message\n' +
+      '/status - View usage statistics (manager only)\n' +
+      '/draft - Preview issues before creating them (manager only)\n' +
+      '/labels - Map hashtags to repository labels (manager only)\n' +
+      '/budget - Set a monthly AI token budget (manager only)\n' +
+      '/translate - Write issues in English (manager only)\n' +
+      '/agent - Let the bot carry out free-form GitHub requests (manager only)\n' +
+      '/why - Explain how an issue was classified and routed (manager only)\n' +
+      '/linkgithub - Link your GitHub account for assignments (private chat)\n' +
+      '/unlink - Disconnect from GitHub (manager only)',
+  },
+
+  start: {
+    chatNotAllowed: '❌ This group is not authorized to use the bot.\n\nPlease contact the bot administrator to add this group to the whitelist.',
+    userNotAllowed: '❌ You are not authorized to use this bot.\n\nPlease contact the bot administrator.',
+    welcome:
+      '👋 **Welcome to TeleGit!**\n\n' +
+      'I\'m an AI-powered bot that turns your messages into GitHub issues.\n\n' +
+      '**To get started:**\n' +
+      'I\'ve sent you a private message to configure GitHub integration.\n\n' +
+      '**After setup, you can:**\n' +
+      '• Mention me (@{botUsername}) in messages\n' +
+      '• Use hashtags like #bug, #task, #idea\n' +
+      '• I\'ll automatically create GitHub issues from your messages\n\n' +
+      '{commands}',
+    setupDm:
+      '🔧 **Let\'s set up GitHub integration!**\n\n' +
+      'Please provide your GitHub repository URL (HTTPS only):\n' +
+      'Example: https://github.com/owner/repo-name',
+    dmFailed: '⚠️ I couldn\'t send you a private message. Please start a chat with me first by clicking @{botUsername} and pressing "Start".',
+    connected:
+      '👋 **TeleGit Bot**\n\n' +
+      'I\'m an AI-powered bot that turns your messages into GitHub issues.\n\n' +
+      '**Current Configuration:**\n' +
+      '📁 Repository: `{repository}`\n' +
+      '✅ Status: Connected\n\n' +
+      '**How to use:**\n' +
+      '• Mention me (@{botUsername}) in messages\n' +
+      '• Use hashtags like #bug, #task, #idea\n' +
+      '• I\'ll automatically create GitHub issues from your messages\n\n' +
+      '{commands}',
+  },
+
+  unlink: {
+    managerOnly: '❌ Only the group manager can unlink the GitHub repository.\n\nPlease ask the manager to run this command.',
+    confirm:
+      '⚠️ **Confirm Unlink**\n\n' +
+      'Are you sure you want to disconnect this group from:\n' +
+      '📁 `{repository}`\n\n' +
+      'This will:\n' +
+      '• Remove the GitHub integration\n' +
+      '• Delete stored credentials\n' +
+      '• Require setup again to use the bot\n\n' +
+      '**This action cannot be undone.**',
+    confirmButton: '✅ Yes, unlink',
+    cancelButton: '❌ No, cancel',
+    cancelled: '❌ Unlink cancelled.',
+    cancelledToast: 'Cancelled',
+    managerOnlyToast: '❌ Only the group manager can confirm unlink',
+    done:
+      '✅ **Successfully unlinked**\n\n' +
+      'The GitHub integration has been removed.\n\n' +
+      'Use /start to set up a new connection.',
+    doneToast: 'Unlinked successfully',
+    failed: '❌ Failed to unlink. The group configuration may have already been removed.',
+    failedToast: 'Failed to unlink',
+  },
+
+  draft: {
+    managerOnly: '❌ Only the group manager can change draft mode.\n\nPlease ask the manager to run this command.',
+    statusOn: '📝 Draft mode is on.\n\nUse /draft on or /draft off to change it.',
+    statusOff: '📝 Draft mode is off.\n\nUse /draft on or /draft off to change it.',
+    enabled: '📝 Draft mode is on.\n\nI\'ll post a preview of every new issue and create it only after the author or the manager confirms it.',
+    disabled: '⚡ Draft mode is off.\n\nI\'ll create issues right away again.',
+  },
+
+  translate: {
+    managerOnly: '❌ Only the group manager can change the issue language.\n\nPlease ask the manager to run this command.',
+    statusOn: '🌐 Issues are written in English.\n\nUse /translate on or /translate off to change it.',
+    statusOff: '🌐 Issues are written in the language of the message.\n\nUse /translate on or /translate off to change it.',
+    enabled: '🌐 Issues are now written in English.\n\nI\'ll translate the title and body of issues from other languages and keep the original text in a collapsible block.',
+    disabled: '🌐 Issues are now written in the language of the message.',
+  },
+
+  agent: {
+    managerOnly: '❌ Only the group manager can change agent mode.\n\nPlease ask the manager to run this command.',
+    statusOn: '🤖 Agent mode is on.\n\nUse /agent on or /agent off to change it.',
+    statusOff: '🤖 Agent mode is off.\n\nUse /agent on or /agent off to change it.',
+    enabled: '🤖 Agent mode is on.\n\nI\'ll carry out requests like "assign all open auth bugs to me and label them p1" step by step and list every change I make, each with an undo button.',
+    disabled: '🤖 Agent mode is off.\n\nI\'ll only handle single issue actions again.',
+  },
+
+  labels: {
+    managerOnly: '❌ Only the group manager can change label mappings.\n\nPlease ask the manager to run this command.',
+    noMappings: 'No hashtags mapped yet.',
+    overview:
+      '🏷 Label mapping\n\n{mappings}\n\n' +
+      'Unknown hashtags: {policy}\n\n' +
+      'Usage:\n' +
+      '/labels map <hashtag> <label> - Map a hashtag to a repository label\n' +
+      '/labels unmap <hashtag> - Remove a mapping\n' +
+      '/labels unknown drop|create|keep - Drop unknown hashtags, create them as labels, or keep them as text in the issue',
+    mapUsage: '❌ Usage: /labels map <hashtag> <label>\n\nExample: /labels map urgent priority: high',
+    noSuchLabel: '❌ {repository} has no label "{label}".',
+    mapped: '✅ #{tag} now adds the "{label}" label.',
+    notMapped: 'ℹ️ #{tag} is not mapped.',
+    unmapped: '✅ #{tag} is no longer mapped.',
+    unknownUsage: '❌ Usage: /labels unknown drop|create|keep',
+    policySet: '✅ Unknown hashtags will now be handled with: {policy}',
+  },
+
+  budget: {
+    managerOnly: '❌ Only the group manager can change the budget.\n\nPlease ask the manager to run this command.',
+    overview:
+      '💰 AI usage\n\n{summary}\n\n' +
+      'Use /budget <tokens> [hashtags|pause] to set a monthly budget (e.g. /budget 500k pause), ' +
+      'or /budget off to remove it. Usage is counted per UTC month.',
+    removed: '✅ Budget removed. Messages are processed without a token limit.',
+    usage: '❌ Usage: /budget <tokens> [hashtags|pause], e.g. /budget 500k hashtags',
+    setPause: '✅ Monthly budget set to {tokens} tokens.\n\nOnce it is used up, I\'ll stop processing messages until next month.',
+    setHashtags: '✅ Monthly budget set to {tokens} tokens.\n\nOnce it is used up, I\'ll only file messages with one #bug, #task or #idea hashtag and a short title until next month.',
+  },
+
+  why: {
+    managerOnly: '❌ Only the group manager can see why the bot acted.\n\nPlease ask the manager to run this command.',
+    usage: '❌ Usage: /why <issue number>, e.g. /why 42',
+    notFound: 'ℹ️ I have no record of handling #{issueNumber} in this group.',
+    header: '🔎 Why #{issueNumber} ({operation})',
+    classified: 'Classified as {intent} with {confidence}% confidence ({source})',
+    reasoning: 'Reasoning: {reasoning}',
+    labels: 'Labels: {labels}',
+    steps: 'Steps:',
+    error: 'Error: {message}',
+  },
+
+  usage: {
+    today: '📅 Today: {tokens} tokens (~{cost})',
+    month: '🗓️ This month: {tokens} tokens (~{cost})',
+    budget: '💰 Budget: {percent}% of {limit} tokens, {action}',
+    noBudget: '💰 Budget: none (see /budget)',
+    thenPause: 'then processing pauses',
+    thenHashtags: 'then hashtag messages only',
+  },
+
+  status: {
+    managerOnly: '❌ Only the group manager can view status.\n\nPlease ask the manager to run this command.',
+    gathering: '🔄 Gathering statistics...',
+    connected: '✅ Connected',
+    error: '❌ Error',
+    unavailable: '❌ Unavailable',
+    failed: '❌ An error occurred while gathering statistics.',
+    report:
+      '📊 **Group Status**\n\n' +
+      '**GitHub Configuration:**\n' +
+      '📁 Repository: `{repository}`\n' +
+      '👤 Manager: {manager}\n' +
+      '📅 Created: {createdAt}\n\n' +
+      '**Operations Summary:**\n' +
+      '📈 Total operations: {total}\n' +
+      '✅ Completed: {completed}\n' +
+      '⏳ Pending: {pending}\n' +
+      '🔄 Processing: {processing}\n' +
+      '❌ Failed: {failed}\n' +
+      '↩️ Undone: {undone}\n\n' +
+      '**Operations by Type:**\n' +
+      '{breakdown}\n\n' +
+      '**LLM Usage:**\n' +
+      '{usage}\n\n' +
+      '**Cache Statistics:**\n' +
+      '💬 Conversation contexts: {contexts}\n' +
+      '📝 Pending feedback: {feedback}\n\n' +
+      '**Connection Health:**\n' +
+      '🗄️ Database: {database}\n' +
+      '🤖 LLM API ({provider}): {llm}\n' +
+      '📁 GitHub MCP: {github}\n\n' +
+      '**System:**\n' +
+      '⏱️ Uptime: {uptime}',
+  },
+
+  handler: {
+    error: '😵‍💫 Oops! Something went wrong while processing your message. Please try again.',
+    defaultName: 'there',
+    authRequired:
+      '👋 Hi {firstName}!\n\n' +
+      '🔐 This group hasn\'t been set up with GitHub yet.\n\n' +
+      'To get started, please:\n' +
+      '1. Send me a direct message (DM) at @{botUsername}\n' +
+      '2. Follow the setup instructions to configure your GitHub repository\n\n' +
+      'Once configured, I\'ll be able to create and manage GitHub issues from this chat!',
+    setupDm:
+      '👋 Hi {firstName}!\n\n' +
+      'Let\'s set up GitHub integration for your group chat.\n\n' +
+      'I\'ll need:\n' +
+      '1. Your GitHub repository URL (e.g., https://github.com/owner/repo)\n' +
+      '2. A GitHub Personal Access Token (PAT) with `repo` permissions\n\n' +
+      'Ready? Send me your repository URL to get started!',
+    voiceTooLong: '🎙️ Voice messages longer than {maxMinutes} min are not transcribed. Please send a shorter one or type it out.',
+    transcriptionFailed: '🎙️ I couldn\'t transcribe this voice message. Please try again or type it out.',
+  },
+
+  setup: {
+    noSession: '❌ No active setup session. Please start the setup process again.',
+    unexpectedInput: '❌ Unexpected input. Please follow the setup steps in order.',
+    repoFirst: '❌ Unexpected input. Please provide your repository URL first.',
+    invalidRepo:
+      '❌ Invalid repository URL format.\n\n' +
+      'Please provide a valid GitHub repository URL (HTTPS only) like:\n' +
+      'https://github.com/owner/repo-name\n\n' +
+      'Try again:',
+    repoSet:
+      '✅ Repository set: `{repository}`\n\n' +
+      'Now I need your GitHub Personal Access Token (PAT).\n\n' +
+      '🔐 **How to create a PAT:**\n' +
+      '1. Go to https://github.com/settings/tokens\n' +
+      '2. Click "Generate new token" → "Generate new token (classic)"\n' +
+      '3. Give it a name (e.g., "TeleGit Bot")\n' +
+      '4. Select scopes: `repo` (Full control of private repositories)\n' +
+      '5. Click "Generate token"\n' +
+      '6. Copy the token (it starts with `ghp_`)\n\n' +
+      '📤 **Send me your PAT:**\n' +
+      'Paste the token here (it will be encrypted and stored securely)',
+    invalidPat:
+      '❌ Invalid PAT format.\n\n' +
+      'GitHub Personal Access Tokens should start with `ghp_` or `github_pat_`.\n\n' +
+      'Please check your token and try again:',
+    patNotDeleted:
+      '❌ CRITICAL SECURITY ERROR: Could not delete your PAT message from chat history.\n\n' +
+      'For your security, please:\n' +
+      '1. Revoke the PAT you just sent at: https://github.com/settings/tokens\n' +
+      '2. Delete the message manually if possible\n' +
+      '3. Try the setup process again\n\n' +
+      'Your PAT is currently visible in chat history - please revoke it immediately.',
+    patRejected:
+      '❌ PAT validation failed: {error}\n\n' +
+      'Please check:\n' +
+      '- The token is correct\n' +
+      '- It has `repo` scope\n' +
+      '- It has access to `{repository}`\n\n' +
+      'Try again with a valid token:',
+    patCheckFailed: '❌ Failed to validate PAT: {error}\n\nPlease try again:',
+    complete:
+      '✅ **Setup Complete!**\n\n' +
+      'Your group is now connected to:\n' +
+      '📁 Repository: `{repository}`\n\n' +
+      'You can now use the bot in your group chat by:\n' +
+      '- Mentioning me (@{botUsername})\n' +
+      '- Using hashtags (#bug, #task, #idea, etc.)\n\n' +
+      'I\'ll automatically create and manage GitHub issues from your messages! 🎉',
+    saveFailed: '❌ Failed to save configuration: {error}\n\nPlease try the setup process again.',
+    intro:
+      '👋 Hi! I\'m TeleGit Bot.\n\n' +
+      'To set up GitHub integration for a group:\n' +
+      '1. Add me to your Telegram group\n' +
+      '2. Try to use me there (mention me or use a hashtag)\n' +
+      '3. I\'ll guide you through the setup process\n\n' +
+      'If you were in the middle of setup, please start again from your group chat.',
+    unknownStep: '❌ Unknown setup step. Please start over.',
+    groupReady:
+      '✅ GitHub integration is now set up!\n\n' +
+      'I\'m ready to help you manage issues in `{repository}`.\n\n' +
+      'Just mention me or use hashtags to get started! 🚀',
+  },
+
+  notify: {
+    created: 'Issue created successfully!',
+    closed: 'Issue #{number} closed!',
+    reopened: 'Issue #{number} reopened!',
+    commented: 'Comment added to issue #{number}!',
+    createFailed: 'Failed to create issue: "{title}"',
+    closeFailed: 'Failed to close issue #{number}',
+    reopenFailed: 'Failed to reopen issue #{number}',
+    commentFailed: 'Failed to comment on issue #{number}',
+    milestone: '🏁 Milestone: {milestone}',
+    project: '🗂 Project: {project}',
+    unassigned: '⚠️ Not assigned (no linked GitHub account, see /linkgithub): {names}',
+    degraded: '⚠️ AI classification is unavailable, so this was filed from keywords and labelled needs-triage',
+    translated: '🌐 Written in English, the original text is kept in the issue',
+    error: 'Error: {error}',
+    unknownError: 'Unknown error',
+    unknown: '🤷 I couldn\'t determine what action you want me to take.\n\nTry being more specific, or use keywords like "bug", "task", or "feature idea".',
+    lowConfidence: '🤔 I\'m not very confident about this request ({confidence}%).\n\nCould you rephrase or add more details?',
+    analyzed: '👌 Message analyzed successfully.\n\nIntent: {intent}\nConfidence: {confidence}%',
+    summary: '📋 {succeeded} of {total} actions completed:',
+    searchLine: {
+      one: '🔍 {count} issue matches "{query}"',
+      other: '🔍 {count} issues match "{query}"',
+    },
+    createdLine: 'Issue #{number} created: "{title}"',
+    actionFailed: '❌ Could not process {intent}: {error}',
+    actionProcessed: '👌 {intent} processed',
+    undoHint: 'Use the buttons below to undo a single action.',
+    undoButton: '↩️ Undo #{number}',
+    agentDisabled: '🤖 This request needs agent mode, which is off in this group. Ask the manager to turn it on with /agent on.',
+    agentNoActions: 'No changes were made.',
+    agentCreated: '🆕 Issue #{number} created',
+    agentUpdated: '✏️ Issue #{number} updated: {fields}',
+    agentCommented: '💬 Comment added to issue #{number}',
+    agentToolCall: '🔧 {tool} done',
+    agentRefused: '🚫 {tool} is not allowed in agent mode',
+    agentFailed: '❌ {tool} failed: {error}',
+    agentStepLimit: '⚠️ Stopped after {steps} steps, so the request may be incomplete.',
+  },
+
+  search: {
+    subject: ' for "{query}"',
+    none: '🔍 No issues found{subject}.',
+    found: {
+      one: '🔍 Found {count} issue{subject}:',
+      other: '🔍 Found {count} issues{subject}:',
+    },
+    page: 'Page {page} of {pages}',
+    unresolved: '⚠️ Not understood, left out of the search (people need /linkgithub): {names}',
+    open: '🟢 open',
+    closed: '🔴 closed',
+    prev: '◀️ Prev',
+    next: 'Next ▶️',
+    unavailable: 'ℹ️ This search is no longer available',
+    notLinked: '❌ This group is not linked to a repository',
+  },
+
+  clarify: {
+    question: '🤔 I\'m not very confident about this request ({confidence}%).\n\nWhat should I do with it?',
+    bugButton: '👾 Bug',
+    taskButton: '🫡 Task',
+    ideaButton: '🦄 Idea',
+    ignoreButton: '🙈 Ignore',
+    bug: '👾 Got it, filing this as a bug.',
+    task: '🫡 Got it, filing this as a task.',
+    idea: '🦄 Got it, filing this as an idea.',
+    ignore: '🙈 OK, ignoring this message.',
+    notAllowed: '❌ Only the author or the group manager can answer this question',
+    answered: 'ℹ️ This question has already been answered.',
+  },
+
+  preview: {
+    header: '📝 *Draft issue*',
+    title: '*Title:* {title}',
+    labels: '*Labels:* {labels}',
+    assignees: '*Assignees:* {assignees}',
+    milestone: '*Milestone:* {milestone}',
+    project: '*Project:* {project}',
+    none: 'none',
+    confirm: 'Create this issue?',
+    createButton: '✅ Create',
+    editButton: '✏️ Edit title',
+    cancelButton: '❌ Cancel',
+    notAllowed: '❌ Only the author or the group manager can decide on this draft',
+    titlePrompt: '✏️ Reply to this message with the new issue title.',
+    titlePlaceholder: 'New issue title',
+    create: '✅ Creating the issue...',
+    cancel: '🗑 Draft discarded, no issue was created.',
+    handled: 'ℹ️ This draft has already been handled.',
+    titleExpired: '⌛ This title edit has expired. Tap ✏️ Edit title on the draft again.',
+    titleFailed: '❌ An error occurred while updating the draft.',
+  },
+
+  duplicates: {
+    question: '🔁 This looks like it may already be reported:\n\n{candidates}\n\nWhat should I do?',
+    commentButton: '💬 Comment on #{number} instead',
+    createButton: '🆕 Create anyway',
+    notAllowed: '❌ Only the author or the group manager can decide this',
+    create: '🆕 Creating a new issue anyway...',
+    comment: '💬 Adding this to #{number} instead...',
+    answered: 'ℹ️ This question has already been answered.',
+  },
+
+  identity: {
+    privateOnly: '❌ Please send /linkgithub to me in a private message.',
+    userNotAllowed: '❌ You are not authorized to use this bot. Please contact your administrator.',
+    instructions:
+      'To verify that you own github.com/{login}, add this token to your GitHub profile bio or to a public gist:\n\n' +
+      '{token}\n\n' +
+      'Then send /linkgithub verify. You can remove the token afterwards.',
+    usage:
+      'Usage:\n' +
+      '/linkgithub <login> - Link your GitHub account\n' +
+      '/linkgithub verify - Verify the link\n' +
+      '/linkgithub remove - Remove the link',
+    notLinked: '🔗 Your Telegram account is not linked to GitHub.\n\n{usage}',
+    linkedStatus: '🔗 Linked to github.com/{login} ({status}).\n\n{usage}',
+    verifiedVia: '✅ verified via {method}',
+    notVerified: '⏳ not verified yet',
+    removed: '✅ Your GitHub link was removed.',
+    nothingToRemove: 'ℹ️ Your Telegram account is not linked to GitHub.',
+    linkFirst: 'ℹ️ Link your GitHub account first: /linkgithub <login>',
+    alreadyVerified: '✅ github.com/{login} is already verified.',
+    tokenNotFound: '❌ I couldn\'t find the token on GitHub yet.\n\n{instructions}',
+    verified: '✅ Verified! Mentions of you will now be assigned to github.com/{login}.',
+    invalidLogin: '❌ "{login}" is not a valid GitHub login.',
+    unknownUser: '❌ GitHub user "{login}" does not exist.',
+    linked: '🔗 Linked to github.com/{login}. {note}\n\n{instructions}',
+    assignAfterVerify: 'Mentions of you are assigned once the link is verified.',
+    assignNow: 'Mentions of you are assigned right away; verifying is optional.',
+  },
+
+  undo: {
+    notFound: '❌ Could not find the operation to undo.',
+    alreadyUndone: 'ℹ️ This operation has already been undone.',
+    notCompleted: 'ℹ️ This operation cannot be undone (it did not complete successfully).',
+    notConfigured: '❌ Undo functionality is not configured.',
+    done: '✅ Operation undone successfully.',
+    closed: '✅ Issue #{number} was closed.',
+    reopened: '✅ Issue #{number} was reopened.',
+    restored: '✅ Issue #{number} was restored to its previous state.',
+    failed: '❌ Failed to undo operation: {error}',
+    error: '❌ An error occurred while processing the undo request.',
+    undoneToast: 'Undone',
+    failedToast: 'Could not undo',
+  },
+
+  errors: {
+    unexpected: '😵‍💫 An unexpected error occurred.',
+    generic: '😵‍💫 An error occurred while processing your request.',
+    MISSING_MESSAGE_TEXT: '❌ No message text found. Please send a text message.',
+    INTENT_CLASSIFICATION_ERROR: '😵‍💫 I had trouble understanding your message. Please try rephrasing it.',
+    FORMATTING_ERROR: '❌ There was an issue preparing your request.',
+    CLARIFICATION_ERROR: '😵‍💫 I wasn\'t sure what you meant and couldn\'t ask you about it.',
+    DUPLICATE_CHECK_ERROR: '❌ I found similar issues but couldn\'t ask you about them, so nothing was created.',
+    PREVIEW_ERROR: '❌ I couldn\'t show a preview of your issue, so nothing was created.',
+    AGENT_ERROR: '😵‍💫 I couldn\'t carry out this request.',
+    AGENT_INTERRUPTED: '⚠️ I was restarted while carrying out this request, so I didn\'t start it again. Some changes may already have been made — check the issues before asking again.',
+    STORAGE_ERROR: '⚠️ Your request was processed but couldn\'t be saved to the database.',
+    WORKFLOW_EXECUTION_ERROR: '😵‍💫 Something went wrong while processing your request.',
+    LLM_BUDGET_PAUSED: '⏸ This group has used up its monthly AI budget, so I\'m not processing messages until next month. The manager can change the budget with /budget.',
+    LLM_BUDGET_HASHTAGS_ONLY: '⏸ This group has used up its monthly AI budget. Until next month I only file messages with one #bug, #task or #idea hashtag and a short title. The manager can change the budget with /budget.',
+    details: '🔍 Details: {message}',
+  },
+};
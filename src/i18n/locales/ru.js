@@ -0,0 +1,445 @@
+/**
+ * Russian catalog
+ * Keys missing here fall back to the English catalog
+ */
+
+export default {
+  commands: {
+    groupOnly: '❌ Эта команда работает только в групповых чатах.',
+    notLinked: 'ℹ️ Эта группа не привязана к репозиторию GitHub.\n\nИспользуйте /start, чтобы настроить интеграцию с GitHub.',
+    error: '❌ Произошла ошибка. Попробуйте позже.',
+    errorToast: '❌ Произошла ошибка',
+    list:
+      '**Доступные команды:**\n' +
+      '/start - Показать эту справку\n' +
+      '/status - Статистика использования (только менеджер)\n' +
+      '/draft - Предпросмотр задач перед созданием (только менеджер)\n' +
+      '/labels - Сопоставить хэштеги с метками репозитория (только менеджер)\n' +
+      '/budget - Месячный бюджет токенов ИИ (только менеджер)\n' +
+      '/translate - Писать задачи на английском (только менеджер)\n' +
+      '/agent - Выполнять произвольные запросы к GitHub (только менеджер)\n' +
+      '/why - Почему задача была так классифицирована и обработана (только менеджер)\n' +
+      '/linkgithub - Привязать аккаунт GitHub для назначений (личный чат)\n' +
+      '/unlink - Отключить GitHub (только менеджер)',
+  },
+
+  start: {
+    chatNotAllowed: '❌ Этой группе не разрешено пользоваться ботом.\n\nОбратитесь к администратору бота, чтобы добавить группу в белый список.',
+    userNotAllowed: '❌ Вам не разрешено пользоваться этим ботом.\n\nОбратитесь к администратору бота.',
+    welcome:
+      '👋 **Добро пожаловать в TeleGit!**\n\n' +
+      'Я бот на основе ИИ, который превращает ваши сообщения в задачи GitHub.\n\n' +
+      '**С чего начать:**\n' +
+      'Я отправил вам личное сообщение для настройки интеграции с GitHub.\n\n' +
+      '**После настройки вы сможете:**\n' +
+      '• Упоминать меня (@{botUsername}) в сообщениях\n' +
+      '• Использовать хэштеги #bug, #task, #idea\n' +
+      '• Я буду автоматически создавать задачи GitHub из ваших сообщений\n\n' +
+      '{commands}',
+    setupDm:
+      '🔧 **Настроим интеграцию с GitHub!**\n\n' +
+      'Пришлите URL вашего репозитория GitHub (только HTTPS):\n' +
+      'Например: https://github.com/owner/repo-name',
+    dmFailed: '⚠️ Не удалось отправить вам личное сообщение. Сначала откройте чат со мной: нажмите на @{botUsername} и затем «Start».',
+    connected:
+      '👋 **TeleGit Bot**\n\n' +
+      'Я бот на основе ИИ, который превращает ваши сообщения в задачи GitHub.\n\n' +
+      '**Текущая конфигурация:**\n' +
+      '📁 Репозиторий: `{repository}`\n' +
+      '✅ Статус: подключено\n\n' +
+      '**Как пользоваться:**\n' +
+      '• Упоминайте меня (@{botUsername}) в сообщениях\n' +
+      '• Используйте хэштеги #bug, #task, #idea\n' +
+      '• Я буду автоматически создавать задачи GitHub из ваших сообщений\n\n' +
+      '{commands}',
+  },
+
+  unlink: {
+    managerOnly: '❌ Отвязать репозиторий GitHub может только менеджер группы.\n\nПопросите менеджера выполнить эту команду.',
+    confirm:
+      '⚠️ **Подтвердите отвязку**\n\n' +
+      'Вы уверены, что хотите отключить эту группу от:\n' +
+      '📁 `{repository}`\n\n' +
+      'Это:\n' +
+      '• Удалит интеграцию с GitHub\n' +
+      '• Удалит сохранённые учётные данные\n' +
+      '• Потребует повторной настройки для работы бота\n\n' +
+      '**Это действие нельзя отменить.**',
+    confirmButton: '✅ Да, отвязать',
+    cancelButton: '❌ Нет, отмена',
+    cancelled: '❌ Отвязка отменена.',
+    cancelledToast: 'Отменено',
+    managerOnlyToast: '❌ Подтвердить отвязку может только менеджер группы',
+    done:
+      '✅ **Репозиторий отвязан**\n\n' +
+      'Интеграция с GitHub удалена.\n\n' +
+      'Используйте /start, чтобы настроить новое подключение.',
+    doneToast: 'Отвязано',
+    failed: '❌ Не удалось отвязать. Возможно, конфигурация группы уже удалена.',
+    failedToast: 'Не удалось отвязать',
+  },
+
+  draft: {
+    managerOnly: '❌ Менять режим черновиков может только менеджер группы.\n\nПопросите менеджера выполнить эту команду.',
+    statusOn: '📝 Режим черновиков включён.\n\nИспользуйте /draft on или /draft off, чтобы изменить его.',
+    statusOff: '📝 Режим черновиков выключен.\n\nИспользуйте /draft on или /draft off, чтобы изменить его.',
+    enabled: '📝 Режим черновиков включён.\n\nЯ буду показывать предпросмотр каждой новой задачи и создавать её только после подтверждения автором или менеджером.',
+    disabled: '⚡ Режим черновиков выключен.\n\nЯ снова буду создавать задачи сразу.',
+  },
+
+  translate: {
+    managerOnly: '❌ Менять язык задач может только менеджер группы.\n\nПопросите менеджера выполнить эту команду.',
+    statusOn: '🌐 Задачи пишутся на английском.\n\nИспользуйте /translate on или /translate off, чтобы изменить это.',
+    statusOff: '🌐 Задачи пишутся на языке сообщения.\n\nИспользуйте /translate on или /translate off, чтобы изменить это.',
+    enabled: '🌐 Теперь задачи пишутся на английском.\n\nЯ буду переводить заголовок и описание задач с других языков и сохранять исходный текст в сворачиваемом блоке.',
+    disabled: '🌐 Теперь задачи пишутся на языке сообщения.',
+  },
+
+  agent: {
+    managerOnly: '❌ Менять режим агента может только менеджер группы.\n\nПопросите менеджера выполнить эту команду.',
+    statusOn: '🤖 Режим агента включён.\n\nИспользуйте /agent on или /agent off, чтобы изменить это.',
+    statusOff: '🤖 Режим агента выключен.\n\nИспользуйте /agent on или /agent off, чтобы изменить это.',
+    enabled: '🤖 Режим агента включён.\n\nЯ буду по шагам выполнять запросы вроде «назначь на меня все открытые баги авторизации и поставь им метку p1» и перечислять каждое изменение с кнопкой отмены.',
+    disabled: '🤖 Режим агента выключен.\n\nЯ снова буду выполнять только отдельные действия с задачами.',
+  },
+
+  labels: {
+    managerOnly: '❌ Менять сопоставление меток может только менеджер группы.\n\nПопросите менеджера выполнить эту команду.',
+    noMappings: 'Хэштеги пока не сопоставлены.',
+    overview:
+      '🏷 Сопоставление меток\n\n{mappings}\n\n' +
+      'Неизвестные хэштеги: {policy}\n\n' +
+      'Использование:\n' +
+      '/labels map <хэштег> <метка> - Сопоставить хэштег с меткой репозитория\n' +
+      '/labels unmap <хэштег> - Удалить сопоставление\n' +
+      '/labels unknown drop|create|keep - Отбрасывать неизвестные хэштеги, создавать для них метки или оставлять их текстом в задаче',
+    mapUsage: '❌ Использование: /labels map <хэштег> <метка>\n\nПример: /labels map urgent priority: high',
+    noSuchLabel: '❌ В {repository} нет метки «{label}».',
+    mapped: '✅ #{tag} теперь добавляет метку «{label}».',
+    notMapped: 'ℹ️ #{tag} не сопоставлен.',
+    unmapped: '✅ #{tag} больше не сопоставлен.',
+    unknownUsage: '❌ Использование: /labels unknown drop|create|keep',
+    policySet: '✅ Неизвестные хэштеги теперь обрабатываются так: {policy}',
+  },
+
+  budget: {
+    managerOnly: '❌ Менять бюджет может только менеджер группы.\n\nПопросите менеджера выполнить эту команду.',
+    overview:
+      '💰 Использование ИИ\n\n{summary}\n\n' +
+      'Используйте /budget <токены> [hashtags|pause], чтобы задать месячный бюджет (например, /budget 500k pause), ' +
+      'или /budget off, чтобы убрать его. Использование считается по месяцам UTC.',
+    removed: '✅ Бюджет убран. Сообщения обрабатываются без ограничения токенов.',
+    usage: '❌ Использование: /budget <токены> [hashtags|pause], например /budget 500k hashtags',
+    setPause: '✅ Месячный бюджет: {tokens} токенов.\n\nКогда он закончится, я перестану обрабатывать сообщения до следующего месяца.',
+    setHashtags: '✅ Месячный бюджет: {tokens} токенов.\n\nКогда он закончится, до следующего месяца я буду оформлять только сообщения с одним хэштегом #bug, #task или #idea и коротким заголовком.',
+  },
+
+  why: {
+    managerOnly: '❌ Узнать, почему бот так поступил, может только менеджер группы.\n\nПопросите менеджера выполнить эту команду.',
+    usage: '❌ Использование: /why <номер задачи>, например /why 42',
+    notFound: 'ℹ️ У меня нет записей об обработке #{issueNumber} в этой группе.',
+    header: '🔎 Почему #{issueNumber} ({operation})',
+    classified: 'Классифицировано как {intent} с уверенностью {confidence}% ({source})',
+    reasoning: 'Обоснование: {reasoning}',
+    labels: 'Метки: {labels}',
+    steps: 'Шаги:',
+    error: 'Ошибка: {message}',
+  },
+
+  usage: {
+    today: '📅 Сегодня: {tokens} токенов (~{cost})',
+    month: '🗓️ В этом месяце: {tokens} токенов (~{cost})',
+    budget: '💰 Бюджет: {percent}% из {limit} токенов, {action}',
+    noBudget: '💰 Бюджет: не задан (см. /budget)',
+    thenPause: 'затем обработка приостанавливается',
+    thenHashtags: 'затем только сообщения с хэштегами',
+  },
+
+  status: {
+    managerOnly: '❌ Смотреть статус может только менеджер группы.\n\nПопросите менеджера выполнить эту команду.',
+    gathering: '🔄 Собираю статистику...',
+    connected: '✅ Подключено',
+    error: '❌ Ошибка',
+    unavailable: '❌ Недоступно',
+    failed: '❌ Произошла ошибка при сборе статистики.',
+    report:
+      '📊 **Статус группы**\n\n' +
+      '**Конфигурация GitHub:**\n' +
+      '📁 Репозиторий: `{repository}`\n' +
+      '👤 Менеджер: {manager}\n' +
+      '📅 Создано: {createdAt}\n\n' +
+      '**Сводка операций:**\n' +
+      '📈 Всего операций: {total}\n' +
+      '✅ Выполнено: {completed}\n' +
+      '⏳ В ожидании: {pending}\n' +
+      '🔄 В обработке: {processing}\n' +
+      '❌ С ошибкой: {failed}\n' +
+      '↩️ Отменено: {undone}\n\n' +
+      '**Операции по типам:**\n' +
+      '{breakdown}\n\n' +
+      '**Использование LLM:**\n' +
+      '{usage}\n\n' +
+      '**Кэш:**\n' +
+      '💬 Контексты бесед: {contexts}\n' +
+      '📝 Ожидающие ответы: {feedback}\n\n' +
+      '**Состояние подключений:**\n' +
+      '🗄️ База данных: {database}\n' +
+      '🤖 LLM API ({provider}): {llm}\n' +
+      '📁 GitHub MCP: {github}\n\n' +
+      '**Система:**\n' +
+      '⏱️ Время работы: {uptime}',
+  },
+
+  handler: {
+    error: '😵‍💫 Ой! Что-то пошло не так при обработке вашего сообщения. Попробуйте ещё раз.',
+    defaultName: 'друг',
+    authRequired:
+      '👋 Привет, {firstName}!\n\n' +
+      '🔐 Эта группа ещё не подключена к GitHub.\n\n' +
+      'Чтобы начать:\n' +
+      '1. Напишите мне в личные сообщения: @{botUsername}\n' +
+      '2. Следуйте инструкциям, чтобы настроить репозиторий GitHub\n\n' +
+      'После настройки я смогу создавать задачи GitHub и управлять ими прямо из этого чата!',
+    setupDm:
+      '👋 Привет, {firstName}!\n\n' +
+      'Давайте настроим интеграцию с GitHub для вашего группового чата.\n\n' +
+      'Мне понадобятся:\n' +
+      '1. URL вашего репозитория GitHub (например, https://github.com/owner/repo)\n' +
+      '2. Персональный токен доступа GitHub (PAT) с правами `repo`\n\n' +
+      'Готовы? Пришлите URL репозитория, чтобы начать!',
+    voiceTooLong: '🎙️ Голосовые сообщения длиннее {maxMinutes} мин не расшифровываются. Отправьте сообщение покороче или напишите текстом.',
+    transcriptionFailed: '🎙️ Не удалось расшифровать голосовое сообщение. Попробуйте ещё раз или напишите текстом.',
+  },
+
+  setup: {
+    noSession: '❌ Нет активной сессии настройки. Начните настройку заново.',
+    unexpectedInput: '❌ Неожиданный ввод. Выполняйте шаги настройки по порядку.',
+    repoFirst: '❌ Неожиданный ввод. Сначала пришлите URL репозитория.',
+    invalidRepo:
+      '❌ Неверный формат URL репозитория.\n\n' +
+      'Пришлите корректный URL репозитория GitHub (только HTTPS), например:\n' +
+      'https://github.com/owner/repo-name\n\n' +
+      'Попробуйте ещё раз:',
+    repoSet:
+      '✅ Репозиторий: `{repository}`\n\n' +
+      'Теперь нужен ваш персональный токен доступа GitHub (PAT).\n\n' +
+      '🔐 **Как создать PAT:**\n' +
+      '1. Откройте https://github.com/settings/tokens\n' +
+      '2. Нажмите «Generate new token» → «Generate new token (classic)»\n' +
+      '3. Дайте ему имя (например, «TeleGit Bot»)\n' +
+      '4. Выберите области: `repo` (полный доступ к приватным репозиториям)\n' +
+      '5. Нажмите «Generate token»\n' +
+      '6. Скопируйте токен (он начинается с `ghp_`)\n\n' +
+      '📤 **Пришлите мне PAT:**\n' +
+      'Вставьте токен сюда (он будет зашифрован и надёжно сохранён)',
+    invalidPat:
+      '❌ Неверный формат PAT.\n\n' +
+      'Персональные токены доступа GitHub начинаются с `ghp_` или `github_pat_`.\n\n' +
+      'Проверьте токен и попробуйте ещё раз:',
+    patNotDeleted:
+      '❌ КРИТИЧЕСКАЯ ОШИБКА БЕЗОПАСНОСТИ: не удалось удалить сообщение с вашим PAT из истории чата.\n\n' +
+      'Для вашей безопасности:\n' +
+      '1. Отзовите отправленный PAT на https://github.com/settings/tokens\n' +
+      '2. По возможности удалите сообщение вручную\n' +
+      '3. Пройдите настройку заново\n\n' +
+      'Ваш PAT сейчас виден в истории чата - немедленно отзовите его.',
+    patRejected:
+      '❌ Проверка PAT не прошла: {error}\n\n' +
+      'Проверьте, что:\n' +
+      '- Токен указан верно\n' +
+      '- У него есть область `repo`\n' +
+      '- У него есть доступ к `{repository}`\n\n' +
+      'Попробуйте ещё раз с корректным токеном:',
+    patCheckFailed: '❌ Не удалось проверить PAT: {error}\n\nПопробуйте ещё раз:',
+    complete:
+      '✅ **Настройка завершена!**\n\n' +
+      'Ваша группа подключена к:\n' +
+      '📁 Репозиторий: `{repository}`\n\n' +
+      'Теперь в групповом чате можно:\n' +
+      '- Упоминать меня (@{botUsername})\n' +
+      '- Использовать хэштеги (#bug, #task, #idea и т. д.)\n\n' +
+      'Я буду автоматически создавать задачи GitHub из ваших сообщений и управлять ими! 🎉',
+    saveFailed: '❌ Не удалось сохранить конфигурацию: {error}\n\nПройдите настройку заново.',
+    intro:
+      '👋 Привет! Я TeleGit Bot.\n\n' +
+      'Чтобы настроить интеграцию с GitHub для группы:\n' +
+      '1. Добавьте меня в группу Telegram\n' +
+      '2. Попробуйте обратиться ко мне там (упомяните меня или используйте хэштег)\n' +
+      '3. Я проведу вас через настройку\n\n' +
+      'Если вы были в процессе настройки, начните заново из группового чата.',
+    unknownStep: '❌ Неизвестный шаг настройки. Начните заново.',
+    groupReady:
+      '✅ Интеграция с GitHub настроена!\n\n' +
+      'Я готов помогать с задачами в `{repository}`.\n\n' +
+      'Упомяните меня или используйте хэштеги, чтобы начать! 🚀',
+  },
+
+  notify: {
+    created: 'Задача создана!',
+    closed: 'Задача #{number} закрыта!',
+    reopened: 'Задача #{number} открыта снова!',
+    commented: 'Комментарий добавлен к задаче #{number}!',
+    createFailed: 'Не удалось создать задачу: «{title}»',
+    closeFailed: 'Не удалось закрыть задачу #{number}',
+    reopenFailed: 'Не удалось открыть задачу #{number} снова',
+    commentFailed: 'Не удалось прокомментировать задачу #{number}',
+    milestone: '🏁 Веха: {milestone}',
+    project: '🗂 Проект: {project}',
+    unassigned: '⚠️ Не назначено (нет привязанного аккаунта GitHub, см. /linkgithub): {names}',
+    degraded: '⚠️ Классификация ИИ недоступна, поэтому задача оформлена по ключевым словам и помечена needs-triage',
+    translated: '🌐 Задача написана на английском, исходный текст сохранён в ней',
+    error: 'Ошибка: {error}',
+    unknownError: 'Неизвестная ошибка',
+    unknown: '🤷 Я не понял, что нужно сделать.\n\nПопробуйте сформулировать точнее или используйте слова вроде «баг», «задача» или «идея».',
+    lowConfidence: '🤔 Я не очень уверен в этом запросе ({confidence}%).\n\nПереформулируйте или добавьте подробностей.',
+    analyzed: '👌 Сообщение разобрано.\n\nНамерение: {intent}\nУверенность: {confidence}%',
+    summary: '📋 Выполнено действий: {succeeded} из {total}:',
+    searchLine: {
+      one: '🔍 {count} задача подходит под «{query}»',
+      few: '🔍 {count} задачи подходят под «{query}»',
+      many: '🔍 {count} задач подходят под «{query}»',
+      other: '🔍 {count} задачи подходят под «{query}»',
+    },
+    createdLine: 'Задача #{number} создана: «{title}»',
+    actionFailed: '❌ Не удалось обработать {intent}: {error}',
+    actionProcessed: '👌 {intent} обработано',
+    undoHint: 'Кнопками ниже можно отменить отдельное действие.',
+    undoButton: '↩️ Отменить #{number}',
+    agentDisabled: '🤖 Для этого запроса нужен режим агента, а в этой группе он выключен. Попросите менеджера включить его командой /agent on.',
+    agentNoActions: 'Ничего не изменено.',
+    agentCreated: '🆕 Задача #{number} создана',
+    agentUpdated: '✏️ Задача #{number} изменена: {fields}',
+    agentCommented: '💬 Комментарий к задаче #{number} добавлен',
+    agentToolCall: '🔧 {tool} выполнено',
+    agentRefused: '🚫 {tool} недоступно в режиме агента',
+    agentFailed: '❌ {tool} не удалось: {error}',
+    agentStepLimit: '⚠️ Остановился после {steps} шагов, поэтому запрос может быть выполнен не полностью.',
+  },
+
+  search: {
+    subject: ' по запросу «{query}»',
+    none: '🔍 Задачи{subject} не найдены.',
+    found: {
+      one: '🔍 Найдена {count} задача{subject}:',
+      few: '🔍 Найдено {count} задачи{subject}:',
+      many: '🔍 Найдено {count} задач{subject}:',
+      other: '🔍 Найдено {count} задачи{subject}:',
+    },
+    page: 'Страница {page} из {pages}',
+    unresolved: '⚠️ Не распознано и не учтено в поиске (людям нужен /linkgithub): {names}',
+    open: '🟢 открыта',
+    closed: '🔴 закрыта',
+    prev: '◀️ Назад',
+    next: 'Далее ▶️',
+    unavailable: 'ℹ️ Этот поиск больше недоступен',
+    notLinked: '❌ Эта группа не привязана к репозиторию',
+  },
+
+  clarify: {
+    question: '🤔 Я не очень уверен в этом запросе ({confidence}%).\n\nЧто с ним сделать?',
+    bugButton: '👾 Баг',
+    taskButton: '🫡 Задача',
+    ideaButton: '🦄 Идея',
+    ignoreButton: '🙈 Игнорировать',
+    bug: '👾 Понял, оформляю как баг.',
+    task: '🫡 Понял, оформляю как задачу.',
+    idea: '🦄 Понял, оформляю как идею.',
+    ignore: '🙈 Хорошо, игнорирую это сообщение.',
+    notAllowed: '❌ Ответить на этот вопрос может только автор или менеджер группы',
+    answered: 'ℹ️ На этот вопрос уже ответили.',
+  },
+
+  preview: {
+    header: '📝 *Черновик задачи*',
+    title: '*Заголовок:* {title}',
+    labels: '*Метки:* {labels}',
+    assignees: '*Исполнители:* {assignees}',
+    milestone: '*Веха:* {milestone}',
+    project: '*Проект:* {project}',
+    none: 'нет',
+    confirm: 'Создать эту задачу?',
+    createButton: '✅ Создать',
+    editButton: '✏️ Изменить заголовок',
+    cancelButton: '❌ Отмена',
+    notAllowed: '❌ Решить судьбу черновика может только автор или менеджер группы',
+    titlePrompt: '✏️ Ответьте на это сообщение новым заголовком задачи.',
+    titlePlaceholder: 'Новый заголовок задачи',
+    create: '✅ Создаю задачу...',
+    cancel: '🗑 Черновик удалён, задача не создана.',
+    handled: 'ℹ️ Этот черновик уже обработан.',
+    titleExpired: '⌛ Время на изменение заголовка истекло. Нажмите ✏️ Изменить заголовок в черновике ещё раз.',
+    titleFailed: '❌ При обновлении черновика произошла ошибка.',
+  },
+
+  duplicates: {
+    question: '🔁 Похоже, об этом уже сообщали:\n\n{candidates}\n\nЧто сделать?',
+    commentButton: '💬 Прокомментировать #{number} вместо этого',
+    createButton: '🆕 Всё равно создать',
+    notAllowed: '❌ Решить это может только автор или менеджер группы',
+    create: '🆕 Всё равно создаю новую задачу...',
+    comment: '💬 Добавляю это в #{number}...',
+    answered: 'ℹ️ На этот вопрос уже ответили.',
+  },
+
+  identity: {
+    privateOnly: '❌ Отправьте мне /linkgithub в личном сообщении.',
+    userNotAllowed: '❌ Вам не разрешено пользоваться этим ботом. Обратитесь к администратору.',
+    instructions:
+      'Чтобы подтвердить, что github.com/{login} принадлежит вам, добавьте этот токен в описание профиля GitHub или в публичный gist:\n\n' +
+      '{token}\n\n' +
+      'Затем отправьте /linkgithub verify. После этого токен можно удалить.',
+    usage:
+      'Использование:\n' +
+      '/linkgithub <login> - Привязать аккаунт GitHub\n' +
+      '/linkgithub verify - Подтвердить привязку\n' +
+      '/linkgithub remove - Удалить привязку',
+    notLinked: '🔗 Ваш аккаунт Telegram не привязан к GitHub.\n\n{usage}',
+    linkedStatus: '🔗 Привязан к github.com/{login} ({status}).\n\n{usage}',
+    verifiedVia: '✅ подтверждён через {method}',
+    notVerified: '⏳ ещё не подтверждён',
+    removed: '✅ Привязка к GitHub удалена.',
+    nothingToRemove: 'ℹ️ Ваш аккаунт Telegram не привязан к GitHub.',
+    linkFirst: 'ℹ️ Сначала привяжите аккаунт GitHub: /linkgithub <login>',
+    alreadyVerified: '✅ github.com/{login} уже подтверждён.',
+    tokenNotFound: '❌ Я пока не нашёл токен на GitHub.\n\n{instructions}',
+    verified: '✅ Подтверждено! Теперь задачи, где вас упоминают, будут назначаться на github.com/{login}.',
+    invalidLogin: '❌ «{login}» — недопустимый логин GitHub.',
+    unknownUser: '❌ Пользователя GitHub «{login}» не существует.',
+    linked: '🔗 Привязан к github.com/{login}. {note}\n\n{instructions}',
+    assignAfterVerify: 'Задачи, где вас упоминают, будут назначаться на вас после подтверждения привязки.',
+    assignNow: 'Задачи, где вас упоминают, назначаются на вас сразу; подтверждение необязательно.',
+  },
+
+  undo: {
+    notFound: '❌ Не удалось найти операцию для отмены.',
+    alreadyUndone: 'ℹ️ Эта операция уже отменена.',
+    notCompleted: 'ℹ️ Эту операцию нельзя отменить (она не завершилась успешно).',
+    notConfigured: '❌ Отмена не настроена.',
+    done: '✅ Операция отменена.',
+    closed: '✅ Задача #{number} закрыта.',
+    reopened: '✅ Задача #{number} снова открыта.',
+    restored: '✅ Задача #{number} возвращена в прежнее состояние.',
+    failed: '❌ Не удалось отменить операцию: {error}',
+    error: '❌ При обработке отмены произошла ошибка.',
+    undoneToast: 'Отменено',
+    failedToast: 'Не удалось отменить',
+  },
+
+  errors: {
+    unexpected: '😵‍💫 Произошла непредвиденная ошибка.',
+    generic: '😵‍💫 При обработке запроса произошла ошибка.',
+    MISSING_MESSAGE_TEXT: '❌ В сообщении нет текста. Отправьте текстовое сообщение.',
+    INTENT_CLASSIFICATION_ERROR: '😵‍💫 Мне не удалось понять ваше сообщение. Попробуйте переформулировать.',
+    FORMATTING_ERROR: '❌ Не удалось подготовить ваш запрос.',
+    CLARIFICATION_ERROR: '😵‍💫 Я не был уверен, что вы имели в виду, и не смог уточнить.',
+    DUPLICATE_CHECK_ERROR: '❌ Я нашёл похожие задачи, но не смог спросить о них, поэтому ничего не создано.',
+    PREVIEW_ERROR: '❌ Не удалось показать предпросмотр задачи, поэтому ничего не создано.',
+    AGENT_ERROR: '😵‍💫 Не удалось выполнить этот запрос.',
+    AGENT_INTERRUPTED: '⚠️ Меня перезапустили во время выполнения этого запроса, поэтому я не стал выполнять его заново. Часть изменений могла уже быть внесена — проверьте задачи, прежде чем просить снова.',
+    STORAGE_ERROR: '⚠️ Запрос обработан, но его не удалось сохранить в базу данных.',
+    WORKFLOW_EXECUTION_ERROR: '😵‍💫 Что-то пошло не так при обработке запроса.',
+    LLM_BUDGET_PAUSED: '⏸ Группа израсходовала месячный бюджет ИИ, поэтому до следующего месяца я не обрабатываю сообщения. Менеджер может изменить бюджет командой /budget.',
+    LLM_BUDGET_HASHTAGS_ONLY: '⏸ Группа израсходовала месячный бюджет ИИ. До следующего месяца я оформляю только сообщения с одним хэштегом #bug, #task или #idea и коротким заголовком. Менеджер может изменить бюджет командой /budget.',
+    details: '🔍 Подробности: {message}',
+  },
+};
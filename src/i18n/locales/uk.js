@@ -0,0 +1,445 @@
+/**
+ * Ukrainian catalog
+ * Keys missing here fall back to the English catalog
+ */
+
+export default {
+  commands: {
+    groupOnly: '❌ Ця команда працює лише в групових чатах.',
+    notLinked: 'ℹ️ Ця група не прив\'язана до репозиторію GitHub.\n\nВикористайте /start, щоб налаштувати інтеграцію з GitHub.',
+    error: '❌ Сталася помилка. Спробуйте пізніше.',
+    errorToast: '❌ Сталася помилка',
+    list:
+      '**Доступні команди:**\n' +
+      '/start - Показати цю довідку\n' +
+      '/status - Статистика використання (лише менеджер)\n' +
+      '/draft - Попередній перегляд задач перед створенням (лише менеджер)\n' +
+      '/labels - Зіставити хештеги з мітками репозиторію (лише менеджер)\n' +
+      '/budget - Місячний бюджет токенів ШІ (лише менеджер)\n' +
+      '/translate - Писати задачі англійською (лише менеджер)\n' +
+      '/agent - Виконувати довільні запити до GitHub (лише менеджер)\n' +
+      '/why - Чому задачу було так класифіковано й оброблено (лише менеджер)\n' +
+      '/linkgithub - Прив\'язати акаунт GitHub для призначень (особистий чат)\n' +
+      '/unlink - Від\'єднати GitHub (лише менеджер)',
+  },
+
+  start: {
+    chatNotAllowed: '❌ Цій групі не дозволено користуватися ботом.\n\nЗверніться до адміністратора бота, щоб додати групу до білого списку.',
+    userNotAllowed: '❌ Вам не дозволено користуватися цим ботом.\n\nЗверніться до адміністратора бота.',
+    welcome:
+      '👋 **Ласкаво просимо до TeleGit!**\n\n' +
+      'Я бот на основі ШІ, який перетворює ваші повідомлення на задачі GitHub.\n\n' +
+      '**З чого почати:**\n' +
+      'Я надіслав вам особисте повідомлення для налаштування інтеграції з GitHub.\n\n' +
+      '**Після налаштування ви зможете:**\n' +
+      '• Згадувати мене (@{botUsername}) у повідомленнях\n' +
+      '• Використовувати хештеги #bug, #task, #idea\n' +
+      '• Я автоматично створюватиму задачі GitHub з ваших повідомлень\n\n' +
+      '{commands}',
+    setupDm:
+      '🔧 **Налаштуймо інтеграцію з GitHub!**\n\n' +
+      'Надішліть URL вашого репозиторію GitHub (лише HTTPS):\n' +
+      'Наприклад: https://github.com/owner/repo-name',
+    dmFailed: '⚠️ Не вдалося надіслати вам особисте повідомлення. Спершу відкрийте чат зі мною: натисніть на @{botUsername}, а потім «Start».',
+    connected:
+      '👋 **TeleGit Bot**\n\n' +
+      'Я бот на основі ШІ, який перетворює ваші повідомлення на задачі GitHub.\n\n' +
+      '**Поточна конфігурація:**\n' +
+      '📁 Репозиторій: `{repository}`\n' +
+      '✅ Статус: підключено\n\n' +
+      '**Як користуватися:**\n' +
+      '• Згадуйте мене (@{botUsername}) у повідомленнях\n' +
+      '• Використовуйте хештеги #bug, #task, #idea\n' +
+      '• Я автоматично створюватиму задачі GitHub з ваших повідомлень\n\n' +
+      '{commands}',
+  },
+
+  unlink: {
+    managerOnly: '❌ Від\'єднати репозиторій GitHub може лише менеджер групи.\n\nПопросіть менеджера виконати цю команду.',
+    confirm:
+      '⚠️ **Підтвердьте від\'єднання**\n\n' +
+      'Ви впевнені, що хочете від\'єднати цю групу від:\n' +
+      '📁 `{repository}`\n\n' +
+      'Це:\n' +
+      '• Видалить інтеграцію з GitHub\n' +
+      '• Видалить збережені облікові дані\n' +
+      '• Вимагатиме повторного налаштування для роботи бота\n\n' +
+      '**Цю дію неможливо скасувати.**',
+    confirmButton: '✅ Так, від\'єднати',
+    cancelButton: '❌ Ні, скасувати',
+    cancelled: '❌ Від\'єднання скасовано.',
+    cancelledToast: 'Скасовано',
+    managerOnlyToast: '❌ Підтвердити від\'єднання може лише менеджер групи',
+    done:
+      '✅ **Репозиторій від\'єднано**\n\n' +
+      'Інтеграцію з GitHub видалено.\n\n' +
+      'Використайте /start, щоб налаштувати нове підключення.',
+    doneToast: 'Від\'єднано',
+    failed: '❌ Не вдалося від\'єднати. Можливо, конфігурацію групи вже видалено.',
+    failedToast: 'Не вдалося від\'єднати',
+  },
+
+  draft: {
+    managerOnly: '❌ Змінювати режим чернеток може лише менеджер групи.\n\nПопросіть менеджера виконати цю команду.',
+    statusOn: '📝 Режим чернеток увімкнено.\n\nВикористайте /draft on або /draft off, щоб змінити його.',
+    statusOff: '📝 Режим чернеток вимкнено.\n\nВикористайте /draft on або /draft off, щоб змінити його.',
+    enabled: '📝 Режим чернеток увімкнено.\n\nЯ показуватиму попередній перегляд кожної нової задачі й створюватиму її лише після підтвердження автором або менеджером.',
+    disabled: '⚡ Режим чернеток вимкнено.\n\nЯ знову створюватиму задачі одразу.',
+  },
+
+  translate: {
+    managerOnly: '❌ Змінювати мову задач може лише менеджер групи.\n\nПопросіть менеджера виконати цю команду.',
+    statusOn: '🌐 Задачі пишуться англійською.\n\nВикористайте /translate on або /translate off, щоб змінити це.',
+    statusOff: '🌐 Задачі пишуться мовою повідомлення.\n\nВикористайте /translate on або /translate off, щоб змінити це.',
+    enabled: '🌐 Тепер задачі пишуться англійською.\n\nЯ перекладатиму заголовок і опис задач з інших мов і зберігатиму оригінальний текст у блоці, що згортається.',
+    disabled: '🌐 Тепер задачі пишуться мовою повідомлення.',
+  },
+
+  agent: {
+    managerOnly: '❌ Змінювати режим агента може лише менеджер групи.\n\nПопросіть менеджера виконати цю команду.',
+    statusOn: '🤖 Режим агента увімкнено.\n\nВикористайте /agent on або /agent off, щоб змінити це.',
+    statusOff: '🤖 Режим агента вимкнено.\n\nВикористайте /agent on або /agent off, щоб змінити це.',
+    enabled: '🤖 Режим агента увімкнено.\n\nЯ крок за кроком виконуватиму запити на кшталт «признач на мене всі відкриті баги авторизації й додай їм мітку p1» і перелічуватиму кожну зміну з кнопкою скасування.',
+    disabled: '🤖 Режим агента вимкнено.\n\nЯ знову виконуватиму лише окремі дії із задачами.',
+  },
+
+  labels: {
+    managerOnly: '❌ Змінювати зіставлення міток може лише менеджер групи.\n\nПопросіть менеджера виконати цю команду.',
+    noMappings: 'Хештеги ще не зіставлені.',
+    overview:
+      '🏷 Зіставлення міток\n\n{mappings}\n\n' +
+      'Невідомі хештеги: {policy}\n\n' +
+      'Використання:\n' +
+      '/labels map <хештег> <мітка> - Зіставити хештег з міткою репозиторію\n' +
+      '/labels unmap <хештег> - Видалити зіставлення\n' +
+      '/labels unknown drop|create|keep - Відкидати невідомі хештеги, створювати для них мітки або залишати їх текстом у задачі',
+    mapUsage: '❌ Використання: /labels map <хештег> <мітка>\n\nПриклад: /labels map urgent priority: high',
+    noSuchLabel: '❌ У {repository} немає мітки «{label}».',
+    mapped: '✅ #{tag} тепер додає мітку «{label}».',
+    notMapped: 'ℹ️ #{tag} не зіставлений.',
+    unmapped: '✅ #{tag} більше не зіставлений.',
+    unknownUsage: '❌ Використання: /labels unknown drop|create|keep',
+    policySet: '✅ Невідомі хештеги тепер обробляються так: {policy}',
+  },
+
+  budget: {
+    managerOnly: '❌ Змінювати бюджет може лише менеджер групи.\n\nПопросіть менеджера виконати цю команду.',
+    overview:
+      '💰 Використання ШІ\n\n{summary}\n\n' +
+      'Використайте /budget <токени> [hashtags|pause], щоб задати місячний бюджет (наприклад, /budget 500k pause), ' +
+      'або /budget off, щоб прибрати його. Використання рахується за місяцями UTC.',
+    removed: '✅ Бюджет прибрано. Повідомлення обробляються без обмеження токенів.',
+    usage: '❌ Використання: /budget <токени> [hashtags|pause], наприклад /budget 500k hashtags',
+    setPause: '✅ Місячний бюджет: {tokens} токенів.\n\nКоли його буде вичерпано, я припиню обробляти повідомлення до наступного місяця.',
+    setHashtags: '✅ Місячний бюджет: {tokens} токенів.\n\nКоли його буде вичерпано, до наступного місяця я оформлюватиму лише повідомлення з одним хештегом #bug, #task або #idea і коротким заголовком.',
+  },
+
+  why: {
+    managerOnly: '❌ Дізнатися, чому бот так вчинив, може лише менеджер групи.\n\nПопросіть менеджера виконати цю команду.',
+    usage: '❌ Використання: /why <номер задачі>, наприклад /why 42',
+    notFound: 'ℹ️ У мене немає записів про обробку #{issueNumber} у цій групі.',
+    header: '🔎 Чому #{issueNumber} ({operation})',
+    classified: 'Класифіковано як {intent} з упевненістю {confidence}% ({source})',
+    reasoning: 'Обґрунтування: {reasoning}',
+    labels: 'Мітки: {labels}',
+    steps: 'Кроки:',
+    error: 'Помилка: {message}',
+  },
+
+  usage: {
+    today: '📅 Сьогодні: {tokens} токенів (~{cost})',
+    month: '🗓️ Цього місяця: {tokens} токенів (~{cost})',
+    budget: '💰 Бюджет: {percent}% з {limit} токенів, {action}',
+    noBudget: '💰 Бюджет: не задано (див. /budget)',
+    thenPause: 'потім обробку призупинено',
+    thenHashtags: 'потім лише повідомлення з хештегами',
+  },
+
+  status: {
+    managerOnly: '❌ Переглядати статус може лише менеджер групи.\n\nПопросіть менеджера виконати цю команду.',
+    gathering: '🔄 Збираю статистику...',
+    connected: '✅ Підключено',
+    error: '❌ Помилка',
+    unavailable: '❌ Недоступно',
+    failed: '❌ Під час збору статистики сталася помилка.',
+    report:
+      '📊 **Статус групи**\n\n' +
+      '**Конфігурація GitHub:**\n' +
+      '📁 Репозиторій: `{repository}`\n' +
+      '👤 Менеджер: {manager}\n' +
+      '📅 Створено: {createdAt}\n\n' +
+      '**Зведення операцій:**\n' +
+      '📈 Усього операцій: {total}\n' +
+      '✅ Виконано: {completed}\n' +
+      '⏳ В очікуванні: {pending}\n' +
+      '🔄 В обробці: {processing}\n' +
+      '❌ З помилкою: {failed}\n' +
+      '↩️ Скасовано: {undone}\n\n' +
+      '**Операції за типами:**\n' +
+      '{breakdown}\n\n' +
+      '**Використання LLM:**\n' +
+      '{usage}\n\n' +
+      '**Кеш:**\n' +
+      '💬 Контексти розмов: {contexts}\n' +
+      '📝 Відповіді в очікуванні: {feedback}\n\n' +
+      '**Стан підключень:**\n' +
+      '🗄️ База даних: {database}\n' +
+      '🤖 LLM API ({provider}): {llm}\n' +
+      '📁 GitHub MCP: {github}\n\n' +
+      '**Система:**\n' +
+      '⏱️ Час роботи: {uptime}',
+  },
+
+  handler: {
+    error: '😵‍💫 Ой! Щось пішло не так під час обробки вашого повідомлення. Спробуйте ще раз.',
+    defaultName: 'друже',
+    authRequired:
+      '👋 Привіт, {firstName}!\n\n' +
+      '🔐 Ця група ще не підключена до GitHub.\n\n' +
+      'Щоб почати:\n' +
+      '1. Напишіть мені в особисті повідомлення: @{botUsername}\n' +
+      '2. Виконайте інструкції, щоб налаштувати репозиторій GitHub\n\n' +
+      'Після налаштування я зможу створювати задачі GitHub і керувати ними прямо з цього чату!',
+    setupDm:
+      '👋 Привіт, {firstName}!\n\n' +
+      'Налаштуймо інтеграцію з GitHub для вашого групового чату.\n\n' +
+      'Мені знадобляться:\n' +
+      '1. URL вашого репозиторію GitHub (наприклад, https://github.com/owner/repo)\n' +
+      '2. Персональний токен доступу GitHub (PAT) з правами `repo`\n\n' +
+      'Готові? Надішліть URL репозиторію, щоб почати!',
+    voiceTooLong: '🎙️ Голосові повідомлення довші за {maxMinutes} хв не розшифровуються. Надішліть коротше повідомлення або напишіть текстом.',
+    transcriptionFailed: '🎙️ Не вдалося розшифрувати голосове повідомлення. Спробуйте ще раз або напишіть текстом.',
+  },
+
+  setup: {
+    noSession: '❌ Немає активної сесії налаштування. Почніть налаштування знову.',
+    unexpectedInput: '❌ Неочікуване введення. Виконуйте кроки налаштування по черзі.',
+    repoFirst: '❌ Неочікуване введення. Спершу надішліть URL репозиторію.',
+    invalidRepo:
+      '❌ Неправильний формат URL репозиторію.\n\n' +
+      'Надішліть коректний URL репозиторію GitHub (лише HTTPS), наприклад:\n' +
+      'https://github.com/owner/repo-name\n\n' +
+      'Спробуйте ще раз:',
+    repoSet:
+      '✅ Репозиторій: `{repository}`\n\n' +
+      'Тепер потрібен ваш персональний токен доступу GitHub (PAT).\n\n' +
+      '🔐 **Як створити PAT:**\n' +
+      '1. Відкрийте https://github.com/settings/tokens\n' +
+      '2. Натисніть «Generate new token» → «Generate new token (classic)»\n' +
+      '3. Дайте йому назву (наприклад, «TeleGit Bot»)\n' +
+      '4. Оберіть області: `repo` (повний доступ до приватних репозиторіїв)\n' +
+      '5. Натисніть «Generate token»\n' +
+      '6. Скопіюйте токен (він починається з `ghp_`)\n\n' +
+      '📤 **Надішліть мені PAT:**\n' +
+      'Вставте токен сюди (його буде зашифровано й надійно збережено)',
+    invalidPat:
+      '❌ Неправильний формат PAT.\n\n' +
+      'Персональні токени доступу GitHub починаються з `ghp_` або `github_pat_`.\n\n' +
+      'Перевірте токен і спробуйте ще раз:',
+    patNotDeleted:
+      '❌ КРИТИЧНА ПОМИЛКА БЕЗПЕКИ: не вдалося видалити повідомлення з вашим PAT з історії чату.\n\n' +
+      'Для вашої безпеки:\n' +
+      '1. Відкличте надісланий PAT на https://github.com/settings/tokens\n' +
+      '2. За можливості видаліть повідомлення вручну\n' +
+      '3. Пройдіть налаштування знову\n\n' +
+      'Ваш PAT зараз видно в історії чату - негайно відкличте його.',
+    patRejected:
+      '❌ Перевірка PAT не пройшла: {error}\n\n' +
+      'Перевірте, що:\n' +
+      '- Токен указано правильно\n' +
+      '- Він має область `repo`\n' +
+      '- Він має доступ до `{repository}`\n\n' +
+      'Спробуйте ще раз з коректним токеном:',
+    patCheckFailed: '❌ Не вдалося перевірити PAT: {error}\n\nСпробуйте ще раз:',
+    complete:
+      '✅ **Налаштування завершено!**\n\n' +
+      'Вашу групу підключено до:\n' +
+      '📁 Репозиторій: `{repository}`\n\n' +
+      'Тепер у груповому чаті можна:\n' +
+      '- Згадувати мене (@{botUsername})\n' +
+      '- Використовувати хештеги (#bug, #task, #idea тощо)\n\n' +
+      'Я автоматично створюватиму задачі GitHub з ваших повідомлень і керуватиму ними! 🎉',
+    saveFailed: '❌ Не вдалося зберегти конфігурацію: {error}\n\nПройдіть налаштування знову.',
+    intro:
+      '👋 Привіт! Я TeleGit Bot.\n\n' +
+      'Щоб налаштувати інтеграцію з GitHub для групи:\n' +
+      '1. Додайте мене до групи Telegram\n' +
+      '2. Спробуйте звернутися до мене там (згадайте мене або використайте хештег)\n' +
+      '3. Я проведу вас через налаштування\n\n' +
+      'Якщо ви були в процесі налаштування, почніть знову з групового чату.',
+    unknownStep: '❌ Невідомий крок налаштування. Почніть знову.',
+    groupReady:
+      '✅ Інтеграцію з GitHub налаштовано!\n\n' +
+      'Я готовий допомагати із задачами в `{repository}`.\n\n' +
+      'Згадайте мене або використайте хештеги, щоб почати! 🚀',
+  },
+
+  notify: {
+    created: 'Задачу створено!',
+    closed: 'Задачу #{number} закрито!',
+    reopened: 'Задачу #{number} відкрито знову!',
+    commented: 'Коментар додано до задачі #{number}!',
+    createFailed: 'Не вдалося створити задачу: «{title}»',
+    closeFailed: 'Не вдалося закрити задачу #{number}',
+    reopenFailed: 'Не вдалося відкрити задачу #{number} знову',
+    commentFailed: 'Не вдалося прокоментувати задачу #{number}',
+    milestone: '🏁 Віха: {milestone}',
+    project: '🗂 Проєкт: {project}',
+    unassigned: '⚠️ Не призначено (немає прив\'язаного акаунта GitHub, див. /linkgithub): {names}',
+    degraded: '⚠️ Класифікація ШІ недоступна, тому задачу оформлено за ключовими словами й позначено needs-triage',
+    translated: '🌐 Задачу написано англійською, оригінальний текст збережено в ній',
+    error: 'Помилка: {error}',
+    unknownError: 'Невідома помилка',
+    unknown: '🤷 Я не зрозумів, що потрібно зробити.\n\nСпробуйте сформулювати точніше або використайте слова на кшталт «баг», «задача» чи «ідея».',
+    lowConfidence: '🤔 Я не дуже впевнений щодо цього запиту ({confidence}%).\n\nПереформулюйте або додайте подробиць.',
+    analyzed: '👌 Повідомлення розібрано.\n\nНамір: {intent}\nВпевненість: {confidence}%',
+    summary: '📋 Виконано дій: {succeeded} з {total}:',
+    searchLine: {
+      one: '🔍 {count} задача відповідає «{query}»',
+      few: '🔍 {count} задачі відповідають «{query}»',
+      many: '🔍 {count} задач відповідають «{query}»',
+      other: '🔍 {count} задачі відповідають «{query}»',
+    },
+    createdLine: 'Задачу #{number} створено: «{title}»',
+    actionFailed: '❌ Не вдалося обробити {intent}: {error}',
+    actionProcessed: '👌 {intent} оброблено',
+    undoHint: 'Кнопками нижче можна скасувати окрему дію.',
+    undoButton: '↩️ Скасувати #{number}',
+    agentDisabled: '🤖 Для цього запиту потрібен режим агента, а в цій групі його вимкнено. Попросіть менеджера увімкнути його командою /agent on.',
+    agentNoActions: 'Нічого не змінено.',
+    agentCreated: '🆕 Задачу #{number} створено',
+    agentUpdated: '✏️ Задачу #{number} змінено: {fields}',
+    agentCommented: '💬 Коментар до задачі #{number} додано',
+    agentToolCall: '🔧 {tool} виконано',
+    agentRefused: '🚫 {tool} недоступне в режимі агента',
+    agentFailed: '❌ {tool} не вдалося: {error}',
+    agentStepLimit: '⚠️ Зупинився після {steps} кроків, тому запит може бути виконано не повністю.',
+  },
+
+  search: {
+    subject: ' за запитом «{query}»',
+    none: '🔍 Задач{subject} не знайдено.',
+    found: {
+      one: '🔍 Знайдено {count} задачу{subject}:',
+      few: '🔍 Знайдено {count} задачі{subject}:',
+      many: '🔍 Знайдено {count} задач{subject}:',
+      other: '🔍 Знайдено {count} задачі{subject}:',
+    },
+    page: 'Сторінка {page} з {pages}',
+    unresolved: '⚠️ Не розпізнано й не враховано в пошуку (людям потрібен /linkgithub): {names}',
+    open: '🟢 відкрита',
+    closed: '🔴 закрита',
+    prev: '◀️ Назад',
+    next: 'Далі ▶️',
+    unavailable: 'ℹ️ Цей пошук більше недоступний',
+    notLinked: '❌ Ця група не прив\'язана до репозиторію',
+  },
+
+  clarify: {
+    question: '🤔 Я не дуже впевнений щодо цього запиту ({confidence}%).\n\nЩо з ним зробити?',
+    bugButton: '👾 Баг',
+    taskButton: '🫡 Завдання',
+    ideaButton: '🦄 Ідея',
+    ignoreButton: '🙈 Ігнорувати',
+    bug: '👾 Зрозумів, оформлюю як баг.',
+    task: '🫡 Зрозумів, оформлюю як завдання.',
+    idea: '🦄 Зрозумів, оформлюю як ідею.',
+    ignore: '🙈 Гаразд, ігнорую це повідомлення.',
+    notAllowed: '❌ Відповісти на це питання може лише автор або менеджер групи',
+    answered: 'ℹ️ На це питання вже відповіли.',
+  },
+
+  preview: {
+    header: '📝 *Чернетка задачі*',
+    title: '*Заголовок:* {title}',
+    labels: '*Мітки:* {labels}',
+    assignees: '*Виконавці:* {assignees}',
+    milestone: '*Віха:* {milestone}',
+    project: '*Проєкт:* {project}',
+    none: 'немає',
+    confirm: 'Створити цю задачу?',
+    createButton: '✅ Створити',
+    editButton: '✏️ Змінити заголовок',
+    cancelButton: '❌ Скасувати',
+    notAllowed: '❌ Вирішити долю чернетки може лише автор або менеджер групи',
+    titlePrompt: '✏️ Дайте відповідь на це повідомлення новим заголовком задачі.',
+    titlePlaceholder: 'Новий заголовок задачі',
+    create: '✅ Створюю задачу...',
+    cancel: '🗑 Чернетку видалено, задачу не створено.',
+    handled: 'ℹ️ Цю чернетку вже оброблено.',
+    titleExpired: '⌛ Час на зміну заголовка минув. Натисніть ✏️ Змінити заголовок у чернетці ще раз.',
+    titleFailed: '❌ Під час оновлення чернетки сталася помилка.',
+  },
+
+  duplicates: {
+    question: '🔁 Схоже, про це вже повідомляли:\n\n{candidates}\n\nЩо зробити?',
+    commentButton: '💬 Прокоментувати #{number} натомість',
+    createButton: '🆕 Однаково створити',
+    notAllowed: '❌ Вирішити це може лише автор або менеджер групи',
+    create: '🆕 Однаково створюю нову задачу...',
+    comment: '💬 Додаю це до #{number}...',
+    answered: 'ℹ️ На це питання вже відповіли.',
+  },
+
+  identity: {
+    privateOnly: '❌ Надішліть мені /linkgithub в особистому повідомленні.',
+    userNotAllowed: '❌ Вам не дозволено користуватися цим ботом. Зверніться до адміністратора.',
+    instructions:
+      'Щоб підтвердити, що github.com/{login} належить вам, додайте цей токен в опис профілю GitHub або в публічний gist:\n\n' +
+      '{token}\n\n' +
+      'Потім надішліть /linkgithub verify. Після цього токен можна видалити.',
+    usage:
+      'Використання:\n' +
+      '/linkgithub <login> - Прив\'язати акаунт GitHub\n' +
+      '/linkgithub verify - Підтвердити прив\'язку\n' +
+      '/linkgithub remove - Видалити прив\'язку',
+    notLinked: '🔗 Ваш акаунт Telegram не прив\'язаний до GitHub.\n\n{usage}',
+    linkedStatus: '🔗 Прив\'язано до github.com/{login} ({status}).\n\n{usage}',
+    verifiedVia: '✅ підтверджено через {method}',
+    notVerified: '⏳ ще не підтверджено',
+    removed: '✅ Прив\'язку до GitHub видалено.',
+    nothingToRemove: 'ℹ️ Ваш акаунт Telegram не прив\'язаний до GitHub.',
+    linkFirst: 'ℹ️ Спочатку прив\'яжіть акаунт GitHub: /linkgithub <login>',
+    alreadyVerified: '✅ github.com/{login} уже підтверджено.',
+    tokenNotFound: '❌ Я поки не знайшов токен на GitHub.\n\n{instructions}',
+    verified: '✅ Підтверджено! Тепер задачі, де вас згадують, призначатимуться на github.com/{login}.',
+    invalidLogin: '❌ «{login}» — недійсний логін GitHub.',
+    unknownUser: '❌ Користувача GitHub «{login}» не існує.',
+    linked: '🔗 Прив\'язано до github.com/{login}. {note}\n\n{instructions}',
+    assignAfterVerify: 'Задачі, де вас згадують, призначатимуться на вас після підтвердження прив\'язки.',
+    assignNow: 'Задачі, де вас згадують, призначаються на вас одразу; підтвердження необов\'язкове.',
+  },
+
+  undo: {
+    notFound: '❌ Не вдалося знайти операцію для скасування.',
+    alreadyUndone: 'ℹ️ Цю операцію вже скасовано.',
+    notCompleted: 'ℹ️ Цю операцію не можна скасувати (вона не завершилася успішно).',
+    notConfigured: '❌ Скасування не налаштовано.',
+    done: '✅ Операцію скасовано.',
+    closed: '✅ Задачу #{number} закрито.',
+    reopened: '✅ Задачу #{number} відкрито знову.',
+    restored: '✅ Задачу #{number} повернено до попереднього стану.',
+    failed: '❌ Не вдалося скасувати операцію: {error}',
+    error: '❌ Під час обробки скасування сталася помилка.',
+    undoneToast: 'Скасовано',
+    failedToast: 'Не вдалося скасувати',
+  },
+
+  errors: {
+    unexpected: '😵‍💫 Сталася неочікувана помилка.',
+    generic: '😵‍💫 Під час обробки запиту сталася помилка.',
+    MISSING_MESSAGE_TEXT: '❌ У повідомленні немає тексту. Надішліть текстове повідомлення.',
+    INTENT_CLASSIFICATION_ERROR: '😵‍💫 Мені не вдалося зрозуміти ваше повідомлення. Спробуйте переформулювати.',
+    FORMATTING_ERROR: '❌ Не вдалося підготувати ваш запит.',
+    CLARIFICATION_ERROR: '😵‍💫 Я не був певен, що ви мали на увазі, і не зміг уточнити.',
+    DUPLICATE_CHECK_ERROR: '❌ Я знайшов схожі задачі, але не зміг запитати про них, тому нічого не створено.',
+    PREVIEW_ERROR: '❌ Не вдалося показати попередній перегляд задачі, тому нічого не створено.',
+    AGENT_ERROR: '😵‍💫 Не вдалося виконати цей запит.',
+    AGENT_INTERRUPTED: '⚠️ Мене перезапустили під час виконання цього запиту, тому я не став виконувати його знову. Частину змін могло вже бути внесено — перевірте задачі, перш ніж просити знову.',
+    STORAGE_ERROR: '⚠️ Запит оброблено, але його не вдалося зберегти в базу даних.',
+    WORKFLOW_EXECUTION_ERROR: '😵‍💫 Щось пішло не так під час обробки запиту.',
+    LLM_BUDGET_PAUSED: '⏸ Група вичерпала місячний бюджет ШІ, тому до наступного місяця я не обробляю повідомлення. Менеджер може змінити бюджет командою /budget.',
+    LLM_BUDGET_HASHTAGS_ONLY: '⏸ Група вичерпала місячний бюджет ШІ. До наступного місяця я оформлюю лише повідомлення з одним хештегом #bug, #task або #idea і коротким заголовком. Менеджер може змінити бюджет командою /budget.',
+    details: '🔍 Подробиці: {message}',
+  },
+};
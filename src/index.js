@@ -9,17 +9,32 @@ import logger from './utils/logger.js';
 import { testConnection, closePool } from './database/db.js';
 import { initializeBot, getBotInfo } from './services/telegram/bot.js';
 import { createMessageHandler, handleEditedMessage } from './services/telegram/handlers.js';
-import { handleReaction } from './services/telegram/reaction-handler.js';
+import { handleReaction, createUndoCallbackHandler } from './services/telegram/reaction-handler.js';
 import { createFilterMiddleware } from './services/telegram/filters.js';
 import { createPrivateMessageHandler } from './services/telegram/private-message-handler.js';
+import { createLinkGitHubCommandHandler } from './services/telegram/identity.js';
 import { getSetupSession, cleanupExpiredSessions } from './services/telegram/auth-setup.js';
 import {
   createStartCommandHandler,
   createUnlinkCommandHandler,
   createUnlinkCallbackHandler,
   createStatusCommandHandler,
+  createDraftCommandHandler,
+  createTranslateCommandHandler,
+  createAgentCommandHandler,
+  createLabelsCommandHandler,
+  createBudgetCommandHandler,
+  createWhyCommandHandler,
+  createCallbackQueryRouter,
 } from './services/telegram/commands.js';
-import { processMessage } from './ai/processor.js';
+import { createClarificationCallbackHandler } from './services/telegram/clarification.js';
+import { createDraftCallbackHandler, createDraftTitleReplyMiddleware } from './services/telegram/draft.js';
+import { createDuplicateCallbackHandler } from './services/telegram/duplicates.js';
+import { createSearchCallbackHandler } from './services/telegram/search.js';
+import { processMessage, resumeMessageProcessing, recoverMessageProcessing } from './ai/processor.js';
+import { findInterruptedWorkflows } from './ai/workflow.js';
+import { undoOperation } from './ai/undo.js';
+import { isTranscriptionEnabled } from './integrations/speech/transcription.js';
 import { messageQueue, Priority } from './queue/message-queue.js';
 import { query } from './database/db.js';
 import {
@@ -28,6 +43,7 @@ import {
   readinessHandler,
   livenessHandler,
 } from './api/health.js';
+import { telegramAssetProxyMiddleware } from './api/telegram-asset-proxy.js';
 
 /**
  * Global state
@@ -76,6 +92,8 @@ async function startApplication() {
       allowedChatIds: config.telegram.allowedChatIds,
       allowedUserIds: config.telegram.allowedUserIds,
       hasActiveSession: (userId) => getSetupSession(userId) !== null,
+      transcribeVoice: isTranscriptionEnabled(),
+      spokenTriggers: config.transcription.spokenTriggers,
       logFiltered: config.app.logLevel === 'debug',
     };
 
@@ -84,7 +102,10 @@ async function startApplication() {
     registerBotHandlers(bot, filterOptions);
     logger.info('✓ Bot handlers registered');
 
-    // Step 6: Setup session cleanup interval (every 5 minutes)
+    // Step 6: Finish workflows the last shutdown or crash interrupted
+    await queueInterruptedWorkflows();
+
+    // Step 6b: Setup session cleanup interval (every 5 minutes)
     const sessionCleanupInterval = setInterval(() => {
       const cleaned = cleanupExpiredSessions();
       if (cleaned > 0) {
@@ -107,6 +128,12 @@ async function startApplication() {
     app.get('/api/live', livenessHandler());
     logger.info('✓ Health check routes mounted');
 
+    // Proxied Telegram file links (voice messages in issues) need a public URL
+    if (config.app.publicUrl) {
+      app.get('/api/telegram-asset/:filePath', telegramAssetProxyMiddleware(config.telegram.botToken));
+      logger.info({ publicUrl: config.app.publicUrl }, '✓ Telegram asset proxy mounted');
+    }
+
     // Step 9: Mount Telegraf webhook (production only)
     if (useWebhook) {
       const webhookDomain = process.env.WEBHOOK_DOMAIN;
@@ -166,6 +193,9 @@ function registerBotHandlers(botInstance, filterOptions) {
     return next();
   });
 
+  // Middleware: Draft title replies (before filtering, they carry no trigger)
+  botInstance.use(createDraftTitleReplyMiddleware(queueWorkflowResume));
+
   // Middleware: Filter messages using factory
   botInstance.use(createFilterMiddleware(filterOptions));
 
@@ -173,7 +203,21 @@ function registerBotHandlers(botInstance, filterOptions) {
   botInstance.command('start', createStartCommandHandler({ filterOptions }));
   botInstance.command('status', createStatusCommandHandler());
   botInstance.command('unlink', createUnlinkCommandHandler());
-  botInstance.on('callback_query', createUnlinkCallbackHandler());
+  botInstance.command('draft', createDraftCommandHandler());
+  botInstance.command('translate', createTranslateCommandHandler());
+  botInstance.command('agent', createAgentCommandHandler());
+  botInstance.command('labels', createLabelsCommandHandler());
+  botInstance.command('budget', createBudgetCommandHandler());
+  botInstance.command('why', createWhyCommandHandler());
+  botInstance.command('linkgithub', createLinkGitHubCommandHandler({ filterOptions }));
+  botInstance.on('callback_query', createCallbackQueryRouter({
+    unlink_: createUnlinkCallbackHandler(),
+    undo_: createUndoCallbackHandler(undoOperation),
+    clarify_: createClarificationCallbackHandler(queueWorkflowResume),
+    draft_: createDraftCallbackHandler(queueWorkflowResume),
+    dup_: createDuplicateCallbackHandler(queueWorkflowResume),
+    search_: createSearchCallbackHandler(),
+  }));
 
   // Create private message handler
   const privateMessageHandler = createPrivateMessageHandler();
@@ -205,7 +249,7 @@ function registerBotHandlers(botInstance, filterOptions) {
 
   // Handler: Message reactions (for undo/dismiss)
   botInstance.on('message_reaction', async (ctx) => {
-    await handleReaction(ctx);
+    await handleReaction(ctx, undoOperation);
   });
 
   // Error handler
@@ -223,7 +267,7 @@ function registerBotHandlers(botInstance, filterOptions) {
  * Queue message for AI processing
  * This function is passed to message handlers
  */
-async function queueMessageProcessing(ctx, operationId, threadContext) {
+async function queueMessageProcessing(ctx, operationId, threadContext, options = {}) {
   const message = ctx.message || ctx.editedMessage;
   const chatId = message.chat.id;
   const messageId = message.message_id;
@@ -243,10 +287,19 @@ async function queueMessageProcessing(ctx, operationId, threadContext) {
         operationId,
       }, 'Processing message from queue');
 
+      // Voice messages are processed with their transcript as text
+      const prepared = options.prepareMessage
+        ? await options.prepareMessage()
+        : { message, threadContext };
+
+      if (!prepared) {
+        return null;
+      }
+
       // Process the message through AI workflow
-      const result = await processMessage(message, {
+      const result = await processMessage(prepared.message, {
         skipContextGathering: true,
-        threadContext,
+        threadContext: prepared.threadContext,
         operationId,
       });
 
@@ -264,6 +317,67 @@ async function queueMessageProcessing(ctx, operationId, threadContext) {
   );
 }
 
+/**
+ * Queue resuming a workflow paused for user input
+ * This function is passed to the clarification, draft and duplicate handlers
+ */
+async function queueWorkflowResume(operationId, answer) {
+  return messageQueue.add(
+    async () => {
+      logger.debug({ operationId }, 'Resuming paused message from queue');
+
+      return resumeMessageProcessing(operationId, answer);
+    },
+    {
+      priority: Priority.HIGH,
+      id: `resume:${operationId}`,
+      context: {
+        operationId,
+      },
+    }
+  );
+}
+
+/**
+ * Queue recovery of workflows interrupted by the last shutdown or crash
+ * Failures are logged; a recovery problem should not keep the bot from starting
+ */
+async function queueInterruptedWorkflows() {
+  let operationIds;
+
+  try {
+    operationIds = await findInterruptedWorkflows();
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to look for interrupted workflows');
+    return;
+  }
+
+  if (operationIds.length === 0) {
+    return;
+  }
+
+  logger.info({ count: operationIds.length }, 'Recovering interrupted workflows');
+
+  for (const operationId of operationIds) {
+    messageQueue.add(
+      async () => {
+        logger.debug({ operationId }, 'Recovering interrupted message from queue');
+
+        return recoverMessageProcessing(operationId);
+      },
+      {
+        priority: Priority.HIGH,
+        id: `recover:${operationId}`,
+        context: {
+          operationId,
+        },
+      }
+    ).catch((error) => {
+      logger.error({ err: error, operationId }, 'Interrupted workflow recovery failed');
+    });
+  }
+}
+
 /**
  * Setup graceful shutdown handlers
  */
@@ -0,0 +1,165 @@
+/**
+ * Duplicate Issue Search
+ * Finds open issues similar to a new issue before it is created
+ *
+ * @module integrations/github/duplicate-search
+ */
+
+import logger from '../../utils/logger.js';
+
+/**
+ * Words ignored when comparing issue texts
+ */
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'not', 'but',
+  'when', 'what', 'which', 'into', 'onto', 'after', 'before', 'about', 'there', 'their',
+  'have', 'has', 'had', 'can', 'cannot', 'could', 'should', 'would', 'will', 'does', 'did',
+  'its', 'our', 'you', 'your', 'all', 'any', 'some', 'more', 'than', 'then', 'also', 'just',
+  'issue', 'bug', 'task', 'idea', 'please', 'need', 'needs',
+]);
+
+/**
+ * Maximum number of search terms (GitHub allows at most five OR operators)
+ */
+const MAX_SEARCH_TERMS = 5;
+
+/**
+ * Maximum number of duplicate candidates returned
+ */
+const MAX_CANDIDATES = 3;
+
+/**
+ * Weight of the title similarity in the combined score
+ * The rest comes from comparing title and description with the candidate's title and body
+ */
+const TITLE_WEIGHT = 0.7;
+
+/**
+ * Extracts comparable keywords from text
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Unique lowercase keywords in order of appearance
+ */
+export function extractKeywords(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word));
+
+  return [...new Set(words)];
+}
+
+/**
+ * Jaccard similarity of two keyword lists
+ *
+ * @param {string[]} a - First keyword list
+ * @param {string[]} b - Second keyword list
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccard(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+
+  const setB = new Set(b);
+  const shared = a.filter(word => setB.has(word)).length;
+
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * Scores how similar an existing issue is to a new one
+ *
+ * @param {Object} draft - New issue
+ * @param {string} draft.title - New issue title
+ * @param {string} [draft.description] - New issue description
+ * @param {Object} issue - Existing issue
+ * @param {string} issue.title - Existing issue title
+ * @param {string} [issue.body] - Existing issue body
+ * @returns {number} Similarity between 0 and 1
+ */
+export function scoreSimilarity(draft, issue) {
+  const titleScore = jaccard(extractKeywords(draft.title), extractKeywords(issue.title));
+  const textScore = jaccard(
+    extractKeywords(`${draft.title} ${draft.description || ''}`),
+    extractKeywords(`${issue.title} ${issue.body || ''}`)
+  );
+
+  return TITLE_WEIGHT * titleScore + (1 - TITLE_WEIGHT) * textScore;
+}
+
+/**
+ * Builds the search query for candidate duplicates
+ * Title keywords come first; the description fills in when the title is short
+ *
+ * @param {string} title - New issue title
+ * @param {string} [description] - New issue description
+ * @returns {string|null} Search query, or null if there is nothing to search for
+ */
+export function buildDuplicateQuery(title, description = '') {
+  const terms = [...new Set([...extractKeywords(title), ...extractKeywords(description)])]
+    .slice(0, MAX_SEARCH_TERMS);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return `is:open ${terms.join(' OR ')}`;
+}
+
+/**
+ * Searches the repository for open issues that look like the new issue
+ *
+ * @param {Object} tools - Initialized GitHub tools instance
+ * @param {Object} params - Search parameters
+ * @param {string} params.repository - Repository in format owner/repo
+ * @param {string} params.title - New issue title
+ * @param {string} [params.description] - New issue description
+ * @param {number} params.threshold - Minimum similarity for a candidate
+ * @returns {Promise<Object[]>} Candidates ({ number, title, url, score }), most similar first
+ * @throws {Error} If the search tool is unavailable or the search fails
+ */
+export async function findDuplicateIssues(tools, { repository, title, description = '', threshold }) {
+  const [owner, repo] = repository.split('/');
+
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository format: ${repository}. Expected format: owner/repo`);
+  }
+
+  const query = buildDuplicateQuery(title, description);
+
+  if (!query) {
+    return [];
+  }
+
+  const searchTool = tools.getTool('search_issues');
+
+  if (!searchTool) {
+    throw new Error('search_issues tool not available');
+  }
+
+  const response = await searchTool.invoke({ query, owner, repo, perPage: 10 });
+  const searchResults = typeof response === 'string' ? JSON.parse(response) : response;
+  const issues = Array.isArray(searchResults) ? searchResults : searchResults?.items || [];
+
+  const candidates = issues
+    .filter(issue => !issue.pull_request && issue.state !== 'closed')
+    .map(issue => ({
+      number: issue.number,
+      title: issue.title,
+      url: issue.html_url,
+      score: scoreSimilarity({ title, description }, issue),
+    }))
+    .filter(candidate => candidate.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+
+  logger.debug({
+    repository,
+    query,
+    resultsCount: issues.length,
+    candidates: candidates.map(({ number, score }) => ({ number, score })),
+  }, 'Duplicate issue search completed');
+
+  return candidates;
+}
@@ -9,6 +9,23 @@ import { MultiServerMCPClient } from '@langchain/mcp-adapters';
 import { getConfig } from '../../../config/env.js';
 import logger from '../../utils/logger.js';
 
+/**
+ * MCP tools used by TeleGit
+ */
+const GITHUB_TOOL_NAMES = [
+  'issue_write',
+  'issue_read',
+  'search_issues',
+  'list_issues',
+  'add_issue_comment',
+  'get_file_contents',
+  'list_label',
+  'list_projects',
+  'list_project_fields',
+  'add_project_item',
+  'update_project_item',
+];
+
 /**
  * GitHub Tools class
  * Provides LangChain tools for GitHub operations via MCP
@@ -70,12 +87,8 @@ export class GitHubTools {
         'All available MCP tools'
       );
 
-      // Filter to only GitHub issue tools
-      this.tools = allTools.filter(tool =>
-        ['issue_write', 'issue_read', 'search_issues', 'list_issues', 'add_issue_comment'].includes(
-          tool.name
-        )
-      );
+      // Filter to GitHub issue tools, file reads (issue templates), labels and projects
+      this.tools = allTools.filter(tool => GITHUB_TOOL_NAMES.includes(tool.name));
 
       if (this.tools.length === 0) {
         throw new Error(
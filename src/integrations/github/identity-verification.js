@@ -0,0 +1,152 @@
+/**
+ * GitHub Identity Verification
+ * Proves a Telegram user owns a GitHub account through a token in the
+ * account's profile bio or one of its public gists
+ *
+ * Uses the public GitHub REST API, so no group token is needed.
+ *
+ * @module integrations/github/identity-verification
+ */
+
+import { randomBytes } from 'crypto';
+import logger from '../../utils/logger.js';
+
+/**
+ * GitHub REST API base URL
+ */
+const GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * Number of most recent public gists searched for the token
+ */
+const MAX_GISTS_CHECKED = 5;
+
+/**
+ * Valid GitHub login: alphanumeric or single hyphens, not at the ends, at most 39 characters
+ */
+const GITHUB_LOGIN_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+/**
+ * Ways a GitHub link can be verified
+ * @enum {string}
+ */
+export const VerificationMethod = {
+  BIO: 'bio',
+  GIST: 'gist',
+};
+
+/**
+ * Checks whether a string is a valid GitHub login
+ *
+ * @param {string} login - Login to check
+ * @returns {boolean} True if valid
+ */
+export function isValidGitHubLogin(login) {
+  return GITHUB_LOGIN_PATTERN.test(login || '');
+}
+
+/**
+ * Creates a verification token to publish on GitHub
+ *
+ * @returns {string} Token
+ */
+export function createVerificationToken() {
+  return `telegit-verify-${randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Requests a public GitHub API resource
+ *
+ * @param {string} path - API path or absolute URL
+ * @param {Function} fetchFn - fetch implementation
+ * @param {boolean} [json=true] - Parse the response as JSON
+ * @returns {Promise<Object|string|null>} Response body, or null for 404
+ * @throws {Error} If the request fails
+ */
+async function requestGitHub(path, fetchFn, json = true) {
+  const url = path.startsWith('https://') ? path : `${GITHUB_API_URL}${path}`;
+  const response = await fetchFn(url, {
+    headers: {
+      Accept: 'application/vnd.github.v3+json',
+      'User-Agent': 'TeleGit-Bot',
+    },
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const error = new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return json ? response.json() : response.text();
+}
+
+/**
+ * Gets a public GitHub user profile
+ *
+ * @param {string} login - GitHub login
+ * @param {Object} [options] - Options
+ * @param {Function} [options.fetchFn] - fetch implementation (for testing)
+ * @returns {Promise<Object|null>} User profile, or null if the user does not exist
+ * @throws {Error} If the request fails
+ */
+export async function getGitHubUser(login, { fetchFn = fetch } = {}) {
+  return requestGitHub(`/users/${encodeURIComponent(login)}`, fetchFn);
+}
+
+/**
+ * Checks whether a GitHub account published the verification token
+ * The profile bio is checked first, then the most recent public gists
+ * (description, file names and file contents)
+ *
+ * @param {string} login - GitHub login
+ * @param {string} token - Verification token
+ * @param {Object} [options] - Options
+ * @param {Function} [options.fetchFn] - fetch implementation (for testing)
+ * @returns {Promise<string|null>} Verification method that matched, or null
+ * @throws {Error} If the GitHub API cannot be reached
+ */
+export async function verifyGitHubIdentity(login, token, { fetchFn = fetch } = {}) {
+  const user = await getGitHubUser(login, { fetchFn });
+
+  if (!user) {
+    return null;
+  }
+
+  if (user.bio?.includes(token)) {
+    return VerificationMethod.BIO;
+  }
+
+  const gists = await requestGitHub(
+    `/users/${encodeURIComponent(login)}/gists?per_page=${MAX_GISTS_CHECKED}`,
+    fetchFn
+  ) || [];
+
+  for (const gist of gists) {
+    const files = Object.values(gist.files || {});
+
+    if (gist.description?.includes(token) || files.some(file => file.filename?.includes(token))) {
+      return VerificationMethod.GIST;
+    }
+
+    for (const file of files) {
+      if (!file.raw_url) {
+        continue;
+      }
+
+      const content = await requestGitHub(file.raw_url, fetchFn, false);
+
+      if (content?.includes(token)) {
+        return VerificationMethod.GIST;
+      }
+    }
+  }
+
+  logger.debug({ login, gistsChecked: gists.length }, 'Verification token not found on GitHub');
+
+  return null;
+}
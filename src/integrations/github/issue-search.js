@@ -0,0 +1,136 @@
+/**
+ * Issue Search
+ * Runs paged issue searches for a repository
+ *
+ * @module integrations/github/issue-search
+ */
+
+import logger from '../../utils/logger.js';
+
+/**
+ * Number of issues shown per page of search results
+ */
+export const SEARCH_PAGE_SIZE = 5;
+
+/**
+ * Search qualifiers that choose which repositories are searched
+ */
+const SCOPE_QUALIFIER_PATTERN = /(^|\s)-?(?:repo|org|user):(?:"[^"]*"|\S*)/gi;
+
+/**
+ * Removes repo:, org: and user: qualifiers from a search query
+ *
+ * @param {string} query - Search query
+ * @returns {string} Query without repository scope qualifiers
+ */
+export function stripScopeQualifiers(query) {
+  return (query || '').replace(SCOPE_QUALIFIER_PATTERN, '$1').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Restricts a search query to one repository
+ * Scope qualifiers in the query are dropped so it cannot search elsewhere
+ *
+ * @param {string} query - Search query
+ * @param {string} repository - Repository in format owner/repo
+ * @returns {string} Query starting with the repository's repo: qualifier
+ */
+export function scopeSearchQuery(query, repository) {
+  return [`repo:${repository}`, stripScopeQualifiers(query)].filter(Boolean).join(' ');
+}
+
+/**
+ * Builds the GitHub search query from the classified search
+ * Scope qualifiers are dropped from the query and qualifiers (searchIssues
+ * adds the repository's own); the is:issue qualifier is added by the search tool
+ *
+ * @param {string} query - Free-text search query
+ * @param {Object} [filters] - Search filters
+ * @param {string[]} [filters.labels] - Labels the issues must have
+ * @param {string} [filters.state] - Issue state (open, closed or all)
+ * @param {string[]} [filters.qualifiers] - Further search qualifiers (assignee:, created:, ...)
+ * @returns {string} Search query
+ */
+export function buildSearchQuery(query, { labels = [], state = 'open', qualifiers = [] } = {}) {
+  const parts = [stripScopeQualifiers(query)];
+
+  for (const label of labels) {
+    parts.push(/\s/.test(label) ? `label:"${label}"` : `label:${label}`);
+  }
+
+  if (state && state !== 'all') {
+    parts.push(`is:${state}`);
+  }
+
+  parts.push(...qualifiers.map(stripScopeQualifiers));
+
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Reduces a search result item to what the results message shows
+ *
+ * @param {Object} issue - Issue from the search response
+ * @returns {{number: number, title: string, state: string, labels: string[], assignee: string|null, url: string}} Issue summary
+ */
+function toIssueSummary(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)).filter(Boolean),
+    assignee: issue.assignee?.login || issue.assignees?.[0]?.login || null,
+    url: issue.html_url,
+  };
+}
+
+/**
+ * Searches the issues of a repository and returns one page of results
+ *
+ * @param {Object} tools - Initialized GitHub tools instance
+ * @param {Object} params - Search parameters
+ * @param {string} params.repository - Repository in format owner/repo
+ * @param {string} params.query - Free-text search query
+ * @param {string[]} [params.labels] - Labels the issues must have
+ * @param {string} [params.state] - Issue state (open, closed or all)
+ * @param {string[]} [params.qualifiers] - Further search qualifiers
+ * @param {number} [params.page=1] - Page number, starting at 1
+ * @param {number} [params.perPage] - Issues per page
+ * @returns {Promise<{query: string, issues: Object[], totalCount: number, page: number, perPage: number}>} Page of results
+ * @throws {Error} If the search tool is unavailable or the search fails
+ */
+export async function searchIssues(tools, { repository, query, labels, state, qualifiers, page = 1, perPage = SEARCH_PAGE_SIZE }) {
+  const [owner, repo] = repository.split('/');
+
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository format: ${repository}. Expected format: owner/repo`);
+  }
+
+  const searchTool = tools.getTool('search_issues');
+
+  if (!searchTool) {
+    throw new Error('search_issues tool not available');
+  }
+
+  const searchQuery = buildSearchQuery(query, { labels, state, qualifiers });
+  const response = await searchTool.invoke({
+    query: scopeSearchQuery(searchQuery, repository),
+    owner,
+    repo,
+    page,
+    perPage,
+  });
+  const searchResults = typeof response === 'string' ? JSON.parse(response) : response;
+  const items = Array.isArray(searchResults) ? searchResults : searchResults?.items || [];
+  const totalCount = searchResults?.total_count ?? items.length;
+
+  logger.debug({ repository, searchQuery, page, totalCount }, 'Issue search page loaded');
+
+  return {
+    query: searchQuery,
+    issues: items.map(toIssueSummary),
+    totalCount,
+    page,
+    perPage,
+  };
+}
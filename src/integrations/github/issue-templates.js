@@ -0,0 +1,471 @@
+/**
+ * Issue Templates
+ * Loads a repository's issue templates and issue forms and fills them in
+ *
+ * Markdown templates (.md with YAML front matter) keep their section headings;
+ * issue forms (.yml) are rendered the way GitHub renders a submitted form
+ * (`### <label>` followed by the answer), so triage automation parses them.
+ *
+ * @module integrations/github/issue-templates
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { createGitHubTools } from './github-tools.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Directory GitHub reads issue templates from
+ */
+export const TEMPLATE_DIRECTORY = '.github/ISSUE_TEMPLATE';
+
+/**
+ * How long fetched templates are reused before the repository is read again
+ */
+export const TEMPLATE_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Answer GitHub uses for form fields left empty
+ */
+export const NO_RESPONSE = '_No response_';
+
+/**
+ * Template kinds
+ * @enum {string}
+ */
+export const TemplateKind = {
+  MARKDOWN: 'markdown',
+  FORM: 'form',
+};
+
+/**
+ * Section headings and form labels mapped to the fields that fill them
+ * Checked in order; each field fills at most one section
+ */
+const SECTION_FIELDS = [
+  { field: 'steps', pattern: /reproduc|steps/ },
+  { field: 'expected', pattern: /expect/ },
+  { field: 'actual', pattern: /actual|current behaviou?r|what happen/ },
+  { field: 'environment', pattern: /environment|version|device|browser|platform|operating system|\bos\b/ },
+  { field: 'acceptanceCriteria', pattern: /acceptance|criteria|definition of done/ },
+  { field: 'description', pattern: /descri|summary|problem|overview|feature|proposal|solution|details|what/ },
+];
+
+/**
+ * Fetched templates per repository ({ templates, expiresAt })
+ */
+const templateCache = new Map();
+
+/**
+ * Maps a section heading or form label to the field that fills it
+ *
+ * @param {string} heading - Section heading or form label
+ * @returns {string|null} Field name, or null if no field matches
+ */
+export function matchSectionField(heading) {
+  const normalized = (heading || '').toLowerCase();
+  return SECTION_FIELDS.find(({ pattern }) => pattern.test(normalized))?.field || null;
+}
+
+/**
+ * Splits markdown into sections by headings
+ * Bold-only lines (`**Describe the bug**`) count as headings, as in many templates
+ *
+ * @param {string} markdown - Markdown text
+ * @returns {{preamble: string, sections: Array<{heading: string, line: string, content: string}>}}
+ *   Text before the first heading and the sections in order
+ */
+export function splitMarkdownSections(markdown) {
+  const sections = [];
+  const preamble = [];
+  let current = null;
+
+  for (const line of (markdown || '').split('\n')) {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/) || line.match(/^\*\*(.+?)\*\*:?\s*$/);
+
+    if (heading) {
+      current = { heading: heading[1].trim(), line, lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+
+  return {
+    preamble: preamble.join('\n').trim(),
+    sections: sections.map(({ heading, line, lines }) => ({
+      heading,
+      line,
+      content: lines.join('\n').trim(),
+    })),
+  };
+}
+
+/**
+ * Normalizes a label or assignee list from template metadata
+ * Accepts both YAML lists and comma-separated strings
+ *
+ * @param {string|string[]|undefined} value - Raw metadata value
+ * @returns {string[]} Trimmed non-empty entries
+ */
+function toList(value) {
+  const entries = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Parses a markdown issue template
+ *
+ * @param {string} content - File content
+ * @returns {Object|null} Template, or null if the front matter is missing
+ */
+function parseMarkdownTemplate(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const meta = parseYaml(match[1]) || {};
+
+  return {
+    kind: TemplateKind.MARKDOWN,
+    name: meta.name || '',
+    about: meta.about || '',
+    title: meta.title || '',
+    labels: toList(meta.labels),
+    assignees: toList(meta.assignees),
+    body: match[2].replace(/\r\n/g, '\n'),
+  };
+}
+
+/**
+ * Parses an issue form
+ *
+ * @param {string} content - File content
+ * @returns {Object|null} Template, or null if the file is not an issue form
+ */
+function parseIssueForm(content) {
+  const form = parseYaml(content);
+
+  if (!form || !Array.isArray(form.body)) {
+    return null;
+  }
+
+  return {
+    kind: TemplateKind.FORM,
+    name: form.name || '',
+    about: form.description || '',
+    title: form.title || '',
+    labels: toList(form.labels),
+    assignees: toList(form.assignees),
+    fields: form.body.filter(element => element?.type && element.type !== 'markdown'),
+  };
+}
+
+/**
+ * Parses an issue template file
+ *
+ * @param {string} fileName - File name inside the template directory
+ * @param {string} content - File content
+ * @returns {Object|null} Template, or null if the file is not a template
+ */
+export function parseIssueTemplate(fileName, content) {
+  const template = /\.md$/i.test(fileName)
+    ? parseMarkdownTemplate(content)
+    : parseIssueForm(content);
+
+  return template ? { ...template, fileName } : null;
+}
+
+/**
+ * Reads a text file through the get_file_contents tool
+ * File contents come back as an artifact, so the tool is invoked with a tool call
+ *
+ * @param {Object} tool - get_file_contents tool
+ * @param {Object} args - Tool arguments ({ owner, repo, path })
+ * @returns {Promise<string|null>} File text, or null if the response has none
+ */
+async function readFileText(tool, args) {
+  const message = await tool.invoke({
+    type: 'tool_call',
+    id: `read_${args.path}`,
+    name: tool.name,
+    args,
+  });
+
+  const file = (message.artifact || []).find(block => block.text != null || block.data != null);
+
+  if (!file) {
+    return null;
+  }
+
+  return file.text ?? Buffer.from(file.data, 'base64').toString('utf-8');
+}
+
+/**
+ * Fetches and parses the issue templates of a repository
+ *
+ * @param {Object} tools - Initialized GitHub tools instance
+ * @param {string} repository - Repository in format owner/repo
+ * @returns {Promise<Object[]>} Parsed templates (empty if the repository has none)
+ * @throws {Error} If the file tool is unavailable or the directory cannot be listed
+ */
+export async function fetchIssueTemplates(tools, repository) {
+  const [owner, repo] = repository.split('/');
+
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository format: ${repository}. Expected format: owner/repo`);
+  }
+
+  const fileTool = tools.getTool('get_file_contents');
+
+  if (!fileTool) {
+    throw new Error('get_file_contents tool not available');
+  }
+
+  let entries;
+
+  try {
+    const response = await fileTool.invoke({ owner, repo, path: `${TEMPLATE_DIRECTORY}/` });
+    entries = typeof response === 'string' ? JSON.parse(response) : response;
+  } catch (error) {
+    // Repositories without templates have no template directory
+    logger.debug({ err: error, repository }, 'No issue template directory found');
+    return [];
+  }
+
+  const files = (Array.isArray(entries) ? entries : [])
+    .filter(entry => entry.type === 'file' && /\.(md|ya?ml)$/i.test(entry.name))
+    .filter(entry => !/^config\.ya?ml$/i.test(entry.name));
+
+  const templates = [];
+
+  for (const file of files) {
+    try {
+      const content = await readFileText(fileTool, { owner, repo, path: file.path });
+      const template = content ? parseIssueTemplate(file.name, content) : null;
+
+      if (template) {
+        templates.push(template);
+      }
+    } catch (error) {
+      logger.warn({ err: error, repository, path: file.path }, 'Skipping unreadable issue template');
+    }
+  }
+
+  logger.debug({
+    repository,
+    templates: templates.map(({ fileName, kind }) => ({ fileName, kind })),
+  }, 'Issue templates loaded');
+
+  return templates;
+}
+
+/**
+ * Gets the issue templates of a group's repository, reusing recent results
+ *
+ * @param {Object} groupConfig - Group configuration (githubRepo, githubToken)
+ * @returns {Promise<Object[]>} Parsed templates
+ * @throws {Error} If the templates cannot be fetched
+ */
+export async function getIssueTemplates(groupConfig) {
+  const repository = groupConfig.githubRepo;
+  const cached = templateCache.get(repository);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.templates;
+  }
+
+  const tools = await createGitHubTools(groupConfig.githubToken, repository);
+
+  try {
+    const templates = await fetchIssueTemplates(tools, repository);
+    templateCache.set(repository, { templates, expiresAt: Date.now() + TEMPLATE_CACHE_TTL_MS });
+    return templates;
+  } finally {
+    await tools.close();
+  }
+}
+
+/**
+ * Clears cached templates
+ * Useful for testing or after a repository changes its templates
+ */
+export function clearIssueTemplateCache() {
+  templateCache.clear();
+}
+
+/**
+ * Picks the template that best matches a set of keywords
+ * File name, name, description and labels are compared word by word
+ *
+ * @param {Object[]} templates - Parsed templates
+ * @param {string[]} keywords - Keywords describing the issue type
+ * @returns {Object|null} Best matching template, or null if none matches
+ */
+export function selectIssueTemplate(templates, keywords) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const template of templates) {
+    const words = new Set(
+      [template.fileName, template.name, template.about, ...template.labels]
+        .join(' ')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+    );
+    const score = keywords.filter(keyword => words.has(keyword)).length;
+
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Assigns fields to section headings
+ * The description goes to the first unmatched fillable section when no heading asks for it
+ *
+ * @param {Array<{heading: string, fillable: boolean}>} sections - Sections in order
+ * @param {Object} fields - Available field values
+ * @returns {Array<string|null>} Field name per section
+ */
+function assignFields(sections, fields) {
+  const used = new Set();
+
+  const assigned = sections.map(({ heading }) => {
+    const field = matchSectionField(heading);
+
+    if (!field || used.has(field) || !fields[field]) {
+      return null;
+    }
+
+    used.add(field);
+    return field;
+  });
+
+  if (!used.has('description') && fields.description) {
+    const index = sections.findIndex((section, i) => section.fillable && !assigned[i]);
+
+    if (index !== -1) {
+      assigned[index] = 'description';
+    }
+  }
+
+  return assigned;
+}
+
+/**
+ * Fills a markdown template
+ * Unmatched sections keep only their checklists; guidance text is dropped
+ *
+ * @param {Object} template - Parsed markdown template
+ * @param {Object} fields - Field values
+ * @returns {string} Filled body
+ */
+function renderMarkdownTemplate(template, fields) {
+  const body = template.body.replace(/<!--[\s\S]*?-->/g, '');
+  const { preamble, sections } = splitMarkdownSections(body);
+  const assigned = assignFields(sections.map(({ heading }) => ({ heading, fillable: false })), fields);
+
+  const parts = [];
+
+  if (!assigned.includes('description') && fields.description) {
+    parts.push(fields.description);
+  }
+
+  if (preamble) {
+    parts.push(preamble);
+  }
+
+  sections.forEach((section, index) => {
+    const field = assigned[index];
+    const checklist = section.content.split('\n').filter(line => /^\s*[-*] \[[ xX]\]/.test(line)).join('\n');
+    const content = field ? fields[field] : checklist || NO_RESPONSE;
+
+    parts.push(`${section.line}\n\n${content}`);
+  });
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Renders a dropdown answer
+ * Required dropdowns fall back to their default (or first) option
+ *
+ * @param {Object} element - Dropdown form element
+ * @param {string} [value] - Matched field value
+ * @returns {string|null} Selected option, or null if nothing applies
+ */
+function renderDropdown(element, value) {
+  const options = (element.attributes?.options || []).map(String);
+  const selected = options.find(option => option.toLowerCase() === value?.trim().toLowerCase());
+
+  if (selected) {
+    return selected;
+  }
+
+  if (Number.isInteger(element.attributes?.default)) {
+    return options[element.attributes.default] ?? null;
+  }
+
+  return element.validations?.required ? options[0] ?? null : null;
+}
+
+/**
+ * Fills an issue form the way GitHub renders a submitted form
+ *
+ * @param {Object} template - Parsed issue form
+ * @param {Object} fields - Field values
+ * @returns {string} Filled body
+ */
+function renderIssueForm(template, fields) {
+  const elements = template.fields.filter(element => element.attributes?.label);
+  const assigned = assignFields(
+    elements.map(element => ({ heading: element.attributes.label, fillable: element.type === 'textarea' })),
+    fields
+  );
+
+  return elements.map((element, index) => {
+    const { label, render, options } = element.attributes;
+    const value = assigned[index] ? fields[assigned[index]] : null;
+    let answer;
+
+    switch (element.type) {
+      case 'checkboxes':
+        answer = (options || []).map(option => `- [ ] ${option.label ?? option}`).join('\n');
+        break;
+
+      case 'dropdown':
+        answer = renderDropdown(element, value);
+        break;
+
+      default:
+        answer = value || element.attributes.value || null;
+        if (answer && render) {
+          answer = `\`\`\`${render}\n${answer}\n\`\`\``;
+        }
+    }
+
+    return `### ${label}\n\n${answer || NO_RESPONSE}`;
+  }).join('\n\n');
+}
+
+/**
+ * Fills a template's sections or form fields
+ *
+ * @param {Object} template - Parsed template
+ * @param {Object} fields - Field values (description, steps, expected, actual,
+ *   environment, acceptanceCriteria), as markdown
+ * @returns {string} Filled issue body
+ */
+export function renderIssueTemplate(template, fields) {
+  return template.kind === TemplateKind.FORM
+    ? renderIssueForm(template, fields)
+    : renderMarkdownTemplate(template, fields);
+}
@@ -0,0 +1,171 @@
+/**
+ * Repository Labels
+ * Maps message hashtags onto the labels a repository actually has
+ *
+ * Groups configure the mapping in group_configs.settings:
+ * - labelMap: hashtag (lowercase, without #) -> repository label name
+ * - unknownLabels: what to do with hashtags that match no repository label
+ *
+ * @module integrations/github/labels
+ */
+
+import { createGitHubTools } from './github-tools.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * How long fetched labels are reused before the repository is read again
+ */
+export const LABEL_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Policies for hashtags that match no repository label
+ * @enum {string}
+ */
+export const UnknownLabelPolicy = {
+  /** Leave the hashtag out of the issue */
+  DROP: 'drop',
+  /** Send it as a label anyway; GitHub creates missing labels */
+  CREATE: 'create',
+  /** Keep it as text in the issue body instead of a label */
+  KEEP: 'keep',
+};
+
+/**
+ * Policy used when a group has not chosen one (matches the behavior before mappings existed)
+ */
+export const DEFAULT_UNKNOWN_LABEL_POLICY = UnknownLabelPolicy.CREATE;
+
+/**
+ * Fetched label names per repository ({ labels, expiresAt })
+ */
+const labelCache = new Map();
+
+/**
+ * Normalizes a hashtag to its mapping key
+ *
+ * @param {string} tag - Hashtag with or without #
+ * @returns {string} Lowercase tag without #
+ */
+export function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Fetches the label names of a repository
+ *
+ * @param {Object} tools - Initialized GitHub tools instance
+ * @param {string} repository - Repository in format owner/repo
+ * @returns {Promise<string[]>} Label names
+ * @throws {Error} If the label tool is unavailable or listing fails
+ */
+export async function fetchRepositoryLabels(tools, repository) {
+  const [owner, repo] = repository.split('/');
+
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository format: ${repository}. Expected format: owner/repo`);
+  }
+
+  const labelTool = tools.getTool('list_label');
+
+  if (!labelTool) {
+    throw new Error('list_label tool not available');
+  }
+
+  const response = await labelTool.invoke({ owner, repo });
+  const result = typeof response === 'string' ? JSON.parse(response) : response;
+  const labels = Array.isArray(result) ? result : result?.labels || [];
+
+  return labels.map(label => label.name).filter(Boolean);
+}
+
+/**
+ * Gets the label names of a group's repository, reusing recent results
+ *
+ * @param {Object} groupConfig - Group configuration (githubRepo, githubToken)
+ * @returns {Promise<string[]>} Label names
+ * @throws {Error} If the labels cannot be fetched
+ */
+export async function getRepositoryLabels(groupConfig) {
+  const repository = groupConfig.githubRepo;
+  const cached = labelCache.get(repository);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.labels;
+  }
+
+  const tools = await createGitHubTools(groupConfig.githubToken, repository);
+
+  try {
+    const labels = await fetchRepositoryLabels(tools, repository);
+    labelCache.set(repository, { labels, expiresAt: Date.now() + LABEL_CACHE_TTL_MS });
+
+    logger.debug({ repository, labelCount: labels.length }, 'Repository labels loaded');
+
+    return labels;
+  } finally {
+    await tools.close();
+  }
+}
+
+/**
+ * Clears cached labels
+ * Useful for testing or after a repository changes its labels
+ */
+export function clearRepositoryLabelCache() {
+  labelCache.clear();
+}
+
+/**
+ * Finds a repository label by name, ignoring case like GitHub does
+ *
+ * @param {string[]} repoLabels - Repository label names
+ * @param {string} name - Label name to look up
+ * @returns {string|null} Label name as spelled in the repository, or null if missing
+ */
+export function findRepositoryLabel(repoLabels, name) {
+  const wanted = name.toLowerCase();
+  return repoLabels.find(label => label.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Resolves hashtags to repository labels
+ * Without a repository label list, mapped and unmapped tags are used as they are
+ *
+ * @param {string[]} tags - Hashtags extracted from the message
+ * @param {Object} options - Resolution options
+ * @param {Object<string, string>} [options.labelMap] - Hashtag to label mapping
+ * @param {string[]|null} [options.repoLabels] - Repository label names, or null if unknown
+ * @param {string} [options.policy] - Unknown label policy (see UnknownLabelPolicy)
+ * @returns {{labels: string[], unknown: string[]}} Labels to set and tags that matched no label
+ */
+export function resolveLabels(tags, { labelMap = {}, repoLabels = null, policy = DEFAULT_UNKNOWN_LABEL_POLICY } = {}) {
+  const labels = [];
+  const unknown = [];
+
+  for (const tag of tags) {
+    const key = normalizeTag(tag);
+
+    if (!key) {
+      continue;
+    }
+
+    const candidate = labelMap[key] || key;
+
+    if (!repoLabels) {
+      labels.push(candidate);
+      continue;
+    }
+
+    const existing = findRepositoryLabel(repoLabels, candidate);
+
+    if (existing) {
+      labels.push(existing);
+    } else if (policy === UnknownLabelPolicy.CREATE) {
+      labels.push(candidate);
+    } else {
+      unknown.push(key);
+    }
+  }
+
+  return { labels, unknown };
+}
@@ -0,0 +1,199 @@
+/**
+ * Issue Planning
+ * Resolves milestones and GitHub Projects (v2) for new issues
+ *
+ * Milestones are read through the GitHub REST API (the MCP server has no
+ * milestone tools); projects are handled through the MCP project tools.
+ *
+ * @module integrations/github/planning
+ */
+
+import logger from '../../utils/logger.js';
+
+/**
+ * GitHub REST API base URL
+ */
+const GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * Name of the project field holding an item's status
+ */
+const STATUS_FIELD_NAME = 'status';
+
+/**
+ * Project owner types, tried in order
+ */
+const OWNER_TYPES = ['org', 'user'];
+
+/**
+ * Normalizes a name for comparison
+ *
+ * @param {string} name - Name to normalize
+ * @returns {string} Lowercase name with collapsed whitespace
+ */
+function normalizeName(name) {
+  return String(name ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds the entry whose name best matches a requested name
+ * An exact match wins; otherwise the longest name contained in the request
+ * (or containing it) is used, so "v2.3 sprint" finds the "v2.3" milestone
+ *
+ * @param {Object[]} entries - Candidates
+ * @param {string} requested - Requested name
+ * @param {Function} getName - Returns a candidate's name
+ * @returns {Object|null} Best match, or null if nothing matches
+ */
+export function matchByName(entries, requested, getName) {
+  const wanted = normalizeName(requested);
+
+  if (!wanted) {
+    return null;
+  }
+
+  const exact = entries.find(entry => normalizeName(getName(entry)) === wanted);
+
+  if (exact) {
+    return exact;
+  }
+
+  return entries
+    .filter(entry => {
+      const name = normalizeName(getName(entry));
+      return name && (wanted.includes(name) || name.includes(wanted));
+    })
+    .sort((a, b) => getName(b).length - getName(a).length)[0] || null;
+}
+
+/**
+ * Parses a JSON tool response
+ *
+ * @param {string|Object} response - Tool response
+ * @param {string} listKey - Key holding the list when the response is an object
+ * @returns {Object[]} Listed entries
+ */
+function parseList(response, listKey) {
+  const result = typeof response === 'string' ? JSON.parse(response) : response;
+  return Array.isArray(result) ? result : result?.[listKey] || [];
+}
+
+/**
+ * Finds an open milestone of a repository by name
+ *
+ * @param {string} token - GitHub token
+ * @param {string} repository - Repository in format owner/repo
+ * @param {string} name - Requested milestone name
+ * @param {Object} [options] - Options
+ * @param {Function} [options.fetchFn] - fetch implementation (for testing)
+ * @returns {Promise<{number: number, title: string}|null>} Milestone, or null if none matches
+ * @throws {Error} If the milestones cannot be listed
+ */
+export async function findMilestone(token, repository, name, { fetchFn = fetch } = {}) {
+  const response = await fetchFn(`${GITHUB_API_URL}/repos/${repository}/milestones?state=open&per_page=100`, {
+    headers: {
+      Authorization: `token ${token}`,
+      Accept: 'application/vnd.github.v3+json',
+      'User-Agent': 'TeleGit-Bot',
+    },
+  });
+
+  if (!response.ok) {
+    const error = new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const milestones = await response.json();
+  const milestone = matchByName(milestones, name, entry => entry.title);
+
+  return milestone ? { number: milestone.number, title: milestone.title } : null;
+}
+
+/**
+ * Finds a Projects (v2) board of the repository owner by name
+ * The owner may be an organization or a user, so both are tried
+ *
+ * @param {Object} tools - Initialized GitHub tools instance
+ * @param {string} owner - Repository owner
+ * @param {string} name - Requested project name
+ * @returns {Promise<{ownerType: string, number: number, title: string}|null>} Project, or null if none matches
+ * @throws {Error} If the project tool is unavailable
+ */
+export async function findProject(tools, owner, name) {
+  const listTool = tools.getTool('list_projects');
+
+  if (!listTool) {
+    throw new Error('list_projects tool not available');
+  }
+
+  for (const ownerType of OWNER_TYPES) {
+    let projects;
+
+    try {
+      projects = parseList(await listTool.invoke({ owner, owner_type: ownerType, per_page: 50 }), 'projects');
+    } catch (error) {
+      logger.debug({ err: error, owner, ownerType }, 'Could not list projects for owner type');
+      continue;
+    }
+
+    const project = matchByName(projects, name, entry => entry.title);
+
+    if (project) {
+      return { ownerType, number: project.number, title: project.title };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Adds an issue to a Projects (v2) board and sets its status
+ *
+ * @param {Object} tools - Initialized GitHub tools instance
+ * @param {Object} params - Parameters
+ * @param {string} params.owner - Project owner
+ * @param {Object} params.project - Project from findProject
+ * @param {number} params.issueId - Issue database ID (not the issue number)
+ * @param {string} [params.status] - Requested status option name
+ * @returns {Promise<{itemId: number, status: string|null, warning: string|null}>} Added item and status set
+ * @throws {Error} If a project tool is unavailable or the issue cannot be added
+ */
+export async function addIssueToProject(tools, { owner, project, issueId, status }) {
+  const addTool = tools.getTool('add_project_item');
+
+  if (!addTool) {
+    throw new Error('add_project_item tool not available');
+  }
+
+  const projectRef = { owner, owner_type: project.ownerType, project_number: project.number };
+  const addResponse = await addTool.invoke({ ...projectRef, item_type: 'issue', item_id: issueId });
+  const item = typeof addResponse === 'string' ? JSON.parse(addResponse) : addResponse;
+
+  if (!status) {
+    return { itemId: item.id, status: null, warning: null };
+  }
+
+  const fieldsTool = tools.getTool('list_project_fields');
+  const updateTool = tools.getTool('update_project_item');
+
+  if (!fieldsTool || !updateTool) {
+    throw new Error('Project field tools not available');
+  }
+
+  const fields = parseList(await fieldsTool.invoke(projectRef), 'fields');
+  const statusField = fields.find(field => normalizeName(field.name) === STATUS_FIELD_NAME);
+  const option = statusField && matchByName(statusField.options || [], status, entry => entry.name);
+
+  if (!option) {
+    return { itemId: item.id, status: null, warning: `${project.title} has no "${status}" status` };
+  }
+
+  await updateTool.invoke({
+    ...projectRef,
+    item_id: item.id,
+    updated_field: { id: statusField.id, value: option.id },
+  });
+
+  return { itemId: item.id, status: option.name, warning: null };
+}
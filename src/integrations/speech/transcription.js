@@ -0,0 +1,110 @@
+/**
+ * Speech-to-Text Transcription
+ * Transcribes voice and audio messages with a configurable backend
+ *
+ * @module integrations/speech/transcription
+ */
+
+import { getConfig } from '../../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Transcription backends (TRANSCRIPTION_PROVIDER)
+ * @enum {string}
+ */
+export const TranscriptionProvider = {
+  /** Voice and audio messages are not transcribed */
+  NONE: 'none',
+  /** Local whisper-compatible endpoint, e.g. the whisper.cpp server's /inference */
+  WHISPER: 'whisper',
+  /** OpenAI-compatible /audio/transcriptions API */
+  OPENAI: 'openai',
+};
+
+/**
+ * How long a transcription request may take
+ */
+const TRANSCRIPTION_TIMEOUT_MS = 120000;
+
+/**
+ * Builds the HTTP request for each backend
+ * Every backend takes a multipart form with the audio as "file" and answers with { text }
+ */
+const backends = {
+  [TranscriptionProvider.WHISPER]: (config, form) => {
+    form.append('response_format', 'json');
+
+    return { url: config.url, headers: {} };
+  },
+
+  [TranscriptionProvider.OPENAI]: (config, form) => {
+    form.append('model', config.model);
+    form.append('response_format', 'json');
+
+    return {
+      url: `${config.url.replace(/\/+$/, '')}/audio/transcriptions`,
+      headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+    };
+  },
+};
+
+/**
+ * Checks whether voice and audio messages are transcribed
+ *
+ * @returns {boolean} True if a transcription backend is configured
+ */
+export function isTranscriptionEnabled() {
+  return getConfig().transcription.provider !== TranscriptionProvider.NONE;
+}
+
+/**
+ * Transcribes an audio file
+ *
+ * @param {Object} params - Transcription parameters
+ * @param {Buffer|Uint8Array} params.audio - Audio file contents
+ * @param {string} [params.fileName] - File name sent to the backend
+ * @param {string} [params.mimeType] - Audio MIME type
+ * @returns {Promise<string>} Transcript text
+ * @throws {Error} If transcription is disabled, the backend fails or returns no text
+ */
+export async function transcribeAudio({ audio, fileName = 'voice.ogg', mimeType = 'audio/ogg' }) {
+  const config = getConfig().transcription;
+  const backend = backends[config.provider];
+
+  if (!backend) {
+    throw new Error(`Voice transcription is not configured (TRANSCRIPTION_PROVIDER=${config.provider})`);
+  }
+
+  const form = new FormData();
+  form.append('file', new Blob([audio], { type: mimeType }), fileName);
+
+  const { url, headers } = backend(config, form);
+  const startTime = Date.now();
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: form,
+    signal: AbortSignal.timeout(TRANSCRIPTION_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw new Error(`Transcription request failed with status ${response.status}: ${details.slice(0, 200)}`);
+  }
+
+  const data = await response.json();
+  const text = (data?.text || '').trim();
+
+  if (!text) {
+    throw new Error('Transcription returned no text');
+  }
+
+  logger.debug({
+    provider: config.provider,
+    duration: Date.now() - startTime,
+    length: text.length,
+  }, 'Audio transcribed');
+
+  return text;
+}
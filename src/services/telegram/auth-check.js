@@ -88,3 +88,19 @@ export async function isGroupManager(groupId, userId) {
     return false;
   }
 }
+
+/**
+ * Check if a user may answer a bot prompt about a message
+ * The author of the message and the group manager can
+ * @param {number} groupId - Telegram group ID
+ * @param {number} userId - Telegram user ID
+ * @param {number|undefined} authorId - Telegram user ID of the message author
+ * @returns {Promise<boolean>} True if user is the author or the group manager
+ */
+export async function isAuthorOrGroupManager(groupId, userId, authorId) {
+  if (userId && userId === authorId) {
+    return true;
+  }
+
+  return isGroupManager(groupId, userId);
+}
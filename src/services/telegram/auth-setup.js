@@ -4,6 +4,7 @@
  */
 
 import { ConfigRepository } from '../../database/repositories/config.js';
+import { t, getUserLocale } from '../../i18n/index.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -101,19 +102,20 @@ export function endSetupSession(userId) {
  */
 export async function handleRepoInput(ctx, repoUrl) {
   const userId = ctx.from.id;
+  const locale = getUserLocale(ctx);
   const session = getSetupSession(userId);
 
   if (!session) {
     return {
       success: false,
-      message: '❌ No active setup session. Please start the setup process again.',
+      message: t(locale, 'setup.noSession'),
     };
   }
 
   if (session.step !== SetupSteps.AWAITING_REPO) {
     return {
       success: false,
-      message: '❌ Unexpected input. Please follow the setup steps in order.',
+      message: t(locale, 'setup.unexpectedInput'),
     };
   }
 
@@ -124,12 +126,7 @@ export async function handleRepoInput(ctx, repoUrl) {
   if (!match) {
     return {
       success: false,
-      message: `❌ Invalid repository URL format.
-
-Please provide a valid GitHub repository URL (HTTPS only) like:
-https://github.com/owner/repo-name
-
-Try again:`,
+      message: t(locale, 'setup.invalidRepo'),
     };
   }
 
@@ -144,20 +141,7 @@ Try again:`,
 
   return {
     success: true,
-    message: `✅ Repository set: \`${githubRepo}\`
-
-Now I need your GitHub Personal Access Token (PAT).
-
-🔐 **How to create a PAT:**
-1. Go to https://github.com/settings/tokens
-2. Click "Generate new token" → "Generate new token (classic)"
-3. Give it a name (e.g., "TeleGit Bot")
-4. Select scopes: \`repo\` (Full control of private repositories)
-5. Click "Generate token"
-6. Copy the token (it starts with \`ghp_\`)
-
-📤 **Send me your PAT:**
-Paste the token here (it will be encrypted and stored securely)`,
+    message: t(locale, 'setup.repoSet', { repository: githubRepo }),
     parseMode: 'Markdown',
   };
 }
@@ -171,19 +155,20 @@ Paste the token here (it will be encrypted and stored securely)`,
  */
 export async function handlePATInput(ctx, pat, validatePatFn) {
   const userId = ctx.from.id;
+  const locale = getUserLocale(ctx);
   const session = getSetupSession(userId);
 
   if (!session) {
     return {
       success: false,
-      message: '❌ No active setup session. Please start the setup process again.',
+      message: t(locale, 'setup.noSession'),
     };
   }
 
   if (session.step !== SetupSteps.AWAITING_PAT) {
     return {
       success: false,
-      message: '❌ Unexpected input. Please provide your repository URL first.',
+      message: t(locale, 'setup.repoFirst'),
     };
   }
 
@@ -193,11 +178,7 @@ export async function handlePATInput(ctx, pat, validatePatFn) {
   if (!patValue.startsWith('ghp_') && !patValue.startsWith('github_pat_')) {
     return {
       success: false,
-      message: `❌ Invalid PAT format.
-
-GitHub Personal Access Tokens should start with \`ghp_\` or \`github_pat_\`.
-
-Please check your token and try again:`,
+      message: t(locale, 'setup.invalidPat'),
       parseMode: 'Markdown',
     };
   }
@@ -210,14 +191,7 @@ Please check your token and try again:`,
     logger.error({ err: error }, 'SECURITY: Failed to delete PAT message');
     return {
       success: false,
-      message: `❌ CRITICAL SECURITY ERROR: Could not delete your PAT message from chat history.
-
-For your security, please:
-1. Revoke the PAT you just sent at: https://github.com/settings/tokens
-2. Delete the message manually if possible
-3. Try the setup process again
-
-Your PAT is currently visible in chat history - please revoke it immediately.`,
+      message: t(locale, 'setup.patNotDeleted'),
     };
   }
 
@@ -229,22 +203,13 @@ Your PAT is currently visible in chat history - please revoke it immediately.`,
       if (!validation.valid) {
         return {
           success: false,
-          message: `❌ PAT validation failed: ${validation.error}
-
-Please check:
-- The token is correct
-- It has \`repo\` scope
-- It has access to \`${session.data.githubRepo}\`
-
-Try again with a valid token:`,
+          message: t(locale, 'setup.patRejected', { error: validation.error, repository: session.data.githubRepo }),
         };
       }
     } catch (error) {
       return {
         success: false,
-        message: `❌ Failed to validate PAT: ${error.message}
-
-Please try again:`,
+        message: t(locale, 'setup.patCheckFailed', { error: error.message }),
       };
     }
   }
@@ -263,16 +228,7 @@ Please try again:`,
 
     return {
       success: true,
-      message: `✅ **Setup Complete!**
-
-Your group is now connected to:
-📁 Repository: \`${session.data.githubRepo}\`
-
-You can now use the bot in your group chat by:
-- Mentioning me (@${ctx.botInfo.username})
-- Using hashtags (#bug, #task, #idea, etc.)
-
-I'll automatically create and manage GitHub issues from your messages! 🎉`,
+      message: t(locale, 'setup.complete', { repository: session.data.githubRepo, botUsername: ctx.botInfo.username }),
       parseMode: 'Markdown',
       groupId: session.groupId,
     };
@@ -281,9 +237,7 @@ I'll automatically create and manage GitHub issues from your messages! 🎉`,
 
     return {
       success: false,
-      message: `❌ Failed to save configuration: ${error.message}
-
-Please try the setup process again.`,
+      message: t(locale, 'setup.saveFailed', { error: error.message }),
     };
   }
 }
@@ -297,6 +251,7 @@ Please try the setup process again.`,
  */
 export async function handleSetupMessage(ctx, validatePatFn = null) {
   const userId = ctx.from.id;
+  const locale = getUserLocale(ctx);
   const messageText = ctx.message.text?.trim();
 
   if (!messageText) {
@@ -307,16 +262,7 @@ export async function handleSetupMessage(ctx, validatePatFn = null) {
 
   if (!session) {
     // No active session
-    await ctx.reply(
-      `👋 Hi! I'm TeleGit Bot.
-
-To set up GitHub integration for a group:
-1. Add me to your Telegram group
-2. Try to use me there (mention me or use a hashtag)
-3. I'll guide you through the setup process
-
-If you were in the middle of setup, please start again from your group chat.`
-    );
+    await ctx.reply(t(locale, 'setup.intro'));
     return;
   }
 
@@ -330,7 +276,7 @@ If you were in the middle of setup, please start again from your group chat.`
   } else {
     result = {
       success: false,
-      message: '❌ Unknown setup step. Please start over.',
+      message: t(locale, 'setup.unknownStep'),
     };
     endSetupSession(userId);
   }
@@ -345,11 +291,7 @@ If you were in the middle of setup, please start again from your group chat.`
     try {
       await ctx.telegram.sendMessage(
         result.groupId,
-        `✅ GitHub integration is now set up!
-
-I'm ready to help you manage issues in \`${session.data.githubRepo}\`.
-
-Just mention me or use hashtags to get started! 🚀`,
+        t(locale, 'setup.groupReady', { repository: session.data.githubRepo }),
         { parse_mode: 'Markdown' }
       );
     } catch (error) {
@@ -0,0 +1,70 @@
+/**
+ * Clarifying question callbacks
+ * Resumes paused workflows when a user answers a clarifying question
+ */
+
+import { isAuthorOrGroupManager } from './auth-check.js';
+import { scheduleFeedbackDeletion } from './feedback.js';
+import { t, getMessageLocale, getUserLocale } from '../../i18n/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * @typedef {import('telegraf').Context} Context
+ */
+
+/**
+ * Choices the clarifying question offers (see ClarificationChoices)
+ * Each has a confirmation text (clarify.<choice>) shown in place of the question once answered
+ */
+const CHOICES = ['bug', 'task', 'idea', 'ignore'];
+
+/**
+ * Create callback query handler for clarifying question buttons
+ * Callback data format: clarify_<operationId>_<choice>
+ * @param {Function} resumeFn - Function resuming the paused workflow (operationId, choice)
+ * @returns {Function} Callback query handler function
+ */
+export function createClarificationCallbackHandler(resumeFn) {
+  return async (ctx) => {
+    try {
+      const callbackData = ctx.callbackQuery?.data;
+      const match = callbackData?.match(/^clarify_([a-f0-9]{24})_(\w+)$/);
+
+      if (!match || !CHOICES.includes(match[2])) {
+        return;
+      }
+
+      const [, operationId, choice] = match;
+      const userId = ctx.from?.id;
+
+      // The question replies to the original message, so its sender is the author
+      // and the question is answered in its language
+      const originalMessage = ctx.callbackQuery.message?.reply_to_message;
+      const authorId = originalMessage?.from?.id;
+      const locale = getMessageLocale(originalMessage);
+
+      if (!(await isAuthorOrGroupManager(ctx.chat?.id, userId, authorId))) {
+        await ctx.answerCbQuery(t(locale, 'clarify.notAllowed'));
+        return;
+      }
+
+      const answerText = t(locale, `clarify.${choice}`);
+
+      logger.info({ operationId, choice, userId }, 'Clarifying question answered');
+
+      // Answer right away; resuming runs the rest of the workflow
+      await ctx.answerCbQuery(answerText);
+      await ctx.editMessageText(answerText);
+      await scheduleFeedbackDeletion(ctx.callbackQuery.message?.message_id);
+
+      const resumed = await resumeFn(operationId, choice);
+
+      if (!resumed) {
+        await ctx.editMessageText(t(locale, 'clarify.answered'));
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Error handling clarification callback');
+      await ctx.answerCbQuery(t(getUserLocale(ctx), 'commands.errorToast')).catch(() => {});
+    }
+  };
+}
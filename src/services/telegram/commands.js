@@ -1,6 +1,6 @@
 /**
  * Group Chat Commands
- * Implements /start, /status, and /unlink commands for group management
+ * Implements /start, /status, /draft, /translate, /labels, /budget, /why, and /unlink commands for group management
  */
 
 import { Markup } from 'telegraf';
@@ -8,9 +8,20 @@ import { ConfigRepository } from '../../database/repositories/config.js';
 import { OperationsRepository } from '../../database/repositories/operations.js';
 import { ConversationContextRepository } from '../../database/repositories/context.js';
 import { FeedbackRepository } from '../../database/repositories/feedback.js';
+import { UsageRepository } from '../../database/repositories/usage.js';
 import { testConnection } from '../../database/db.js';
 import { createLLMClient } from '../../ai/llm-client.js';
+import { BudgetAction, getDayStart, getMonthStart } from '../../ai/token-usage.js';
+import { getConfig } from '../../../config/env.js';
 import { GitHubTools } from '../../integrations/github/github-tools.js';
+import {
+  getRepositoryLabels,
+  findRepositoryLabel,
+  normalizeTag,
+  UnknownLabelPolicy,
+  DEFAULT_UNKNOWN_LABEL_POLICY,
+} from '../../integrations/github/labels.js';
+import { t, getUserLocale, DEFAULT_LOCALE } from '../../i18n/index.js';
 import { isGroupAuthenticated, isGroupManager, getGitHubConfig } from './auth-check.js';
 import { startSetupSession } from './auth-setup.js';
 import { isFromAllowedChat, isFromAllowedUser } from './filters.js';
@@ -60,6 +71,8 @@ export function formatOperationsBreakdown(operations) {
     create_idea: '🦄',
     update_issue: '✏️',
     close_issue: '✅',
+    reopen_issue: '🔓',
+    comment_issue: '💬',
     search_issues: '🔍',
   };
 
@@ -116,6 +129,98 @@ export async function gatherOperationStats(groupId) {
   };
 }
 
+/**
+ * Gather LLM usage statistics for a group
+ * @param {number} groupId - Telegram group ID
+ * @param {Date} [now] - Current date
+ * @returns {Promise<Object>} Usage today and this month (UTC) and the group's budget
+ */
+export async function gatherUsageStats(groupId, now = new Date()) {
+  const usageRepo = new UsageRepository();
+  const configRepo = new ConfigRepository();
+
+  const today = await usageRepo.getGroupUsage(groupId, getDayStart(now));
+  const month = await usageRepo.getGroupUsage(groupId, getMonthStart(now));
+  const config = await configRepo.getGroupConfig(groupId);
+
+  return {
+    today,
+    month,
+    budget: config?.settings?.llmBudget || null,
+  };
+}
+
+/**
+ * Format a token count with thousands separators
+ * @param {number} tokens - Token count
+ * @returns {string} Formatted count
+ */
+function formatTokens(tokens) {
+  return Math.round(tokens).toLocaleString('en-US');
+}
+
+/**
+ * Format an estimated cost in USD
+ * @param {number} cost - Cost in USD
+ * @returns {string} Formatted cost
+ */
+function formatCost(cost) {
+  return cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Format what happens once a budget is used up
+ * @param {string} action - Budget action (see BudgetAction)
+ * @param {string} locale - Reply locale
+ * @returns {string} Description
+ */
+function formatBudgetAction(action, locale) {
+  return t(locale, action === BudgetAction.PAUSE ? 'usage.thenPause' : 'usage.thenHashtags');
+}
+
+/**
+ * Format LLM usage statistics
+ * @param {Object} usage - Usage statistics from gatherUsageStats
+ * @param {string} [locale] - Reply locale
+ * @returns {string} Formatted usage lines
+ */
+export function formatUsageSummary({ today, month, budget }, locale = DEFAULT_LOCALE) {
+  const lines = [
+    t(locale, 'usage.today', { tokens: formatTokens(today.totalTokens), cost: formatCost(today.estimatedCost) }),
+    t(locale, 'usage.month', { tokens: formatTokens(month.totalTokens), cost: formatCost(month.estimatedCost) }),
+  ];
+
+  if (budget?.monthlyTokens) {
+    lines.push(t(locale, 'usage.budget', {
+      percent: Math.round((month.totalTokens / budget.monthlyTokens) * 100),
+      limit: formatTokens(budget.monthlyTokens),
+      action: formatBudgetAction(budget.action, locale),
+    }));
+  } else {
+    lines.push(t(locale, 'usage.noBudget'));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse a token amount like 500000, 500k or 1.5m
+ * @param {string} text - Amount text
+ * @returns {number|null} Token count, or null if the text is not a positive amount
+ */
+export function parseTokenAmount(text) {
+  const match = (text || '').trim().replace(/[,_]/g, '').match(/^(\d+(?:\.\d+)?)([km])?$/i);
+
+  if (!match) {
+    return null;
+  }
+
+  const multiplier = { k: 1_000, m: 1_000_000 }[match[2]?.toLowerCase()] || 1;
+  const tokens = Math.round(parseFloat(match[1]) * multiplier);
+
+  return tokens > 0 ? tokens : null;
+}
+
 /**
  * Create /start command handler
  * @param {Object} dependencies - Injected dependencies
@@ -126,9 +231,11 @@ export function createStartCommandHandler(dependencies = {}) {
   const { filterOptions = {} } = dependencies;
 
   return async (ctx) => {
+    const locale = getUserLocale(ctx);
+
     try {
       if (!isGroupChat(ctx)) {
-        await ctx.reply('❌ This command only works in group chats.');
+        await ctx.reply(t(locale, 'commands.groupOnly'));
         return;
       }
 
@@ -139,16 +246,12 @@ export function createStartCommandHandler(dependencies = {}) {
       const userAllowed = isFromAllowedUser(ctx, filterOptions.allowedUserIds);
 
       if (!chatAllowed) {
-        await ctx.reply(
-          `❌ This group is not authorized to use the bot.\n\nPlease contact the bot administrator to add this group to the whitelist.`
-        );
+        await ctx.reply(t(locale, 'start.chatNotAllowed'));
         return;
       }
 
       if (!userAllowed) {
-        await ctx.reply(
-          `❌ You are not authorized to use this bot.\n\nPlease contact the bot administrator.`
-        );
+        await ctx.reply(t(locale, 'start.userNotAllowed'));
         return;
       }
 
@@ -158,33 +261,18 @@ export function createStartCommandHandler(dependencies = {}) {
         startSetupSession(userId, groupId);
 
         await ctx.reply(
-          `👋 **Welcome to TeleGit!**\n\n` +
-          `I'm an AI-powered bot that turns your messages into GitHub issues.\n\n` +
-          `**To get started:**\n` +
-          `I've sent you a private message to configure GitHub integration.\n\n` +
-          `**After setup, you can:**\n` +
-          `• Mention me (@${ctx.botInfo.username}) in messages\n` +
-          `• Use hashtags like #bug, #task, #idea\n` +
-          `• I'll automatically create GitHub issues from your messages\n\n` +
-          `**Available commands:**\n` +
-          `/start - Show this help message\n` +
-          `/status - View usage statistics (manager only)\n` +
-          `/unlink - Disconnect from GitHub (manager only)`,
+          t(locale, 'start.welcome', { botUsername: ctx.botInfo.username, commands: t(locale, 'commands.list') }),
           { parse_mode: 'Markdown' }
         );
 
         try {
           await ctx.telegram.sendMessage(
             userId,
-            `🔧 **Let's set up GitHub integration!**\n\n` +
-            `Please provide your GitHub repository URL (HTTPS only):\n` +
-            `Example: https://github.com/owner/repo-name`,
+            t(locale, 'start.setupDm'),
             { parse_mode: 'Markdown' }
           );
         } catch (error) {
-          await ctx.reply(
-            `⚠️ I couldn't send you a private message. Please start a chat with me first by clicking @${ctx.botInfo.username} and pressing "Start".`
-          );
+          await ctx.reply(t(locale, 'start.dmFailed', { botUsername: ctx.botInfo.username }));
         }
 
         return;
@@ -193,95 +281,470 @@ export function createStartCommandHandler(dependencies = {}) {
       const config = await getGitHubConfig(groupId);
 
       await ctx.reply(
-        `👋 **TeleGit Bot**\n\n` +
-        `I'm an AI-powered bot that turns your messages into GitHub issues.\n\n` +
-        `**Current Configuration:**\n` +
-        `📁 Repository: \`${config.repository}\`\n` +
-        `✅ Status: Connected\n\n` +
-        `**How to use:**\n` +
-        `• Mention me (@${ctx.botInfo.username}) in messages\n` +
-        `• Use hashtags like #bug, #task, #idea\n` +
-        `• I'll automatically create GitHub issues from your messages\n\n` +
-        `**Available commands:**\n` +
-        `/start - Show this help message\n` +
-        `/status - View usage statistics (manager only)\n` +
-        `/unlink - Disconnect from GitHub (manager only)`,
+        t(locale, 'start.connected', {
+          repository: config.repository,
+          botUsername: ctx.botInfo.username,
+          commands: t(locale, 'commands.list'),
+        }),
         { parse_mode: 'Markdown' }
       );
     } catch (error) {
       logger.error({ err: error, chatId: ctx.chat?.id }, 'Error handling /start command');
-      await ctx.reply('❌ An error occurred. Please try again later.');
+      await ctx.reply(t(locale, 'commands.error'));
     }
   };
 }
 
+/**
+ * Checks that a command was sent by the manager of a linked group
+ * Replies with the reason when it was not
+ * @param {Object} ctx - Telegraf context
+ * @param {string} locale - Reply locale
+ * @param {string} command - Command name; other users get its managerOnly message
+ * @returns {Promise<boolean>} True if the command may run
+ */
+async function ensureGroupManager(ctx, locale, command) {
+  if (!isGroupChat(ctx)) {
+    await ctx.reply(t(locale, 'commands.groupOnly'));
+    return false;
+  }
+
+  if (!await isGroupAuthenticated(ctx.chat.id)) {
+    await ctx.reply(t(locale, 'commands.notLinked'));
+    return false;
+  }
+
+  if (!await isGroupManager(ctx.chat.id, ctx.from?.id)) {
+    await ctx.reply(t(locale, `${command}.managerOnly`));
+    return false;
+  }
+
+  return true;
+}
+
 /**
  * Create /unlink command handler
  * @returns {Function} Command handler function
  */
 export function createUnlinkCommandHandler() {
   return async (ctx) => {
+    const locale = getUserLocale(ctx);
+
     try {
-      if (!isGroupChat(ctx)) {
-        await ctx.reply('❌ This command only works in group chats.');
+      if (!await ensureGroupManager(ctx, locale, 'unlink')) {
         return;
       }
 
       const groupId = ctx.chat.id;
-      const userId = ctx.from?.id;
-
-      const authenticated = await isGroupAuthenticated(groupId);
-
-      if (!authenticated) {
-        await ctx.reply(
-          `ℹ️ This group is not linked to a GitHub repository.\n\nUse /start to set up GitHub integration.`
-        );
-        return;
-      }
-
-      const isManager = await isGroupManager(groupId, userId);
-
-      if (!isManager) {
-        await ctx.reply(
-          `❌ Only the group manager can unlink the GitHub repository.\n\nPlease ask the manager to run this command.`
-        );
-        return;
-      }
-
       const config = await getGitHubConfig(groupId);
 
       await ctx.reply(
-        `⚠️ **Confirm Unlink**\n\n` +
-        `Are you sure you want to disconnect this group from:\n` +
-        `📁 \`${config.repository}\`\n\n` +
-        `This will:\n` +
-        `• Remove the GitHub integration\n` +
-        `• Delete stored credentials\n` +
-        `• Require setup again to use the bot\n\n` +
-        `**This action cannot be undone.**`,
+        t(locale, 'unlink.confirm', { repository: config.repository }),
         {
           parse_mode: 'Markdown',
           ...Markup.inlineKeyboard([
             [
-              Markup.button.callback('✅ Yes, unlink', `unlink_confirm_${groupId}`),
-              Markup.button.callback('❌ No, cancel', `unlink_cancel_${groupId}`),
+              Markup.button.callback(t(locale, 'unlink.confirmButton'), `unlink_confirm_${groupId}`),
+              Markup.button.callback(t(locale, 'unlink.cancelButton'), `unlink_cancel_${groupId}`),
             ],
           ]),
         }
       );
     } catch (error) {
       logger.error({ err: error, chatId: ctx.chat?.id }, 'Error handling /unlink command');
-      await ctx.reply('❌ An error occurred. Please try again later.');
+      await ctx.reply(t(locale, 'commands.error'));
+    }
+  };
+}
+
+/**
+ * Creates the handler of a command that switches a boolean group setting on or off
+ * Usage: /<command> [on|off] - switches the setting, or shows it without an argument
+ * Replies with the command's statusOn/statusOff and enabled/disabled messages
+ * @param {string} command - Command name, also the prefix of its message keys
+ * @param {string} setting - Group setting the command switches
+ * @returns {Function} Command handler function
+ */
+function createSettingToggleHandler(command, setting) {
+  return async (ctx) => {
+    const locale = getUserLocale(ctx);
+
+    try {
+      if (!await ensureGroupManager(ctx, locale, command)) {
+        return;
+      }
+
+      const groupId = ctx.chat.id;
+      const userId = ctx.from?.id;
+
+      const configRepo = new ConfigRepository();
+      const argument = ctx.message?.text?.split(/\s+/)[1]?.toLowerCase();
+
+      if (argument !== 'on' && argument !== 'off') {
+        const config = await configRepo.getGroupConfig(groupId);
+        const enabled = config?.settings?.[setting] === true;
+
+        await ctx.reply(t(locale, enabled ? `${command}.statusOn` : `${command}.statusOff`));
+        return;
+      }
+
+      const enabled = argument === 'on';
+      await configRepo.updateSettings(groupId, { [setting]: enabled });
+
+      logger.info({ groupId, userId, [setting]: enabled }, 'Group setting changed');
+
+      await ctx.reply(t(locale, enabled ? `${command}.enabled` : `${command}.disabled`));
+    } catch (error) {
+      logger.error({ err: error, chatId: ctx.chat?.id }, `Error handling /${command} command`);
+      await ctx.reply(t(locale, 'commands.error'));
+    }
+  };
+}
+
+/**
+ * Create /draft command handler
+ * Usage: /draft [on|off] - toggles draft mode, or shows it without an argument
+ * @returns {Function} Command handler function
+ */
+export function createDraftCommandHandler() {
+  return createSettingToggleHandler('draft', 'draftMode');
+}
+
+/**
+ * Create /translate command handler
+ * Usage: /translate [on|off] - toggles writing issues in English, or shows it without an argument
+ * @returns {Function} Command handler function
+ */
+export function createTranslateCommandHandler() {
+  return createSettingToggleHandler('translate', 'translateIssues');
+}
+
+/**
+ * Create /agent command handler
+ * Usage: /agent [on|off] - toggles free-form requests run by the GitHub agent, or shows it without an argument
+ * @returns {Function} Command handler function
+ */
+export function createAgentCommandHandler() {
+  return createSettingToggleHandler('agent', 'agentMode');
+}
+
+/**
+ * Formats the label mapping overview
+ * @param {Object} settings - Group settings
+ * @param {string} locale - Reply locale
+ * @returns {string} Overview message
+ */
+function formatLabelSettings(settings, locale) {
+  const labelMap = settings?.labelMap || {};
+  const policy = settings?.unknownLabels || DEFAULT_UNKNOWN_LABEL_POLICY;
+  const entries = Object.entries(labelMap);
+
+  const mappings = entries.length > 0
+    ? entries.map(([tag, label]) => `#${tag} → ${label}`).join('\n')
+    : t(locale, 'labels.noMappings');
+
+  return t(locale, 'labels.overview', { mappings, policy });
+}
+
+/**
+ * Create /labels command handler
+ * Usage:
+ *   /labels - shows the mapping
+ *   /labels map <hashtag> <label> - maps a hashtag to an existing repository label
+ *   /labels unmap <hashtag> - removes a mapping
+ *   /labels unknown drop|create|keep - sets the policy for hashtags without a label
+ * @returns {Function} Command handler function
+ */
+export function createLabelsCommandHandler() {
+  return async (ctx) => {
+    const locale = getUserLocale(ctx);
+
+    try {
+      if (!await ensureGroupManager(ctx, locale, 'labels')) {
+        return;
+      }
+
+      const groupId = ctx.chat.id;
+      const userId = ctx.from?.id;
+
+      const configRepo = new ConfigRepository();
+      const config = await configRepo.getGroupConfig(groupId);
+      const [, subcommand, argument, ...labelWords] = ctx.message?.text?.trim().split(/\s+/) || [];
+      const tag = argument ? normalizeTag(argument) : '';
+
+      switch (subcommand?.toLowerCase()) {
+        case 'map': {
+          const labelName = labelWords.join(' ');
+
+          if (!/^\w+$/.test(tag) || !labelName) {
+            await ctx.reply(t(locale, 'labels.mapUsage'));
+            return;
+          }
+
+          const label = findRepositoryLabel(await getRepositoryLabels(config), labelName);
+
+          if (!label) {
+            await ctx.reply(t(locale, 'labels.noSuchLabel', { repository: config.githubRepo, label: labelName }));
+            return;
+          }
+
+          await configRepo.updateSettings(groupId, {
+            labelMap: { ...config.settings?.labelMap, [tag]: label },
+          });
+
+          logger.info({ groupId, userId, tag, label }, 'Hashtag mapped to label');
+
+          await ctx.reply(t(locale, 'labels.mapped', { tag, label }));
+          return;
+        }
+
+        case 'unmap': {
+          const { [tag]: removed, ...labelMap } = config.settings?.labelMap || {};
+
+          if (!removed) {
+            await ctx.reply(t(locale, 'labels.notMapped', { tag: tag || '?' }));
+            return;
+          }
+
+          await configRepo.updateSettings(groupId, { labelMap });
+
+          logger.info({ groupId, userId, tag }, 'Hashtag mapping removed');
+
+          await ctx.reply(t(locale, 'labels.unmapped', { tag }));
+          return;
+        }
+
+        case 'unknown': {
+          const policy = argument?.toLowerCase();
+
+          if (!Object.values(UnknownLabelPolicy).includes(policy)) {
+            await ctx.reply(t(locale, 'labels.unknownUsage'));
+            return;
+          }
+
+          await configRepo.updateSettings(groupId, { unknownLabels: policy });
+
+          logger.info({ groupId, userId, unknownLabels: policy }, 'Unknown label policy changed');
+
+          await ctx.reply(t(locale, 'labels.policySet', { policy }));
+          return;
+        }
+
+        default:
+          await ctx.reply(formatLabelSettings(config.settings, locale));
+      }
+    } catch (error) {
+      logger.error({ err: error, chatId: ctx.chat?.id }, 'Error handling /labels command');
+      await ctx.reply(t(locale, 'commands.error'));
+    }
+  };
+}
+
+/**
+ * Create /budget command handler
+ * Subcommands:
+ *   /budget - shows the monthly budget and this month's usage
+ *   /budget <tokens> [hashtags|pause] - sets the monthly token budget and what happens once it is used up
+ *   /budget off - removes the budget
+ * @returns {Function} Command handler function
+ */
+export function createBudgetCommandHandler() {
+  return async (ctx) => {
+    const locale = getUserLocale(ctx);
+
+    try {
+      if (!await ensureGroupManager(ctx, locale, 'budget')) {
+        return;
+      }
+
+      const groupId = ctx.chat.id;
+      const userId = ctx.from?.id;
+
+      const configRepo = new ConfigRepository();
+      const [, amount, action] = ctx.message?.text?.split(/\s+/) || [];
+
+      if (!amount) {
+        const usage = await gatherUsageStats(groupId);
+
+        await ctx.reply(t(locale, 'budget.overview', { summary: formatUsageSummary(usage, locale) }));
+        return;
+      }
+
+      if (amount.toLowerCase() === 'off') {
+        await configRepo.updateSettings(groupId, { llmBudget: null });
+
+        logger.info({ groupId, userId }, 'LLM budget removed');
+
+        await ctx.reply(t(locale, 'budget.removed'));
+        return;
+      }
+
+      const monthlyTokens = parseTokenAmount(amount);
+      const budgetAction = (action || BudgetAction.HASHTAGS).toLowerCase();
+
+      if (!monthlyTokens || !Object.values(BudgetAction).includes(budgetAction)) {
+        await ctx.reply(t(locale, 'budget.usage'));
+        return;
+      }
+
+      await configRepo.updateSettings(groupId, {
+        llmBudget: { monthlyTokens, action: budgetAction },
+      });
+
+      logger.info({ groupId, userId, monthlyTokens, action: budgetAction }, 'LLM budget changed');
+
+      await ctx.reply(t(locale, budgetAction === BudgetAction.PAUSE ? 'budget.setPause' : 'budget.setHashtags', {
+        tokens: formatTokens(monthlyTokens),
+      }));
+    } catch (error) {
+      logger.error({ err: error, chatId: ctx.chat?.id }, 'Error handling /budget command');
+      await ctx.reply(t(locale, 'commands.error'));
+    }
+  };
+}
+
+/**
+ * Longest /why reply (Telegram messages are limited to 4096 characters)
+ */
+const MAX_WHY_REPLY_LENGTH = 4000;
+
+/**
+ * Formats a node duration
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string} Formatted duration (e.g. "850 ms", "1.2 s")
+ */
+function formatStepDuration(durationMs) {
+  return durationMs < 1000 ? `${durationMs} ms` : `${(durationMs / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Formats the workflow trace of an operation for /why
+ * Lists the classification, the classifier's reasoning, the labels set, and
+ * every node run with its duration, the channels it changed and its error
+ * @param {Object} operation - Operation with its trace
+ * @param {number} issueNumber - GitHub issue number asked about
+ * @param {string} [locale] - Reply locale
+ * @returns {string} Report message
+ */
+export function formatTraceReport(operation, issueNumber, locale = DEFAULT_LOCALE) {
+  const { trace } = operation;
+  const lines = [t(locale, 'why.header', { issueNumber, operation: operation.operationType }), ''];
+
+  if (trace.intent) {
+    lines.push(t(locale, 'why.classified', {
+      intent: trace.intent,
+      confidence: Math.round((trace.confidence ?? 0) * 100),
+      source: trace.classifiedBy || 'llm',
+    }));
+  }
+
+  if (trace.reasoning) {
+    lines.push(t(locale, 'why.reasoning', { reasoning: trace.reasoning }));
+  }
+
+  const labels = operation.operationData?.labels || [];
+
+  if (labels.length > 0) {
+    lines.push(t(locale, 'why.labels', { labels: labels.join(', ') }));
+  }
+
+  lines.push('', t(locale, 'why.steps'));
+
+  trace.steps.forEach((step, index) => {
+    const changed = Object.keys(step.output || {}).filter(key => key !== 'status');
+    const action = step.action !== undefined ? ` [${step.action + 1}]` : '';
+    const details = changed.length > 0 ? ` → ${changed.join(', ')}` : '';
+
+    lines.push(`${index + 1}. ${step.error ? '❌' : '✓'} ${step.node}${action} · ${formatStepDuration(step.durationMs)}${details}`);
+
+    if (step.error) {
+      lines.push(`   ${t(locale, 'why.error', { message: step.error.message })}`);
+    }
+  });
+
+  // Errors thrown outside any node only show up on the trace itself
+  if (trace.error && !trace.steps.some(step => step.error)) {
+    lines.push('', t(locale, 'why.error', { message: trace.error.message }));
+  }
+
+  const report = lines.join('\n');
+
+  return report.length > MAX_WHY_REPLY_LENGTH ? `${report.slice(0, MAX_WHY_REPLY_LENGTH - 1)}…` : report;
+}
+
+/**
+ * Create /why command handler
+ * Usage: /why <issue#> - explains how the bot classified and routed the message behind an issue
+ * @returns {Function} Command handler function
+ */
+export function createWhyCommandHandler() {
+  return async (ctx) => {
+    const locale = getUserLocale(ctx);
+
+    try {
+      if (!await ensureGroupManager(ctx, locale, 'why')) {
+        return;
+      }
+
+      const groupId = ctx.chat.id;
+      const userId = ctx.from?.id;
+
+      const argument = ctx.message?.text?.split(/\s+/)[1] || '';
+      const match = argument.match(/^#?(\d+)$/);
+
+      if (!match) {
+        await ctx.reply(t(locale, 'why.usage'));
+        return;
+      }
+
+      const issueNumber = Number(match[1]);
+      const operationsRepo = new OperationsRepository();
+      const operation = await operationsRepo.getTracedIssueOperation(groupId, issueNumber);
+
+      if (!operation) {
+        await ctx.reply(t(locale, 'why.notFound', { issueNumber }));
+        return;
+      }
+
+      logger.info({ groupId, userId, issueNumber, operationId: operation.id }, 'Workflow trace requested');
+
+      await ctx.reply(formatTraceReport(operation, issueNumber, locale));
+    } catch (error) {
+      logger.error({ err: error, chatId: ctx.chat?.id }, 'Error handling /why command');
+      await ctx.reply(t(locale, 'commands.error'));
     }
   };
 }
 
+/**
+ * Create a callback query router
+ * Dispatches inline keyboard callbacks to handlers by callback data prefix
+ * @param {Object<string, Function>} routes - Handlers keyed by callback data prefix (e.g. 'unlink_')
+ * @returns {Function} Callback query handler function
+ */
+export function createCallbackQueryRouter(routes) {
+  return async (ctx) => {
+    const callbackData = ctx.callbackQuery?.data;
+    const prefix = callbackData && Object.keys(routes).find((routePrefix) => callbackData.startsWith(routePrefix));
+
+    if (!prefix) {
+      logger.debug({ callbackData }, 'Unhandled callback query');
+      await ctx.answerCbQuery().catch(() => {});
+      return;
+    }
+
+    await routes[prefix](ctx);
+  };
+}
+
 /**
  * Create unlink callback query handler
  * @returns {Function} Callback query handler function
  */
 export function createUnlinkCallbackHandler() {
   return async (ctx) => {
+    const locale = getUserLocale(ctx);
+
     try {
       const callbackData = ctx.callbackQuery?.data;
 
@@ -294,8 +757,8 @@ export function createUnlinkCallbackHandler() {
       const userId = ctx.from?.id;
 
       if (operation === 'cancel') {
-        await ctx.editMessageText('❌ Unlink cancelled.');
-        await ctx.answerCbQuery('Cancelled');
+        await ctx.editMessageText(t(locale, 'unlink.cancelled'));
+        await ctx.answerCbQuery(t(locale, 'unlink.cancelledToast'));
         return;
       }
 
@@ -303,7 +766,7 @@ export function createUnlinkCallbackHandler() {
         const isManager = await isGroupManager(groupId, userId);
 
         if (!isManager) {
-          await ctx.answerCbQuery('❌ Only the group manager can confirm unlink');
+          await ctx.answerCbQuery(t(locale, 'unlink.managerOnlyToast'));
           return;
         }
 
@@ -311,25 +774,18 @@ export function createUnlinkCallbackHandler() {
         const deleted = await configRepo.deleteGroupConfig(groupId);
 
         if (deleted) {
-          await ctx.editMessageText(
-            `✅ **Successfully unlinked**\n\n` +
-            `The GitHub integration has been removed.\n\n` +
-            `Use /start to set up a new connection.`,
-            { parse_mode: 'Markdown' }
-          );
-          await ctx.answerCbQuery('Unlinked successfully');
+          await ctx.editMessageText(t(locale, 'unlink.done'), { parse_mode: 'Markdown' });
+          await ctx.answerCbQuery(t(locale, 'unlink.doneToast'));
         } else {
-          await ctx.editMessageText(
-            `❌ Failed to unlink. The group configuration may have already been removed.`
-          );
-          await ctx.answerCbQuery('Failed to unlink');
+          await ctx.editMessageText(t(locale, 'unlink.failed'));
+          await ctx.answerCbQuery(t(locale, 'unlink.failedToast'));
         }
 
         return;
       }
     } catch (error) {
       logger.error({ err: error }, 'Error handling unlink callback');
-      await ctx.answerCbQuery('❌ An error occurred');
+      await ctx.answerCbQuery(t(locale, 'commands.errorToast'));
     }
   };
 }
@@ -340,9 +796,11 @@ export function createUnlinkCallbackHandler() {
  */
 export function createStatusCommandHandler() {
   return async (ctx) => {
+    const locale = getUserLocale(ctx);
+
     try {
       if (!isGroupChat(ctx)) {
-        await ctx.reply('❌ This command only works in group chats.');
+        await ctx.reply(t(locale, 'commands.groupOnly'));
         return;
       }
 
@@ -352,75 +810,75 @@ export function createStatusCommandHandler() {
       const authenticated = await isGroupAuthenticated(groupId);
 
       if (!authenticated) {
-        await ctx.reply(
-          `ℹ️ This group is not linked to a GitHub repository.\n\nUse /start to set up GitHub integration.`
-        );
+        await ctx.reply(t(locale, 'commands.notLinked'));
         return;
       }
 
       const isManager = await isGroupManager(groupId, userId);
 
       if (!isManager) {
-        await ctx.reply(
-          `❌ Only the group manager can view status.\n\nPlease ask the manager to run this command.`
-        );
+        await ctx.reply(t(locale, 'status.managerOnly'));
         return;
       }
 
-      const statusMessage = await ctx.reply('🔄 Gathering statistics...');
+      const statusMessage = await ctx.reply(t(locale, 'status.gathering'));
 
       const config = await getGitHubConfig(groupId);
       const stats = await gatherOperationStats(groupId);
 
-      let dbStatus = '✅ Connected';
-      let llmStatus = '✅ Connected';
-      let githubStatus = '✅ Connected';
+      let dbStatus = t(locale, 'status.connected');
+      let llmStatus = t(locale, 'status.connected');
+      let githubStatus = t(locale, 'status.connected');
 
       try {
         await testConnection();
       } catch (error) {
-        dbStatus = '❌ Error';
+        dbStatus = t(locale, 'status.error');
       }
 
       try {
         createLLMClient();
       } catch (error) {
-        llmStatus = '❌ Error';
+        llmStatus = t(locale, 'status.error');
       }
 
       try {
         const tools = new GitHubTools();
         await tools.initialize(config.token, config.repository);
       } catch (error) {
-        githubStatus = '❌ Error';
+        githubStatus = t(locale, 'status.error');
+      }
+
+      let usageSummary;
+
+      try {
+        usageSummary = formatUsageSummary(await gatherUsageStats(groupId), locale);
+      } catch (error) {
+        usageSummary = t(locale, 'status.unavailable');
       }
 
       const uptime = formatUptime((Date.now() - startTime) / 1000);
 
-      const message =
-        `📊 **Group Status**\n\n` +
-        `**GitHub Configuration:**\n` +
-        `📁 Repository: \`${config.repository}\`\n` +
-        `👤 Manager: ${config.managerUserId}\n` +
-        `📅 Created: ${new Date(config.createdAt).toLocaleDateString()}\n\n` +
-        `**Operations Summary:**\n` +
-        `📈 Total operations: ${stats.total}\n` +
-        `✅ Completed: ${stats.byStatus.completed}\n` +
-        `⏳ Pending: ${stats.byStatus.pending}\n` +
-        `🔄 Processing: ${stats.byStatus.processing}\n` +
-        `❌ Failed: ${stats.byStatus.failed}\n` +
-        `↩️ Undone: ${stats.byStatus.undone}\n\n` +
-        `**Operations by Type:**\n` +
-        `${formatOperationsBreakdown(stats.operations)}\n\n` +
-        `**Cache Statistics:**\n` +
-        `💬 Conversation contexts: ${stats.contextCount}\n` +
-        `📝 Pending feedback: ${stats.feedbackCount}\n\n` +
-        `**Connection Health:**\n` +
-        `🗄️ Database: ${dbStatus}\n` +
-        `🤖 LLM API: ${llmStatus}\n` +
-        `📁 GitHub MCP: ${githubStatus}\n\n` +
-        `**System:**\n` +
-        `⏱️ Uptime: ${uptime}`;
+      const message = t(locale, 'status.report', {
+        repository: config.repository,
+        manager: config.managerUserId,
+        createdAt: new Date(config.createdAt).toLocaleDateString(locale),
+        total: stats.total,
+        completed: stats.byStatus.completed,
+        pending: stats.byStatus.pending,
+        processing: stats.byStatus.processing,
+        failed: stats.byStatus.failed,
+        undone: stats.byStatus.undone,
+        breakdown: formatOperationsBreakdown(stats.operations),
+        usage: usageSummary,
+        contexts: stats.contextCount,
+        feedback: stats.feedbackCount,
+        database: dbStatus,
+        provider: getConfig().llm.provider,
+        llm: llmStatus,
+        github: githubStatus,
+        uptime,
+      });
 
       await ctx.telegram.editMessageText(
         ctx.chat.id,
@@ -431,7 +889,7 @@ export function createStatusCommandHandler() {
       );
     } catch (error) {
       logger.error({ err: error, chatId: ctx.chat?.id }, 'Error handling /status command');
-      await ctx.reply('❌ An error occurred while gathering statistics.');
+      await ctx.reply(t(locale, 'status.failed'));
     }
   };
 }
@@ -0,0 +1,166 @@
+/**
+ * Draft preview callbacks
+ * Resumes paused workflows when a draft issue is confirmed, edited or cancelled
+ */
+
+import { isAuthorOrGroupManager } from './auth-check.js';
+import { scheduleFeedbackDeletion } from './feedback.js';
+import { t, getMessageLocale, getUserLocale } from '../../i18n/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * @typedef {import('telegraf').Context} Context
+ */
+
+/**
+ * Configuration constants
+ */
+export const TITLE_EDIT_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * In-memory storage for pending title edits
+ * Key: `${chatId}:${promptMessageId}`, Value: { operationId, userId, timestamp }
+ */
+const pendingTitleEdits = new Map();
+
+/**
+ * Builds the pending title edit key
+ * @param {number} chatId - Chat ID
+ * @param {number} promptMessageId - Message ID of the title prompt
+ * @returns {string} Map key
+ */
+function getTitleEditKey(chatId, promptMessageId) {
+  return `${chatId}:${promptMessageId}`;
+}
+
+/**
+ * Remove expired title edits
+ */
+function pruneExpiredTitleEdits() {
+  const now = Date.now();
+
+  for (const [key, edit] of pendingTitleEdits.entries()) {
+    if (now - edit.timestamp > TITLE_EDIT_TIMEOUT_MS) {
+      pendingTitleEdits.delete(key);
+    }
+  }
+}
+
+/**
+ * Create callback query handler for draft preview buttons
+ * Callback data format: draft_<operationId>_<decision>
+ * @param {Function} resumeFn - Function resuming the paused workflow (operationId, answer)
+ * @returns {Function} Callback query handler function
+ */
+export function createDraftCallbackHandler(resumeFn) {
+  return async (ctx) => {
+    try {
+      const callbackData = ctx.callbackQuery?.data;
+      const match = callbackData?.match(/^draft_([a-f0-9]{24})_(create|edit|cancel)$/);
+
+      if (!match) {
+        return;
+      }
+
+      const [, operationId, decision] = match;
+      const userId = ctx.from?.id;
+
+      // The preview card replies to the original message, so its sender is the author
+      // and the card is answered in its language
+      const originalMessage = ctx.callbackQuery.message?.reply_to_message;
+      const authorId = originalMessage?.from?.id;
+      const locale = getMessageLocale(originalMessage);
+
+      if (!(await isAuthorOrGroupManager(ctx.chat?.id, userId, authorId))) {
+        await ctx.answerCbQuery(t(locale, 'preview.notAllowed'));
+        return;
+      }
+
+      logger.info({ operationId, decision, userId }, 'Draft decision received');
+
+      if (decision === 'edit') {
+        await ctx.answerCbQuery();
+
+        const prompt = await ctx.reply(t(locale, 'preview.titlePrompt'), {
+          reply_to_message_id: ctx.callbackQuery.message?.message_id,
+          reply_markup: { force_reply: true, input_field_placeholder: t(locale, 'preview.titlePlaceholder') },
+        });
+
+        pruneExpiredTitleEdits();
+        pendingTitleEdits.set(getTitleEditKey(ctx.chat.id, prompt.message_id), {
+          operationId,
+          userId,
+          timestamp: Date.now(),
+        });
+        return;
+      }
+
+      // Answer right away; resuming runs the rest of the workflow
+      const decisionText = t(locale, `preview.${decision}`);
+
+      await ctx.answerCbQuery(decisionText);
+      await ctx.editMessageText(decisionText);
+      await scheduleFeedbackDeletion(ctx.callbackQuery.message?.message_id);
+
+      const resumed = await resumeFn(operationId, { decision });
+
+      if (!resumed) {
+        await ctx.editMessageText(t(locale, 'preview.handled'));
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Error handling draft callback');
+      await ctx.answerCbQuery(t(getUserLocale(ctx), 'commands.errorToast')).catch(() => {});
+    }
+  };
+}
+
+/**
+ * Create middleware handling replies to the draft title prompt
+ * Must run before the message filter: title replies carry no mention or hashtag
+ * @param {Function} resumeFn - Function resuming the paused workflow (operationId, answer)
+ * @returns {Function} Telegraf middleware function
+ */
+export function createDraftTitleReplyMiddleware(resumeFn) {
+  return async (ctx, next) => {
+    const message = ctx.message;
+    const promptMessageId = message?.reply_to_message?.message_id;
+
+    if (!promptMessageId || !message.text) {
+      return next();
+    }
+
+    const key = getTitleEditKey(message.chat.id, promptMessageId);
+    const edit = pendingTitleEdits.get(key);
+
+    if (!edit || edit.userId !== message.from?.id) {
+      return next();
+    }
+
+    pendingTitleEdits.delete(key);
+
+    const locale = getMessageLocale(message);
+
+    if (Date.now() - edit.timestamp > TITLE_EDIT_TIMEOUT_MS) {
+      await ctx.reply(t(locale, 'preview.titleExpired'));
+      return;
+    }
+
+    try {
+      logger.info({ operationId: edit.operationId, userId: edit.userId }, 'Draft title edited');
+
+      await ctx.deleteMessage(promptMessageId).catch(() => {});
+
+      const resumed = await resumeFn(edit.operationId, {
+        decision: 'edit',
+        title: message.text,
+      });
+
+      if (!resumed) {
+        await ctx.reply(t(locale, 'preview.handled'));
+      }
+    } catch (error) {
+      logger.error({ err: error, operationId: edit.operationId }, 'Error handling draft title reply');
+      await ctx.reply(t(locale, 'preview.titleFailed'));
+    }
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Duplicate issue callbacks
+ * Resumes paused workflows when a user decides what to do with a likely duplicate
+ */
+
+import { isAuthorOrGroupManager } from './auth-check.js';
+import { scheduleFeedbackDeletion } from './feedback.js';
+import { t, getMessageLocale, getUserLocale } from '../../i18n/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * @typedef {import('telegraf').Context} Context
+ */
+
+/**
+ * Create callback query handler for duplicate question buttons
+ * Callback data format: dup_<operationId>_<issueNumber|create>
+ * @param {Function} resumeFn - Function resuming the paused workflow (operationId, answer)
+ * @returns {Function} Callback query handler function
+ */
+export function createDuplicateCallbackHandler(resumeFn) {
+  return async (ctx) => {
+    try {
+      const callbackData = ctx.callbackQuery?.data;
+      const match = callbackData?.match(/^dup_([a-f0-9]{24})_(create|\d+)$/);
+
+      if (!match) {
+        return;
+      }
+
+      const [, operationId, target] = match;
+      const userId = ctx.from?.id;
+
+      // The question replies to the original message, so its sender is the author
+      // and the question is answered in its language
+      const originalMessage = ctx.callbackQuery.message?.reply_to_message;
+      const authorId = originalMessage?.from?.id;
+      const locale = getMessageLocale(originalMessage);
+
+      if (!(await isAuthorOrGroupManager(ctx.chat?.id, userId, authorId))) {
+        await ctx.answerCbQuery(t(locale, 'duplicates.notAllowed'));
+        return;
+      }
+
+      const answer = target === 'create'
+        ? { decision: 'create' }
+        : { decision: 'comment', issueNumber: parseInt(target, 10) };
+
+      const answerText = t(locale, `duplicates.${answer.decision}`, { number: answer.issueNumber });
+
+      logger.info({ operationId, ...answer, userId }, 'Duplicate decision received');
+
+      // Answer right away; resuming runs the rest of the workflow
+      await ctx.answerCbQuery(answerText);
+      await ctx.editMessageText(answerText);
+      await scheduleFeedbackDeletion(ctx.callbackQuery.message?.message_id);
+
+      const resumed = await resumeFn(operationId, answer);
+
+      if (!resumed) {
+        await ctx.editMessageText(t(locale, 'duplicates.answered'));
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Error handling duplicate callback');
+      await ctx.answerCbQuery(t(getUserLocale(ctx), 'commands.errorToast')).catch(() => {});
+    }
+  };
+}
@@ -25,6 +25,8 @@ export const DELETION_CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
  * @param {number} operationId - Associated operation ID
  * @param {Object} [options] - Additional options
  * @param {number} [options.deletionDelay] - Custom deletion delay in ms
+ * @param {boolean} [options.persistent] - Keep the message instead of scheduling its deletion
+ * @param {Object} [options.replyMarkup] - Inline keyboard markup to attach
  * @param {TelegrafBot} [options.botInstance] - Bot instance
  * @returns {Promise<Object>} Posted message info
  */
@@ -42,12 +44,13 @@ export async function postFeedback(chatId, replyToMessageId, message, operationI
       reply_to_message_id: replyToMessageId,
       parse_mode: 'Markdown',
       disable_web_page_preview: true,
+      ...(options.replyMarkup ? { reply_markup: options.replyMarkup } : {}),
     });
 
     const feedbackMessageId = sentMessage.message_id;
 
-    // Calculate scheduled deletion time
-    const scheduledDeletion = new Date(Date.now() + deletionDelay);
+    // Calculate scheduled deletion time (persistent messages stay until dismissed)
+    const scheduledDeletion = options.persistent ? null : new Date(Date.now() + deletionDelay);
 
     // Store feedback record in database
     const feedbackRepo = new FeedbackRepository();
@@ -76,6 +79,60 @@ export async function postFeedback(chatId, replyToMessageId, message, operationI
   }
 }
 
+/**
+ * Replace the text of a posted feedback message
+ * @param {number} chatId - Chat ID where the feedback was posted
+ * @param {number} messageId - Feedback message ID
+ * @param {string} message - New message text (markdown supported)
+ * @param {Object} [options] - Additional options
+ * @param {Object} [options.replyMarkup] - Inline keyboard markup to attach
+ * @param {TelegrafBot} [options.botInstance] - Bot instance
+ * @returns {Promise<void>}
+ */
+export async function editFeedback(chatId, messageId, message, options = {}) {
+  const bot = options.botInstance || getBot();
+
+  if (!bot) {
+    throw new Error('Bot instance not initialized');
+  }
+
+  try {
+    await bot.telegram.editMessageText(chatId, messageId, undefined, message, {
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true,
+      ...(options.replyMarkup ? { reply_markup: options.replyMarkup } : {}),
+    });
+
+    logger.debug({ chatId, messageId }, 'Feedback edited');
+  } catch (error) {
+    logger.error({
+      err: error,
+      chatId,
+      messageId,
+    }, 'Failed to edit feedback');
+    throw error;
+  }
+}
+
+/**
+ * Schedule the deletion of a persistent feedback message
+ * Prompts are kept until they are answered, then cleaned up like other feedback
+ * @param {number} messageId - Feedback message ID
+ * @param {number} [deletionDelay] - Deletion delay in ms
+ * @returns {Promise<boolean>} True if scheduled
+ */
+export async function scheduleFeedbackDeletion(messageId, deletionDelay = DELETION_DELAY_MS) {
+  try {
+    const feedbackRepo = new FeedbackRepository();
+    await feedbackRepo.updateScheduledDeletion(messageId, new Date(Date.now() + deletionDelay));
+
+    return true;
+  } catch (error) {
+    logger.warn({ err: error, messageId }, 'Failed to schedule feedback deletion');
+    return false;
+  }
+}
+
 /**
  * Delete a feedback message immediately
  * Deletes the Telegram message but preserves the database record for audit/history
@@ -3,10 +3,12 @@
  * Determines whether a message should be processed based on:
  * - Bot mentions (@botname)
  * - Hashtags (#bug, #task, #idea, etc.)
+ * - Voice and audio messages (checked again once transcribed)
  * - Group whitelist
  * - User whitelist (optional)
  */
 
+import { getVoiceAttachment } from './voice.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -200,10 +202,15 @@ export function filterPrivateMessage(ctx, options = {}) {
 
 /**
  * Complete filter check: combines trigger detection with access control
+ * Voice and audio messages without a triggering caption only pass with spoken
+ * triggers on; the handler checks their transcript for a trigger
  * @param {MessageContext} ctx - Telegram message context
  * @param {Object} [options] - Filter options
  * @param {number[]} [options.allowedChatIds] - List of allowed chat IDs
  * @param {number[]} [options.allowedUserIds] - List of allowed user IDs
+ * @param {boolean} [options.transcribeVoice] - Whether voice and audio messages are transcribed
+ * @param {boolean} [options.spokenTriggers] - Whether untriggered voice and audio messages are
+ *   transcribed to look for a trigger (TRANSCRIPTION_SPOKEN_TRIGGERS opt-in)
  * @returns {FilterResult} Filter result with detailed information
  */
 export function filterMessage(ctx, options = {}) {
@@ -217,6 +224,7 @@ export function filterMessage(ctx, options = {}) {
       hashtags: [],
       chatAllowed: false,
       userAllowed: false,
+      voice: false,
       chatId: null,
       userId: null,
     },
@@ -233,11 +241,12 @@ export function filterMessage(ctx, options = {}) {
   result.metadata.userId = message.from?.id || null;
   result.metadata.botMentioned = isBotMentioned(ctx);
   result.metadata.hashtags = extractHashtags(ctx);
+  result.metadata.voice = Boolean(options.transcribeVoice && getVoiceAttachment(message));
 
   // Check trigger conditions
   result.triggered = result.metadata.botMentioned || result.metadata.hashtags.length > 0;
 
-  if (!result.triggered) {
+  if (!result.triggered && !(result.metadata.voice && options.spokenTriggers)) {
     result.reason = 'Message not triggered (no mention or hashtags)';
     return result;
   }
@@ -9,7 +9,10 @@ import { setAnalyzingReaction, setErrorReaction } from './reactions.js';
 import { gatherThreadContext } from './thread-context.js';
 import { postFeedback } from './feedback.js';
 import { startSetupSession } from './auth-setup.js';
+import { getVoiceAttachment, isTranscriptTriggered, transcribeVoiceMessage, withTranscript } from './voice.js';
 import { OperationsRepository } from '../../database/repositories/operations.js';
+import { t, getMessageLocale } from '../../i18n/index.js';
+import { getConfig } from '../../../config/env.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -52,6 +55,9 @@ export async function handleMessage(ctx, processMessageFn) {
     const isAuthenticated = await isGroupAuthenticated(chatId);
 
     if (!isAuthenticated) {
+      // Voice messages that may not be meant for the bot get no setup instructions
+      if (!filterResult.triggered) return;
+
       logger.info({ chatId }, 'Group not authenticated, sending setup instructions');
 
       // Send authentication required message
@@ -59,10 +65,16 @@ export async function handleMessage(ctx, processMessageFn) {
       return;
     }
 
-    // Step 3: Set "analyzing" reaction
-    await setAnalyzingReaction(chatId, messageId);
+    // Step 3: Turn away voice and audio messages too long to transcribe
+    const voice = filterResult.metadata.voice;
+    if (voice && await rejectLongVoiceMessage(ctx, filterResult)) return;
+
+    // Step 4: Set "analyzing" reaction; voice messages not yet known to address the bot get it once transcribed
+    if (filterResult.triggered || !voice) {
+      await setAnalyzingReaction(chatId, messageId);
+    }
 
-    // Step 4: Gather conversation context if this is a reply
+    // Step 5: Gather conversation context if this is a reply
     let threadContext = [];
     try {
       threadContext = await gatherThreadContext(ctx);
@@ -71,7 +83,7 @@ export async function handleMessage(ctx, processMessageFn) {
       // Non-fatal, continue with empty context
     }
 
-    // Step 5: Create operation record
+    // Step 6: Create operation record
     const operationsRepo = new OperationsRepository();
     const operation = await operationsRepo.createOperation({
       telegramGroupId: chatId,
@@ -84,6 +96,7 @@ export async function handleMessage(ctx, processMessageFn) {
         hashtags: filterResult.metadata.hashtags,
         botMentioned: filterResult.metadata.botMentioned,
         threadContext: threadContext.length > 1,
+        voice,
       },
     });
 
@@ -93,10 +106,16 @@ export async function handleMessage(ctx, processMessageFn) {
       messageId,
     }, 'Operation created');
 
-    // Step 6: Queue message for AI processing
+    // Step 7: Queue message for AI processing
     if (processMessageFn) {
+      // Voice messages are downloaded and transcribed by the queued job, which
+      // can take longer than Telegraf gives an update handler
+      const queueOptions = voice
+        ? { prepareMessage: () => transcribeForProcessing(ctx, filterResult, operation.id, threadContext) }
+        : {};
+
       // Process in background (don't await)
-      processMessageFn(ctx, operation.id, threadContext)
+      processMessageFn(ctx, operation.id, threadContext, queueOptions)
         .catch((error) => {
           logger.error({
             err: error,
@@ -126,16 +145,100 @@ export async function handleMessage(ctx, processMessageFn) {
 
     // Post error feedback
     try {
-      await ctx.reply(
-        '😵‍💫 Oops! Something went wrong while processing your message. Please try again.',
-        { reply_to_message_id: messageId }
-      );
+      await ctx.reply(t(getMessageLocale(message), 'handler.error'), { reply_to_message_id: messageId });
     } catch (replyError) {
       logger.error({ err: replyError }, 'Failed to send error reply');
     }
   }
 }
 
+/**
+ * Turns away a voice or audio message too long to transcribe
+ * Only messages with a triggering caption are told why
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} filterResult - Filter result of the message
+ * @returns {Promise<boolean>} True if the message should not be processed
+ */
+async function rejectLongVoiceMessage(ctx, filterResult) {
+  const message = ctx.message || ctx.editedMessage;
+  const { duration } = getVoiceAttachment(message);
+  const { maxDurationSeconds } = getConfig().transcription;
+
+  if (duration <= maxDurationSeconds) {
+    return false;
+  }
+
+  logger.info({
+    chatId: message.chat.id,
+    messageId: message.message_id,
+    duration,
+    maxDurationSeconds,
+  }, 'Voice message too long to transcribe');
+
+  if (filterResult.triggered) {
+    await ctx.reply(t(getMessageLocale(message), 'handler.voiceTooLong', { maxMinutes: Math.ceil(maxDurationSeconds / 60) }), {
+      reply_to_message_id: message.message_id,
+    });
+  }
+  return true;
+}
+
+/**
+ * Transcribes a voice or audio message for processing
+ * Runs in the queued job rather than the update handler. Messages without a
+ * triggering caption (spoken triggers only) are processed if the transcript
+ * addresses the bot; otherwise, or when transcription fails, their operation
+ * is deleted silently.
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} filterResult - Filter result of the message
+ * @param {string} operationId - Operation created for the message
+ * @param {Object[]} threadContext - Conversation context of the message
+ * @returns {Promise<{message: Object, threadContext: Object[]}|null>} Message with its transcript as
+ *   text and the context quoting it, or null if it should not be processed
+ */
+async function transcribeForProcessing(ctx, filterResult, operationId, threadContext) {
+  const message = ctx.message || ctx.editedMessage;
+  const chatId = message.chat.id;
+  const messageId = message.message_id;
+  const operationsRepo = new OperationsRepository();
+
+  let transcript;
+  try {
+    transcript = await transcribeVoiceMessage(ctx.telegram, message);
+  } catch (error) {
+    logger.warn({ err: error, chatId, messageId }, 'Voice message transcription failed');
+
+    if (!filterResult.triggered) {
+      await operationsRepo.deleteOperation(operationId);
+      return null;
+    }
+
+    await setErrorReaction(chatId, messageId);
+    await ctx.reply(t(getMessageLocale(message), 'handler.transcriptionFailed'), { reply_to_message_id: messageId });
+    await operationsRepo.updateOperationStatus(operationId, 'failed', { error: error.message });
+    return null;
+  }
+
+  if (!filterResult.triggered) {
+    if (!isTranscriptTriggered(transcript.text, ctx.botInfo)) {
+      logger.debug({ chatId, messageId }, 'Voice message not addressed to the bot');
+      await operationsRepo.deleteOperation(operationId);
+      return null;
+    }
+
+    await setAnalyzingReaction(chatId, messageId);
+  }
+
+  const transcribed = withTranscript(message, transcript);
+
+  return {
+    message: transcribed,
+    threadContext: threadContext.map(entry =>
+      (entry.messageId === messageId ? { ...entry, text: transcribed.text } : entry)
+    ),
+  };
+}
+
 /**
  * Send authentication required message to the group
  * Instructs the user to set up GitHub authentication via DM
@@ -146,18 +249,11 @@ async function sendAuthRequiredMessage(ctx) {
   const message = ctx.message || ctx.editedMessage;
   const chatId = message.chat.id;
   const userId = message.from?.id;
-  const firstName = message.from?.first_name || 'there';
+  const locale = getMessageLocale(message);
+  const firstName = message.from?.first_name || t(locale, 'handler.defaultName');
 
   try {
-    const authMessage = `👋 Hi ${firstName}!
-
-🔐 This group hasn't been set up with GitHub yet.
-
-To get started, please:
-1. Send me a direct message (DM) at @${ctx.botInfo.username}
-2. Follow the setup instructions to configure your GitHub repository
-
-Once configured, I'll be able to create and manage GitHub issues from this chat!`;
+    const authMessage = t(locale, 'handler.authRequired', { firstName, botUsername: ctx.botInfo.username });
 
     await ctx.reply(authMessage, {
       reply_to_message_id: message.message_id,
@@ -169,18 +265,7 @@ Once configured, I'll be able to create and manage GitHub issues from this chat!
 
     // Also try to send a DM to guide the user
     try {
-      await ctx.telegram.sendMessage(
-        userId,
-        `👋 Hi ${firstName}!
-
-Let's set up GitHub integration for your group chat.
-
-I'll need:
-1. Your GitHub repository URL (e.g., https://github.com/owner/repo)
-2. A GitHub Personal Access Token (PAT) with \`repo\` permissions
-
-Ready? Send me your repository URL to get started!`
-      );
+      await ctx.telegram.sendMessage(userId, t(locale, 'handler.setupDm', { firstName }));
       logger.debug({ userId }, 'Setup DM sent successfully');
     } catch (dmError) {
       // User might not have started a conversation with the bot
@@ -0,0 +1,160 @@
+/**
+ * GitHub identity linking
+ * DM command that links a Telegram user to their GitHub account so mentions
+ * can be assigned to the right person
+ */
+
+import { IdentityRepository } from '../../database/repositories/identities.js';
+import {
+  isValidGitHubLogin,
+  createVerificationToken,
+  getGitHubUser,
+  verifyGitHubIdentity,
+} from '../../integrations/github/identity-verification.js';
+import { isFromAllowedUser } from './filters.js';
+import { getConfig } from '../../../config/env.js';
+import { t, getUserLocale } from '../../i18n/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Formats the verification instructions
+ * @param {Object} identity - Linked identity
+ * @param {string} locale - Reply locale
+ * @returns {string} Instructions message
+ */
+function formatVerificationInstructions(identity, locale) {
+  return t(locale, 'identity.instructions', {
+    login: identity.githubLogin,
+    token: identity.verificationToken,
+  });
+}
+
+/**
+ * Formats the current link status
+ * @param {Object|null} identity - Linked identity
+ * @param {string} locale - Reply locale
+ * @returns {string} Status message
+ */
+function formatIdentityStatus(identity, locale) {
+  const usage = t(locale, 'identity.usage');
+
+  if (!identity) {
+    return t(locale, 'identity.notLinked', { usage });
+  }
+
+  const status = identity.verified
+    ? t(locale, 'identity.verifiedVia', { method: identity.verificationMethod })
+    : t(locale, 'identity.notVerified');
+
+  return t(locale, 'identity.linkedStatus', { login: identity.githubLogin, status, usage });
+}
+
+/**
+ * Create /linkgithub command handler (private chats only)
+ * Usage:
+ *   /linkgithub - shows the current link
+ *   /linkgithub <login> - links a GitHub account (unverified)
+ *   /linkgithub verify - checks the GitHub bio and public gists for the verification token
+ *   /linkgithub remove - removes the link
+ * @param {Object} [options] - Handler options
+ * @param {Object} [options.filterOptions] - Whitelist options ({ allowedUserIds })
+ * @param {Function} [options.fetchFn] - fetch implementation for GitHub requests (for testing)
+ * @returns {Function} Command handler function
+ */
+export function createLinkGitHubCommandHandler({ filterOptions = {}, fetchFn = fetch } = {}) {
+  return async (ctx) => {
+    const locale = getUserLocale(ctx);
+
+    try {
+      if (ctx.chat?.type !== 'private') {
+        await ctx.reply(t(locale, 'identity.privateOnly'));
+        return;
+      }
+
+      if (!isFromAllowedUser(ctx, filterOptions.allowedUserIds)) {
+        await ctx.reply(t(locale, 'identity.userNotAllowed'));
+        return;
+      }
+
+      const userId = ctx.from.id;
+      const identityRepo = new IdentityRepository();
+      const argument = ctx.message?.text?.trim().split(/\s+/)[1]?.replace(/^@/, '');
+
+      if (!argument) {
+        await ctx.reply(formatIdentityStatus(await identityRepo.getIdentity(userId), locale));
+        return;
+      }
+
+      if (argument.toLowerCase() === 'remove') {
+        const removed = await identityRepo.removeIdentity(userId);
+
+        logger.info({ userId, removed }, 'GitHub identity removal requested');
+
+        await ctx.reply(t(locale, removed ? 'identity.removed' : 'identity.nothingToRemove'));
+        return;
+      }
+
+      if (argument.toLowerCase() === 'verify') {
+        const identity = await identityRepo.getIdentity(userId);
+
+        if (!identity) {
+          await ctx.reply(t(locale, 'identity.linkFirst'));
+          return;
+        }
+
+        if (identity.verified) {
+          await ctx.reply(t(locale, 'identity.alreadyVerified', { login: identity.githubLogin }));
+          return;
+        }
+
+        const method = await verifyGitHubIdentity(identity.githubLogin, identity.verificationToken, { fetchFn });
+
+        if (!method) {
+          await ctx.reply(t(locale, 'identity.tokenNotFound', {
+            instructions: formatVerificationInstructions(identity, locale),
+          }));
+          return;
+        }
+
+        await identityRepo.markVerified(userId, method);
+
+        logger.info({ userId, githubLogin: identity.githubLogin, method }, 'GitHub identity verified');
+
+        await ctx.reply(t(locale, 'identity.verified', { login: identity.githubLogin }));
+        return;
+      }
+
+      if (!isValidGitHubLogin(argument)) {
+        await ctx.reply(t(locale, 'identity.invalidLogin', { login: argument }));
+        return;
+      }
+
+      const user = await getGitHubUser(argument, { fetchFn });
+
+      if (!user) {
+        await ctx.reply(t(locale, 'identity.unknownUser', { login: argument }));
+        return;
+      }
+
+      const identity = await identityRepo.linkIdentity(userId, {
+        telegramUsername: ctx.from.username || null,
+        telegramName: [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(' ') || null,
+        githubLogin: user.login,
+        verificationToken: createVerificationToken(),
+      });
+
+      const assignmentNote = getConfig().github.identityVerificationRequired
+        ? t(locale, 'identity.assignAfterVerify')
+        : t(locale, 'identity.assignNow');
+
+      await ctx.reply(t(locale, 'identity.linked', {
+        login: identity.githubLogin,
+        note: assignmentNote,
+        instructions: formatVerificationInstructions(identity, locale),
+      }));
+    } catch (error) {
+      logger.error({ err: error, userId: ctx.from?.id }, 'Error handling /linkgithub command');
+      await ctx.reply(t(locale, 'commands.error'));
+    }
+  };
+}
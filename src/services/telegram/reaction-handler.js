@@ -7,6 +7,7 @@ import { parseReactionUpdate, isUndoReaction, isDismissReaction } from './reacti
 import { dismissFeedback } from './feedback.js';
 import { FeedbackRepository } from '../../database/repositories/feedback.js';
 import { OperationsRepository } from '../../database/repositories/operations.js';
+import { t, getUserLocale } from '../../i18n/index.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -77,26 +78,55 @@ async function handleUndoReaction(ctx, feedback, userId, undoOperationFn) {
     userId,
   }, 'Processing undo reaction');
 
+  const undone = await undoOperationById(ctx, {
+    operationId: feedback.operationId,
+    chatId: feedback.chatId,
+    userId,
+  }, undoOperationFn);
+
+  if (undone) {
+    // Delete the feedback message
+    await dismissFeedback(feedback.chatId, feedback.feedbackMessageId);
+  }
+}
+
+/**
+ * Undo a single operation and report the outcome in the chat
+ * Shared by the undo reaction and the per-action undo buttons
+ * @param {Context} ctx - Telegraf context
+ * @param {Object} params - Undo parameters
+ * @param {string} params.operationId - Operation to undo
+ * @param {number} params.chatId - Chat where the operation was triggered
+ * @param {number} params.userId - User requesting the undo
+ * @param {Function} undoOperationFn - Function to undo the operation (operation, locale); may resolve to { message } to confirm with
+ * @returns {Promise<boolean>} True if the operation was undone
+ */
+export async function undoOperationById(ctx, { operationId, chatId, userId }, undoOperationFn) {
+  let locale = getUserLocale(ctx);
+
   try {
     // Get the operation
     const operationsRepo = new OperationsRepository();
-    const operation = await operationsRepo.getOperationById(feedback.operationId);
+    const operation = await operationsRepo.getOperationById(operationId);
 
     if (!operation) {
-      logger.error({ operationId: feedback.operationId }, 'Operation not found for undo');
-      await ctx.reply('❌ Could not find the operation to undo.');
-      return;
+      logger.error({ operationId }, 'Operation not found for undo');
+      await ctx.reply(t(locale, 'undo.notFound'));
+      return false;
     }
 
+    // Reply in the language the operation was reported in
+    locale = operation.operationData?.language || locale;
+
     // Check if operation can be undone
     if (operation.status === 'undone') {
-      await ctx.reply('ℹ️ This operation has already been undone.');
-      return;
+      await ctx.reply(t(locale, 'undo.alreadyUndone'));
+      return false;
     }
 
     if (operation.status !== 'completed') {
-      await ctx.reply('ℹ️ This operation cannot be undone (it did not complete successfully).');
-      return;
+      await ctx.reply(t(locale, 'undo.notCompleted'));
+      return false;
     }
 
     // Check if user is authorized to undo (operation creator or group manager)
@@ -107,47 +137,47 @@ async function handleUndoReaction(ctx, feedback, userId, undoOperationFn) {
     }
 
     // Perform undo operation
-    if (undoOperationFn) {
-      try {
-        await undoOperationFn(operation);
-
-        // Update operation status
-        await operationsRepo.updateOperationStatus(operation.id, 'undone', {
-          undoneBy: userId,
-          undoneAt: new Date(),
-        });
-
-        // Send confirmation
-        await ctx.telegram.sendMessage(
-          feedback.chatId,
-          `✅ Operation undone successfully.
-
-The GitHub issue has been closed with an "Undone by TeleGit" comment.`,
-          {
-            reply_to_message_id: operation.telegramMessageId,
-          }
-        );
-
-        // Delete the feedback message
-        await dismissFeedback(feedback.chatId, feedback.feedbackMessageId);
-      } catch (error) {
-        logger.error({ err: error, operationId: operation.id }, 'Failed to undo operation');
-
-        await ctx.telegram.sendMessage(
-          feedback.chatId,
-          `❌ Failed to undo operation: ${error.message}`,
-          {
-            reply_to_message_id: operation.telegramMessageId,
-          }
-        );
-      }
-    } else {
+    if (!undoOperationFn) {
       logger.warn('No undo operation function provided');
-      await ctx.reply('❌ Undo functionality is not configured.');
+      await ctx.reply(t(locale, 'undo.notConfigured'));
+      return false;
+    }
+
+    try {
+      const undoResult = await undoOperationFn(operation, locale);
+
+      // Update operation status
+      await operationsRepo.updateOperationStatus(operation.id, 'undone', {
+        undoneBy: userId,
+        undoneAt: new Date(),
+      });
+
+      // Send confirmation, as described by the undo function when it returns one
+      await ctx.telegram.sendMessage(
+        chatId,
+        undoResult?.message || t(locale, 'undo.done'),
+        {
+          reply_to_message_id: operation.telegramMessageId,
+        }
+      );
+
+      return true;
+    } catch (error) {
+      logger.error({ err: error, operationId: operation.id }, 'Failed to undo operation');
+
+      await ctx.telegram.sendMessage(
+        chatId,
+        t(locale, 'undo.failed', { error: error.message }),
+        {
+          reply_to_message_id: operation.telegramMessageId,
+        }
+      );
+      return false;
     }
   } catch (error) {
-    logger.error({ err: error }, 'Error handling undo reaction');
-    await ctx.reply('❌ An error occurred while processing the undo request.');
+    logger.error({ err: error }, 'Error handling undo request');
+    await ctx.reply(t(locale, 'undo.error'));
+    return false;
   }
 }
 
@@ -190,6 +220,49 @@ export function createReactionHandler(undoOperationFn = null) {
   };
 }
 
+/**
+ * Create callback query handler for per-action undo buttons
+ * Buttons are attached to consolidated feedback for multi-action messages
+ * @param {Function} undoOperationFn - Function to undo GitHub operations
+ * @returns {Function} Callback query handler function
+ */
+export function createUndoCallbackHandler(undoOperationFn = null) {
+  return async (ctx) => {
+    try {
+      const callbackData = ctx.callbackQuery?.data;
+
+      if (!callbackData || !callbackData.startsWith('undo_')) {
+        return;
+      }
+
+      const operationId = callbackData.slice('undo_'.length);
+
+      logger.info({
+        operationId,
+        userId: ctx.from?.id,
+      }, 'Processing undo button');
+
+      const undone = await undoOperationById(ctx, {
+        operationId,
+        chatId: ctx.chat?.id,
+        userId: ctx.from?.id,
+      }, undoOperationFn);
+
+      if (undone) {
+        // Drop the button of the undone action, keep the others
+        const keyboard = ctx.callbackQuery.message?.reply_markup?.inline_keyboard || [];
+        const remaining = keyboard.filter(row => !row.some(button => button.callback_data === callbackData));
+        await ctx.editMessageReplyMarkup(remaining.length > 0 ? { inline_keyboard: remaining } : undefined);
+      }
+
+      await ctx.answerCbQuery(t(getUserLocale(ctx), undone ? 'undo.undoneToast' : 'undo.failedToast'));
+    } catch (error) {
+      logger.error({ err: error }, 'Error handling undo callback');
+      await ctx.answerCbQuery(t(getUserLocale(ctx), 'commands.errorToast'));
+    }
+  };
+}
+
 /**
  * Mock undo function for testing
  * In production, this should call GitHub MCP to close/revert the issue
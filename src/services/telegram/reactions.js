@@ -19,6 +19,9 @@ export const StatusReactions = {
   SUCCESS_BUG: '👾', // Successfully created bug issue
   SUCCESS_TASK: '🫡', // Successfully created task issue
   SUCCESS_IDEA: '🦄', // Successfully created idea/feature
+  SUCCESS_CLOSE: '💯', // Successfully closed issue
+  SUCCESS_REOPEN: '⚡', // Successfully reopened issue
+  SUCCESS_COMMENT: '✍', // Successfully commented on issue
   ERROR: '😱', // Error occurred during processing
 };
 
@@ -125,7 +128,7 @@ export async function setProcessingReaction(chatId, messageId, botInstance = nul
  * Set success reaction based on operation type
  * @param {number} chatId - Chat ID
  * @param {number} messageId - Message ID
- * @param {'bug'|'task'|'idea'|string} operationType - Type of operation completed
+ * @param {'bug'|'task'|'idea'|'close'|'reopen'|'comment'|string} operationType - Type of operation completed
  * @param {TelegrafBot} [botInstance] - Bot instance
  * @returns {Promise<boolean>}
  */
@@ -146,6 +149,18 @@ export async function setSuccessReaction(chatId, messageId, operationType, botIn
     case 'feature':
       emoji = StatusReactions.SUCCESS_IDEA;
       break;
+    case 'close':
+    case 'close_issue':
+      emoji = StatusReactions.SUCCESS_CLOSE;
+      break;
+    case 'reopen':
+    case 'reopen_issue':
+      emoji = StatusReactions.SUCCESS_REOPEN;
+      break;
+    case 'comment':
+    case 'comment_issue':
+      emoji = StatusReactions.SUCCESS_COMMENT;
+      break;
     default:
       // Default to bug emoji for unknown types
       emoji = StatusReactions.SUCCESS_BUG;
@@ -0,0 +1,169 @@
+/**
+ * Search results
+ * Formats issue search results and pages through them with inline buttons
+ */
+
+import { escapeMarkdownV1 } from 'telegram-escape';
+import { Markup } from 'telegraf';
+import { OperationsRepository } from '../../database/repositories/operations.js';
+import { ConfigRepository } from '../../database/repositories/config.js';
+import { createGitHubTools } from '../../integrations/github/github-tools.js';
+import { searchIssues } from '../../integrations/github/issue-search.js';
+import { editFeedback } from './feedback.js';
+import { t, getUserLocale, DEFAULT_LOCALE } from '../../i18n/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * GitHub search returns at most this many results, however many match
+ */
+const MAX_SEARCH_RESULTS = 1000;
+
+/**
+ * Gets the number of result pages
+ * @param {Object} resultPage - Search result page ({ totalCount, perPage })
+ * @returns {number} Page count (at least 1)
+ */
+function getPageCount({ totalCount, perPage }) {
+  return Math.max(1, Math.ceil(Math.min(totalCount, MAX_SEARCH_RESULTS) / perPage));
+}
+
+/**
+ * Formats one issue of the results list
+ * @param {Object} issue - Issue summary from searchIssues
+ * @param {string} locale - Reply locale
+ * @returns {string} Issue lines
+ */
+function formatIssueLine(issue, locale) {
+  const details = [t(locale, issue.state === 'closed' ? 'search.closed' : 'search.open')];
+
+  if (issue.labels.length > 0) {
+    details.push(`🏷 ${issue.labels.join(', ')}`);
+  }
+
+  if (issue.assignee) {
+    details.push(`👤 ${issue.assignee}`);
+  }
+
+  return `[#${issue.number}](${issue.url}) ${escapeMarkdownV1(issue.title)}\n${escapeMarkdownV1(details.join(' · '))}`;
+}
+
+/**
+ * Formats a page of search results
+ * @param {Object} resultPage - Search result page
+ * @param {string} resultPage.query - Search query
+ * @param {Object[]} resultPage.issues - Issues on this page
+ * @param {number} resultPage.totalCount - Number of matching issues
+ * @param {number} resultPage.page - Page number, starting at 1
+ * @param {number} resultPage.perPage - Issues per page
+ * @param {string[]} [resultPage.unresolved] - People or dates left out of the search
+ * @param {string} [locale] - Reply locale
+ * @returns {string} Results message (Markdown)
+ */
+export function formatSearchResultsMessage({ query, issues, totalCount, page, perPage, unresolved = [] }, locale = DEFAULT_LOCALE) {
+  const subject = query ? t(locale, 'search.subject', { query: escapeMarkdownV1(query) }) : '';
+  const unresolvedNote = unresolved.length > 0
+    ? `\n\n${t(locale, 'search.unresolved', { names: escapeMarkdownV1(unresolved.join(', ')) })}`
+    : '';
+
+  if (totalCount === 0 || issues.length === 0) {
+    return `${t(locale, 'search.none', { subject })}${unresolvedNote}`;
+  }
+
+  const pageCount = getPageCount({ totalCount, perPage });
+  const pageNote = pageCount > 1 ? `\n\n${t(locale, 'search.page', { page, pages: pageCount })}` : '';
+  const lines = issues.map(issue => formatIssueLine(issue, locale));
+
+  return `${t(locale, 'search.found', { count: totalCount, subject })}\n\n${lines.join('\n\n')}${pageNote}${unresolvedNote}`;
+}
+
+/**
+ * Builds the Prev/Next buttons for a page of search results
+ * Callback data format: search_<operationId>_<page>
+ * @param {string} operationId - Operation that stored the search
+ * @param {Object} resultPage - Search result page ({ page, perPage, totalCount })
+ * @param {string} [locale] - Reply locale
+ * @returns {Object|undefined} Inline keyboard markup, or undefined if there is only one page
+ */
+export function buildSearchKeyboard(operationId, resultPage, locale = DEFAULT_LOCALE) {
+  const { page } = resultPage;
+  const pageCount = getPageCount(resultPage);
+
+  if (!operationId || pageCount <= 1) {
+    return undefined;
+  }
+
+  const buttons = [];
+
+  if (page > 1) {
+    buttons.push(Markup.button.callback(t(locale, 'search.prev'), `search_${operationId}_${page - 1}`));
+  }
+
+  if (page < pageCount) {
+    buttons.push(Markup.button.callback(t(locale, 'search.next'), `search_${operationId}_${page + 1}`));
+  }
+
+  return Markup.inlineKeyboard([buttons]).reply_markup;
+}
+
+/**
+ * Create callback query handler for search result pages
+ * Re-runs the stored search for the requested page and edits the results message
+ * @returns {Function} Callback query handler function
+ */
+export function createSearchCallbackHandler() {
+  return async (ctx) => {
+    let locale = getUserLocale(ctx);
+
+    try {
+      const callbackData = ctx.callbackQuery?.data;
+      const match = callbackData?.match(/^search_([a-f0-9]{24})_(\d+)$/);
+
+      if (!match) {
+        return;
+      }
+
+      const [, operationId, pageStr] = match;
+      const page = parseInt(pageStr, 10);
+
+      const operationsRepo = new OperationsRepository();
+      const operation = await operationsRepo.getOperationById(operationId);
+      const search = operation?.operationData?.search;
+      locale = operation?.operationData?.language || locale;
+
+      if (!search || operation.telegramGroupId !== ctx.chat?.id) {
+        await ctx.answerCbQuery(t(locale, 'search.unavailable'));
+        return;
+      }
+
+      const configRepo = new ConfigRepository();
+      const groupConfig = await configRepo.getGroupConfig(operation.telegramGroupId);
+
+      if (!groupConfig) {
+        await ctx.answerCbQuery(t(locale, 'search.notLinked'));
+        return;
+      }
+
+      const tools = await createGitHubTools(groupConfig.githubToken, groupConfig.githubRepo);
+      let resultPage;
+
+      try {
+        resultPage = await searchIssues(tools, { repository: groupConfig.githubRepo, ...search, page });
+      } finally {
+        await tools.close();
+      }
+
+      logger.debug({ operationId, page, totalCount: resultPage.totalCount }, 'Search results page requested');
+
+      await editFeedback(
+        ctx.chat.id,
+        ctx.callbackQuery.message.message_id,
+        formatSearchResultsMessage({ ...resultPage, unresolved: search.unresolved }, locale),
+        { replyMarkup: buildSearchKeyboard(operationId, resultPage, locale) }
+      );
+      await ctx.answerCbQuery();
+    } catch (error) {
+      logger.error({ err: error }, 'Error handling search page callback');
+      await ctx.answerCbQuery(t(locale, 'commands.errorToast')).catch(() => {});
+    }
+  };
+}
@@ -160,6 +160,7 @@ function formatMessage(message) {
     hasPhoto: !!message.photo,
     hasDocument: !!message.document,
     hasVideo: !!message.video,
+    hasVoice: !!(message.voice || message.audio),
   };
 }
 
@@ -0,0 +1,155 @@
+/**
+ * Voice message transcription
+ * Turns Telegram voice notes and audio files into text the workflow can classify
+ *
+ * Voice messages trigger the bot like text ones, through a caption with a
+ * mention or hashtags. With spoken triggers on (TRANSCRIPTION_SPOKEN_TRIGGERS),
+ * a transcript that names the bot or contains hashtags triggers it too.
+ */
+
+import { transcribeAudio } from '../../integrations/speech/transcription.js';
+import { getSharedProxy } from '../../api/telegram-asset-proxy.js';
+import { getConfig } from '../../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * @typedef {Object} VoiceAttachment
+ * @property {string} kind - 'voice' for voice notes, 'audio' for audio files
+ * @property {string} fileId - Telegram file ID
+ * @property {number} duration - Duration in seconds
+ * @property {string} mimeType - Audio MIME type
+ * @property {string} fileName - File name sent to the transcription backend
+ */
+
+/**
+ * @typedef {Object} VoiceTranscript
+ * @property {string} kind - 'voice' or 'audio'
+ * @property {string} text - Transcript text
+ * @property {number} duration - Duration in seconds
+ * @property {string|null} audioUrl - Proxied link to the audio, null without a public URL
+ */
+
+/**
+ * Gets the voice note or audio file of a message
+ * @param {Object} message - Telegram message
+ * @returns {VoiceAttachment|null} Audio attachment, or null if the message has none
+ */
+export function getVoiceAttachment(message) {
+  if (message?.voice) {
+    return {
+      kind: 'voice',
+      fileId: message.voice.file_id,
+      duration: message.voice.duration || 0,
+      mimeType: message.voice.mime_type || 'audio/ogg',
+      fileName: 'voice.ogg',
+    };
+  }
+
+  if (message?.audio) {
+    return {
+      kind: 'audio',
+      fileId: message.audio.file_id,
+      duration: message.audio.duration || 0,
+      mimeType: message.audio.mime_type || 'audio/mpeg',
+      fileName: message.audio.file_name || 'audio.mp3',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Checks whether a transcript addresses the bot
+ * Spoken messages can't @mention, so the bot's name (first name, username, or
+ * username without its "bot" suffix) counts as a mention
+ * @param {string} text - Transcript text
+ * @param {Object} [botInfo] - Bot info ({ username, first_name })
+ * @returns {boolean} True if the transcript names the bot or contains hashtags
+ */
+export function isTranscriptTriggered(text, botInfo = {}) {
+  if (!text) return false;
+
+  if (/(^|\s)#[\p{L}\p{N}_]+/u.test(text)) {
+    return true;
+  }
+
+  const username = botInfo?.username || '';
+  const names = [botInfo?.first_name, username, username.replace(/_?bot$/i, '')]
+    .filter(name => name && name.length >= 3);
+
+  return names.some(name =>
+    new RegExp(`(^|[^\\p{L}\\p{N}_])@?${escapeRegExp(name)}(?=[^\\p{L}\\p{N}_]|$)`, 'iu').test(text)
+  );
+}
+
+/**
+ * Downloads and transcribes the voice note or audio file of a message
+ * @param {Object} telegram - Telegraf Telegram API instance
+ * @param {Object} message - Telegram message with a voice note or audio file
+ * @returns {Promise<VoiceTranscript>} Transcript with a proxied link to the audio
+ * @throws {Error} If the message has no audio, or download or transcription fails
+ */
+export async function transcribeVoiceMessage(telegram, message) {
+  const attachment = getVoiceAttachment(message);
+
+  if (!attachment) {
+    throw new Error('Message has no voice note or audio file');
+  }
+
+  const file = await telegram.getFile(attachment.fileId);
+  const fileUrl = await telegram.getFileLink(file);
+  const response = await fetch(fileUrl);
+
+  if (!response.ok) {
+    throw new Error(`Failed to download audio from Telegram: ${response.status}`);
+  }
+
+  const text = await transcribeAudio({
+    audio: Buffer.from(await response.arrayBuffer()),
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+  });
+
+  const { publicUrl } = getConfig().app;
+
+  logger.info({
+    chatId: message.chat?.id,
+    messageId: message.message_id,
+    kind: attachment.kind,
+    duration: attachment.duration,
+  }, 'Voice message transcribed');
+
+  return {
+    kind: attachment.kind,
+    text,
+    duration: attachment.duration,
+    audioUrl: publicUrl && file.file_path ? getSharedProxy().generateProxyUrl(file.file_path, publicUrl) : null,
+  };
+}
+
+/**
+ * Gives a voice message its transcript as text
+ * The caption, if any, comes first so its entities (mentions, hashtags) keep their offsets
+ * @param {Object} message - Telegram message
+ * @param {VoiceTranscript} transcript - Transcript of its audio
+ * @returns {Object} Copy of the message with text, entities and the transcript
+ */
+export function withTranscript(message, transcript) {
+  const caption = message.caption || '';
+
+  return {
+    ...message,
+    text: caption ? `${caption}\n\n${transcript.text}` : transcript.text,
+    entities: message.caption_entities || [],
+    transcript,
+  };
+}
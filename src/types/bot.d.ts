@@ -68,6 +68,7 @@ export interface FilterResult {
     hashtags: string[];
     chatAllowed: boolean;
     userAllowed: boolean;
+    voice: boolean; // Voice or audio message to transcribe (triggered may still be false)
     chatId: number | null;
     userId: number | null;
   };
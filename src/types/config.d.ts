@@ -9,6 +9,7 @@ export interface EnvironmentConfig {
 
   // GitHub Configuration
   GITHUB_MCP_SERVER_URL?: string; // Optional, defaults to local MCP server
+  GITHUB_DUPLICATE_THRESHOLD?: string; // Similarity (0-1) above which an open issue counts as a duplicate
 
   // Database Configuration
   DATABASE_URL: string;
@@ -17,9 +18,34 @@ export interface EnvironmentConfig {
   ENCRYPTION_KEY: string; // 64 hex characters (32 bytes) for AES-256-GCM encryption
 
   // LLM Configuration
-  OPENAI_API_KEY: string;
+  LLM_PROVIDER?: string; // 'openai' | 'anthropic' | 'openai_compatible'
+  OPENAI_API_KEY?: string; // Required when LLM_PROVIDER is openai
   OPENAI_MODEL?: string; // Optional, defaults to gpt-4
   OPENAI_TEMPERATURE?: string;
+  ANTHROPIC_API_KEY?: string; // Required when LLM_PROVIDER is anthropic
+  ANTHROPIC_MODEL?: string;
+  ANTHROPIC_TEMPERATURE?: string;
+  OPENAI_COMPATIBLE_BASE_URL?: string; // Required when LLM_PROVIDER is openai_compatible
+  OPENAI_COMPATIBLE_API_KEY?: string;
+  OPENAI_COMPATIBLE_MODEL?: string;
+  OPENAI_COMPATIBLE_CLASSIFIER_MODEL?: string;
+  OPENAI_COMPATIBLE_GENERATOR_MODEL?: string;
+  OPENAI_COMPATIBLE_TEMPERATURE?: string;
+
+  // Agent Configuration
+  AGENT_MAX_STEPS?: string; // Most tool calls per agent request
+  AGENT_WRITE_TOOLS?: string; // Comma-separated GitHub tools the agent may write with
+
+  // Voice Transcription Configuration
+  TRANSCRIPTION_PROVIDER?: string; // 'none' | 'whisper' | 'openai'
+  TRANSCRIPTION_URL?: string; // Whisper endpoint URL or OpenAI-compatible API base URL
+  TRANSCRIPTION_API_KEY?: string; // Defaults to OPENAI_API_KEY for the openai backend
+  TRANSCRIPTION_MODEL?: string;
+  TRANSCRIPTION_MAX_DURATION_SECONDS?: string;
+
+  // Public URL for proxied Telegram file links (defaults to WEBHOOK_DOMAIN)
+  PUBLIC_URL?: string;
+  WEBHOOK_DOMAIN?: string;
 
   // Application Configuration
   NODE_ENV?: string; // 'development' | 'production' | 'test'
@@ -36,6 +62,8 @@ export interface ParsedConfig {
   };
   github: {
     mcpServerUrl: string;
+    duplicateThreshold: number;
+    identityVerificationRequired: boolean;
   };
   database: {
     url: string;
@@ -44,13 +72,51 @@ export interface ParsedConfig {
     encryptionKey: string;
   };
   llm: {
-    apiKey: string;
+    provider: 'openai' | 'anthropic' | 'openai_compatible';
+    apiKey?: string;
     model: string;
     temperature: number;
+    anthropic: {
+      apiKey?: string;
+      model: string;
+      temperature: number;
+    };
+    openaiCompatible: {
+      baseUrl?: string;
+      apiKey?: string;
+      model: string;
+      classifierModel: string | null;
+      generatorModel: string | null;
+      temperature: number;
+    };
+    intentClassifierModel: string | null;
+    intentClassifierTemperature: number;
+    intentConfidenceThreshold: number;
+    degradedMode: {
+      failureThreshold: number;
+      retryIntervalMs: number;
+    };
+    pricing: {
+      inputPerMillion: number | null;
+      outputPerMillion: number | null;
+    };
+    generatorTemperature: number;
+  };
+  agent: {
+    maxSteps: number;
+    writeTools: string[];
+  };
+  transcription: {
+    provider: 'none' | 'whisper' | 'openai';
+    url: string | null;
+    apiKey: string | null;
+    model: string;
+    maxDurationSeconds: number;
   };
   app: {
     nodeEnv: string;
     logLevel: string;
+    publicUrl: string | null;
     rateLimit: {
       maxConcurrent: number;
       minTime: number;
@@ -35,13 +35,39 @@ export interface Operation {
   id: string; // UUID
   telegramGroupId: number;
   telegramMessageId: number;
-  operationType: 'create_bug' | 'create_task' | 'create_idea' | 'update_issue' | 'search_issues';
+  operationType: 'create_bug' | 'create_task' | 'create_idea' | 'update_issue' | 'close_issue' | 'reopen_issue' | 'comment_issue' | 'search_issues';
   githubIssueUrl: string | null;
   operationData: Record<string, any>;
   status: 'pending' | 'processing' | 'completed' | 'failed' | 'undone';
+  trace?: OperationTrace;
   createdAt: Date;
 }
 
+/**
+ * One workflow node run (values are redacted and truncated)
+ */
+export interface OperationTraceStep {
+  node: string;
+  action?: number;
+  startedAt: number;
+  durationMs: number;
+  input: Record<string, any>;
+  output: Record<string, any>;
+  error: { message: string; code: string } | null;
+}
+
+/**
+ * Workflow trace stored with an operation (shown by /why)
+ */
+export interface OperationTrace {
+  intent: string | null;
+  confidence: number | null;
+  classifiedBy: string | null;
+  reasoning: string | null;
+  error: { message: string; code: string | null } | null;
+  steps: OperationTraceStep[];
+}
+
 /**
  * Database row for operations table
  */
@@ -104,6 +130,23 @@ export interface ConversationContextRow {
   expires_at: Date;
 }
 
+/**
+ * Persisted LangGraph checkpoint (workflow_checkpoints collection)
+ * Payloads are serialized and encrypted; threadId is the operation ID
+ */
+export interface WorkflowCheckpoint {
+  threadId: string;
+  checkpointNs: string;
+  checkpointId: string;
+  parentCheckpointId: string | null;
+  checkpointType: string;
+  checkpoint: string;
+  metadataType: string;
+  metadata: string;
+  step: number | null;
+  createdAt: Date;
+}
+
 // Database query result types
 export type QueryResult<T> = T[];
 
@@ -99,6 +99,18 @@ export const llmTokensUsed = new client.Counter({
   registers: [register],
 });
 
+/**
+ * Counter: Structured LLM answers by validation outcome
+ * valid on the first answer, repaired after one repair round, or failed; the
+ * parse-failure rate is (repaired + failed) / total
+ */
+export const llmOutputValidationTotal = new client.Counter({
+  name: 'telegit_llm_output_validation_total',
+  help: 'Total number of structured LLM answers by validation outcome',
+  labelNames: ['purpose', 'outcome'],
+  registers: [register],
+});
+
 /**
  * Counter: Database queries
  */
@@ -382,6 +394,7 @@ export default {
   llmApiCallsTotal,
   llmApiDuration,
   llmTokensUsed,
+  llmOutputValidationTotal,
   databaseQueriesTotal,
   databaseQueryDuration,
   databaseConnectionPool,
@@ -0,0 +1,453 @@
+/**
+ * Intent Classification Evaluation
+ * Runs classifyIntent over a labeled dataset and scores the results
+ *
+ * By default every case is answered from recorded LLM responses, so the
+ * evaluation is free, deterministic and runs offline. --live classifies with
+ * the configured LLM instead and --record saves its responses as the new recordings.
+ *
+ * Usage:
+ *   node test/eval/intent-evaluation.js [--live] [--record] [--update-baseline] [--max-regression=0.02]
+ *
+ * Exits with code 1 when accuracy or entity accuracy fall more than the allowed
+ * regression below the baseline.
+ */
+
+import { RunnableLambda } from '@langchain/core/runnables';
+import { AIMessage } from '@langchain/core/messages';
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { createHash } from 'crypto';
+import { readFile, writeFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { classifyIntent } from '../../src/ai/intent-classifier.js';
+import { getClassifierLLMClient, getMessageText } from '../../src/ai/llm-client.js';
+import { resetDegradedMode } from '../../src/ai/degraded-mode.js';
+import { ClassificationSource } from '../../src/ai/state-schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Evaluation files
+ */
+export const EVAL_PATHS = {
+  dataset: join(__dirname, 'intent-classification/dataset.yaml'),
+  recordings: join(__dirname, 'intent-classification/recordings.json'),
+  baseline: join(__dirname, 'intent-classification/baseline.json'),
+  prompt: join(__dirname, '../../prompts/intent-classification.txt'),
+};
+
+/**
+ * Largest drop below the baseline that still passes
+ */
+export const DEFAULT_MAX_REGRESSION = 0.02;
+
+/**
+ * Upper bounds of the confidence buckets used for calibration
+ */
+const CONFIDENCE_BUCKETS = [0.5, 0.7, 0.9, 1];
+
+/**
+ * Entities compared as sets of names
+ */
+const LIST_ENTITIES = ['labels', 'assignees'];
+
+/**
+ * Loads the labeled dataset
+ *
+ * @param {string} [path] - Dataset file
+ * @returns {Promise<Object[]>} Cases ({id, message, context?, expected: {intent, entities?}})
+ * @throws {Error} If a case lacks an id, message or expected intent
+ */
+export async function loadDataset(path = EVAL_PATHS.dataset) {
+  const { cases = [] } = YAML.parse(await readFile(path, 'utf-8')) || {};
+
+  for (const evalCase of cases) {
+    if (!evalCase.id || !evalCase.message || !evalCase.expected?.intent) {
+      throw new Error(`Invalid evaluation case ${evalCase.id || JSON.stringify(evalCase)}: id, message and expected.intent are required`);
+    }
+  }
+
+  return cases;
+}
+
+/**
+ * Loads a JSON file, or returns a fallback if it does not exist
+ *
+ * @param {string} path - File path
+ * @param {Object} fallback - Value for a missing file
+ * @returns {Promise<Object>} Parsed file
+ */
+async function loadJson(path, fallback) {
+  try {
+    return JSON.parse(await readFile(path, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Hashes the classification prompt, so stale recordings can be told apart
+ *
+ * @param {string} [path] - Prompt file
+ * @returns {Promise<string>} Short SHA-256 of the prompt
+ */
+export async function hashPrompt(path = EVAL_PATHS.prompt) {
+  const prompt = await readFile(path, 'utf-8');
+  return createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+}
+
+/**
+ * Creates a chat model stub that answers with a recorded response
+ *
+ * @param {string} [response] - Recorded raw LLM response
+ * @returns {RunnableLambda} Chat model stand-in
+ */
+export function createRecordedLLM(response) {
+  return RunnableLambda.from(() => {
+    if (response === undefined) {
+      throw new Error('No recorded response (run with --live --record)');
+    }
+    return new AIMessage(response);
+  });
+}
+
+/**
+ * Creates the configured classifier chat model with a callback that keeps
+ * its last raw response (tool call arguments or text) for recording
+ *
+ * @param {Object} recorder - Object the raw response is stored on (as response)
+ * @returns {Object} Chat model
+ */
+function createRecordingLLM(recorder) {
+  const client = getClassifierLLMClient();
+
+  client.callbacks = [BaseCallbackHandler.fromMethods({
+    handleLLMEnd(output) {
+      const message = output?.generations?.[0]?.[0]?.message;
+      const args = message?.tool_calls?.[0]?.args;
+
+      recorder.response = args ? JSON.stringify(args, null, 2) : getMessageText(message);
+    },
+  })];
+
+  return client;
+}
+
+/**
+ * Normalizes an entity value for comparison
+ *
+ * @param {string} field - Entity name
+ * @param {*} value - Entity value
+ * @returns {string|string[]|null} Comparable value
+ */
+function normalizeEntity(field, value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (LIST_ENTITIES.includes(field)) {
+    return [...new Set([].concat(value).map(item => String(item).replace(/^[#@]/, '').toLowerCase()))].sort();
+  }
+
+  return String(value).replace(/^#/, '').trim().toLowerCase();
+}
+
+/**
+ * Scores the expected entities of a case against the classified ones
+ *
+ * @param {Object} [expected] - Expected entities
+ * @param {Object} [actual] - Classified entities
+ * @returns {Object[]} One {field, expected, actual, correct} per expected entity
+ */
+export function scoreEntities(expected = {}, actual = {}) {
+  return Object.entries(expected).map(([field, value]) => {
+    const want = normalizeEntity(field, value);
+    const got = normalizeEntity(field, actual?.[field]);
+
+    return {
+      field,
+      expected: value,
+      actual: actual?.[field] ?? null,
+      correct: JSON.stringify(want) === JSON.stringify(got),
+    };
+  });
+}
+
+/**
+ * Classifies every case and scores it
+ * Cases run one at a time with degraded mode reset, so one failed call
+ * cannot switch the rest of the run to the keyword heuristics
+ *
+ * @param {Object[]} cases - Dataset cases
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.live=false] - Classify with the configured LLM instead of recordings
+ * @param {Object} [options.recordings={}] - Recorded raw responses by case id
+ * @returns {Promise<Object[]>} Case results
+ */
+export async function runEvaluation(cases, { live = false, recordings = {} } = {}) {
+  const results = [];
+
+  for (const evalCase of cases) {
+    const recorder = {};
+    const llm = live ? createRecordingLLM(recorder) : createRecordedLLM(recordings[evalCase.id]);
+
+    resetDegradedMode();
+
+    const result = await classifyIntent({
+      message: evalCase.message,
+      context: evalCase.context || [],
+      llm,
+    });
+
+    const error = result.error ||
+      (result.classifiedBy === ClassificationSource.HEURISTIC ? 'Classified by the keyword heuristics' : null);
+
+    results.push({
+      id: evalCase.id,
+      expectedIntent: evalCase.expected.intent,
+      intent: result.intent,
+      confidence: result.confidence ?? 0,
+      correct: !error && result.intent === evalCase.expected.intent,
+      entities: scoreEntities(evalCase.expected.entities, result.entities),
+      error,
+      response: recorder.response,
+    });
+  }
+
+  resetDegradedMode();
+
+  return results;
+}
+
+/**
+ * Divides, or returns null when there is nothing to divide
+ *
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} Ratio
+ */
+function ratio(numerator, denominator) {
+  return denominator ? numerator / denominator : null;
+}
+
+/**
+ * Computes the evaluation metrics of scored cases
+ *
+ * @param {Object[]} results - Case results from runEvaluation
+ * @returns {Object} Metrics: accuracy, per-intent precision and recall, entity accuracy
+ *   (overall and per entity), confidence calibration buckets and expected calibration error
+ */
+export function computeMetrics(results) {
+  const intents = [...new Set(results.flatMap(result => [result.expectedIntent, result.intent]))].sort();
+
+  const perIntent = Object.fromEntries(intents.map((intent) => {
+    const truePositives = results.filter(result => result.correct && result.intent === intent).length;
+    const predicted = results.filter(result => !result.error && result.intent === intent).length;
+    const support = results.filter(result => result.expectedIntent === intent).length;
+
+    return [intent, {
+      support,
+      precision: ratio(truePositives, predicted),
+      recall: ratio(truePositives, support),
+    }];
+  }));
+
+  const entityScores = results.flatMap(result => result.entities);
+  const perEntity = {};
+
+  for (const score of entityScores) {
+    perEntity[score.field] = perEntity[score.field] || { total: 0, correct: 0 };
+    perEntity[score.field].total++;
+    perEntity[score.field].correct += score.correct ? 1 : 0;
+  }
+
+  for (const counts of Object.values(perEntity)) {
+    counts.accuracy = ratio(counts.correct, counts.total);
+  }
+
+  const calibration = CONFIDENCE_BUCKETS.map((upper, index) => {
+    const lower = index === 0 ? 0 : CONFIDENCE_BUCKETS[index - 1];
+    const bucket = results.filter(result =>
+      result.confidence >= lower && (result.confidence < upper || upper === 1)
+    );
+
+    return {
+      range: [lower, upper],
+      count: bucket.length,
+      meanConfidence: ratio(bucket.reduce((sum, result) => sum + result.confidence, 0), bucket.length),
+      accuracy: ratio(bucket.filter(result => result.correct).length, bucket.length),
+    };
+  });
+
+  const expectedCalibrationError = calibration
+    .filter(bucket => bucket.count > 0)
+    .reduce((sum, bucket) => sum + (bucket.count / results.length) * Math.abs(bucket.accuracy - bucket.meanConfidence), 0);
+
+  return {
+    total: results.length,
+    accuracy: ratio(results.filter(result => result.correct).length, results.length) ?? 0,
+    errors: results.filter(result => result.error).length,
+    perIntent,
+    entityAccuracy: ratio(entityScores.filter(score => score.correct).length, entityScores.length) ?? 1,
+    perEntity,
+    calibration,
+    expectedCalibrationError,
+  };
+}
+
+/**
+ * Compares metrics against the baseline
+ *
+ * @param {Object} metrics - Metrics from computeMetrics
+ * @param {Object|null} baseline - Accepted metrics ({accuracy, entityAccuracy})
+ * @param {number} [maxRegression] - Largest allowed drop below the baseline
+ * @returns {string[]} Regressions, empty if the run passes
+ */
+export function findRegressions(metrics, baseline, maxRegression = DEFAULT_MAX_REGRESSION) {
+  if (!baseline) {
+    return [];
+  }
+
+  return ['accuracy', 'entityAccuracy']
+    .filter(metric => typeof baseline[metric] === 'number' && metrics[metric] < baseline[metric] - maxRegression)
+    .map(metric =>
+      `${metric} ${formatPercent(metrics[metric])} is more than ${formatPercent(maxRegression)} below the baseline ${formatPercent(baseline[metric])}`
+    );
+}
+
+/**
+ * Formats a ratio as a percentage
+ *
+ * @param {number|null} value - Ratio
+ * @returns {string} Percentage, or n/a
+ */
+function formatPercent(value) {
+  return value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats an evaluation report
+ *
+ * @param {Object} metrics - Metrics from computeMetrics
+ * @param {Object[]} results - Case results from runEvaluation
+ * @returns {string} Plain text report
+ */
+export function formatReport(metrics, results) {
+  const lines = [
+    `Intent classification: ${metrics.total} cases, accuracy ${formatPercent(metrics.accuracy)}, ${metrics.errors} errors`,
+    '',
+    'Intent           precision  recall  support',
+  ];
+
+  for (const [intent, { precision, recall, support }] of Object.entries(metrics.perIntent)) {
+    lines.push(`${intent.padEnd(16)} ${formatPercent(precision).padStart(9)}  ${formatPercent(recall).padStart(6)}  ${String(support).padStart(7)}`);
+  }
+
+  lines.push('', `Entity accuracy: ${formatPercent(metrics.entityAccuracy)}`);
+
+  for (const [field, { correct, total, accuracy }] of Object.entries(metrics.perEntity)) {
+    lines.push(`  ${field}: ${correct}/${total} (${formatPercent(accuracy)})`);
+  }
+
+  lines.push('', `Calibration (expected calibration error ${metrics.expectedCalibrationError.toFixed(3)}):`);
+
+  for (const { range, count, meanConfidence, accuracy } of metrics.calibration) {
+    lines.push(`  confidence ${range[0].toFixed(1)}-${range[1].toFixed(1)}: ${count} cases, mean confidence ${formatPercent(meanConfidence)}, accuracy ${formatPercent(accuracy)}`);
+  }
+
+  const misses = results.filter(result => !result.correct || result.entities.some(score => !score.correct));
+
+  if (misses.length > 0) {
+    lines.push('', 'Misses:');
+
+    for (const miss of misses) {
+      const details = miss.error
+        ? `error: ${miss.error}`
+        : [
+          miss.correct ? null : `expected ${miss.expectedIntent}, got ${miss.intent}`,
+          ...miss.entities.filter(score => !score.correct)
+            .map(score => `${score.field}: expected ${JSON.stringify(score.expected)}, got ${JSON.stringify(score.actual)}`),
+        ].filter(Boolean).join('; ');
+
+      lines.push(`  ${miss.id}: ${details}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Runs the evaluation from the command line
+ *
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(args) {
+  const record = args.includes('--record');
+  const live = record || args.includes('--live');
+  const maxRegressionArg = args.find(arg => arg.startsWith('--max-regression='));
+
+  const cases = await loadDataset();
+  const recordings = await loadJson(EVAL_PATHS.recordings, { promptHash: null, responses: {} });
+  const baseline = await loadJson(EVAL_PATHS.baseline, null);
+  const promptHash = await hashPrompt();
+  const maxRegression = maxRegressionArg
+    ? Number(maxRegressionArg.split('=')[1])
+    : baseline?.maxRegression ?? DEFAULT_MAX_REGRESSION;
+
+  if (!live && recordings.promptHash !== promptHash) {
+    console.warn('Warning: prompts/intent-classification.txt changed since the responses were recorded; run with --live --record to evaluate the new prompt\n');
+  }
+
+  const results = await runEvaluation(cases, { live, recordings: recordings.responses });
+  const metrics = computeMetrics(results);
+
+  console.log(formatReport(metrics, results));
+
+  if (record) {
+    const responses = Object.fromEntries(results
+      .filter(result => result.response !== undefined)
+      .map(result => [result.id, result.response]));
+
+    await writeFile(EVAL_PATHS.recordings, `${JSON.stringify({ promptHash, responses }, null, 2)}\n`);
+    console.log(`\nRecorded ${Object.keys(responses).length} responses`);
+  }
+
+  if (args.includes('--update-baseline')) {
+    const updated = {
+      accuracy: metrics.accuracy,
+      entityAccuracy: metrics.entityAccuracy,
+      maxRegression,
+    };
+
+    await writeFile(EVAL_PATHS.baseline, `${JSON.stringify(updated, null, 2)}\n`);
+    console.log('\nBaseline updated');
+    return 0;
+  }
+
+  const regressions = findRegressions(metrics, baseline, maxRegression);
+
+  if (regressions.length > 0) {
+    console.error(`\nRegression:\n${regressions.map(regression => `  ${regression}`).join('\n')}`);
+    return 1;
+  }
+
+  console.log('\nNo regression against the baseline');
+  return 0;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch((error) => {
+      console.error('Evaluation failed:', error);
+      process.exit(1);
+    });
+}
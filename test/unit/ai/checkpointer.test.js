@@ -0,0 +1,189 @@
+/**
+ * Unit tests for the MongoDB LangGraph checkpointer
+ * Uses a small in-memory stand-in for the MongoDB collection API
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+/**
+ * Minimal in-memory collection supporting the calls made by the checkpointer
+ */
+class FakeCollection {
+  constructor() {
+    this.docs = [];
+  }
+
+  matches(doc, query) {
+    return Object.entries(query).every(([key, condition]) => {
+      if (condition && typeof condition === 'object' && '$lt' in condition) {
+        return doc[key] < condition.$lt;
+      }
+      if (condition && typeof condition === 'object' && '$gte' in condition) {
+        return doc[key] >= condition.$gte;
+      }
+      return doc[key] === condition;
+    });
+  }
+
+  find(query) {
+    let results = this.docs.filter(doc => this.matches(doc, query));
+    const cursor = {
+      sort: (spec) => {
+        const [[key, direction]] = Object.entries(spec);
+        results = [...results].sort((a, b) => (a[key] < b[key] ? -direction : a[key] > b[key] ? direction : 0));
+        return cursor;
+      },
+      limit: (n) => {
+        results = results.slice(0, n);
+        return cursor;
+      },
+      next: async () => results[0] ?? null,
+      toArray: async () => results,
+      [Symbol.asyncIterator]: async function* () {
+        yield* results;
+      },
+    };
+    return cursor;
+  }
+
+  async updateOne(filter, update, { upsert } = {}) {
+    const existing = this.docs.find(doc => this.matches(doc, filter));
+
+    if (existing) {
+      Object.assign(existing, update.$set || {});
+      return;
+    }
+
+    if (upsert) {
+      this.docs.push({ ...filter, ...(update.$set || {}), ...(update.$setOnInsert || {}) });
+    }
+  }
+
+  async distinct(key, query) {
+    return [...new Set(this.docs.filter(doc => this.matches(doc, query)).map(doc => doc[key]))];
+  }
+
+  async deleteMany(filter) {
+    this.docs = this.docs.filter(doc => !this.matches(doc, filter));
+  }
+}
+
+const collections = new Map();
+
+vi.mock('../../../src/database/db.js', () => ({
+  getDb: vi.fn(async () => ({
+    collection: (name) => {
+      if (!collections.has(name)) {
+        collections.set(name, new FakeCollection());
+      }
+      return collections.get(name);
+    },
+  })),
+}));
+
+import { StateGraph, Annotation, interrupt, Command, END } from '@langchain/langgraph';
+import {
+  MongoDBSaver,
+  CHECKPOINTS_COLLECTION,
+  CHECKPOINT_WRITES_COLLECTION,
+} from '../../../src/ai/checkpointer.js';
+
+/**
+ * Builds a small graph that pauses for input between two steps
+ * @param {MongoDBSaver} checkpointer - Checkpointer to compile with
+ * @returns {Object} Compiled graph
+ */
+function createPausingGraph(checkpointer) {
+  const State = Annotation.Root({
+    steps: Annotation({ reducer: (prev, next) => prev.concat(next), default: () => [] }),
+    secret: Annotation({ reducer: (prev, next) => next ?? prev, default: () => null }),
+  });
+
+  return new StateGraph(State)
+    .addNode('first', () => ({ steps: ['first'] }))
+    .addNode('ask', () => ({ steps: [`answer:${interrupt('question')}`] }))
+    .addNode('last', () => ({ steps: ['last'] }))
+    .addEdge('__start__', 'first')
+    .addEdge('first', 'ask')
+    .addEdge('ask', 'last')
+    .addEdge('last', END)
+    .compile({ checkpointer });
+}
+
+describe('MongoDBSaver', () => {
+  const config = { configurable: { thread_id: '507f1f77bcf86cd799439011' } };
+
+  beforeEach(() => {
+    collections.clear();
+  });
+
+  it('should pause and resume a graph from stored checkpoints', async () => {
+    const paused = await createPausingGraph(new MongoDBSaver()).invoke({ secret: 'ghp_token' }, config);
+    expect(paused.steps).toEqual(['first']);
+
+    // A fresh saver instance only sees what was persisted
+    const graph = createPausingGraph(new MongoDBSaver());
+    const snapshot = await graph.getState(config);
+    expect(snapshot.next).toEqual(['ask']);
+
+    const finalState = await graph.invoke(new Command({ resume: 'bug' }), config);
+    expect(finalState.steps).toEqual(['first', 'answer:bug', 'last']);
+    expect(finalState.secret).toBe('ghp_token');
+  });
+
+  it('should encrypt stored checkpoint payloads', async () => {
+    await createPausingGraph(new MongoDBSaver()).invoke({ secret: 'ghp_token' }, config);
+
+    const stored = JSON.stringify([
+      ...collections.get(CHECKPOINTS_COLLECTION).docs,
+      ...collections.get(CHECKPOINT_WRITES_COLLECTION).docs,
+    ]);
+
+    expect(stored).not.toContain('ghp_token');
+  });
+
+  it('should list checkpoints newest first with a limit', async () => {
+    const saver = new MongoDBSaver();
+    await createPausingGraph(saver).invoke({ secret: 'x' }, config);
+
+    const all = [];
+    for await (const tuple of saver.list(config)) {
+      all.push(tuple.config.configurable.checkpoint_id);
+    }
+
+    const limited = [];
+    for await (const tuple of saver.list(config, { limit: 1 })) {
+      limited.push(tuple.config.configurable.checkpoint_id);
+    }
+
+    expect(all.length).toBeGreaterThan(1);
+    expect([...all].sort().reverse()).toEqual(all);
+    expect(limited).toEqual([all[0]]);
+  });
+
+  it('should list threads checkpointed since a given time', async () => {
+    const saver = new MongoDBSaver();
+    await createPausingGraph(saver).invoke({ secret: 'x' }, config);
+    await createPausingGraph(saver).invoke({ secret: 'y' }, { configurable: { thread_id: 'old-op' } });
+
+    for (const doc of collections.get(CHECKPOINTS_COLLECTION).docs) {
+      if (doc.threadId === 'old-op') {
+        doc.createdAt = new Date(Date.now() - 48 * 60 * 60 * 1000);
+      }
+    }
+
+    expect(await saver.listThreadIds()).toEqual([config.configurable.thread_id, 'old-op']);
+    expect(await saver.listThreadIds({ since: new Date(Date.now() - 60 * 60 * 1000) }))
+      .toEqual([config.configurable.thread_id]);
+  });
+
+  it('should delete every checkpoint of a thread', async () => {
+    const saver = new MongoDBSaver();
+    await createPausingGraph(saver).invoke({ secret: 'x' }, config);
+
+    await saver.deleteThread(config.configurable.thread_id);
+
+    expect(await saver.getTuple(config)).toBeUndefined();
+    expect(collections.get(CHECKPOINT_WRITES_COLLECTION).docs).toHaveLength(0);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for degraded mode
+ * Verifies when the classifier stops calling the LLM and when it retries
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { getConfig } from '../../../config/env.js';
+import {
+  isDegraded,
+  shouldTryLLM,
+  recordLLMSuccess,
+  recordLLMFailure,
+  resetDegradedMode,
+} from '../../../src/ai/degraded-mode.js';
+
+describe('Degraded Mode', () => {
+  let originalDegradedMode;
+  const error = new Error('Connection refused');
+
+  beforeEach(() => {
+    originalDegradedMode = getConfig().llm.degradedMode;
+    getConfig().llm.degradedMode = { failureThreshold: 3, retryIntervalMs: 60000 };
+    resetDegradedMode();
+  });
+
+  afterEach(() => {
+    getConfig().llm.degradedMode = originalDegradedMode;
+    resetDegradedMode();
+  });
+
+  it('should enter degraded mode after repeated failures', () => {
+    recordLLMFailure(error, 0);
+    recordLLMFailure(error, 0);
+    expect(isDegraded()).toBe(false);
+
+    recordLLMFailure(error, 0);
+    expect(isDegraded()).toBe(true);
+  });
+
+  it('should not count failures interrupted by a success', () => {
+    recordLLMFailure(error, 0);
+    recordLLMFailure(error, 0);
+    recordLLMSuccess();
+    recordLLMFailure(error, 0);
+
+    expect(isDegraded()).toBe(false);
+  });
+
+  it('should retry the LLM once per interval while degraded', () => {
+    for (let i = 0; i < 3; i++) recordLLMFailure(error, 0);
+
+    expect(shouldTryLLM(30000)).toBe(false);
+    expect(shouldTryLLM(60000)).toBe(true);
+    expect(shouldTryLLM(60001)).toBe(false);
+  });
+
+  it('should double the retry interval while the LLM keeps failing', () => {
+    for (let i = 0; i < 3; i++) recordLLMFailure(error, 0);
+
+    expect(shouldTryLLM(60000)).toBe(true);
+    recordLLMFailure(error, 60000);
+
+    expect(shouldTryLLM(150000)).toBe(false);
+    expect(shouldTryLLM(180000)).toBe(true);
+  });
+
+  it('should leave degraded mode once the LLM recovers', () => {
+    for (let i = 0; i < 3; i++) recordLLMFailure(error, 0);
+
+    recordLLMSuccess();
+
+    expect(isDegraded()).toBe(false);
+    expect(shouldTryLLM(1)).toBe(true);
+  });
+});
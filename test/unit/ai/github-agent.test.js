@@ -0,0 +1,357 @@
+/**
+ * Unit tests for the GitHub agent
+ * Verifies the tool loop, write allowlist, step limit, recorded operations and undo
+ * with a stubbed tool-calling model and stubbed GitHub tools
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { AIMessage, ToolMessage } from '@langchain/core/messages';
+
+vi.mock('../../../src/ai/llm-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getGeneratorLLMClient: vi.fn(),
+}));
+
+vi.mock('../../../src/integrations/github/github-tools.js', () => ({
+  createGitHubTools: vi.fn(),
+}));
+
+const createOperation = vi.fn();
+
+vi.mock('../../../src/database/repositories/operations.js', () => ({
+  OperationsRepository: vi.fn(() => ({ createOperation })),
+}));
+
+const getIdentity = vi.fn();
+
+vi.mock('../../../src/database/repositories/identities.js', () => ({
+  IdentityRepository: vi.fn(() => ({ getIdentity })),
+}));
+
+import { runGitHubAgent, undoAgentAction, AGENT_OPERATION_TYPE } from '../../../src/ai/github-agent.js';
+import { agentNode } from '../../../src/ai/nodes/agent.js';
+import { createInitialState } from '../../../src/ai/state-schema.js';
+import { getGeneratorLLMClient } from '../../../src/ai/llm-client.js';
+import { createGitHubTools } from '../../../src/integrations/github/github-tools.js';
+
+const AUTH_BUGS = [{ number: 12, title: 'Login fails' }, { number: 15, title: 'Token expires early' }];
+
+/**
+ * Builds a model answer calling one tool
+ */
+function callTool(name, args, id = `call_${name}`) {
+  return new AIMessage({ content: '', tool_calls: [{ name, args, id }] });
+}
+
+/**
+ * Gets the tool results the model was given
+ */
+function getToolMessages(invoke) {
+  return invoke.mock.calls.at(-1)[0].filter(message => message instanceof ToolMessage);
+}
+
+/**
+ * Creates a tool-calling model stand-in answering with the given messages in turn
+ */
+function createAgentLLM(...answers) {
+  const invoke = vi.fn();
+  answers.forEach(answer => invoke.mockResolvedValueOnce(answer));
+
+  const bindTools = vi.fn(() => ({ invoke }));
+  return { llm: { bindTools, withStructuredOutput: vi.fn() }, bindTools, invoke };
+}
+
+/**
+ * Creates GitHub tools stand-ins answering like the MCP server
+ */
+function createTools() {
+  const issue = {
+    number: 12,
+    title: 'Login fails',
+    body: 'Steps...',
+    state: 'open',
+    labels: [{ name: 'bug' }, { name: 'auth' }],
+    assignees: [{ login: 'bob' }],
+  };
+
+  const tools = {
+    issue_read: vi.fn(async () => JSON.stringify(issue)),
+    search_issues: vi.fn(async () => JSON.stringify({ items: AUTH_BUGS })),
+    list_issues: vi.fn(async () => JSON.stringify(AUTH_BUGS)),
+    list_label: vi.fn(async () => JSON.stringify([{ name: 'p1' }])),
+    issue_write: vi.fn(async (args) => JSON.stringify({
+      number: args.issue_number ?? 99,
+      html_url: `https://github.com/owner/repo/issues/${args.issue_number ?? 99}`,
+    })),
+    add_issue_comment: vi.fn(async () => JSON.stringify({ html_url: 'https://github.com/owner/repo/issues/12#comment' })),
+  };
+
+  return {
+    tools,
+    github: {
+      getTool: vi.fn(name => (tools[name] ? { name, invoke: tools[name] } : null)),
+      close: vi.fn(async () => {}),
+    },
+  };
+}
+
+describe('GitHub Agent', () => {
+  let tools;
+  let github;
+
+  beforeEach(() => {
+    ({ tools, github } = createTools());
+  });
+
+  describe('runGitHubAgent', () => {
+    it('should run the planned tool calls and return the summary', async () => {
+      const { llm, bindTools, invoke } = createAgentLLM(
+        callTool('search_issues', { query: 'is:open label:bug auth' }),
+        callTool('issue_write', { method: 'update', issue_number: 12, labels: ['bug', 'auth', 'p1'], assignees: ['bob', 'alice'] }),
+        new AIMessage('Assigned #12 to you and labelled it p1.'),
+      );
+
+      const run = await runGitHubAgent({
+        request: 'Assign all open auth bugs to me and label them p1',
+        tools: github,
+        repository: 'owner/repo',
+        requester: 'alice',
+        writeTools: ['issue_write'],
+        maxSteps: 5,
+        llm,
+      });
+
+      expect(run.summary).toBe('Assigned #12 to you and labelled it p1.');
+      expect(run.steps).toBe(2);
+      expect(run.stoppedAtLimit).toBe(false);
+      expect(bindTools.mock.calls[0][0].map(tool => tool.name)).toEqual([
+        'issue_read', 'search_issues', 'list_issues', 'list_label', 'issue_write',
+      ]);
+
+      // Only changes are reported as actions
+      expect(run.actions).toHaveLength(1);
+      expect(run.actions[0]).toMatchObject({
+        tool: 'issue_write',
+        issueNumber: 12,
+        issueUrl: 'https://github.com/owner/repo/issues/12',
+        success: true,
+        undoable: true,
+      });
+
+      // Tool results are fed back to the model
+      const [messages] = invoke.mock.calls[1];
+      expect(messages[0].content).toContain('owner/repo');
+      expect(messages[0].content).toContain('@alice');
+      expect(getToolMessages(invoke)[0].content).toContain('Token expires early');
+    });
+
+    it('should capture the previous state before updating an issue', async () => {
+      const { llm } = createAgentLLM(
+        callTool('issue_write', { method: 'update', issue_number: 12, labels: ['bug', 'auth', 'p1'] }),
+        new AIMessage('Done.'),
+      );
+
+      const run = await runGitHubAgent({ request: 'label #12 p1', tools: github, repository: 'owner/repo', writeTools: ['issue_write'], maxSteps: 5, llm });
+
+      expect(tools.issue_read).toHaveBeenCalledWith({ method: 'get', owner: 'owner', repo: 'repo', issue_number: 12 });
+      expect(run.actions[0].previousState).toEqual({
+        title: 'Login fails',
+        body: 'Steps...',
+        state: 'open',
+        labels: ['bug', 'auth'],
+        assignees: ['bob'],
+      });
+    });
+
+    it('should pin every call to the group repository', async () => {
+      const { llm } = createAgentLLM(
+        callTool('issue_write', { method: 'create', owner: 'someone', repo: 'elsewhere', title: 'Hi' }),
+        new AIMessage('Done.'),
+      );
+
+      await runGitHubAgent({ request: 'create an issue', tools: github, repository: 'owner/repo', writeTools: ['issue_write'], maxSteps: 5, llm });
+
+      expect(tools.issue_write).toHaveBeenCalledWith(expect.objectContaining({ owner: 'owner', repo: 'repo', title: 'Hi' }));
+    });
+
+    it('should keep searches in the group repository', async () => {
+      const { llm } = createAgentLLM(
+        callTool('search_issues', { query: 'token repo:other/private org:acme is:open' }),
+        new AIMessage('Done.'),
+      );
+
+      await runGitHubAgent({ request: 'find token issues in other/private', tools: github, repository: 'owner/repo', writeTools: [], maxSteps: 5, llm });
+
+      expect(tools.search_issues).toHaveBeenCalledWith(expect.objectContaining({
+        query: 'repo:owner/repo token is:open',
+        owner: 'owner',
+        repo: 'repo',
+      }));
+    });
+
+    it('should refuse write tools outside the allowlist', async () => {
+      const { llm, bindTools, invoke } = createAgentLLM(
+        callTool('add_issue_comment', { issue_number: 12, body: 'Taking this' }),
+        new AIMessage('I am not allowed to comment.'),
+      );
+
+      const run = await runGitHubAgent({ request: 'comment on #12', tools: github, repository: 'owner/repo', writeTools: ['issue_write'], maxSteps: 5, llm });
+
+      expect(tools.add_issue_comment).not.toHaveBeenCalled();
+      expect(bindTools.mock.calls[0][0].map(tool => tool.name)).not.toContain('add_issue_comment');
+      expect(run.actions).toEqual([expect.objectContaining({ tool: 'add_issue_comment', success: false, error: 'not_allowed' })]);
+      expect(getToolMessages(invoke)[0].content).toBe('Error: add_issue_comment is not allowed. Allowed tools: issue_read, search_issues, list_issues, list_label, issue_write');
+    });
+
+    it('should report failed tool calls to the model and in the actions', async () => {
+      tools.issue_write.mockRejectedValueOnce(new Error('Validation Failed'));
+      const { llm, invoke } = createAgentLLM(
+        callTool('issue_write', { method: 'create', title: 'Hi' }),
+        new AIMessage('Creating the issue failed.'),
+      );
+
+      const run = await runGitHubAgent({ request: 'create an issue', tools: github, repository: 'owner/repo', writeTools: ['issue_write'], maxSteps: 5, llm });
+
+      expect(run.actions[0]).toMatchObject({ success: false, error: 'Validation Failed', undoable: false });
+      expect(getToolMessages(invoke)[0].content).toBe('Error: Validation Failed');
+    });
+
+    it('should stop at the step limit', async () => {
+      const { llm, invoke } = createAgentLLM(
+        callTool('list_issues', { state: 'open' }, 'call_1'),
+        new AIMessage({
+          content: 'Labelling both issues',
+          tool_calls: [
+            { name: 'issue_write', args: { method: 'update', issue_number: 12, labels: ['p1'] }, id: 'call_2' },
+            { name: 'issue_write', args: { method: 'update', issue_number: 15, labels: ['p1'] }, id: 'call_3' },
+          ],
+        }),
+      );
+
+      const run = await runGitHubAgent({ request: 'label all open issues p1', tools: github, repository: 'owner/repo', writeTools: ['issue_write'], maxSteps: 2, llm });
+
+      expect(run.steps).toBe(2);
+      expect(run.stoppedAtLimit).toBe(true);
+      expect(run.actions.map(action => action.issueNumber)).toEqual([12]);
+      expect(invoke).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('undoAgentAction', () => {
+    it('should close a created issue as not planned', async () => {
+      const { message } = await undoAgentAction({
+        tool: 'issue_write',
+        args: { method: 'create', title: 'Hi' },
+        issueNumber: 99,
+        repository: 'owner/repo',
+      }, github);
+
+      expect(tools.issue_write).toHaveBeenCalledWith({
+        method: 'update', owner: 'owner', repo: 'repo', issue_number: 99, state: 'closed', state_reason: 'not_planned',
+      });
+      expect(message).toContain('#99');
+    });
+
+    it('should restore the previous state of an updated issue', async () => {
+      const previousState = { title: 'Login fails', body: '', state: 'open', labels: ['bug'], assignees: [] };
+
+      await undoAgentAction({
+        tool: 'issue_write',
+        args: { method: 'update', issue_number: 12, labels: ['bug', 'p1'] },
+        issueNumber: 12,
+        previousState,
+        repository: 'owner/repo',
+      }, github);
+
+      expect(tools.issue_write).toHaveBeenCalledWith({ method: 'update', owner: 'owner', repo: 'repo', issue_number: 12, ...previousState });
+    });
+
+    it('should not undo comments', async () => {
+      await expect(undoAgentAction({
+        tool: 'add_issue_comment',
+        args: { issue_number: 12, body: 'Taking this' },
+        issueNumber: 12,
+        repository: 'owner/repo',
+      }, github)).rejects.toThrow('cannot be undone');
+    });
+  });
+
+  describe('agentNode', () => {
+    /**
+     * Builds the workflow state of an agent request
+     */
+    function createState(settings) {
+      return createInitialState(
+        { message_id: 42, chat: { id: -100123 }, from: { id: 1 }, text: 'Assign all open auth bugs to me and label them p1' },
+        { githubRepo: 'owner/repo', githubToken: 'token', settings }
+      );
+    }
+
+    beforeEach(() => {
+      vi.mocked(createGitHubTools).mockResolvedValue(github);
+      getIdentity.mockResolvedValue({ githubLogin: 'alice', verified: true });
+      createOperation.mockImplementation(async (data) => ({ id: `op-${data.operationData.issueNumber}`, ...data }));
+    });
+
+    it('should not run the agent when agent mode is off', async () => {
+      const state = await agentNode(createState({}));
+
+      expect(state.agentRun.disabled).toBe(true);
+      expect(createGitHubTools).not.toHaveBeenCalled();
+    });
+
+    it('should store an operation for every change', async () => {
+      const { llm } = createAgentLLM(
+        new AIMessage({
+          content: '',
+          tool_calls: [
+            { name: 'issue_write', args: { method: 'update', issue_number: 12, labels: ['bug', 'auth', 'p1'] }, id: 'call_1' },
+            { name: 'add_issue_comment', args: { issue_number: 12, body: 'Taking this' }, id: 'call_2' },
+          ],
+        }),
+        new AIMessage('Labelled #12.'),
+      );
+      vi.mocked(getGeneratorLLMClient).mockReturnValue(llm);
+
+      const state = await agentNode(createState({ agentMode: true }));
+
+      expect(state.error).toBeNull();
+      expect(github.close).toHaveBeenCalled();
+      expect(createOperation).toHaveBeenCalledTimes(1);
+      expect(createOperation).toHaveBeenCalledWith(expect.objectContaining({
+        telegramGroupId: -100123,
+        telegramMessageId: 42,
+        operationType: AGENT_OPERATION_TYPE,
+        status: 'completed',
+        operationData: expect.objectContaining({
+          repository: 'owner/repo',
+          tool: 'issue_write',
+          issueNumber: 12,
+          previousState: expect.objectContaining({ labels: ['bug', 'auth'] }),
+        }),
+      }));
+      expect(state.agentRun.actions.map(action => action.operationId)).toEqual(['op-12', null]);
+    });
+
+    it('should not run an interrupted request again on recovery', async () => {
+      const state = await agentNode(
+        createState({ agentMode: true }),
+        { configurable: { operationId: 'pending-op', recovering: true } }
+      );
+
+      expect(state.error.code).toBe('AGENT_INTERRUPTED');
+      expect(getGeneratorLLMClient).not.toHaveBeenCalled();
+      expect(createGitHubTools).not.toHaveBeenCalled();
+      expect(createOperation).not.toHaveBeenCalled();
+    });
+
+    it('should report agent failures as an error', async () => {
+      vi.mocked(getGeneratorLLMClient).mockReturnValue({});
+
+      const state = await agentNode(createState({ agentMode: true }));
+
+      expect(state.error.code).toBe('AGENT_ERROR');
+      expect(github.close).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit tests for the hashtag classifier
+ * Verifies which messages skip the LLM and the intents built for them
+ */
+
+import { describe, it, expect } from 'vitest';
+import { classifyByHashtags } from '../../../src/ai/hashtag-classifier.js';
+import { IntentType, ClassificationSource } from '../../../src/ai/state-schema.js';
+
+describe('Hashtag Classifier', () => {
+  it('should classify an explicit hashtag with a clear title', () => {
+    const result = classifyByHashtags('#bug Login fails on Safari');
+
+    expect(result).toMatchObject({
+      intent: IntentType.CREATE_BUG,
+      confidence: 1,
+      entities: {
+        title: 'Login fails on Safari',
+        description: '#bug Login fails on Safari',
+        labels: ['bug'],
+        assignees: [],
+      },
+      classifiedBy: ClassificationSource.HASHTAGS,
+    });
+    expect(result.actions).toHaveLength(1);
+  });
+
+  it('should use the first line as title and the rest as description', () => {
+    const result = classifyByHashtags(
+      '@TeleGitBot Add CSV export #todo #ui @alice\nUsers want their reports in Excel.',
+      { botUsername: 'TeleGitBot' }
+    );
+
+    expect(result.intent).toBe(IntentType.CREATE_TASK);
+    expect(result.entities).toEqual({
+      title: 'Add CSV export',
+      description: 'Users want their reports in Excel.',
+      labels: ['todo', 'ui'],
+      assignees: ['alice'],
+    });
+  });
+
+  it.each([
+    ['mention-only messages', '@TeleGitBot the login page is broken'],
+    ['hashtags without a title', '@TeleGitBot #bug'],
+    ['one-word titles', '#idea darkmode'],
+    ['conflicting intent hashtags', '#bug #idea Login could be nicer'],
+    ['several issues of one kind', '#bug Login fails\n#bug Logout fails'],
+    ['references to existing issues', '#bug still happening in #42'],
+    ['milestones and project boards', '#task Add CSV export for the v2.3 sprint'],
+    ['non-intent hashtags only', '#ui Buttons look misaligned'],
+  ])('should leave %s to the LLM', (_, message) => {
+    expect(classifyByHashtags(message, { botUsername: 'TeleGitBot' })).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for the heuristic classifier
+ * Verifies the keyword classification used while the LLM is unavailable
+ */
+
+import { describe, it, expect } from 'vitest';
+import { classifyHeuristically } from '../../../src/ai/heuristic-classifier.js';
+import { IntentType, ClassificationSource } from '../../../src/ai/state-schema.js';
+
+describe('Heuristic Classifier', () => {
+  it('should classify an intent hashtag as an explicit create', () => {
+    const result = classifyHeuristically('@TeleGitBot #idea Dark mode for the dashboard @alice', { botUsername: 'TeleGitBot' });
+
+    expect(result).toMatchObject({
+      intent: IntentType.CREATE_IDEA,
+      confidence: 0.8,
+      entities: {
+        title: 'Dark mode for the dashboard',
+        labels: ['idea'],
+        assignees: ['alice'],
+      },
+      classifiedBy: ClassificationSource.HEURISTIC,
+      degraded: true,
+    });
+    expect(result.actions).toHaveLength(1);
+  });
+
+  it('should use the first sentence of the first line as title', () => {
+    const result = classifyHeuristically('The export crashes on large files. It worked last week.\nSeen on v2.3');
+
+    expect(result.intent).toBe(IntentType.CREATE_BUG);
+    expect(result.confidence).toBe(0.5);
+    expect(result.entities.title).toBe('The export crashes on large files');
+    expect(result.entities.description).toBe('The export crashes on large files. It worked last week.\nSeen on v2.3');
+  });
+
+  it.each([
+    ['bug keywords', 'Login is broken on Safari', IntentType.CREATE_BUG],
+    ['idea keywords', 'What if we had a weekly digest', IntentType.CREATE_IDEA],
+    ['task keywords', 'We need to migrate the database', IntentType.CREATE_TASK],
+  ])('should guess creates from %s', (_, message, intent) => {
+    expect(classifyHeuristically(message).intent).toBe(intent);
+  });
+
+  it.each([
+    ['Please close #42', IntentType.CLOSE_ISSUE],
+    ['#42 is fixed now', IntentType.CLOSE_ISSUE],
+    ['Reopen #42, it is back', IntentType.REOPEN_ISSUE],
+  ])('should read issue commands from "%s"', (message, intent) => {
+    const result = classifyHeuristically(message);
+
+    expect(result.intent).toBe(intent);
+    expect(result.entities.issueNumber).toBe('42');
+  });
+
+  it('should take the comment text after the command', () => {
+    const result = classifyHeuristically('@TeleGitBot comment on #42: still happens on Firefox');
+
+    expect(result.intent).toBe(IntentType.COMMENT_ISSUE);
+    expect(result.entities).toEqual({ issueNumber: '42', comment: 'still happens on Firefox' });
+  });
+
+  it('should build a search query', () => {
+    const result = classifyHeuristically('Find issues about login #bug');
+
+    expect(result.intent).toBe(IntentType.SEARCH_ISSUES);
+    expect(result.entities).toEqual({ searchQuery: 'login', labels: ['bug'] });
+  });
+
+  it.each([
+    ['bare issue references', 'What about #42?'],
+    ['messages without keywords', 'Good morning everyone'],
+    ['empty messages', ''],
+  ])('should leave %s unknown', (_, message) => {
+    const result = classifyHeuristically(message);
+
+    expect(result.intent).toBe(IntentType.UNKNOWN);
+    expect(result.confidence).toBe(0);
+    expect(result.degraded).toBe(true);
+  });
+});
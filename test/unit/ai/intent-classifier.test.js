@@ -0,0 +1,174 @@
+/**
+ * Unit tests for intent classification output handling
+ * Verifies tool-calling output, schema validation and the repair round
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { RunnableLambda } from '@langchain/core/runnables';
+import { AIMessage } from '@langchain/core/messages';
+import { classifyIntent, validateClassificationOutput, IntentType } from '../../../src/ai/intent-classifier.js';
+import { resetDegradedMode, isDegraded } from '../../../src/ai/degraded-mode.js';
+import { llmOutputValidationTotal, resetMetrics } from '../../../src/utils/metrics.js';
+
+const validAnswer = {
+  intent: IntentType.CREATE_BUG,
+  confidence: 0.9,
+  entities: { title: 'Login button broken', labels: ['bug'] },
+};
+
+/**
+ * Creates a text-only chat model stand-in answering with the given texts in turn
+ */
+function createTextLLM(...answers) {
+  const spy = vi.fn();
+  answers.forEach(answer => spy.mockImplementationOnce(() => new AIMessage(answer)));
+  return { llm: RunnableLambda.from(spy), spy };
+}
+
+/**
+ * Gets the validation metric count of an outcome
+ */
+async function getValidationCount(outcome) {
+  const { values } = await llmOutputValidationTotal.get();
+  return values.find(value => value.labels.outcome === outcome)?.value || 0;
+}
+
+describe('Intent Classifier Output', () => {
+  beforeEach(() => {
+    resetDegradedMode();
+    resetMetrics();
+  });
+
+  describe('validateClassificationOutput', () => {
+    it('should accept fenced JSON matching the schema', () => {
+      const { result, errors } = validateClassificationOutput(`\`\`\`json\n${JSON.stringify(validAnswer)}\n\`\`\``);
+
+      expect(errors).toBeNull();
+      expect(result.intent).toBe(IntentType.CREATE_BUG);
+    });
+
+    it('should accept tool call arguments', () => {
+      const { result, raw } = validateClassificationOutput(validAnswer);
+
+      expect(result.confidence).toBe(0.9);
+      expect(JSON.parse(raw)).toEqual(validAnswer);
+    });
+
+    it('should report invalid JSON', () => {
+      const { result, errors } = validateClassificationOutput('{"intent": "create_bug",');
+
+      expect(result).toBeNull();
+      expect(errors).toContain('not valid JSON');
+    });
+
+    it('should report schema errors with their path', () => {
+      const { errors } = validateClassificationOutput({ ...validAnswer, intent: 'question', confidence: 2 });
+
+      expect(errors).toContain('- intent:');
+      expect(errors).toContain('- confidence:');
+    });
+  });
+
+  describe('text output', () => {
+    it('should classify a valid answer without repair', async () => {
+      const { llm, spy } = createTextLLM(JSON.stringify(validAnswer));
+
+      const result = await classifyIntent({ message: 'Login button broken #bug', llm });
+
+      expect(result.intent).toBe(IntentType.CREATE_BUG);
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(await getValidationCount('valid')).toBe(1);
+    });
+
+    it('should include the text format instructions in the prompt', async () => {
+      const { llm, spy } = createTextLLM(JSON.stringify(validAnswer));
+
+      await classifyIntent({ message: 'Login button broken', llm });
+
+      const [messages] = spy.mock.calls[0];
+      expect(messages[0].content).toContain('JSON');
+      expect(messages[0].content).not.toContain('classify_intent tool');
+    });
+
+    it('should repair an answer that fails validation', async () => {
+      const invalid = JSON.stringify({ ...validAnswer, intent: 'question' });
+      const { llm, spy } = createTextLLM(invalid, JSON.stringify(validAnswer));
+
+      const result = await classifyIntent({ message: 'Login button broken', llm });
+
+      expect(result.intent).toBe(IntentType.CREATE_BUG);
+      expect(result.confidence).toBe(0.9);
+      expect(spy).toHaveBeenCalledTimes(2);
+
+      const [messages] = spy.mock.calls[1];
+      expect(messages).toHaveLength(3);
+      expect(messages[1].content).toBe(invalid);
+      expect(messages[2].content).toContain('- intent:');
+      expect(await getValidationCount('repaired')).toBe(1);
+    });
+
+    it('should fall back to unknown when the repair fails too', async () => {
+      const { llm, spy } = createTextLLM('not json', 'still not json');
+
+      const result = await classifyIntent({ message: 'Login button broken', llm });
+
+      expect(result.intent).toBe(IntentType.UNKNOWN);
+      expect(result.confidence).toBe(0);
+      expect(result.error).toContain('after repair');
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(await getValidationCount('failed')).toBe(1);
+    });
+
+    it('should not count invalid answers towards degraded mode', async () => {
+      for (let i = 0; i < 5; i++) {
+        const { llm } = createTextLLM('not json', 'not json');
+        await classifyIntent({ message: 'Login button broken', llm });
+      }
+
+      expect(isDegraded()).toBe(false);
+    });
+  });
+
+  describe('tool calling', () => {
+    /**
+     * Creates a chat model stand-in with tool calling, answering with the given tool arguments in turn
+     */
+    function createToolLLM(...answers) {
+      const invoke = vi.fn();
+      answers.forEach(args => invoke.mockResolvedValueOnce({
+        raw: new AIMessage({ content: '', tool_calls: [{ name: 'classify_intent', args, id: 'call_1' }] }),
+        parsed: null,
+      }));
+
+      const withStructuredOutput = vi.fn(() => ({ invoke }));
+      return { llm: { withStructuredOutput }, withStructuredOutput, invoke };
+    }
+
+    it('should bind the output schema as a tool', async () => {
+      const { llm, withStructuredOutput, invoke } = createToolLLM(validAnswer);
+
+      const result = await classifyIntent({ message: 'Login button broken', llm });
+
+      expect(result.intent).toBe(IntentType.CREATE_BUG);
+      expect(withStructuredOutput).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ name: 'classify_intent', method: 'functionCalling', includeRaw: true })
+      );
+
+      const [messages] = invoke.mock.calls[0];
+      expect(messages[0].content).toContain('classify_intent tool');
+    });
+
+    it('should repair tool arguments that fail validation', async () => {
+      const { llm, invoke } = createToolLLM({ ...validAnswer, confidence: 'high' }, validAnswer);
+
+      const result = await classifyIntent({ message: 'Login button broken', llm });
+
+      expect(result.intent).toBe(IntentType.CREATE_BUG);
+      expect(invoke).toHaveBeenCalledTimes(2);
+
+      const [messages] = invoke.mock.calls[1];
+      expect(messages[2].content).toContain('- confidence:');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the intent classification evaluation
+ * Scores the labeled dataset against the recorded responses and guards the baseline
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFile } from 'fs/promises';
+import {
+  EVAL_PATHS,
+  loadDataset,
+  hashPrompt,
+  runEvaluation,
+  scoreEntities,
+  computeMetrics,
+  findRegressions,
+  formatReport,
+} from '../../eval/intent-evaluation.js';
+import { IntentType } from '../../../src/ai/state-schema.js';
+
+/**
+ * Builds a scored case result
+ */
+function result(expectedIntent, intent, confidence, entities = []) {
+  return { id: `${expectedIntent}-${intent}`, expectedIntent, intent, confidence, correct: expectedIntent === intent, entities, error: null };
+}
+
+describe('Intent Classification Evaluation', () => {
+  describe('dataset', () => {
+    it('should only expect known intents', async () => {
+      const cases = await loadDataset();
+      const intents = Object.values(IntentType);
+
+      expect(cases.length).toBeGreaterThan(0);
+      cases.forEach(evalCase => expect(intents).toContain(evalCase.expected.intent));
+    });
+
+    it('should have a recorded response for every case of the current prompt', async () => {
+      const cases = await loadDataset();
+      const recordings = JSON.parse(await readFile(EVAL_PATHS.recordings, 'utf-8'));
+
+      expect(recordings.promptHash, 'Prompt changed, re-record with npm run eval:intents -- --record')
+        .toBe(await hashPrompt());
+      cases.forEach(evalCase => expect(recordings.responses).toHaveProperty(evalCase.id));
+    });
+  });
+
+  describe('scoreEntities', () => {
+    it('should compare lists as sets and ignore # and @ prefixes', () => {
+      const scores = scoreEntities(
+        { labels: ['bug', 'urgent'], assignees: ['alice'], issueNumber: '42' },
+        { labels: ['urgent', 'Bug'], assignees: ['@alice'], issueNumber: '#42' }
+      );
+
+      expect(scores.every(score => score.correct)).toBe(true);
+    });
+
+    it('should score missing and wrong entities as incorrect', () => {
+      const scores = scoreEntities({ stateReason: 'duplicate', labels: ['bug'] }, { labels: ['bug', 'ui'] });
+
+      expect(scores.map(score => score.correct)).toEqual([false, false]);
+      expect(scores[0].actual).toBeNull();
+    });
+  });
+
+  describe('computeMetrics', () => {
+    it('should compute per-intent precision and recall', () => {
+      const metrics = computeMetrics([
+        result(IntentType.CREATE_BUG, IntentType.CREATE_BUG, 0.9),
+        result(IntentType.CREATE_BUG, IntentType.CREATE_TASK, 0.6),
+        result(IntentType.CREATE_TASK, IntentType.CREATE_TASK, 0.8),
+        result(IntentType.UNKNOWN, IntentType.UNKNOWN, 0.95),
+      ]);
+
+      expect(metrics.accuracy).toBe(0.75);
+      expect(metrics.perIntent.create_bug).toEqual({ support: 2, precision: 1, recall: 0.5 });
+      expect(metrics.perIntent.create_task).toEqual({ support: 1, precision: 0.5, recall: 1 });
+    });
+
+    it('should compute entity accuracy overall and per entity', () => {
+      const metrics = computeMetrics([
+        result(IntentType.CLOSE_ISSUE, IntentType.CLOSE_ISSUE, 0.9, [
+          { field: 'issueNumber', correct: true },
+          { field: 'stateReason', correct: false },
+        ]),
+        result(IntentType.CLOSE_ISSUE, IntentType.CLOSE_ISSUE, 0.9, [{ field: 'issueNumber', correct: true }]),
+      ]);
+
+      expect(metrics.entityAccuracy).toBeCloseTo(2 / 3);
+      expect(metrics.perEntity.issueNumber).toEqual({ total: 2, correct: 2, accuracy: 1 });
+      expect(metrics.perEntity.stateReason.accuracy).toBe(0);
+    });
+
+    it('should bucket confidence and compute the expected calibration error', () => {
+      const metrics = computeMetrics([
+        result(IntentType.CREATE_BUG, IntentType.CREATE_BUG, 1),
+        result(IntentType.CREATE_IDEA, IntentType.CREATE_TASK, 0.6),
+      ]);
+
+      const high = metrics.calibration.find(bucket => bucket.range[1] === 1);
+      const mid = metrics.calibration.find(bucket => bucket.range[1] === 0.7);
+
+      expect(high).toMatchObject({ count: 1, meanConfidence: 1, accuracy: 1 });
+      expect(mid).toMatchObject({ count: 1, meanConfidence: 0.6, accuracy: 0 });
+      expect(metrics.expectedCalibrationError).toBeCloseTo(0.3);
+    });
+  });
+
+  describe('findRegressions', () => {
+    const baseline = { accuracy: 0.9, entityAccuracy: 0.9 };
+
+    it('should allow drops within the threshold', () => {
+      expect(findRegressions({ accuracy: 0.89, entityAccuracy: 0.95 }, baseline, 0.02)).toEqual([]);
+    });
+
+    it('should report drops beyond the threshold', () => {
+      const regressions = findRegressions({ accuracy: 0.8, entityAccuracy: 0.95 }, baseline, 0.02);
+
+      expect(regressions).toHaveLength(1);
+      expect(regressions[0]).toContain('accuracy 80.0%');
+    });
+
+    it('should pass without a baseline', () => {
+      expect(findRegressions({ accuracy: 0, entityAccuracy: 0 }, null)).toEqual([]);
+    });
+  });
+
+  describe('runEvaluation', () => {
+    it('should score a case without a recorded response as an error', async () => {
+      const results = await runEvaluation([
+        { id: 'missing', message: 'The login button is broken', expected: { intent: IntentType.CREATE_BUG } },
+      ], { recordings: {} });
+
+      expect(results[0].correct).toBe(false);
+      expect(results[0].error).toContain('No recorded response');
+    });
+
+    it('should not regress against the baseline on the recorded responses', async () => {
+      const cases = await loadDataset();
+      const { responses } = JSON.parse(await readFile(EVAL_PATHS.recordings, 'utf-8'));
+      const baseline = JSON.parse(await readFile(EVAL_PATHS.baseline, 'utf-8'));
+
+      const results = await runEvaluation(cases, { recordings: responses });
+      const metrics = computeMetrics(results);
+
+      expect(metrics.errors).toBe(0);
+      expect(findRegressions(metrics, baseline, baseline.maxRegression)).toEqual([]);
+      expect(formatReport(metrics, results)).toContain(`${cases.length} cases`);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for the issue body generator
+ * Verifies structured bodies per intent type with a stubbed LLM
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { RunnableLambda } from '@langchain/core/runnables';
+import { AIMessage } from '@langchain/core/messages';
+
+vi.mock('../../../src/ai/llm-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getGeneratorLLMClient: vi.fn(),
+}));
+
+import { generateIssueBody, hasBodyTemplate } from '../../../src/ai/issue-body-generator.js';
+import { getGeneratorLLMClient } from '../../../src/ai/llm-client.js';
+import { IntentType } from '../../../src/ai/state-schema.js';
+
+/**
+ * Stubs the generator LLM with a fixed JSON answer
+ * @param {Object} output - Object the LLM should return
+ * @returns {Function} Spy receiving the rendered prompt
+ */
+function stubLLM(output) {
+  const spy = vi.fn(() => new AIMessage(`\`\`\`json\n${JSON.stringify(output)}\n\`\`\``));
+  vi.mocked(getGeneratorLLMClient).mockReturnValue(RunnableLambda.from(spy));
+  return spy;
+}
+
+describe('Issue Body Generator', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should only have templates for bugs and tasks', () => {
+    expect(hasBodyTemplate(IntentType.CREATE_BUG)).toBe(true);
+    expect(hasBodyTemplate(IntentType.CREATE_TASK)).toBe(true);
+    expect(hasBodyTemplate(IntentType.CREATE_IDEA)).toBe(false);
+  });
+
+  it('should return null for intents without a template', async () => {
+    const body = await generateIssueBody({ intentType: IntentType.CREATE_IDEA, message: 'Dark mode?' });
+
+    expect(body).toBeNull();
+    expect(getGeneratorLLMClient).not.toHaveBeenCalled();
+  });
+
+  it('should render bug reports with reproduction sections', async () => {
+    stubLLM({
+      summary: 'Login fails on Safari.',
+      stepsToReproduce: ['Open the login page', 'Submit valid credentials'],
+      actual: 'Error 500 is shown',
+      environment: 'Safari 17',
+    });
+
+    const body = await generateIssueBody({
+      intentType: IntentType.CREATE_BUG,
+      message: 'Login is broken on Safari, I get error 500',
+      title: 'Login fails on Safari',
+    });
+
+    expect(body).toContain('Login fails on Safari.');
+    expect(body).toContain('### Steps to reproduce\n\n1. Open the login page\n2. Submit valid credentials');
+    expect(body).toContain('### Expected behavior\n\n_Not provided_');
+    expect(body).toContain('### Actual behavior\n\nError 500 is shown');
+    expect(body).toContain('### Environment\n\nSafari 17');
+  });
+
+  it('should render tasks with an acceptance criteria checklist', async () => {
+    stubLLM({
+      summary: 'Add CSV export to reports.',
+      acceptanceCriteria: ['Export button on the report page', 'File includes all columns'],
+    });
+
+    const body = await generateIssueBody({
+      intentType: IntentType.CREATE_TASK,
+      message: 'We need CSV export for reports',
+    });
+
+    expect(body).toContain('### Acceptance criteria\n\n- [ ] Export button on the report page\n- [ ] File includes all columns');
+  });
+
+  it('should include the thread context in the prompt', async () => {
+    const spy = stubLLM({ summary: 'Crash on upload.', stepsToReproduce: [] });
+
+    await generateIssueBody({
+      intentType: IntentType.CREATE_BUG,
+      message: 'Please file this',
+      context: [{ messageId: 1, username: 'bob', text: 'Uploading a 20MB file crashes the app' }],
+    });
+
+    expect(spy.mock.calls[0][0].toString()).toContain('bob: Uploading a 20MB file crashes the app');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for LLM client initialization
+ * Verifies provider selection without making real API calls
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { ChatOpenAI } from '@langchain/openai';
+import { ChatAnthropic } from '@langchain/anthropic';
+import {
+  createLLMClient,
+  getClassifierLLMClient,
+  getGeneratorLLMClient,
+  getMessageText,
+  LLMProvider,
+} from '../../../src/ai/llm-client.js';
+import { getConfig } from '../../../config/env.js';
+
+describe('LLM Client', () => {
+  let originalLLMConfig;
+
+  beforeEach(() => {
+    originalLLMConfig = structuredClone(getConfig().llm);
+  });
+
+  afterEach(() => {
+    getConfig().llm = originalLLMConfig;
+  });
+
+  describe('createLLMClient', () => {
+    it('should create an OpenAI client by default', () => {
+      const client = createLLMClient();
+
+      expect(client).toBeInstanceOf(ChatOpenAI);
+    });
+
+    it('should create an Anthropic client with its own settings', () => {
+      const config = getConfig();
+      config.llm.anthropic = {
+        apiKey: 'test-anthropic-key',
+        model: 'claude-test-model',
+        temperature: 0.2,
+      };
+
+      const client = createLLMClient({ provider: LLMProvider.ANTHROPIC });
+
+      expect(client).toBeInstanceOf(ChatAnthropic);
+      expect(client.model).toBe('claude-test-model');
+      expect(client.temperature).toBe(0.2);
+    });
+
+    it('should throw if the Anthropic API key is missing', () => {
+      getConfig().llm.anthropic.apiKey = undefined;
+
+      expect(() => createLLMClient({ provider: LLMProvider.ANTHROPIC })).toThrow(/ANTHROPIC_API_KEY/);
+    });
+
+    it('should point an OpenAI-compatible client at the configured base URL', () => {
+      getConfig().llm.openaiCompatible = {
+        baseUrl: 'http://localhost:11434/v1',
+        apiKey: undefined,
+        model: 'llama3.1',
+        classifierModel: null,
+        generatorModel: null,
+        temperature: 0.5,
+      };
+
+      const client = createLLMClient({ provider: LLMProvider.OPENAI_COMPATIBLE });
+
+      expect(client).toBeInstanceOf(ChatOpenAI);
+      expect(client.clientConfig.baseURL).toBe('http://localhost:11434/v1');
+      expect(client.model).toBe('llama3.1');
+      expect(client.temperature).toBe(0.5);
+    });
+
+    it('should throw if the OpenAI-compatible base URL is missing', () => {
+      getConfig().llm.openaiCompatible.baseUrl = undefined;
+
+      expect(() => createLLMClient({ provider: LLMProvider.OPENAI_COMPATIBLE })).toThrow(/OPENAI_COMPATIBLE_BASE_URL/);
+    });
+
+    it('should reject unsupported providers', () => {
+      expect(() => createLLMClient({ provider: 'unknown' })).toThrow(/Unsupported LLM provider/);
+    });
+  });
+
+  describe('getClassifierLLMClient', () => {
+    it('should use the provider model when no classifier model is configured', () => {
+      const config = getConfig();
+      config.llm.provider = LLMProvider.ANTHROPIC;
+      config.llm.intentClassifierModel = null;
+      config.llm.anthropic = {
+        apiKey: 'test-anthropic-key',
+        model: 'claude-test-model',
+        temperature: 0.7,
+      };
+
+      const client = getClassifierLLMClient();
+
+      expect(client).toBeInstanceOf(ChatAnthropic);
+      expect(client.model).toBe('claude-test-model');
+      expect(client.temperature).toBe(config.llm.intentClassifierTemperature);
+    });
+  });
+
+  describe('getGeneratorLLMClient', () => {
+    it('should use the per-role model of an OpenAI-compatible endpoint', () => {
+      const config = getConfig();
+      config.llm.provider = LLMProvider.OPENAI_COMPATIBLE;
+      config.llm.intentClassifierModel = null;
+      config.llm.openaiCompatible = {
+        baseUrl: 'http://localhost:8000/v1',
+        apiKey: 'local-key',
+        model: 'default-model',
+        classifierModel: 'small-model',
+        generatorModel: 'large-model',
+        temperature: 0.7,
+      };
+
+      expect(getClassifierLLMClient().model).toBe('small-model');
+      expect(getGeneratorLLMClient().model).toBe('large-model');
+    });
+  });
+
+  describe('getMessageText', () => {
+    it('should return string content as is', () => {
+      expect(getMessageText({ content: '{"intent":"create_bug"}' })).toBe('{"intent":"create_bug"}');
+    });
+
+    it('should join text content blocks', () => {
+      const message = {
+        content: [
+          { type: 'text', text: '{"intent":' },
+          { type: 'text', text: '"create_bug"}' },
+        ],
+      };
+
+      expect(getMessageText(message)).toBe('{"intent":"create_bug"}');
+    });
+
+    it('should ignore non-text content blocks', () => {
+      const message = {
+        content: [
+          { type: 'thinking', thinking: 'hmm' },
+          { type: 'text', text: 'answer' },
+        ],
+      };
+
+      expect(getMessageText(message)).toBe('answer');
+    });
+
+    it('should accept raw strings and empty messages', () => {
+      expect(getMessageText('plain')).toBe('plain');
+      expect(getMessageText(null)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for the execute node
+ * Covers GitHub calls when an interrupted workflow is recovered
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../../src/integrations/github/github-tools.js', () => ({
+  createGitHubTools: vi.fn(),
+}));
+
+const recordSideEffect = vi.fn();
+const getSideEffects = vi.fn();
+
+vi.mock('../../../../src/database/repositories/operations.js', () => ({
+  OperationsRepository: vi.fn(() => ({ recordSideEffect, getSideEffects })),
+}));
+
+import { executeNode } from '../../../../src/ai/nodes/execute.js';
+import { createGitHubTools } from '../../../../src/integrations/github/github-tools.js';
+import { GitHubOperationType } from '../../../../src/ai/state-schema.js';
+
+const FOOTER = '\n\n---\n\n*Created by TeleGit from Telegram*\n- User: @alice\n- Chat ID: -100123\n- Message ID: 42\n- Confidence: 90%';
+
+describe('executeNode', () => {
+  let listIssues;
+  let issueWrite;
+  let addComment;
+  let state;
+
+  beforeEach(() => {
+    listIssues = vi.fn(async () => ({ issues: [] }));
+    issueWrite = vi.fn(async () => JSON.stringify({
+      number: 102,
+      html_url: 'https://github.com/owner/repo/issues/102',
+    }));
+
+    addComment = vi.fn(async () => JSON.stringify({
+      id: 7,
+      html_url: 'https://github.com/owner/repo/issues/90#issuecomment-7',
+    }));
+    recordSideEffect.mockResolvedValue(true);
+    getSideEffects.mockResolvedValue({});
+
+    const tools = {
+      list_issues: { invoke: listIssues },
+      issue_write: { invoke: issueWrite },
+      add_issue_comment: { invoke: addComment },
+    };
+
+    vi.mocked(createGitHubTools).mockResolvedValue({
+      getTool: (name) => tools[name],
+      close: vi.fn(async () => {}),
+    });
+
+    state = {
+      telegramMessage: { message_id: 42, chat: { id: -100123 } },
+      groupConfig: { githubRepo: 'owner/repo', githubToken: 'token' },
+      githubOperation: {
+        type: GitHubOperationType.CREATE,
+        repository: 'owner/repo',
+        data: { title: 'Checkout crashes', body: `Steps${FOOTER}`, labels: ['bug'], assignees: [] },
+      },
+      timestamps: { startedAt: Date.now() - 60000 },
+    };
+  });
+
+  describe('recovering an interrupted workflow', () => {
+    const recovering = { configurable: { thread_id: 'pending-op', operationId: 'pending-op', recovering: true } };
+
+    it('should reuse the issue the interrupted run created', async () => {
+      listIssues.mockResolvedValue({
+        issues: [
+          { number: 101, title: 'Checkout crashes', body: `Other message${FOOTER.replace('42', '41')}` },
+          { number: 100, title: 'Checkout crashes', body: `Steps${FOOTER}`.replace(/\n/g, '\r\n'), html_url: 'https://github.com/owner/repo/issues/100' },
+        ],
+      });
+
+      const result = await executeNode(state, recovering);
+
+      expect(issueWrite).not.toHaveBeenCalled();
+      expect(result.result).toMatchObject({ success: true, issueNumber: 100, recovered: true });
+    });
+
+    it('should create the issue when the interrupted run had not', async () => {
+      const result = await executeNode(state, recovering);
+
+      expect(listIssues).toHaveBeenCalledWith(expect.objectContaining({ owner: 'owner', repo: 'repo' }));
+      expect(issueWrite).toHaveBeenCalledTimes(1);
+      expect(result.result.issueNumber).toBe(102);
+    });
+
+    it('should fail rather than risk a duplicate when issues cannot be listed', async () => {
+      listIssues.mockRejectedValue(new Error('GitHub unavailable'));
+
+      const result = await executeNode(state, recovering);
+
+      expect(issueWrite).not.toHaveBeenCalled();
+      expect(result.error.code).toBe('GITHUB_EXECUTION_ERROR');
+    });
+
+    it('should not post a comment the interrupted run posted', async () => {
+      getSideEffects.mockResolvedValue({
+        comment: { id: 7, html_url: 'https://github.com/owner/repo/issues/90#issuecomment-7' },
+      });
+      state.githubOperation = {
+        type: GitHubOperationType.COMMENT,
+        repository: 'owner/repo',
+        data: { issueNumber: 90, body: 'Fixed in staging' },
+      };
+
+      const result = await executeNode(state, { configurable: { ...recovering.configurable, actionIndex: 1 } });
+
+      expect(getSideEffects).toHaveBeenCalledWith('pending-op', 1);
+      expect(addComment).not.toHaveBeenCalled();
+      expect(result.result).toMatchObject({ success: true, issueNumber: 90 });
+    });
+
+    it('should only change the state when the closing comment was posted', async () => {
+      getSideEffects.mockResolvedValue({ comment: { id: 7 } });
+      state.githubOperation = {
+        type: GitHubOperationType.CLOSE,
+        repository: 'owner/repo',
+        data: { issueNumber: 90, stateReason: 'completed', comment: 'Shipped' },
+      };
+
+      await executeNode(state, recovering);
+
+      expect(addComment).not.toHaveBeenCalled();
+      expect(issueWrite).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 90, state: 'closed' }));
+      expect(recordSideEffect).toHaveBeenCalledWith('pending-op', 0, 'state', expect.objectContaining({ number: 102 }));
+    });
+  });
+
+  it('should not look for existing issues outside recovery', async () => {
+    await executeNode(state, { configurable: { thread_id: 'pending-op', operationId: 'pending-op' } });
+
+    expect(listIssues).not.toHaveBeenCalled();
+    expect(getSideEffects).not.toHaveBeenCalled();
+    expect(issueWrite).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record each GitHub call on the operation', async () => {
+    state.githubOperation = {
+      type: GitHubOperationType.UPDATE,
+      repository: 'owner/repo',
+      data: { issueNumber: 102, title: 'Checkout crashes on Safari' },
+    };
+
+    await executeNode(state, { configurable: { thread_id: 'pending-op', operationId: 'pending-op' } });
+
+    expect(recordSideEffect).toHaveBeenCalledWith('pending-op', 0, 'update', expect.objectContaining({ number: 102 }));
+  });
+
+  it('should record drafted actions under their position in the message', async () => {
+    state.githubOperation = {
+      type: GitHubOperationType.UPDATE,
+      repository: 'owner/repo',
+      data: { issueNumber: 102, title: 'Checkout crashes on Safari' },
+    };
+    state.draftQueue = { actions: [], index: 1, operationIds: [] };
+
+    await executeNode(state, { configurable: { thread_id: 'pending-op', operationId: 'pending-op' } });
+
+    expect(recordSideEffect).toHaveBeenCalledWith('pending-op', 1, 'update', expect.objectContaining({ number: 102 }));
+  });
+});
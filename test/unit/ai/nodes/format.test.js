@@ -0,0 +1,535 @@
+/**
+ * Unit tests for the format node
+ * Verifies GitHub operation payloads built from classified intents
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../../src/integrations/github/issue-templates.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getIssueTemplates: vi.fn(async () => []),
+}));
+
+vi.mock('../../../../src/integrations/github/labels.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getRepositoryLabels: vi.fn(async () => []),
+}));
+
+const findIdentities = vi.fn(async () => []);
+
+vi.mock('../../../../src/database/repositories/identities.js', () => ({
+  IdentityRepository: vi.fn(() => ({ findIdentities })),
+}));
+
+vi.mock('../../../../src/ai/search-query-translator.js', () => ({
+  translateSearchRequest: vi.fn(),
+}));
+
+vi.mock('../../../../src/ai/issue-translator.js', () => ({
+  translateIssue: vi.fn(),
+}));
+
+import { formatNode } from '../../../../src/ai/nodes/format.js';
+import { translateSearchRequest } from '../../../../src/ai/search-query-translator.js';
+import { translateIssue } from '../../../../src/ai/issue-translator.js';
+import { getRepositoryLabels } from '../../../../src/integrations/github/labels.js';
+import { getIssueTemplates, parseIssueTemplate } from '../../../../src/integrations/github/issue-templates.js';
+import { IntentType, GitHubOperationType } from '../../../../src/ai/state-schema.js';
+
+/**
+ * Builds a minimal workflow state for the format node
+ * @param {Object} intent - Classified intent
+ * @returns {Object} Workflow state
+ */
+function createState(intent) {
+  return {
+    intent,
+    telegramMessage: {
+      message_id: 42,
+      chat: { id: -100123 },
+      from: { id: 1, username: 'alice' },
+    },
+    groupConfig: { githubRepo: 'owner/repo' },
+  };
+}
+
+describe('Format Node', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(getIssueTemplates).mockResolvedValue([]);
+    vi.mocked(getRepositoryLabels).mockResolvedValue([]);
+  });
+
+  describe('create intents', () => {
+    it('should build a create operation with intent labels', async () => {
+      const state = createState({
+        intent: IntentType.CREATE_BUG,
+        confidence: 0.9,
+        entities: { title: 'Login fails', description: 'Login fails on Safari', labels: ['urgent'] },
+      });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.type).toBe(GitHubOperationType.CREATE);
+      expect(githubOperation.data.title).toBe('Login fails');
+      expect(githubOperation.data.labels).toEqual(['urgent', 'bug', 'telegit']);
+    });
+
+    it('should label degraded-mode issues for triage', async () => {
+      const state = createState({
+        intent: IntentType.CREATE_BUG,
+        confidence: 0.5,
+        entities: { title: 'Login fails', description: 'Login fails on Safari', labels: [] },
+        degraded: true,
+      });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data.labels).toEqual(['bug', 'needs-triage', 'telegit']);
+    });
+
+    it('should use the generated body and quote the original message', async () => {
+      const state = createState({
+        intent: IntentType.CREATE_BUG,
+        confidence: 0.9,
+        entities: { title: 'Login fails', description: 'Login fails on Safari' },
+      });
+      state.telegramMessage.text = 'Login is broken\non Safari';
+      state.issueBody = 'Login fails on Safari.\n\n### Steps to reproduce\n\n1. Open login';
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data.body).toContain('### Steps to reproduce');
+      expect(githubOperation.data.body).toContain('### Original message\n\n> Login is broken\n> on Safari');
+      expect(githubOperation.data.body).not.toContain('\nLogin fails on Safari\n');
+    });
+  });
+
+  describe('search', () => {
+    it('should search with the translated qualifiers', async () => {
+      vi.mocked(translateSearchRequest).mockResolvedValue({
+        keywords: 'login',
+        state: 'open',
+        labels: ['bug'],
+        qualifiers: ['assignee:dmitriy-gh', 'created:>=2026-10-12'],
+        unresolved: [],
+      });
+      const state = createState({
+        intent: IntentType.SEARCH_ISSUES,
+        confidence: 0.9,
+        entities: { searchQuery: 'login bugs Dmitriy last week', labels: [] },
+      });
+      state.telegramMessage.text = 'open login bugs assigned to Dmitriy from last week';
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(translateSearchRequest).toHaveBeenCalledWith({
+        message: 'open login bugs assigned to Dmitriy from last week',
+        sender: state.telegramMessage.from,
+        usage: { groupId: -100123, operationId: null },
+      });
+      expect(githubOperation.type).toBe(GitHubOperationType.SEARCH);
+      expect(githubOperation.data).toEqual({
+        query: 'login',
+        labels: ['bug'],
+        state: 'open',
+        qualifiers: ['assignee:dmitriy-gh', 'created:>=2026-10-12'],
+        unresolved: [],
+      });
+    });
+
+    it('should fall back to the classified terms when translation fails', async () => {
+      vi.mocked(translateSearchRequest).mockRejectedValue(new Error('LLM unavailable'));
+      const state = createState({
+        intent: IntentType.SEARCH_ISSUES,
+        confidence: 0.9,
+        entities: { searchQuery: 'login', labels: ['bug'] },
+      });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data).toEqual({ query: 'login', labels: ['bug'] });
+    });
+
+    it('should not translate degraded-mode searches', async () => {
+      const state = createState({
+        intent: IntentType.SEARCH_ISSUES,
+        confidence: 0.6,
+        degraded: true,
+        entities: { searchQuery: 'login', labels: [] },
+      });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(translateSearchRequest).not.toHaveBeenCalled();
+      expect(githubOperation.data).toEqual({ query: 'login', labels: [] });
+    });
+  });
+
+  describe('translation', () => {
+    /**
+     * Builds the state of a Russian bug report in a group that writes issues in English
+     * @returns {Object} Workflow state
+     */
+    function createRussianState() {
+      const state = createState({
+        intent: IntentType.CREATE_BUG,
+        confidence: 0.9,
+        entities: { title: 'Не работает вход', description: 'Вход не работает в Safari' },
+      });
+      state.language = 'ru';
+      state.groupConfig.settings = { translateIssues: true };
+      return state;
+    }
+
+    it('should write the issue in English and keep the original text', async () => {
+      vi.mocked(translateIssue).mockResolvedValue({ title: 'Login does not work', body: 'Login does not work in Safari' });
+
+      const { githubOperation } = await formatNode(createRussianState());
+
+      expect(translateIssue).toHaveBeenCalledWith({
+        title: 'Не работает вход',
+        body: 'Вход не работает в Safari',
+        language: 'ru',
+        usage: { groupId: -100123, operationId: null },
+      });
+      expect(githubOperation.data.title).toBe('Login does not work');
+      expect(githubOperation.data.body).toMatch(/^Login does not work in Safari\n\n<details>\n<summary>Original \(Russian\)<\/summary>/);
+      expect(githubOperation.data.body).toContain('**Не работает вход**\n\nВход не работает в Safari\n\n</details>');
+      expect(githubOperation.data.body).toContain('*Created by TeleGit from Telegram*');
+      expect(githubOperation.translatedFrom).toBe('ru');
+    });
+
+    it('should keep the original language when translation fails', async () => {
+      vi.mocked(translateIssue).mockRejectedValue(new Error('LLM unavailable'));
+
+      const { githubOperation } = await formatNode(createRussianState());
+
+      expect(githubOperation.data.title).toBe('Не работает вход');
+      expect(githubOperation.data.body).not.toContain('<details>');
+      expect(githubOperation.translatedFrom).toBeNull();
+    });
+
+    it('should not translate English messages or groups without the setting', async () => {
+      const english = createRussianState();
+      english.language = 'en';
+      const disabled = createRussianState();
+      disabled.groupConfig.settings = {};
+
+      await formatNode(english);
+      await formatNode(disabled);
+
+      expect(translateIssue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('discussion threads', () => {
+    /**
+     * Builds the state of a bug filed as a reply deep in a discussion
+     * @returns {Object} Workflow state
+     */
+    function createThreadState() {
+      const state = createState({
+        intent: IntentType.CREATE_BUG,
+        confidence: 0.9,
+        entities: { title: 'Checkout fails', description: 'Checkout fails on Safari' },
+      });
+      state.threadSummary = '### Discussion summary\n\nCheckout is broken on Safari.';
+      state.conversationContext = [
+        { messageId: 40, username: 'bob', text: 'Checkout fails with error 500', date: 1760000000 },
+        { messageId: 41, firstName: 'Carol', hasPhoto: true, date: 1760000060 },
+        { messageId: 42, username: 'alice', text: 'Filing a bug\nfor this', date: 1760000120 },
+      ];
+      return state;
+    }
+
+    it('should add the summary and keep the thread in a collapsible block', async () => {
+      const { githubOperation } = await formatNode(createThreadState());
+      const { body } = githubOperation.data;
+
+      expect(body).toMatch(/^Checkout fails on Safari\n\n### Discussion summary\n\nCheckout is broken on Safari\.\n\n<details>/);
+      expect(body).toContain('<summary>Discussion (3 messages)</summary>');
+      expect(body).toContain('**`@bob`** · 2025-10-09 08:53 UTC\n\n> Checkout fails with error 500');
+      expect(body).toContain('**`Carol`** · 2025-10-09 08:54 UTC\n\n> [photo]');
+      expect(body).toContain('> Filing a bug\n> for this\n\n</details>\n\n---');
+    });
+
+    it('should not add a thread block for short threads', async () => {
+      const state = createThreadState();
+      state.threadSummary = null;
+      state.conversationContext = state.conversationContext.slice(1);
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data.body).not.toContain('Discussion');
+    });
+
+    it('should translate the summary but keep the thread messages verbatim', async () => {
+      const state = createThreadState();
+      state.language = 'ru';
+      state.groupConfig.settings = { translateIssues: true };
+      vi.mocked(translateIssue).mockResolvedValue({ title: 'Checkout fails', body: 'Translated body' });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(translateIssue.mock.calls[0][0].body).toContain('### Discussion summary');
+      expect(translateIssue.mock.calls[0][0].body).not.toContain('Checkout fails with error 500');
+      expect(githubOperation.data.body).toMatch(/<\/details>\n\n<details>\n<summary>Discussion \(3 messages\)<\/summary>/);
+    });
+  });
+
+  describe('voice messages', () => {
+    it('should quote the transcript with a link to the recording', async () => {
+      const state = createState({
+        intent: IntentType.CREATE_BUG,
+        confidence: 0.8,
+        entities: { title: 'Login fails on Safari', description: 'Login fails on Safari' },
+      });
+      state.telegramMessage.text = 'TeleGit, login fails on Safari';
+      state.telegramMessage.transcript = {
+        kind: 'voice',
+        text: 'TeleGit, login fails on Safari',
+        duration: 75,
+        audioUrl: 'https://bot.example.com/api/telegram-asset/voice%2Ffile_7.oga',
+      };
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data.body).toContain(
+        '### Transcript\n\n[🎧 Voice message (1:15)](https://bot.example.com/api/telegram-asset/voice%2Ffile_7.oga)\n\n> TeleGit, login fails on Safari'
+      );
+    });
+  });
+
+  describe('planning', () => {
+    it('should pass milestone and project through to the create operation', async () => {
+      const state = createState({
+        intent: IntentType.CREATE_TASK,
+        confidence: 0.9,
+        entities: { title: 'Add export', milestone: 'v2.3 sprint', project: 'Roadmap', projectStatus: 'In Progress' },
+      });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data).toMatchObject({
+        milestone: 'v2.3 sprint',
+        project: 'Roadmap',
+        projectStatus: 'In Progress',
+      });
+    });
+  });
+
+  describe('assignees', () => {
+    it('should assign verified GitHub logins of mentioned users', async () => {
+      findIdentities.mockResolvedValue([
+        { telegramUserId: 7, telegramUsername: 'bob', githubLogin: 'bob-gh', verified: true },
+        { telegramUserId: 8, telegramUsername: 'carol', githubLogin: 'carol-gh', verified: false },
+        { telegramUserId: 9, telegramUsername: null, githubLogin: 'dave-gh', verified: true },
+      ]);
+      const state = createState({
+        intent: IntentType.CREATE_TASK,
+        confidence: 0.9,
+        entities: { title: 'Add export', assignees: ['Bob', 'carol', 'erin'] },
+      });
+      state.telegramMessage.entities = [
+        { type: 'text_mention', offset: 0, length: 4, user: { id: 9, first_name: 'Dave' } },
+      ];
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(findIdentities).toHaveBeenCalledWith({
+        telegramUserIds: [9],
+        telegramUsernames: ['Bob', 'carol', 'erin'],
+      });
+      expect(githubOperation.data.assignees).toEqual(['bob-gh', 'dave-gh']);
+      expect(githubOperation.unassignedMentions).toEqual(['@carol', '@erin']);
+    });
+  });
+
+  describe('label mapping', () => {
+    it('should map hashtags and keep unknown ones as text', async () => {
+      vi.mocked(getRepositoryLabels).mockResolvedValue(['priority: high', 'bug']);
+      const state = createState({
+        intent: IntentType.CREATE_BUG,
+        confidence: 0.9,
+        entities: { title: 'Login fails', description: 'Login fails on Safari', labels: ['urgent', 'safari'] },
+      });
+      state.groupConfig.settings = { labelMap: { urgent: 'priority: high' }, unknownLabels: 'keep' };
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data.labels).toEqual(['priority: high', 'bug', 'telegit']);
+      expect(githubOperation.data.body).toContain('Tags: #safari');
+    });
+
+    it('should map the hashtags of updates the same way', async () => {
+      vi.mocked(getRepositoryLabels).mockResolvedValue(['priority: high']);
+      const state = createState({
+        intent: IntentType.UPDATE_ISSUE,
+        confidence: 0.9,
+        entities: { issueNumber: '12', labels: ['urgent', 'safari'] },
+      });
+      state.groupConfig.settings = { labelMap: { urgent: 'priority: high' }, unknownLabels: 'drop' };
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data.labels).toEqual(['priority: high', 'telegit']);
+    });
+
+    it('should leave the labels of updates without hashtags alone', async () => {
+      const state = createState({
+        intent: IntentType.UPDATE_ISSUE,
+        confidence: 0.9,
+        entities: { issueNumber: '12', title: 'Login fails on Safari', labels: [] },
+      });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data.issueNumber).toBe(12);
+      expect(githubOperation.data.labels).toBeUndefined();
+    });
+  });
+
+  describe('issue templates', () => {
+    const BUG_FORM = [
+      'name: Bug report',
+      'title: "[Bug]: "',
+      'labels: [triage]',
+      'body:',
+      '  - type: textarea',
+      '    attributes:',
+      '      label: What happened?',
+      '  - type: textarea',
+      '    attributes:',
+      '      label: Steps to reproduce',
+      '  - type: textarea',
+      '    attributes:',
+      '      label: Describe the bug',
+    ].join('\n');
+
+    it('should fill the matching issue form', async () => {
+      vi.mocked(getIssueTemplates).mockResolvedValue([parseIssueTemplate('bug.yml', BUG_FORM)]);
+      const state = createState({
+        intent: IntentType.CREATE_BUG,
+        confidence: 0.9,
+        entities: { title: 'Login fails', description: 'Login fails on Safari' },
+      });
+      state.issueBody = 'Login fails on Safari.\n\n### Steps to reproduce\n\n1. Open login\n\n### Actual behavior\n\nError 500';
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data.title).toBe('[Bug]: Login fails');
+      expect(githubOperation.data.labels).toEqual(['triage', 'bug', 'telegit']);
+      expect(githubOperation.data.body).toContain('### What happened?\n\nError 500');
+      expect(githubOperation.data.body).toContain('### Steps to reproduce\n\n1. Open login');
+      expect(githubOperation.data.body).toContain('### Describe the bug\n\nLogin fails on Safari.');
+      expect(githubOperation.data.body).toContain('### Original message');
+    });
+
+    it('should create the issue without a template when lookup fails', async () => {
+      vi.mocked(getIssueTemplates).mockRejectedValue(new Error('MCP unavailable'));
+      const state = createState({
+        intent: IntentType.CREATE_TASK,
+        confidence: 0.9,
+        entities: { title: 'Add export', description: 'Add CSV export' },
+      });
+
+      const { githubOperation, error } = await formatNode(state);
+
+      expect(error).toBeUndefined();
+      expect(githubOperation.data.title).toBe('Add export');
+      expect(githubOperation.data.body).toMatch(/^Add CSV export/);
+    });
+  });
+
+  describe('close intent', () => {
+    it('should build a close operation with the state reason', async () => {
+      const state = createState({
+        intent: IntentType.CLOSE_ISSUE,
+        confidence: 0.9,
+        entities: { issueNumber: '#42', stateReason: 'not_planned' },
+      });
+
+      const { githubOperation, error } = await formatNode(state);
+
+      expect(error).toBeUndefined();
+      expect(githubOperation.type).toBe(GitHubOperationType.CLOSE);
+      expect(githubOperation.data).toEqual({
+        issueNumber: 42,
+        stateReason: 'not_planned',
+        comment: undefined,
+      });
+    });
+
+    it('should default the state reason to completed', async () => {
+      const state = createState({
+        intent: IntentType.CLOSE_ISSUE,
+        confidence: 0.9,
+        entities: { issueNumber: '42', comment: 'Fixed in v2.1' },
+      });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.data.stateReason).toBe('completed');
+      expect(githubOperation.data.comment).toContain('Fixed in v2.1');
+      expect(githubOperation.data.comment).toContain('@alice');
+    });
+
+    it('should fail without an issue number', async () => {
+      const state = createState({
+        intent: IntentType.CLOSE_ISSUE,
+        confidence: 0.9,
+        entities: {},
+      });
+
+      const { error } = await formatNode(state);
+
+      expect(error.code).toBe('FORMATTING_ERROR');
+      expect(error.message).toContain('issue number');
+    });
+  });
+
+  describe('reopen intent', () => {
+    it('should build a reopen operation', async () => {
+      const state = createState({
+        intent: IntentType.REOPEN_ISSUE,
+        confidence: 0.9,
+        entities: { issueNumber: '17' },
+      });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.type).toBe(GitHubOperationType.REOPEN);
+      expect(githubOperation.data.issueNumber).toBe(17);
+    });
+  });
+
+  describe('comment intent', () => {
+    it('should build a comment operation with attribution', async () => {
+      const state = createState({
+        intent: IntentType.COMMENT_ISSUE,
+        confidence: 0.9,
+        entities: { issueNumber: '8', comment: 'Reproduced on Android 14' },
+      });
+
+      const { githubOperation } = await formatNode(state);
+
+      expect(githubOperation.type).toBe(GitHubOperationType.COMMENT);
+      expect(githubOperation.data.issueNumber).toBe(8);
+      expect(githubOperation.data.body).toContain('Reproduced on Android 14');
+      expect(githubOperation.data.body).toContain('Posted by TeleGit');
+    });
+
+    it('should fail without comment text', async () => {
+      const state = createState({
+        intent: IntentType.COMMENT_ISSUE,
+        confidence: 0.9,
+        entities: { issueNumber: '8' },
+      });
+
+      const { error } = await formatNode(state);
+
+      expect(error.code).toBe('FORMATTING_ERROR');
+    });
+  });
+});
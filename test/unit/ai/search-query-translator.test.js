@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the search query translator
+ * Verifies qualifiers built from stubbed LLM filters with a fixed date and team
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { RunnableLambda } from '@langchain/core/runnables';
+import { AIMessage } from '@langchain/core/messages';
+
+vi.mock('../../../src/ai/llm-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getClassifierLLMClient: vi.fn(),
+}));
+
+const findIdentities = vi.fn();
+
+vi.mock('../../../src/database/repositories/identities.js', () => ({
+  IdentityRepository: vi.fn(() => ({ findIdentities })),
+}));
+
+import { translateSearchRequest, resolveDateRange } from '../../../src/ai/search-query-translator.js';
+import { getClassifierLLMClient } from '../../../src/ai/llm-client.js';
+
+// Monday
+const NOW = new Date('2026-10-19T09:30:00Z');
+
+const SENDER = { id: 1, username: 'alice' };
+
+const TEAM = [
+  { telegramUserId: 1, telegramUsername: 'alice', telegramName: 'Alice Smith', githubLogin: 'alice-gh' },
+  { telegramUserId: 2, telegramUsername: 'dima', telegramName: 'Dmitriy Ivanov', githubLogin: 'dmitriy-gh' },
+  { telegramUserId: 3, telegramUsername: 'sasha_k', telegramName: 'Alex Kim', githubLogin: 'akim' },
+  { telegramUserId: 4, telegramUsername: null, telegramName: 'Alex Brown', githubLogin: 'abrown' },
+];
+
+/**
+ * Stubs the classifier LLM with fixed search filters
+ * @param {Object} filters - Filters the LLM should return (defaults fill the rest)
+ * @returns {Function} Spy receiving the rendered prompt
+ */
+function stubLLM(filters) {
+  const output = { keywords: '', state: 'open', labels: [], assignees: [], authors: [], ...filters };
+  const spy = vi.fn(() => new AIMessage(JSON.stringify(output)));
+  vi.mocked(getClassifierLLMClient).mockReturnValue(RunnableLambda.from(spy));
+  return spy;
+}
+
+describe('Search Query Translator', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    findIdentities.mockResolvedValue(TEAM);
+  });
+
+  describe('resolveDateRange', () => {
+    it.each([
+      ['today', { from: '2026-10-19', to: '2026-10-19' }],
+      ['yesterday', { from: '2026-10-18', to: '2026-10-18' }],
+      ['this week', { from: '2026-10-19', to: null }],
+      ['this month', { from: '2026-10-01', to: null }],
+      ['this year', { from: '2026-01-01', to: null }],
+      ['last week', { from: '2026-10-12', to: null }],
+      ['last 1 weeks', { from: '2026-10-12', to: null }],
+      ['past 3 days', { from: '2026-10-16', to: null }],
+      ['last 2 months', { from: '2026-08-19', to: null }],
+      ['3 days ago', { from: '2026-10-16', to: '2026-10-16' }],
+      ['2026-03-03', { from: '2026-03-03', to: '2026-03-03' }],
+      ['>=2026-03-03', { from: '2026-03-03', to: null }],
+      ['<=2026-03-03', { from: null, to: '2026-03-03' }],
+      ['2026-03-01..2026-03-31', { from: '2026-03-01', to: '2026-03-31' }],
+      ['around easter', null],
+    ])('should resolve "%s"', (expression, expected) => {
+      expect(resolveDateRange(expression, NOW)).toEqual(expected);
+    });
+  });
+
+  describe('translateSearchRequest', () => {
+    it('should translate people, labels and relative dates into qualifiers', async () => {
+      const llm = stubLLM({ labels: ['bug'], assignees: ['Dmitriy'], created: 'last 1 weeks' });
+
+      const search = await translateSearchRequest({
+        message: 'open bugs assigned to Dmitriy from last week',
+        sender: SENDER,
+        now: NOW,
+      });
+
+      expect(search).toEqual({
+        keywords: '',
+        state: 'open',
+        labels: ['bug'],
+        qualifiers: ['assignee:dmitriy-gh', 'created:>=2026-10-12'],
+        unresolved: [],
+      });
+      expect(llm.mock.calls[0][0].value).toContain('Today is 2026-10-19');
+      expect(findIdentities).toHaveBeenCalledWith({
+        telegramUserIds: [],
+        telegramUsernames: ['Dmitriy'],
+        names: ['Dmitriy'],
+      });
+    });
+
+    it('should resolve "me" to the sender and usernames to their logins', async () => {
+      stubLLM({ keywords: 'export', state: 'all', authors: ['me'], assignees: ['@sasha_k'], updated: 'yesterday' });
+
+      const search = await translateSearchRequest({
+        message: 'export issues I opened for @sasha_k touched yesterday',
+        sender: SENDER,
+        now: NOW,
+      });
+
+      expect(search.keywords).toBe('export');
+      expect(search.state).toBe('all');
+      expect(search.qualifiers).toEqual(['assignee:akim', 'author:alice-gh', 'updated:2026-10-18']);
+      expect(findIdentities.mock.calls[0][0].telegramUserIds).toEqual([1]);
+    });
+
+    it('should add no:assignee for unassigned issues', async () => {
+      stubLLM({ unassigned: true, closed: '>=2026-10-01', state: 'closed' });
+
+      const search = await translateSearchRequest({ message: 'unassigned issues closed this month', sender: SENDER, now: NOW });
+
+      expect(search.qualifiers).toEqual(['no:assignee', 'closed:>=2026-10-01']);
+      expect(findIdentities).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown, ambiguous people and dates it cannot resolve', async () => {
+      stubLLM({ assignees: ['Boris', 'Alex'], created: 'around easter' });
+
+      const search = await translateSearchRequest({
+        message: 'issues for Boris and Alex from around easter',
+        sender: SENDER,
+        now: NOW,
+      });
+
+      expect(search.qualifiers).toEqual([]);
+      expect(search.unresolved).toEqual(['Boris', 'Alex', 'around easter']);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for the thread summarizer
+ * Verifies discussion summaries of reply threads with a stubbed LLM
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { RunnableLambda } from '@langchain/core/runnables';
+import { AIMessage } from '@langchain/core/messages';
+
+vi.mock('../../../src/ai/llm-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getGeneratorLLMClient: vi.fn(),
+}));
+
+import {
+  summarizeThread,
+  isLongThread,
+  getParticipants,
+  getThreadMessageText,
+} from '../../../src/ai/thread-summarizer.js';
+import { getGeneratorLLMClient } from '../../../src/ai/llm-client.js';
+
+/**
+ * Stubs the generator LLM with a fixed JSON answer
+ * @param {Object} output - Object the LLM should return
+ * @returns {Function} Spy receiving the rendered prompt
+ */
+function stubLLM(output) {
+  const spy = vi.fn(() => new AIMessage(`\`\`\`json\n${JSON.stringify(output)}\n\`\`\``));
+  vi.mocked(getGeneratorLLMClient).mockReturnValue(RunnableLambda.from(spy));
+  return spy;
+}
+
+const thread = [
+  { messageId: 1, username: 'alice', text: 'Checkout fails with error 500 since the release' },
+  { messageId: 2, username: 'bob', text: 'Same here, only on Safari 17' },
+  { messageId: 3, firstName: 'Carol', hasPhoto: true },
+  { messageId: 4, username: 'alice', text: 'Let us roll back and file a bug' },
+];
+
+describe('Thread Summarizer', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should only summarize threads of three or more messages', () => {
+    expect(isLongThread(null)).toBe(false);
+    expect(isLongThread(thread.slice(0, 2))).toBe(false);
+    expect(isLongThread(thread.slice(0, 3))).toBe(true);
+  });
+
+  it('should list participants in order of their first message', () => {
+    expect(getParticipants(thread)).toEqual([
+      { name: '@alice', messageCount: 2 },
+      { name: '@bob', messageCount: 1 },
+      { name: 'Carol', messageCount: 1 },
+    ]);
+  });
+
+  it('should describe media messages without text', () => {
+    expect(getThreadMessageText(thread[2])).toBe('[photo]');
+    expect(getThreadMessageText({ from: { username: 'dave' }, caption: 'Screenshot' })).toBe('Screenshot');
+  });
+
+  it('should render the summary with participants, key facts and decisions', async () => {
+    const llm = stubLLM({
+      overview: 'Checkout is broken on Safari since the last release.',
+      keyFacts: ['Error 500 on checkout', 'Only Safari 17 is affected'],
+      decisions: ['Roll back the release'],
+    });
+
+    const summary = await summarizeThread({ messages: thread });
+
+    expect(llm.mock.calls[0][0].toString()).toContain('@bob: Same here, only on Safari 17\nCarol: [photo]');
+    expect(summary).toBe([
+      '### Discussion summary',
+      'Checkout is broken on Safari since the last release.',
+      '**Participants:** `@alice` (2), `@bob` (1), `Carol` (1)',
+      '**Key facts**\n\n- Error 500 on checkout\n- Only Safari 17 is affected',
+      '**Decisions**\n\n- Roll back the release',
+    ].join('\n\n'));
+  });
+
+  it('should leave out empty sections', async () => {
+    stubLLM({ overview: 'Checkout is broken.', keyFacts: [], decisions: [] });
+
+    const summary = await summarizeThread({ messages: thread });
+
+    expect(summary).not.toContain('**Key facts**');
+    expect(summary).not.toContain('**Decisions**');
+  });
+
+  it('should throw when the LLM answer does not match the schema', async () => {
+    stubLLM({ overview: 'Checkout is broken.' });
+
+    await expect(summarizeThread({ messages: thread })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for token usage accounting
+ * Verifies usage extraction, cost estimates, recording and monthly budgets
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AIMessage } from '@langchain/core/messages';
+
+const recordUsage = vi.fn(async () => ({}));
+const getGroupUsage = vi.fn();
+
+vi.mock('../../../src/database/repositories/usage.js', () => ({
+  UsageRepository: vi.fn(() => ({ recordUsage, getGroupUsage })),
+}));
+
+import { getConfig } from '../../../config/env.js';
+import {
+  estimateCost,
+  extractTokenUsage,
+  createUsageCallbacks,
+  checkBudget,
+  getMonthStart,
+  UsagePurpose,
+  BudgetAction,
+} from '../../../src/ai/token-usage.js';
+
+/**
+ * Builds an LLM result as chat models pass it to handleLLMEnd
+ * @param {Object} message - AI message fields
+ * @param {Object} [llmOutput] - Provider-specific output
+ * @returns {Object} LLM result
+ */
+function createLLMResult(message, llmOutput = {}) {
+  return { generations: [[{ text: '', message: new AIMessage(message) }]], llmOutput };
+}
+
+describe('Token Usage', () => {
+  let originalPricing;
+
+  beforeEach(() => {
+    originalPricing = getConfig().llm.pricing;
+    getConfig().llm.pricing = { inputPerMillion: null, outputPerMillion: null };
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    getConfig().llm.pricing = originalPricing;
+  });
+
+  describe('extractTokenUsage', () => {
+    it('should read usage metadata of chat messages', () => {
+      const result = createLLMResult({
+        content: '{}',
+        usage_metadata: { input_tokens: 1200, output_tokens: 80, total_tokens: 1280 },
+        response_metadata: { model_name: 'gpt-4o-mini-2024-07-18' },
+      });
+
+      expect(extractTokenUsage(result)).toEqual({
+        model: 'gpt-4o-mini-2024-07-18',
+        promptTokens: 1200,
+        completionTokens: 80,
+      });
+    });
+
+    it('should fall back to the token usage of the LLM output', () => {
+      const result = createLLMResult(
+        { content: '{}', response_metadata: { model: 'claude-sonnet-4-5' } },
+        { tokenUsage: { promptTokens: 900, completionTokens: 50 } }
+      );
+
+      expect(extractTokenUsage(result)).toEqual({ model: 'claude-sonnet-4-5', promptTokens: 900, completionTokens: 50 });
+    });
+
+    it('should return null when no usage was reported', () => {
+      expect(extractTokenUsage(createLLMResult({ content: '{}' }))).toBeNull();
+    });
+  });
+
+  describe('estimateCost', () => {
+    it('should price models by the longest matching prefix', () => {
+      expect(estimateCost('gpt-4o-mini-2024-07-18', 1_000_000, 0)).toBeCloseTo(0.15);
+      expect(estimateCost('gpt-4o', 1_000_000, 1_000_000)).toBeCloseTo(12.5);
+      expect(estimateCost('claude-sonnet-4-5', 2000, 1000)).toBeCloseTo(0.021);
+    });
+
+    it('should not price unknown models', () => {
+      expect(estimateCost('llama3.1', 50_000, 5_000)).toBe(0);
+    });
+
+    it('should prefer configured prices', () => {
+      getConfig().llm.pricing = { inputPerMillion: 1, outputPerMillion: 2 };
+
+      expect(estimateCost('llama3.1', 1_000_000, 1_000_000)).toBeCloseTo(3);
+    });
+  });
+
+  describe('createUsageCallbacks', () => {
+    it('should record the usage of a call for the group and operation', async () => {
+      const [handler] = createUsageCallbacks({
+        purpose: UsagePurpose.CLASSIFICATION,
+        groupId: -100123,
+        operationId: 'op-1',
+      });
+
+      await handler.handleLLMEnd(createLLMResult({
+        content: '{}',
+        usage_metadata: { input_tokens: 1000, output_tokens: 100, total_tokens: 1100 },
+        response_metadata: { model_name: 'gpt-4o' },
+      }));
+
+      expect(recordUsage).toHaveBeenCalledWith({
+        telegramGroupId: -100123,
+        operationId: 'op-1',
+        purpose: UsagePurpose.CLASSIFICATION,
+        model: 'gpt-4o',
+        promptTokens: 1000,
+        completionTokens: 100,
+        estimatedCost: expect.closeTo(0.0035),
+      });
+    });
+
+    it('should not fail the call when recording fails', async () => {
+      recordUsage.mockRejectedValueOnce(new Error('Database unavailable'));
+      const [handler] = createUsageCallbacks({ purpose: UsagePurpose.GENERATION, groupId: -100123 });
+
+      await expect(handler.handleLLMEnd(createLLMResult({
+        content: '{}',
+        usage_metadata: { input_tokens: 10, output_tokens: 10, total_tokens: 20 },
+      }))).resolves.toBeUndefined();
+    });
+  });
+
+  describe('checkBudget', () => {
+    const now = new Date('2026-03-14T10:00:00Z');
+
+    it('should return null for groups without a budget', async () => {
+      expect(await checkBudget({ telegramGroupId: -100123, settings: {} }, now)).toBeNull();
+      expect(getGroupUsage).not.toHaveBeenCalled();
+    });
+
+    it('should compare this month\'s usage with the budget', async () => {
+      getGroupUsage.mockResolvedValue({ totalTokens: 120_000 });
+      const groupConfig = {
+        telegramGroupId: -100123,
+        settings: { llmBudget: { monthlyTokens: 100_000, action: BudgetAction.PAUSE } },
+      };
+
+      const budget = await checkBudget(groupConfig, now);
+
+      expect(getGroupUsage).toHaveBeenCalledWith(-100123, new Date('2026-03-01T00:00:00Z'));
+      expect(budget).toEqual({
+        exceeded: true,
+        action: BudgetAction.PAUSE,
+        monthlyTokens: 100_000,
+        usedTokens: 120_000,
+        resetsAt: new Date('2026-04-01T00:00:00Z'),
+      });
+    });
+
+    it('should default to the hashtag fast path', async () => {
+      getGroupUsage.mockResolvedValue({ totalTokens: 10 });
+
+      const budget = await checkBudget({ telegramGroupId: -100123, settings: { llmBudget: { monthlyTokens: 100 } } }, now);
+
+      expect(budget.exceeded).toBe(false);
+      expect(budget.action).toBe(BudgetAction.HASHTAGS);
+    });
+  });
+
+  describe('getMonthStart', () => {
+    it('should roll over to the next year', () => {
+      expect(getMonthStart(new Date('2026-12-31T23:00:00Z'), 1)).toEqual(new Date('2027-01-01T00:00:00Z'));
+    });
+  });
+});
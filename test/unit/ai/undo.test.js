@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the operation undo
+ * Verifies the regular issue undo and the agent branch with stubbed GitHub tools
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/integrations/github/github-tools.js', () => ({
+  createGitHubTools: vi.fn(),
+}));
+
+const getGroupConfig = vi.fn();
+
+vi.mock('../../../src/database/repositories/config.js', () => ({
+  ConfigRepository: vi.fn(() => ({ getGroupConfig })),
+}));
+
+import { undoOperation, UNDO_COMMENT } from '../../../src/ai/undo.js';
+import { AGENT_OPERATION_TYPE } from '../../../src/ai/github-agent.js';
+import { createGitHubTools } from '../../../src/integrations/github/github-tools.js';
+
+describe('undoOperation', () => {
+  let issueWrite;
+  let addComment;
+  let close;
+
+  beforeEach(() => {
+    issueWrite = vi.fn(async () => JSON.stringify({ number: 12 }));
+    addComment = vi.fn(async () => JSON.stringify({ id: 1 }));
+    close = vi.fn(async () => {});
+
+    const tools = {
+      issue_write: { invoke: issueWrite },
+      add_issue_comment: { invoke: addComment },
+    };
+
+    vi.mocked(createGitHubTools).mockResolvedValue({ getTool: (name) => tools[name], close });
+    getGroupConfig.mockResolvedValue({ githubRepo: 'owner/repo', githubToken: 'token' });
+  });
+
+  /**
+   * Builds a completed operation record
+   */
+  function createOperation(operationType, operationData = {}) {
+    return {
+      id: 'op-1',
+      telegramGroupId: -100123,
+      operationType,
+      operationData: { githubIssueNumber: 12, ...operationData },
+      status: 'completed',
+    };
+  }
+
+  it('should close the issue a regular operation created', async () => {
+    const { message } = await undoOperation(createOperation('create_bug', { repository: 'owner/other' }));
+
+    expect(addComment).toHaveBeenCalledWith({ owner: 'owner', repo: 'other', issue_number: 12, body: UNDO_COMMENT });
+    expect(issueWrite).toHaveBeenCalledWith({
+      method: 'update',
+      owner: 'owner',
+      repo: 'other',
+      issue_number: 12,
+      state: 'closed',
+      state_reason: 'not_planned',
+    });
+    expect(message).toContain('#12');
+    expect(close).toHaveBeenCalled();
+  });
+
+  it('should reopen an issue a regular operation closed', async () => {
+    await undoOperation(createOperation('close_issue'));
+
+    expect(addComment).not.toHaveBeenCalled();
+    expect(issueWrite).toHaveBeenCalledWith(expect.objectContaining({ repo: 'repo', state: 'open' }));
+  });
+
+  it('should refuse operations it cannot revert', async () => {
+    await expect(undoOperation(createOperation('comment_issue'))).rejects.toThrow('cannot be undone');
+    await expect(undoOperation(createOperation('create_task', { githubIssueNumber: null }))).rejects.toThrow('cannot be undone');
+
+    expect(createGitHubTools).not.toHaveBeenCalled();
+  });
+
+  it('should revert agent actions with the agent undo', async () => {
+    const { message } = await undoOperation({
+      id: 'op-2',
+      telegramGroupId: -100123,
+      operationType: AGENT_OPERATION_TYPE,
+      operationData: {
+        tool: 'issue_write',
+        args: { method: 'update', issue_number: 12, labels: ['p1'] },
+        issueNumber: 12,
+        previousState: { labels: [] },
+        repository: 'owner/repo',
+      },
+      status: 'completed',
+    });
+
+    expect(addComment).not.toHaveBeenCalled();
+    expect(issueWrite).toHaveBeenCalledWith({ method: 'update', owner: 'owner', repo: 'repo', issue_number: 12, labels: [] });
+    expect(message).toContain('restored');
+  });
+});
@@ -0,0 +1,583 @@
+/**
+ * Unit tests for the LangGraph workflow
+ * Verifies routing and multi-action fan-out without LLM, GitHub or database calls
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/ai/nodes/analyze.js', () => ({
+  analyzeNode: vi.fn(),
+}));
+
+vi.mock('../../../src/ai/nodes/execute.js', () => ({
+  executeNode: vi.fn(),
+}));
+
+vi.mock('../../../src/ai/nodes/store.js', () => ({
+  storeNode: vi.fn(),
+}));
+
+vi.mock('../../../src/ai/nodes/notify.js', () => ({
+  notifyNode: vi.fn(async (state) => ({ ...state, status: 'completed' })),
+}));
+
+vi.mock('../../../src/ai/nodes/agent.js', () => ({
+  agentNode: vi.fn(async (state) => ({ ...state, agentRun: { summary: 'Done', actions: [], steps: 1, stoppedAtLimit: false } })),
+}));
+
+vi.mock('../../../src/ai/nodes/error.js', () => ({
+  errorNode: vi.fn(async (state) => ({ ...state, status: 'error' })),
+}));
+
+vi.mock('../../../src/services/telegram/reactions.js', () => ({
+  setReaction: vi.fn(async () => true),
+  StatusReactions: { PROCESSING: '🤔' },
+}));
+
+vi.mock('../../../src/services/telegram/feedback.js', () => ({
+  postFeedback: vi.fn(async () => ({ messageId: 777 })),
+  editFeedback: vi.fn(async () => {}),
+}));
+
+vi.mock('../../../src/integrations/github/github-tools.js', () => ({
+  createGitHubTools: vi.fn(async () => ({ close: vi.fn(async () => {}) })),
+}));
+
+vi.mock('../../../src/integrations/github/duplicate-search.js', () => ({
+  findDuplicateIssues: vi.fn(async () => []),
+}));
+
+vi.mock('../../../src/integrations/github/issue-templates.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getIssueTemplates: vi.fn(async () => []),
+}));
+
+vi.mock('../../../src/ai/issue-body-generator.js', () => ({
+  NOT_PROVIDED: '_Not provided_',
+  hasBodyTemplate: vi.fn(() => false),
+  generateIssueBody: vi.fn(async () => null),
+}));
+
+import { MemorySaver } from '@langchain/langgraph';
+import {
+  executeWorkflow,
+  resumeWorkflow,
+  findInterruptedWorkflows,
+  recoverWorkflow,
+} from '../../../src/ai/workflow.js';
+import { createInitialState, IntentType, GitHubOperationType } from '../../../src/ai/state-schema.js';
+import { analyzeNode } from '../../../src/ai/nodes/analyze.js';
+import { executeNode } from '../../../src/ai/nodes/execute.js';
+import { storeNode } from '../../../src/ai/nodes/store.js';
+import { notifyNode } from '../../../src/ai/nodes/notify.js';
+import { agentNode } from '../../../src/ai/nodes/agent.js';
+import { errorNode } from '../../../src/ai/nodes/error.js';
+import { postFeedback, editFeedback } from '../../../src/services/telegram/feedback.js';
+import { findDuplicateIssues } from '../../../src/integrations/github/duplicate-search.js';
+import { generateIssueBody, hasBodyTemplate } from '../../../src/ai/issue-body-generator.js';
+
+/**
+ * Builds a classified action
+ * @param {string} intent - Intent type
+ * @param {string} title - Issue title
+ * @returns {Object} Classified action
+ */
+function createAction(intent, title) {
+  return {
+    intent,
+    confidence: 0.9,
+    entities: { title, description: title, labels: [], assignees: [] },
+  };
+}
+
+describe('Workflow', () => {
+  let issueNumber;
+  let checkpointer;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(findDuplicateIssues).mockResolvedValue([]);
+    issueNumber = 100;
+    checkpointer = new MemorySaver();
+
+    vi.mocked(executeNode).mockImplementation(async (state) => {
+      issueNumber += 1;
+      return {
+        ...state,
+        result: {
+          success: true,
+          issueNumber,
+          issueUrl: `https://github.com/owner/repo/issues/${issueNumber}`,
+        },
+      };
+    });
+
+    vi.mocked(storeNode).mockImplementation(async (state) => ({
+      ...state,
+      operationId: `op-${state.result.issueNumber}`,
+    }));
+  });
+
+  /**
+   * Runs the workflow with the given classification
+   * @param {Object} intent - Classification returned by the analyze node
+   * @param {Object} [settings] - Group settings
+   * @returns {Promise<Object>} Final workflow state
+   */
+  async function runWithIntent(intent, settings = {}) {
+    vi.mocked(analyzeNode).mockImplementation(async (state) => ({ ...state, intent }));
+
+    const initialState = createInitialState(
+      { message_id: 42, chat: { id: -100123 }, from: { id: 1, username: 'alice' }, text: 'test' },
+      { githubRepo: 'owner/repo', githubToken: 'token', settings }
+    );
+    initialState.operationId = 'pending-op';
+
+    return executeWorkflow(initialState, { checkpointer });
+  }
+
+  it('should run a single action through format, execute and store', async () => {
+    const action = createAction(IntentType.CREATE_BUG, 'Checkout crashes');
+
+    const finalState = await runWithIntent({ ...action, actions: [action] });
+
+    expect(executeNode).toHaveBeenCalledTimes(1);
+    expect(finalState.actionResults).toEqual([]);
+    expect(finalState.result.issueNumber).toBe(101);
+    expect(finalState.githubOperation.type).toBe(GitHubOperationType.CREATE);
+  });
+
+  it('should not generate issue bodies in degraded mode', async () => {
+    vi.mocked(hasBodyTemplate).mockReturnValue(true);
+    const action = { ...createAction(IntentType.CREATE_BUG, 'Checkout crashes'), degraded: true };
+
+    const finalState = await runWithIntent({ ...action, actions: [action] });
+
+    expect(generateIssueBody).not.toHaveBeenCalled();
+    expect(finalState.githubOperation.type).toBe(GitHubOperationType.CREATE);
+  });
+
+  it('should delete the checkpoints of finished workflows only', async () => {
+    const action = createAction(IntentType.CREATE_BUG, 'Checkout crashes');
+    const threadConfig = { configurable: { thread_id: 'pending-op' } };
+
+    await runWithIntent({ ...action, actions: [action] });
+    expect(await checkpointer.getTuple(threadConfig)).toBeUndefined();
+
+    const lowConfidence = { ...action, confidence: 0.1 };
+    await runWithIntent({ ...lowConfidence, actions: [lowConfidence] });
+    expect(await checkpointer.getTuple(threadConfig)).toBeDefined();
+
+    await resumeWorkflow('pending-op', 'bug', { checkpointer });
+    expect(await checkpointer.getTuple(threadConfig)).toBeUndefined();
+  });
+
+  it('should trace every node run without secrets', async () => {
+    const action = createAction(IntentType.CREATE_BUG, 'Checkout crashes');
+
+    const finalState = await runWithIntent({ ...action, actions: [action] });
+
+    expect(finalState.trace.map(entry => entry.node)).toEqual([
+      'analyze', 'generate', 'format', 'checkDuplicates', 'execute', 'store', 'notify',
+    ]);
+    expect(finalState.trace[0].output.intent.intent).toBe(IntentType.CREATE_BUG);
+    expect(JSON.stringify(finalState.trace)).not.toContain('"token"');
+  });
+
+  it('should fan out one branch per action and notify once', async () => {
+    const actions = [
+      createAction(IntentType.CREATE_BUG, 'Checkout crashes'),
+      createAction(IntentType.CREATE_TASK, 'Update the docs'),
+      createAction(IntentType.CREATE_IDEA, 'Dark mode'),
+    ];
+
+    const finalState = await runWithIntent({ ...actions[0], actions });
+
+    expect(executeNode).toHaveBeenCalledTimes(3);
+    expect(storeNode).toHaveBeenCalledTimes(3);
+    expect(notifyNode).toHaveBeenCalledTimes(1);
+
+    const { actionResults } = finalState;
+    expect(actionResults).toHaveLength(3);
+    expect(actionResults.map(entry => entry.index)).toEqual([0, 1, 2]);
+    expect(actionResults.map(entry => entry.githubOperation.data.title)).toEqual([
+      'Checkout crashes',
+      'Update the docs',
+      'Dark mode',
+    ]);
+
+    // Every action gets its own operation so it can be undone on its own
+    const operationIds = actionResults.map(entry => entry.operationId);
+    expect(new Set(operationIds).size).toBe(3);
+    expect(operationIds).not.toContain('pending-op');
+    expect(finalState.operationId).toBe('pending-op');
+
+    // Each branch's nodes are traced with the index of its action
+    const executeSteps = finalState.trace.filter(entry => entry.node === 'execute');
+    expect(executeSteps.map(entry => entry.action).sort()).toEqual([0, 1, 2]);
+  });
+
+  it('should skip actions below the confidence threshold', async () => {
+    const actions = [
+      createAction(IntentType.CREATE_BUG, 'Checkout crashes'),
+      { ...createAction(IntentType.CREATE_TASK, 'Maybe something'), confidence: 0.05 },
+    ];
+
+    const finalState = await runWithIntent({ ...actions[0], actions });
+
+    expect(executeNode).toHaveBeenCalledTimes(1);
+    expect(finalState.actionResults).toEqual([]);
+  });
+
+  it('should hand messages with an agent request to the agent', async () => {
+    vi.mocked(agentNode).mockImplementation(async (state) => ({
+      ...state,
+      agentRun: { summary: 'Done', actions: [], steps: 1, stoppedAtLimit: false },
+    }));
+    const actions = [
+      createAction(IntentType.CREATE_BUG, 'Checkout crashes'),
+      createAction(IntentType.AGENT_REQUEST, 'Label all auth bugs p1'),
+    ];
+
+    const finalState = await runWithIntent({ ...actions[0], actions });
+
+    expect(agentNode).toHaveBeenCalledTimes(1);
+    expect(executeNode).not.toHaveBeenCalled();
+    expect(notifyNode).toHaveBeenCalledTimes(1);
+    expect(finalState.agentRun.summary).toBe('Done');
+  });
+
+  describe('clarifying questions', () => {
+    const lowConfidence = {
+      intent: IntentType.CREATE_TASK,
+      confidence: 0.1,
+      entities: { labels: [], assignees: [] },
+    };
+
+    it('should ask with an inline keyboard and pause the workflow', async () => {
+      const pausedState = await runWithIntent({ ...lowConfidence, actions: [lowConfidence] });
+
+      expect(executeNode).not.toHaveBeenCalled();
+      expect(pausedState.status).toBe('awaiting_clarification');
+      expect(pausedState.clarification.messageId).toBe(777);
+
+      const [, , , operationId, options] = vi.mocked(postFeedback).mock.calls[0];
+      expect(operationId).toBe('pending-op');
+      expect(options.persistent).toBe(true);
+      const buttons = options.replyMarkup.inline_keyboard.flat().map(button => button.callback_data);
+      expect(buttons).toEqual([
+        'clarify_pending-op_bug',
+        'clarify_pending-op_task',
+        'clarify_pending-op_idea',
+        'clarify_pending-op_ignore',
+      ]);
+    });
+
+    it('should ask in the language of the message', async () => {
+      vi.mocked(analyzeNode).mockImplementation(async (state) => ({
+        ...state,
+        intent: { ...lowConfidence, actions: [lowConfidence] },
+        language: 'uk',
+      }));
+
+      await executeWorkflow({
+        ...createInitialState(
+          { message_id: 42, chat: { id: -100123 }, from: { id: 1 }, text: 'Не працює вхід' },
+          { githubRepo: 'owner/repo', githubToken: 'token', settings: {} }
+        ),
+        operationId: 'pending-op',
+      }, { checkpointer });
+
+      const [, , question, , options] = vi.mocked(postFeedback).mock.calls[0];
+      expect(question).toContain('Що з ним зробити?');
+      expect(options.replyMarkup.inline_keyboard[0][1].text).toBe('🫡 Завдання');
+    });
+
+    it('should resume from format with the chosen intent', async () => {
+      await runWithIntent({ ...lowConfidence, actions: [lowConfidence] });
+
+      const finalState = await resumeWorkflow('pending-op', 'bug', { checkpointer });
+
+      expect(analyzeNode).toHaveBeenCalledTimes(1);
+      expect(executeNode).toHaveBeenCalledTimes(1);
+      expect(notifyNode).toHaveBeenCalledTimes(1);
+      expect(finalState.intent.intent).toBe(IntentType.CREATE_BUG);
+      expect(finalState.githubOperation.data.labels).toContain('bug');
+      expect(finalState.githubOperation.data.title).toBe('test');
+    });
+
+    it('should end without acting when ignored', async () => {
+      await runWithIntent({ ...lowConfidence, actions: [lowConfidence] });
+
+      const finalState = await resumeWorkflow('pending-op', 'ignore', { checkpointer });
+
+      expect(executeNode).not.toHaveBeenCalled();
+      expect(notifyNode).not.toHaveBeenCalled();
+      expect(finalState.clarification.choice).toBe('ignore');
+    });
+
+    it('should not resume a workflow twice', async () => {
+      await runWithIntent({ ...lowConfidence, actions: [lowConfidence] });
+      await resumeWorkflow('pending-op', 'task', { checkpointer });
+
+      const secondResume = await resumeWorkflow('pending-op', 'idea', { checkpointer });
+
+      expect(secondResume).toBeNull();
+      expect(executeNode).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('draft mode', () => {
+    const draftSettings = { draftMode: true };
+    const bug = createAction(IntentType.CREATE_BUG, 'Checkout crashes');
+
+    it('should post a preview card and wait instead of creating the issue', async () => {
+      const pausedState = await runWithIntent({ ...bug, actions: [bug] }, draftSettings);
+
+      expect(executeNode).not.toHaveBeenCalled();
+      expect(pausedState.status).toBe('awaiting_confirmation');
+      expect(pausedState.draft.messageId).toBe(777);
+
+      const [, , message, , options] = vi.mocked(postFeedback).mock.calls[0];
+      expect(message).toContain('Checkout crashes');
+      expect(message).toContain('bug, telegit');
+      expect(options.persistent).toBe(true);
+      const buttons = options.replyMarkup.inline_keyboard.flat().map(button => button.callback_data);
+      expect(buttons).toEqual([
+        'draft_pending-op_create',
+        'draft_pending-op_edit',
+        'draft_pending-op_cancel',
+      ]);
+    });
+
+    it('should create the issue once confirmed', async () => {
+      await runWithIntent({ ...bug, actions: [bug] }, draftSettings);
+
+      const finalState = await resumeWorkflow('pending-op', { decision: 'create' }, { checkpointer });
+
+      expect(executeNode).toHaveBeenCalledTimes(1);
+      expect(notifyNode).toHaveBeenCalledTimes(1);
+      expect(finalState.result.issueNumber).toBe(101);
+    });
+
+    it('should refresh the preview with an edited title and keep waiting', async () => {
+      await runWithIntent({ ...bug, actions: [bug] }, draftSettings);
+
+      const pausedState = await resumeWorkflow('pending-op', {
+        decision: 'edit',
+        title: 'Checkout crashes on empty cart',
+      }, { checkpointer });
+
+      expect(executeNode).not.toHaveBeenCalled();
+      expect(pausedState.status).toBe('awaiting_confirmation');
+      expect(postFeedback).toHaveBeenCalledTimes(1);
+      expect(vi.mocked(editFeedback).mock.calls[0][1]).toBe(777);
+      expect(vi.mocked(editFeedback).mock.calls[0][2]).toContain('Checkout crashes on empty cart');
+
+      const finalState = await resumeWorkflow('pending-op', { decision: 'create' }, { checkpointer });
+
+      expect(executeNode).toHaveBeenCalledTimes(1);
+      expect(finalState.githubOperation.data.title).toBe('Checkout crashes on empty cart');
+    });
+
+    it('should end without creating the issue when cancelled', async () => {
+      await runWithIntent({ ...bug, actions: [bug] }, draftSettings);
+
+      const finalState = await resumeWorkflow('pending-op', { decision: 'cancel' }, { checkpointer });
+
+      expect(executeNode).not.toHaveBeenCalled();
+      expect(notifyNode).not.toHaveBeenCalled();
+      expect(finalState.draft.decision).toBe('cancel');
+    });
+
+    it('should not fan out multi-action messages', async () => {
+      const actions = [bug, createAction(IntentType.CREATE_TASK, 'Update the docs')];
+
+      const pausedState = await runWithIntent({ ...actions[0], actions }, draftSettings);
+
+      expect(executeNode).not.toHaveBeenCalled();
+      expect(pausedState.actionResults).toEqual([]);
+      expect(postFeedback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should draft the actions of a multi-action message in turn', async () => {
+      const actions = [bug, createAction(IntentType.CREATE_TASK, 'Update the docs')];
+
+      await runWithIntent({ ...actions[0], actions }, draftSettings);
+
+      const pausedState = await resumeWorkflow('pending-op', { decision: 'create' }, { checkpointer });
+
+      expect(executeNode).toHaveBeenCalledTimes(1);
+      expect(pausedState.status).toBe('awaiting_confirmation');
+      expect(postFeedback).toHaveBeenCalledTimes(2);
+      const [, , message, operationId, options] = vi.mocked(postFeedback).mock.calls[1];
+      expect(message).toContain('Update the docs');
+      expect(operationId).toBe('pending-op');
+      expect(options.replyMarkup.inline_keyboard[0][0].callback_data).toBe('draft_pending-op_create');
+
+      const finalState = await resumeWorkflow('pending-op', { decision: 'create' }, { checkpointer });
+
+      expect(executeNode).toHaveBeenCalledTimes(2);
+      expect(vi.mocked(executeNode).mock.calls[1][0].githubOperation.data.title).toBe('Update the docs');
+      expect(notifyNode).toHaveBeenCalledTimes(2);
+      expect(finalState.result.issueNumber).toBe(102);
+      expect(finalState.draftQueue.operationIds).toEqual(['op-101']);
+    });
+
+    it('should draft the next action when one is cancelled', async () => {
+      const actions = [bug, createAction(IntentType.CREATE_TASK, 'Update the docs')];
+
+      await runWithIntent({ ...actions[0], actions }, draftSettings);
+      await resumeWorkflow('pending-op', { decision: 'cancel' }, { checkpointer });
+
+      expect(executeNode).not.toHaveBeenCalled();
+      expect(postFeedback).toHaveBeenCalledTimes(2);
+      expect(vi.mocked(postFeedback).mock.calls[1][2]).toContain('Update the docs');
+
+      const finalState = await resumeWorkflow('pending-op', { decision: 'create' }, { checkpointer });
+
+      expect(executeNode).toHaveBeenCalledTimes(1);
+      expect(finalState.result.issueNumber).toBe(101);
+      expect(finalState.draftQueue.operationIds).toEqual([]);
+    });
+  });
+
+  describe('duplicate detection', () => {
+    const bug = createAction(IntentType.CREATE_BUG, 'Checkout crashes');
+    const candidate = {
+      number: 12,
+      title: 'Checkout crashes on payment',
+      url: 'https://github.com/owner/repo/issues/12',
+      score: 0.8,
+    };
+
+    beforeEach(() => {
+      vi.mocked(findDuplicateIssues).mockResolvedValue([candidate]);
+    });
+
+    it('should ask before creating an issue similar to an open one', async () => {
+      const pausedState = await runWithIntent({ ...bug, actions: [bug] });
+
+      expect(executeNode).not.toHaveBeenCalled();
+      expect(pausedState.status).toBe('awaiting_duplicate_decision');
+
+      const [, , message, , options] = vi.mocked(postFeedback).mock.calls[0];
+      expect(message).toContain('#12');
+      expect(options.persistent).toBe(true);
+      const buttons = options.replyMarkup.inline_keyboard.flat().map(button => button.callback_data);
+      expect(buttons).toEqual(['dup_pending-op_12', 'dup_pending-op_create']);
+    });
+
+    it('should comment on the existing issue instead', async () => {
+      await runWithIntent({ ...bug, actions: [bug] });
+
+      const finalState = await resumeWorkflow('pending-op', {
+        decision: 'comment',
+        issueNumber: 12,
+      }, { checkpointer });
+
+      expect(executeNode).toHaveBeenCalledTimes(1);
+      expect(finalState.intent.intent).toBe(IntentType.COMMENT_ISSUE);
+      expect(finalState.githubOperation.type).toBe(GitHubOperationType.COMMENT);
+      expect(finalState.githubOperation.data.issueNumber).toBe(12);
+      expect(finalState.githubOperation.data.body).toContain('Checkout crashes');
+    });
+
+    it('should create the issue anyway', async () => {
+      await runWithIntent({ ...bug, actions: [bug] });
+
+      const finalState = await resumeWorkflow('pending-op', { decision: 'create' }, { checkpointer });
+
+      expect(executeNode).toHaveBeenCalledTimes(1);
+      expect(finalState.githubOperation.type).toBe(GitHubOperationType.CREATE);
+      expect(finalState.duplicates.decision).toBe('create');
+    });
+
+    it('should create the issue when the search fails', async () => {
+      vi.mocked(findDuplicateIssues).mockRejectedValue(new Error('search unavailable'));
+
+      const finalState = await runWithIntent({ ...bug, actions: [bug] });
+
+      expect(executeNode).toHaveBeenCalledTimes(1);
+      expect(postFeedback).not.toHaveBeenCalled();
+      expect(finalState.result.issueNumber).toBe(101);
+    });
+  });
+
+  describe('recovery', () => {
+    const bug = createAction(IntentType.CREATE_BUG, 'Checkout crashes');
+
+    beforeEach(() => {
+      checkpointer.listThreadIds = vi.fn(async () => ['pending-op']);
+    });
+
+    it('should find and finish a workflow interrupted mid-run', async () => {
+      vi.mocked(executeNode).mockRejectedValueOnce(new Error('Process killed'));
+      await runWithIntent({ ...bug, actions: [bug] });
+
+      expect(await findInterruptedWorkflows({ checkpointer })).toEqual(['pending-op']);
+
+      const finalState = await recoverWorkflow('pending-op', { checkpointer });
+
+      expect(analyzeNode).toHaveBeenCalledTimes(1);
+      expect(executeNode).toHaveBeenCalledTimes(2);
+      expect(vi.mocked(executeNode).mock.calls[1][1].configurable.recovering).toBe(true);
+      expect(notifyNode).toHaveBeenCalledTimes(1);
+      expect(finalState.result.issueNumber).toBe(101);
+      expect(await findInterruptedWorkflows({ checkpointer })).toEqual([]);
+    });
+
+    it('should tell fanned-out actions which operation records their GitHub calls', async () => {
+      const task = createAction(IntentType.CREATE_TASK, 'Update the docs');
+      vi.mocked(executeNode).mockImplementationOnce(async () => {
+        throw new Error('Process killed');
+      });
+      await runWithIntent({ ...bug, actions: [bug, task] });
+
+      await recoverWorkflow('pending-op', { checkpointer });
+
+      // Both branches run again, so each must find the GitHub calls of its own action
+      const recovered = vi.mocked(executeNode).mock.calls
+        .map(([, config]) => config.configurable)
+        .filter(configurable => configurable.recovering);
+      expect(recovered.map(({ operationId, actionIndex }) => ({ operationId, actionIndex }))).toEqual([
+        { operationId: 'pending-op', actionIndex: 0 },
+        { operationId: 'pending-op', actionIndex: 1 },
+      ]);
+    });
+
+    it('should report an interrupted agent run instead of finishing it', async () => {
+      const request = createAction(IntentType.AGENT_REQUEST, 'Label all auth bugs p1');
+      vi.mocked(agentNode)
+        .mockRejectedValueOnce(new Error('Process killed'))
+        .mockImplementationOnce(async (state) => ({
+          ...state,
+          error: { message: 'Agent run was interrupted before it finished', code: 'AGENT_INTERRUPTED', details: null },
+        }));
+      await runWithIntent({ ...request, actions: [request] });
+
+      expect(await findInterruptedWorkflows({ checkpointer })).toEqual(['pending-op']);
+
+      const finalState = await recoverWorkflow('pending-op', { checkpointer });
+
+      expect(vi.mocked(agentNode).mock.calls[1][1].configurable.recovering).toBe(true);
+      expect(errorNode).toHaveBeenCalledTimes(1);
+      expect(notifyNode).not.toHaveBeenCalled();
+      expect(finalState.error.code).toBe('AGENT_INTERRUPTED');
+      expect(await findInterruptedWorkflows({ checkpointer })).toEqual([]);
+    });
+
+    it('should leave finished and paused workflows alone', async () => {
+      await runWithIntent({ ...bug, actions: [bug] });
+      expect(await findInterruptedWorkflows({ checkpointer })).toEqual([]);
+
+      const lowConfidence = { ...bug, confidence: 0.1 };
+      checkpointer = new MemorySaver();
+      checkpointer.listThreadIds = vi.fn(async () => ['pending-op']);
+      await runWithIntent({ ...lowConfidence, actions: [lowConfidence] });
+
+      expect(await findInterruptedWorkflows({ checkpointer })).toEqual([]);
+      expect(await recoverWorkflow('pending-op', { checkpointer })).toBeNull();
+    });
+  });
+});
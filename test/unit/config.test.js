@@ -86,6 +86,91 @@ describe('Configuration Loader', () => {
     expect(() => loadConfig()).toThrow(/TELEGRAM_BOT_TOKEN/);
   });
 
+  it('should require OPENAI_API_KEY when provider is openai', () => {
+    process.env.LLM_PROVIDER = 'openai';
+    delete process.env.OPENAI_API_KEY;
+
+    expect(() => loadConfig()).toThrow(/OPENAI_API_KEY/);
+  });
+
+  it('should require ANTHROPIC_API_KEY when provider is anthropic', () => {
+    process.env.LLM_PROVIDER = 'anthropic';
+    delete process.env.ANTHROPIC_API_KEY;
+
+    expect(() => loadConfig()).toThrow(/ANTHROPIC_API_KEY/);
+  });
+
+  it('should load Anthropic configuration without an OpenAI key', () => {
+    process.env.LLM_PROVIDER = 'anthropic';
+    process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
+    process.env.ANTHROPIC_MODEL = 'claude-test-model';
+    process.env.ANTHROPIC_TEMPERATURE = '0.4';
+    delete process.env.OPENAI_API_KEY;
+
+    const config = loadConfig();
+
+    expect(config.llm.provider).toBe('anthropic');
+    expect(config.llm.anthropic).toEqual({
+      apiKey: 'test-anthropic-key',
+      model: 'claude-test-model',
+      temperature: 0.4,
+    });
+  });
+
+  it('should load an OpenAI-compatible endpoint without any API key', () => {
+    process.env.LLM_PROVIDER = 'openai_compatible';
+    process.env.OPENAI_COMPATIBLE_BASE_URL = 'http://localhost:11434/v1';
+    process.env.OPENAI_COMPATIBLE_CLASSIFIER_MODEL = 'qwen2.5:7b';
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_COMPATIBLE_API_KEY;
+
+    const config = loadConfig();
+
+    expect(config.llm.provider).toBe('openai_compatible');
+    expect(config.llm.openaiCompatible.baseUrl).toBe('http://localhost:11434/v1');
+    expect(config.llm.openaiCompatible.apiKey).toBeUndefined();
+    expect(config.llm.openaiCompatible.classifierModel).toBe('qwen2.5:7b');
+  });
+
+  it('should require a base URL for the OpenAI-compatible provider', () => {
+    process.env.LLM_PROVIDER = 'openai_compatible';
+    delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+
+    expect(() => loadConfig()).toThrow(/OPENAI_COMPATIBLE_BASE_URL/);
+  });
+
+  it('should require an endpoint URL for whisper transcription', () => {
+    process.env.TRANSCRIPTION_PROVIDER = 'whisper';
+    delete process.env.TRANSCRIPTION_URL;
+
+    expect(() => loadConfig()).toThrow(/TRANSCRIPTION_URL/);
+  });
+
+  it('should default OpenAI transcription to the OpenAI API and key', () => {
+    process.env.TRANSCRIPTION_PROVIDER = 'openai';
+    process.env.OPENAI_API_KEY = 'sk-test';
+    delete process.env.TRANSCRIPTION_URL;
+    delete process.env.TRANSCRIPTION_API_KEY;
+
+    const config = loadConfig();
+
+    expect(config.transcription).toEqual({
+      provider: 'openai',
+      url: 'https://api.openai.com/v1',
+      apiKey: 'sk-test',
+      model: 'whisper-1',
+      maxDurationSeconds: 300,
+      spokenTriggers: false,
+    });
+  });
+
+  it('should derive the public URL from a bare webhook domain', () => {
+    delete process.env.PUBLIC_URL;
+    process.env.WEBHOOK_DOMAIN = 'bot.example.com/';
+
+    expect(loadConfig().app.publicUrl).toBe('https://bot.example.com');
+  });
+
   it('should apply default values for optional variables', () => {
     const config = loadConfig();
 
@@ -306,6 +306,58 @@ describe('Database Repositories', () => {
       expect(completedOps.every(op => op.status === 'completed')).toBe(true);
     });
 
+    it('should prefer the traced operation that created an issue', async () => {
+      const trace = { nodes: [] };
+      const created = await operationsRepo.createOperation({
+        telegramGroupId: testGroupId,
+        telegramMessageId: faker.number.int({ min: 1, max: 999999 }),
+        operationType: 'create_bug',
+        operationData: { githubIssueNumber: 42 },
+        status: 'completed',
+      });
+      const updated = await operationsRepo.createOperation({
+        telegramGroupId: testGroupId,
+        telegramMessageId: faker.number.int({ min: 1, max: 999999 }),
+        operationType: 'update_issue',
+        operationData: { githubIssueNumber: '42' },
+        status: 'completed',
+      });
+      await operationsRepo.updateOperationTrace(created.id, trace);
+      await operationsRepo.updateOperationTrace(updated.id, trace);
+
+      const operation = await operationsRepo.getTracedIssueOperation(testGroupId, '42');
+
+      expect(operation.id).toBe(created.id);
+    });
+
+    it('should fall back to the latest traced operation on an issue', async () => {
+      const updated = await operationsRepo.createOperation({
+        telegramGroupId: testGroupId,
+        telegramMessageId: faker.number.int({ min: 1, max: 999999 }),
+        operationType: 'update_issue',
+        operationData: { githubIssueNumber: '7' },
+        status: 'completed',
+      });
+      await operationsRepo.updateOperationTrace(updated.id, { nodes: [] });
+
+      const operation = await operationsRepo.getTracedIssueOperation(testGroupId, 7);
+
+      expect(operation.id).toBe(updated.id);
+    });
+
+    it('should record the GitHub calls of a workflow', async () => {
+      const operation = await operationsRepo.createOperation({
+        telegramGroupId: testGroupId,
+        telegramMessageId: faker.number.int({ min: 1, max: 999999 }),
+        operationType: 'pending',
+      });
+
+      await operationsRepo.recordSideEffect(operation.id, 1, 'comment', { id: 7 });
+
+      expect(await operationsRepo.getSideEffects(operation.id, 1)).toEqual({ comment: { id: 7 } });
+      expect(await operationsRepo.getSideEffects(operation.id, 0)).toEqual({});
+    });
+
     it('should delete operation', async () => {
       const operation = await operationsRepo.createOperation({
         telegramGroupId: testGroupId,
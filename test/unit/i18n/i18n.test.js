@@ -0,0 +1,100 @@
+/**
+ * Unit tests for translations
+ * Verifies language detection, locale resolution and catalog lookups
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectLanguage,
+  resolveLocale,
+  getMessageLocale,
+  getLanguageName,
+  t,
+} from '../../../src/i18n/index.js';
+import en from '../../../src/i18n/locales/en.js';
+import ru from '../../../src/i18n/locales/ru.js';
+import uk from '../../../src/i18n/locales/uk.js';
+
+/**
+ * Lists the dotted keys of a catalog
+ * @param {Object} catalog - Catalog
+ * @param {string} [prefix] - Key prefix
+ * @returns {string[]} Keys of all strings and plural entries
+ */
+function listKeys(catalog, prefix = '') {
+  return Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === 'object' && !('other' in value)
+      ? listKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+}
+
+describe('i18n', () => {
+  describe('detectLanguage', () => {
+    it('should detect English, Russian and Ukrainian', () => {
+      expect(detectLanguage('Login fails on Safari')).toBe('en');
+      expect(detectLanguage('Не работает вход в Safari, ошибка 500')).toBe('ru');
+      expect(detectLanguage('Не працює вхід у Safari, помилка 500')).toBe('uk');
+    });
+
+    it('should ignore mentions, hashtags, links and code', () => {
+      expect(detectLanguage('@telegit_bot #bug падает `npm run build` https://example.com/login')).toBe('ru');
+    });
+
+    it('should return null when there are too few letters', () => {
+      expect(detectLanguage('@telegit_bot #bug 42')).toBeNull();
+      expect(detectLanguage('')).toBeNull();
+    });
+  });
+
+  describe('resolveLocale', () => {
+    it('should map language codes to supported locales', () => {
+      expect(resolveLocale('ru')).toBe('ru');
+      expect(resolveLocale('uk-UA')).toBe('uk');
+      expect(resolveLocale('de')).toBe('en');
+      expect(resolveLocale(undefined)).toBe('en');
+    });
+  });
+
+  describe('getMessageLocale', () => {
+    it('should prefer the message language over the sender language', () => {
+      expect(getMessageLocale({ text: 'Login fails on Safari', from: { language_code: 'ru' } })).toBe('en');
+    });
+
+    it('should fall back to the sender language for short messages', () => {
+      expect(getMessageLocale({ text: '#bug 42', from: { language_code: 'uk' } })).toBe('uk');
+    });
+  });
+
+  describe('t', () => {
+    it('should fill placeholders', () => {
+      expect(t('en', 'notify.closed', { number: 42 })).toBe('Issue #42 closed!');
+      expect(t('ru', 'notify.closed', { number: 42 })).toBe('Задача #42 закрыта!');
+    });
+
+    it('should pick plural forms by count', () => {
+      expect(t('en', 'search.found', { count: 1, subject: '' })).toBe('🔍 Found 1 issue:');
+      expect(t('ru', 'search.found', { count: 3, subject: '' })).toBe('🔍 Найдено 3 задачи:');
+      expect(t('ru', 'search.found', { count: 5, subject: '' })).toBe('🔍 Найдено 5 задач:');
+      expect(t('uk', 'search.found', { count: 21, subject: '' })).toBe('🔍 Знайдено 21 задачу:');
+    });
+
+    it('should fall back to English and then to the key', () => {
+      expect(t('de', 'notify.created')).toBe('Issue created successfully!');
+      expect(t('ru', 'notify.missing')).toBe('notify.missing');
+    });
+  });
+
+  describe('catalogs', () => {
+    it('should translate every English key', () => {
+      const keys = listKeys(en);
+
+      expect(listKeys(ru)).toEqual(keys);
+      expect(listKeys(uk)).toEqual(keys);
+    });
+  });
+
+  it('should name languages in English', () => {
+    expect(getLanguageName('uk')).toBe('Ukrainian');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for duplicate issue search
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  extractKeywords,
+  scoreSimilarity,
+  buildDuplicateQuery,
+  findDuplicateIssues,
+} from '../../../src/integrations/github/duplicate-search.js';
+import { mockGitHubIssue } from '../../mocks/github.js';
+
+/**
+ * Builds a GitHub tools stand-in whose search returns the given issues
+ * @param {Object[]} issues - Issues returned by search_issues
+ * @returns {Object} Tools instance and search tool
+ */
+function createTools(issues) {
+  const searchTool = {
+    invoke: vi.fn(async () => JSON.stringify({ total_count: issues.length, items: issues })),
+  };
+
+  return {
+    searchTool,
+    tools: { getTool: (name) => (name === 'search_issues' ? searchTool : null) },
+  };
+}
+
+describe('Duplicate Search', () => {
+  describe('extractKeywords', () => {
+    it('should lowercase, dedupe and drop short and stop words', () => {
+      expect(extractKeywords('The Checkout page crashes, checkout is down!')).toEqual([
+        'checkout',
+        'page',
+        'crashes',
+        'down',
+      ]);
+    });
+  });
+
+  describe('scoreSimilarity', () => {
+    it('should score identical titles above unrelated ones', () => {
+      const draft = { title: 'Checkout page crashes', description: 'Payment fails with 500' };
+
+      const same = scoreSimilarity(draft, { title: 'Checkout page crashes', body: '' });
+      const unrelated = scoreSimilarity(draft, { title: 'Add dark mode', body: 'Night theme' });
+
+      expect(same).toBeGreaterThanOrEqual(0.7);
+      expect(unrelated).toBe(0);
+    });
+  });
+
+  describe('buildDuplicateQuery', () => {
+    it('should OR together at most five keywords', () => {
+      const query = buildDuplicateQuery('Checkout page crashes', 'Payment fails with error 500 on mobile');
+
+      expect(query).toBe('is:open checkout OR page OR crashes OR payment OR fails');
+    });
+
+    it('should return null when there is nothing to search for', () => {
+      expect(buildDuplicateQuery('a bug', '')).toBeNull();
+    });
+  });
+
+  describe('findDuplicateIssues', () => {
+    it('should return similar open issues, most similar first', async () => {
+      const { tools, searchTool } = createTools([
+        mockGitHubIssue({ number: 7, title: 'Checkout crashes on mobile', body: 'Crash' }),
+        mockGitHubIssue({
+          number: 3,
+          title: 'Checkout page crashes',
+          body: 'Crash',
+          html_url: 'https://github.com/owner/repo/issues/3',
+        }),
+        mockGitHubIssue({ number: 9, title: 'Update the documentation', body: 'Docs' }),
+      ]);
+
+      const candidates = await findDuplicateIssues(tools, {
+        repository: 'owner/repo',
+        title: 'Checkout page crashes',
+        threshold: 0.4,
+      });
+
+      expect(candidates.map(candidate => candidate.number)).toEqual([3, 7]);
+      expect(candidates[0].url).toBe('https://github.com/owner/repo/issues/3');
+      expect(searchTool.invoke).toHaveBeenCalledWith(expect.objectContaining({
+        owner: 'owner',
+        repo: 'repo',
+        query: 'is:open checkout OR page OR crashes',
+      }));
+    });
+
+    it('should ignore pull requests', async () => {
+      const { tools } = createTools([
+        mockGitHubIssue({ number: 4, title: 'Checkout page crashes', pull_request: {} }),
+      ]);
+
+      const candidates = await findDuplicateIssues(tools, {
+        repository: 'owner/repo',
+        title: 'Checkout page crashes',
+        threshold: 0.4,
+      });
+
+      expect(candidates).toEqual([]);
+    });
+  });
+});
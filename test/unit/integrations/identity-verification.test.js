@@ -0,0 +1,80 @@
+/**
+ * Unit tests for GitHub identity verification
+ * Verifies bio and gist token checks with a stubbed fetch
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  isValidGitHubLogin,
+  createVerificationToken,
+  verifyGitHubIdentity,
+  VerificationMethod,
+} from '../../../src/integrations/github/identity-verification.js';
+
+const TOKEN = 'telegit-verify-0123456789abcdef';
+
+/**
+ * Creates a fetch stub answering from a URL map
+ * @param {Object<string, *>} routes - Response bodies keyed by URL (missing URLs return 404)
+ * @returns {Function} fetch stub
+ */
+function createFetch(routes) {
+  return vi.fn(async (url) => {
+    if (!(url in routes)) {
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    }
+
+    const body = routes[url];
+    return {
+      ok: true,
+      status: 200,
+      json: async () => body,
+      text: async () => body,
+    };
+  });
+}
+
+describe('GitHub Identity Verification', () => {
+  it('should validate GitHub logins', () => {
+    expect(isValidGitHubLogin('octo-cat')).toBe(true);
+    expect(isValidGitHubLogin('-octocat')).toBe(false);
+    expect(isValidGitHubLogin('octo--cat')).toBe(false);
+    expect(isValidGitHubLogin('a'.repeat(40))).toBe(false);
+  });
+
+  it('should create unique tokens', () => {
+    expect(createVerificationToken()).toMatch(/^telegit-verify-[a-f0-9]{16}$/);
+    expect(createVerificationToken()).not.toBe(createVerificationToken());
+  });
+
+  it('should verify through the profile bio', async () => {
+    const fetchFn = createFetch({
+      'https://api.github.com/users/octocat': { login: 'octocat', bio: `Hi! ${TOKEN}` },
+    });
+
+    await expect(verifyGitHubIdentity('octocat', TOKEN, { fetchFn })).resolves.toBe(VerificationMethod.BIO);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should verify through a public gist file', async () => {
+    const fetchFn = createFetch({
+      'https://api.github.com/users/octocat': { login: 'octocat', bio: null },
+      'https://api.github.com/users/octocat/gists?per_page=5': [
+        { description: 'notes', files: { 'a.txt': { filename: 'a.txt', raw_url: 'https://gist.githubusercontent.com/a.txt' } } },
+      ],
+      'https://gist.githubusercontent.com/a.txt': `token: ${TOKEN}`,
+    });
+
+    await expect(verifyGitHubIdentity('octocat', TOKEN, { fetchFn })).resolves.toBe(VerificationMethod.GIST);
+  });
+
+  it('should not verify when the token is missing or the user does not exist', async () => {
+    const fetchFn = createFetch({
+      'https://api.github.com/users/octocat': { login: 'octocat', bio: 'Hi!' },
+      'https://api.github.com/users/octocat/gists?per_page=5': [],
+    });
+
+    await expect(verifyGitHubIdentity('octocat', TOKEN, { fetchFn })).resolves.toBeNull();
+    await expect(verifyGitHubIdentity('ghost', TOKEN, { fetchFn })).resolves.toBeNull();
+  });
+});
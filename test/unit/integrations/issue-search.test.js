@@ -0,0 +1,108 @@
+/**
+ * Unit tests for issue search
+ * Verifies query building and result paging with a stubbed search tool
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { buildSearchQuery, searchIssues, stripScopeQualifiers, SEARCH_PAGE_SIZE } from '../../../src/integrations/github/issue-search.js';
+
+describe('Issue Search', () => {
+  describe('buildSearchQuery', () => {
+    it('should add label, state and further qualifiers', () => {
+      expect(buildSearchQuery(' login crash ', { labels: ['bug', 'needs triage'], qualifiers: ['assignee:alice'] }))
+        .toBe('login crash label:bug label:"needs triage" is:open assignee:alice');
+    });
+
+    it('should not restrict the state when all issues are wanted', () => {
+      expect(buildSearchQuery('export', { state: 'all' })).toBe('export');
+    });
+
+    it('should drop qualifiers that search other repositories', () => {
+      expect(buildSearchQuery('login repo:acme/secret ORG:acme', {
+        qualifiers: ['user:mallory', 'assignee:alice', '-repo:"owner/repo"'],
+      })).toBe('login is:open assignee:alice');
+    });
+  });
+
+  describe('stripScopeQualifiers', () => {
+    it('should keep the rest of the query', () => {
+      expect(stripScopeQualifiers('repo:acme/secret crash label:bug')).toBe('crash label:bug');
+      expect(stripScopeQualifiers('reporepo:x')).toBe('reporepo:x');
+    });
+  });
+
+  describe('searchIssues', () => {
+    it('should request one page and summarize the issues', async () => {
+      const invoke = vi.fn(async () => JSON.stringify({
+        total_count: 12,
+        items: [{
+          number: 42,
+          title: 'Login fails',
+          state: 'open',
+          labels: [{ name: 'bug' }],
+          assignees: [{ login: 'alice' }],
+          html_url: 'https://github.com/owner/repo/issues/42',
+        }],
+      }));
+      const tools = { getTool: vi.fn(() => ({ invoke })) };
+
+      const result = await searchIssues(tools, { repository: 'owner/repo', query: 'login', page: 2 });
+
+      expect(invoke).toHaveBeenCalledWith({
+        query: 'repo:owner/repo login is:open',
+        owner: 'owner',
+        repo: 'repo',
+        page: 2,
+        perPage: SEARCH_PAGE_SIZE,
+      });
+      expect(result).toEqual({
+        query: 'login is:open',
+        issues: [{
+          number: 42,
+          title: 'Login fails',
+          state: 'open',
+          labels: ['bug'],
+          assignee: 'alice',
+          url: 'https://github.com/owner/repo/issues/42',
+        }],
+        totalCount: 12,
+        page: 2,
+        perPage: SEARCH_PAGE_SIZE,
+      });
+    });
+
+    it('should keep plain searches in the group repository', async () => {
+      const invoke = vi.fn(async () => JSON.stringify({ total_count: 0, items: [] }));
+      const tools = { getTool: vi.fn(() => ({ invoke })) };
+
+      const result = await searchIssues(tools, { repository: 'owner/repo', query: 'tokens repo:acme/secret' });
+
+      expect(invoke).toHaveBeenCalledWith(expect.objectContaining({ query: 'repo:owner/repo tokens is:open' }));
+      expect(result.query).toBe('tokens is:open');
+    });
+
+    it('should keep translated searches in the group repository', async () => {
+      const invoke = vi.fn(async () => JSON.stringify({ total_count: 0, items: [] }));
+      const tools = { getTool: vi.fn(() => ({ invoke })) };
+
+      await searchIssues(tools, {
+        repository: 'owner/repo',
+        query: 'login org:acme',
+        labels: ['bug'],
+        state: 'open',
+        qualifiers: ['repo:acme/secret', 'created:>=2026-10-12'],
+      });
+
+      expect(invoke).toHaveBeenCalledWith(expect.objectContaining({
+        query: 'repo:owner/repo login label:bug is:open created:>=2026-10-12',
+      }));
+    });
+
+    it('should fail without the search tool', async () => {
+      const tools = { getTool: vi.fn(() => null) };
+
+      await expect(searchIssues(tools, { repository: 'owner/repo', query: 'x' }))
+        .rejects.toThrow('search_issues tool not available');
+    });
+  });
+});
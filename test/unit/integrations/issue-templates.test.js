@@ -0,0 +1,175 @@
+/**
+ * Unit tests for repository issue templates
+ * Verifies parsing, selection and filling of markdown templates and issue forms
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parseIssueTemplate,
+  fetchIssueTemplates,
+  selectIssueTemplate,
+  renderIssueTemplate,
+  NO_RESPONSE,
+} from '../../../src/integrations/github/issue-templates.js';
+
+const BUG_TEMPLATE = `---
+name: Bug report
+about: Create a report to help us improve
+title: "[BUG]"
+labels: bug, triage
+assignees: ''
+---
+
+**Describe the bug**
+A clear and concise description of what the bug is.
+
+**To Reproduce**
+Steps to reproduce the behavior:
+1. Go to '...'
+
+**Expected behavior**
+<!-- What did you expect? -->
+
+**Checklist**
+- [ ] I searched existing issues
+`;
+
+const FEATURE_FORM = `name: Feature request
+description: Suggest an idea for this project
+title: "[Feature]: "
+labels: ["enhancement"]
+body:
+  - type: markdown
+    attributes:
+      value: Thanks for the suggestion!
+  - type: textarea
+    id: proposal
+    attributes:
+      label: What would you like to see?
+    validations:
+      required: true
+  - type: dropdown
+    id: area
+    attributes:
+      label: Area
+      options:
+        - Bot
+        - Dashboard
+    validations:
+      required: true
+  - type: input
+    id: version
+    attributes:
+      label: Version
+  - type: checkboxes
+    id: terms
+    attributes:
+      label: Code of Conduct
+      options:
+        - label: I agree to follow the Code of Conduct
+`;
+
+describe('Issue Templates', () => {
+  describe('parseIssueTemplate', () => {
+    it('should parse markdown templates with front matter', () => {
+      const template = parseIssueTemplate('bug_report.md', BUG_TEMPLATE);
+
+      expect(template.kind).toBe('markdown');
+      expect(template.name).toBe('Bug report');
+      expect(template.title).toBe('[BUG]');
+      expect(template.labels).toEqual(['bug', 'triage']);
+      expect(template.assignees).toEqual([]);
+    });
+
+    it('should parse issue forms without markdown elements', () => {
+      const template = parseIssueTemplate('feature.yml', FEATURE_FORM);
+
+      expect(template.kind).toBe('form');
+      expect(template.labels).toEqual(['enhancement']);
+      expect(template.fields.map(field => field.type)).toEqual(['textarea', 'dropdown', 'input', 'checkboxes']);
+    });
+
+    it('should ignore files that are not templates', () => {
+      expect(parseIssueTemplate('notes.md', '# Notes')).toBeNull();
+      expect(parseIssueTemplate('other.yml', 'blank_issues_enabled: false')).toBeNull();
+    });
+  });
+
+  describe('selectIssueTemplate', () => {
+    it('should pick the template matching the keywords', () => {
+      const templates = [
+        parseIssueTemplate('bug_report.md', BUG_TEMPLATE),
+        parseIssueTemplate('feature.yml', FEATURE_FORM),
+      ];
+
+      expect(selectIssueTemplate(templates, ['feature', 'enhancement']).fileName).toBe('feature.yml');
+      expect(selectIssueTemplate(templates, ['bug', 'crash']).fileName).toBe('bug_report.md');
+      expect(selectIssueTemplate(templates, ['task', 'chore'])).toBeNull();
+    });
+  });
+
+  describe('renderIssueTemplate', () => {
+    it('should fill markdown sections and drop guidance text', () => {
+      const template = parseIssueTemplate('bug_report.md', BUG_TEMPLATE);
+
+      const body = renderIssueTemplate(template, {
+        description: 'Login fails on Safari.',
+        steps: '1. Open login\n2. Submit',
+      });
+
+      expect(body).toContain('**Describe the bug**\n\nLogin fails on Safari.');
+      expect(body).toContain('**To Reproduce**\n\n1. Open login\n2. Submit');
+      expect(body).toContain(`**Expected behavior**\n\n${NO_RESPONSE}`);
+      expect(body).toContain('**Checklist**\n\n- [ ] I searched existing issues');
+      expect(body).not.toContain('A clear and concise description');
+      expect(body).not.toContain('<!--');
+    });
+
+    it('should render issue forms as submitted forms', () => {
+      const template = parseIssueTemplate('feature.yml', FEATURE_FORM);
+
+      const body = renderIssueTemplate(template, { description: 'Export reports as CSV.' });
+
+      expect(body).toBe([
+        '### What would you like to see?\n\nExport reports as CSV.',
+        '### Area\n\nBot',
+        `### Version\n\n${NO_RESPONSE}`,
+        '### Code of Conduct\n\n- [ ] I agree to follow the Code of Conduct',
+      ].join('\n\n'));
+    });
+  });
+
+  describe('fetchIssueTemplates', () => {
+    it('should list the template directory and read each template', async () => {
+      const fileTool = {
+        name: 'get_file_contents',
+        invoke: vi.fn(async (input) => {
+          if (input.type !== 'tool_call') {
+            return JSON.stringify([
+              { type: 'file', name: 'bug_report.md', path: '.github/ISSUE_TEMPLATE/bug_report.md' },
+              { type: 'file', name: 'config.yml', path: '.github/ISSUE_TEMPLATE/config.yml' },
+              { type: 'file', name: 'feature.yml', path: '.github/ISSUE_TEMPLATE/feature.yml' },
+            ]);
+          }
+
+          const text = input.args.path.endsWith('.md') ? BUG_TEMPLATE : FEATURE_FORM;
+          return { content: 'successfully downloaded text file', artifact: [{ type: 'file', text }] };
+        }),
+      };
+      const tools = { getTool: vi.fn(() => fileTool) };
+
+      const templates = await fetchIssueTemplates(tools, 'owner/repo');
+
+      expect(templates.map(template => template.fileName)).toEqual(['bug_report.md', 'feature.yml']);
+      expect(fileTool.invoke).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', path: '.github/ISSUE_TEMPLATE/' });
+      expect(fileTool.invoke).toHaveBeenCalledTimes(3);
+    });
+
+    it('should return no templates when the directory does not exist', async () => {
+      const fileTool = { name: 'get_file_contents', invoke: vi.fn(async () => { throw new Error('404 Not Found'); }) };
+      const tools = { getTool: vi.fn(() => fileTool) };
+
+      await expect(fetchIssueTemplates(tools, 'owner/repo')).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for repository labels
+ * Verifies hashtag mapping and the unknown label policies
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  fetchRepositoryLabels,
+  resolveLabels,
+  UnknownLabelPolicy,
+} from '../../../src/integrations/github/labels.js';
+
+const REPO_LABELS = ['bug', 'priority: high', 'Frontend'];
+
+describe('Repository Labels', () => {
+  describe('resolveLabels', () => {
+    it('should map hashtags to repository labels', () => {
+      const result = resolveLabels(['urgent', '#frontend'], {
+        labelMap: { urgent: 'priority: high' },
+        repoLabels: REPO_LABELS,
+      });
+
+      expect(result).toEqual({ labels: ['priority: high', 'Frontend'], unknown: [] });
+    });
+
+    it('should keep unknown hashtags as labels with the create policy', () => {
+      const result = resolveLabels(['wontfix'], {
+        repoLabels: REPO_LABELS,
+        policy: UnknownLabelPolicy.CREATE,
+      });
+
+      expect(result).toEqual({ labels: ['wontfix'], unknown: [] });
+    });
+
+    it('should report unknown hashtags with the drop and keep policies', () => {
+      for (const policy of [UnknownLabelPolicy.DROP, UnknownLabelPolicy.KEEP]) {
+        const result = resolveLabels(['bug', 'Wontfix'], { repoLabels: REPO_LABELS, policy });
+
+        expect(result).toEqual({ labels: ['bug'], unknown: ['wontfix'] });
+      }
+    });
+
+    it('should use mappings as they are when repository labels are unknown', () => {
+      const result = resolveLabels(['urgent', 'misc'], {
+        labelMap: { urgent: 'priority: high' },
+        repoLabels: null,
+        policy: UnknownLabelPolicy.DROP,
+      });
+
+      expect(result).toEqual({ labels: ['priority: high', 'misc'], unknown: [] });
+    });
+  });
+
+  describe('fetchRepositoryLabels', () => {
+    it('should return label names from the list_label tool', async () => {
+      const labelTool = {
+        invoke: vi.fn(async () => JSON.stringify({
+          labels: [{ name: 'bug', color: 'd73a4a' }, { name: 'priority: high', color: 'b60205' }],
+          totalCount: 2,
+        })),
+      };
+      const tools = { getTool: vi.fn(() => labelTool) };
+
+      const labels = await fetchRepositoryLabels(tools, 'owner/repo');
+
+      expect(tools.getTool).toHaveBeenCalledWith('list_label');
+      expect(labelTool.invoke).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo' });
+      expect(labels).toEqual(['bug', 'priority: high']);
+    });
+
+    it('should fail when the label tool is unavailable', async () => {
+      const tools = { getTool: vi.fn(() => null) };
+
+      await expect(fetchRepositoryLabels(tools, 'owner/repo')).rejects.toThrow('list_label tool not available');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for issue planning
+ * Verifies milestone and project lookups with stubbed GitHub responses
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  matchByName,
+  findMilestone,
+  findProject,
+  addIssueToProject,
+} from '../../../src/integrations/github/planning.js';
+
+/**
+ * Creates a tools stub from tool implementations
+ * @param {Object<string, Function>} implementations - Tool invoke functions keyed by tool name
+ * @returns {Object} GitHub tools stub
+ */
+function createTools(implementations) {
+  const tools = Object.fromEntries(
+    Object.entries(implementations).map(([name, invoke]) => [name, { name, invoke: vi.fn(invoke) }])
+  );
+  return { getTool: vi.fn(name => tools[name] || null), tools };
+}
+
+describe('Issue Planning', () => {
+  describe('matchByName', () => {
+    const milestones = [{ title: 'v2' }, { title: 'v2.3' }, { title: 'Backlog' }];
+
+    it('should prefer exact matches, then the longest contained name', () => {
+      expect(matchByName(milestones, 'backlog', m => m.title).title).toBe('Backlog');
+      expect(matchByName(milestones, 'v2.3 sprint', m => m.title).title).toBe('v2.3');
+      expect(matchByName(milestones, 'q4', m => m.title)).toBeNull();
+    });
+  });
+
+  describe('findMilestone', () => {
+    it('should look up open milestones of the repository', async () => {
+      const fetchFn = vi.fn(async () => ({
+        ok: true,
+        json: async () => [{ number: 7, title: 'v2.3' }],
+      }));
+
+      const milestone = await findMilestone('token', 'owner/repo', 'v2.3 sprint', { fetchFn });
+
+      expect(milestone).toEqual({ number: 7, title: 'v2.3' });
+      expect(fetchFn.mock.calls[0][0]).toBe('https://api.github.com/repos/owner/repo/milestones?state=open&per_page=100');
+      expect(fetchFn.mock.calls[0][1].headers.Authorization).toBe('token token');
+    });
+  });
+
+  describe('findProject', () => {
+    it('should fall back to user projects when the owner is not an organization', async () => {
+      const { getTool, tools } = createTools({
+        list_projects: async ({ owner_type: ownerType }) => {
+          if (ownerType === 'org') {
+            throw new Error('Could not resolve to an Organization');
+          }
+          return JSON.stringify([{ number: 3, title: 'Roadmap' }]);
+        },
+      });
+
+      const project = await findProject({ getTool }, 'alice', 'roadmap');
+
+      expect(project).toEqual({ ownerType: 'user', number: 3, title: 'Roadmap' });
+      expect(tools.list_projects.invoke).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('addIssueToProject', () => {
+    const project = { ownerType: 'org', number: 3, title: 'Roadmap' };
+    const fields = [
+      { id: 11, name: 'Title' },
+      { id: 12, name: 'Status', options: [{ id: 'a1', name: 'Todo' }, { id: 'b2', name: 'In Progress' }] },
+    ];
+
+    it('should add the issue and set its status', async () => {
+      const { getTool, tools } = createTools({
+        add_project_item: async () => JSON.stringify({ id: 99 }),
+        list_project_fields: async () => JSON.stringify(fields),
+        update_project_item: async () => '{}',
+      });
+
+      const result = await addIssueToProject({ getTool }, { owner: 'acme', project, issueId: 1234, status: 'in progress' });
+
+      expect(result).toEqual({ itemId: 99, status: 'In Progress', warning: null });
+      expect(tools.add_project_item.invoke).toHaveBeenCalledWith({
+        owner: 'acme',
+        owner_type: 'org',
+        project_number: 3,
+        item_type: 'issue',
+        item_id: 1234,
+      });
+      expect(tools.update_project_item.invoke).toHaveBeenCalledWith(expect.objectContaining({
+        item_id: 99,
+        updated_field: { id: 12, value: 'b2' },
+      }));
+    });
+
+    it('should warn when the status does not exist', async () => {
+      const { getTool, tools } = createTools({
+        add_project_item: async () => JSON.stringify({ id: 99 }),
+        list_project_fields: async () => JSON.stringify(fields),
+        update_project_item: async () => '{}',
+      });
+
+      const result = await addIssueToProject({ getTool }, { owner: 'acme', project, issueId: 1234, status: 'Blocked' });
+
+      expect(result.warning).toBe('Roadmap has no "Blocked" status');
+      expect(tools.update_project_item.invoke).not.toHaveBeenCalled();
+    });
+  });
+});
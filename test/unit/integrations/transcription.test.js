@@ -0,0 +1,93 @@
+/**
+ * Unit tests for speech-to-text transcription
+ * Verifies the requests sent to each backend with a stubbed fetch
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getConfig } from '../../../config/env.js';
+import {
+  transcribeAudio,
+  isTranscriptionEnabled,
+  TranscriptionProvider,
+} from '../../../src/integrations/speech/transcription.js';
+
+/**
+ * Stubs fetch with a fixed JSON answer
+ * @param {Object} body - Response body
+ * @param {number} [status] - HTTP status
+ * @returns {Function} fetch spy
+ */
+function stubFetch(body, status = 200) {
+  const fetchSpy = vi.fn(async () => new Response(JSON.stringify(body), { status }));
+  vi.stubGlobal('fetch', fetchSpy);
+  return fetchSpy;
+}
+
+describe('Speech-to-Text Transcription', () => {
+  let originalTranscription;
+
+  beforeEach(() => {
+    originalTranscription = getConfig().transcription;
+  });
+
+  afterEach(() => {
+    getConfig().transcription = originalTranscription;
+    vi.unstubAllGlobals();
+  });
+
+  it('should refuse to transcribe when no backend is configured', async () => {
+    getConfig().transcription = { ...originalTranscription, provider: TranscriptionProvider.NONE };
+
+    expect(isTranscriptionEnabled()).toBe(false);
+    await expect(transcribeAudio({ audio: Buffer.from('ogg') })).rejects.toThrow('not configured');
+  });
+
+  it('should post the audio to a local whisper endpoint', async () => {
+    getConfig().transcription = {
+      provider: TranscriptionProvider.WHISPER,
+      url: 'http://localhost:8080/inference',
+      apiKey: null,
+      model: 'whisper-1',
+      maxDurationSeconds: 300,
+    };
+    const fetchSpy = stubFetch({ text: ' Login is broken on Safari \n' });
+
+    const text = await transcribeAudio({ audio: Buffer.from('ogg'), fileName: 'voice.ogg', mimeType: 'audio/ogg' });
+
+    const [url, request] = fetchSpy.mock.calls[0];
+    expect(text).toBe('Login is broken on Safari');
+    expect(url).toBe('http://localhost:8080/inference');
+    expect(request.headers).toEqual({});
+    expect(request.body.get('response_format')).toBe('json');
+    expect(request.body.get('file').name).toBe('voice.ogg');
+    expect(request.body.get('file').type).toBe('audio/ogg');
+  });
+
+  it('should call the OpenAI-compatible transcription API with the model and key', async () => {
+    getConfig().transcription = {
+      provider: TranscriptionProvider.OPENAI,
+      url: 'https://api.openai.com/v1/',
+      apiKey: 'sk-test',
+      model: 'whisper-1',
+      maxDurationSeconds: 300,
+    };
+    const fetchSpy = stubFetch({ text: 'Export is slow' });
+
+    await transcribeAudio({ audio: Buffer.from('mp3'), fileName: 'note.mp3', mimeType: 'audio/mpeg' });
+
+    const [url, request] = fetchSpy.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/audio/transcriptions');
+    expect(request.headers).toEqual({ Authorization: 'Bearer sk-test' });
+    expect(request.body.get('model')).toBe('whisper-1');
+  });
+
+  it('should throw when the backend fails or hears nothing', async () => {
+    getConfig().transcription = { ...originalTranscription, provider: TranscriptionProvider.WHISPER, url: 'http://localhost:8080/inference' };
+
+    stubFetch({ error: 'model not loaded' }, 503);
+    await expect(transcribeAudio({ audio: Buffer.from('ogg') })).rejects.toThrow('status 503');
+
+    stubFetch({ text: '  ' });
+    await expect(transcribeAudio({ audio: Buffer.from('ogg') })).rejects.toThrow('no text');
+  });
+});
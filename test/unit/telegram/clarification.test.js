@@ -0,0 +1,60 @@
+/**
+ * Unit tests for clarifying question callbacks
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/services/telegram/auth-check.js', () => ({
+  isAuthorOrGroupManager: vi.fn(),
+}));
+
+vi.mock('../../../src/services/telegram/feedback.js', () => ({
+  scheduleFeedbackDeletion: vi.fn(async () => true),
+}));
+
+import { createClarificationCallbackHandler } from '../../../src/services/telegram/clarification.js';
+import { isAuthorOrGroupManager } from '../../../src/services/telegram/auth-check.js';
+import { scheduleFeedbackDeletion } from '../../../src/services/telegram/feedback.js';
+
+const OPERATION_ID = '507f1f77bcf86cd799439011';
+
+describe('createClarificationCallbackHandler', () => {
+  let resumeFn;
+  let ctx;
+
+  beforeEach(() => {
+    resumeFn = vi.fn(async () => true);
+    ctx = {
+      chat: { id: -100123 },
+      from: { id: 2 },
+      callbackQuery: {
+        data: `clarify_${OPERATION_ID}_bug`,
+        message: { message_id: 50, reply_to_message: { message_id: 42, from: { id: 1 }, text: 'Login fails on Safari' } },
+      },
+      answerCbQuery: vi.fn(async () => {}),
+      editMessageText: vi.fn(async () => {}),
+    };
+  });
+
+  it('should resume the workflow with the chosen option', async () => {
+    vi.mocked(isAuthorOrGroupManager).mockResolvedValue(true);
+
+    await createClarificationCallbackHandler(resumeFn)(ctx);
+
+    expect(isAuthorOrGroupManager).toHaveBeenCalledWith(-100123, 2, 1);
+    expect(ctx.editMessageText).toHaveBeenCalledWith('👾 Got it, filing this as a bug.');
+    expect(scheduleFeedbackDeletion).toHaveBeenCalledWith(50);
+    expect(resumeFn).toHaveBeenCalledWith(OPERATION_ID, 'bug');
+  });
+
+  it('should only let the author or the group manager answer', async () => {
+    vi.mocked(isAuthorOrGroupManager).mockResolvedValue(false);
+
+    await createClarificationCallbackHandler(resumeFn)(ctx);
+
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith(expect.stringContaining('Only the author'));
+    expect(ctx.editMessageText).not.toHaveBeenCalled();
+    expect(scheduleFeedbackDeletion).not.toHaveBeenCalled();
+    expect(resumeFn).not.toHaveBeenCalled();
+  });
+});
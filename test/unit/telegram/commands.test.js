@@ -8,11 +8,21 @@ import {
   isGroupChat,
   formatUptime,
   formatOperationsBreakdown,
+  formatUsageSummary,
+  parseTokenAmount,
+  formatTraceReport,
   gatherOperationStats,
   createStartCommandHandler,
   createUnlinkCommandHandler,
   createUnlinkCallbackHandler,
   createStatusCommandHandler,
+  createDraftCommandHandler,
+  createTranslateCommandHandler,
+  createAgentCommandHandler,
+  createLabelsCommandHandler,
+  createBudgetCommandHandler,
+  createWhyCommandHandler,
+  createCallbackQueryRouter,
 } from '../../../src/services/telegram/commands.js';
 import { mockTelegramUser, mockTelegramChat, mockTelegramMessage } from '../../mocks/telegram.js';
 
@@ -108,6 +118,80 @@ describe('Command Helpers', () => {
     });
   });
 
+  describe('formatUsageSummary', () => {
+    const today = { totalTokens: 1500, estimatedCost: 0.004 };
+    const month = { totalTokens: 250000, estimatedCost: 0.62 };
+
+    it('should format usage and estimated cost', () => {
+      const result = formatUsageSummary({ today, month, budget: null });
+
+      expect(result).toContain('Today: 1,500 tokens (~<$0.01)');
+      expect(result).toContain('This month: 250,000 tokens (~$0.62)');
+      expect(result).toContain('Budget: none');
+    });
+
+    it('should show how much of the budget is used', () => {
+      const result = formatUsageSummary({ today, month, budget: { monthlyTokens: 500000, action: 'pause' } });
+
+      expect(result).toContain('Budget: 50% of 500,000 tokens, then processing pauses');
+    });
+  });
+
+  describe('parseTokenAmount', () => {
+    it.each([
+      ['500000', 500000],
+      ['500k', 500000],
+      ['1.5M', 1500000],
+      ['250,000', 250000],
+    ])('should parse %s', (text, tokens) => {
+      expect(parseTokenAmount(text)).toBe(tokens);
+    });
+
+    it.each(['0', '-5', 'lots', ''])('should reject %j', (text) => {
+      expect(parseTokenAmount(text)).toBeNull();
+    });
+  });
+
+  describe('formatTraceReport', () => {
+    const operation = {
+      operationType: 'create_bug',
+      operationData: { labels: ['bug', 'ui'] },
+      trace: {
+        intent: 'create_bug',
+        confidence: 0.92,
+        classifiedBy: 'llm',
+        reasoning: 'The user reports a crash at checkout',
+        error: null,
+        steps: [
+          { node: 'analyze', durationMs: 1240, output: { intent: {}, language: 'en' }, error: null },
+          { node: 'format', durationMs: 12, output: { githubOperation: {}, status: 'processing' }, error: null },
+          { node: 'execute', durationMs: 830, output: { error: {} }, error: { message: 'Bad credentials', code: 'GITHUB_EXECUTION_ERROR' } },
+        ],
+      },
+    };
+
+    it('should explain the classification, labels and every step', () => {
+      const result = formatTraceReport(operation, 42);
+
+      expect(result).toContain('Why #42 (create_bug)');
+      expect(result).toContain('Classified as create_bug with 92% confidence (llm)');
+      expect(result).toContain('Reasoning: The user reports a crash at checkout');
+      expect(result).toContain('Labels: bug, ui');
+      expect(result).toContain('1. ✓ analyze · 1.2 s → intent, language');
+      expect(result).toContain('2. ✓ format · 12 ms → githubOperation');
+      expect(result).toContain('3. ❌ execute · 830 ms → error');
+      expect(result).toContain('Error: Bad credentials');
+    });
+
+    it('should stay within the Telegram message limit', () => {
+      const steps = Array.from({ length: 200 }, () => ({ node: 'processAction', durationMs: 5, output: {}, error: null }));
+
+      const result = formatTraceReport({ ...operation, trace: { ...operation.trace, steps } }, 42);
+
+      expect(result.length).toBeLessThanOrEqual(4000);
+    });
+  });
+
   // Note: gatherOperationStats requires database integration testing
   // Tested via integration tests in test/integration/
 });
@@ -212,6 +296,72 @@ describe('Command Handlers', () => {
     });
   });
 
+  describe('/draft command', () => {
+    it('should reject private chats', async () => {
+      mockCtx.chat.type = 'private';
+
+      const handler = createDraftCommandHandler();
+      await handler(mockCtx);
+
+      expect(mockReply).toHaveBeenCalledWith(
+        expect.stringContaining('only works in group chats')
+      );
+    });
+  });
+
+  describe('/translate and /agent commands', () => {
+    it('should reject private chats', async () => {
+      mockCtx.chat.type = 'private';
+
+      await createTranslateCommandHandler()(mockCtx);
+      await createAgentCommandHandler()(mockCtx);
+
+      expect(mockReply).toHaveBeenCalledTimes(2);
+      expect(mockReply).toHaveBeenLastCalledWith(
+        expect.stringContaining('only works in group chats')
+      );
+    });
+  });
+
+  describe('/labels command', () => {
+    it('should reject private chats', async () => {
+      mockCtx.chat.type = 'private';
+
+      const handler = createLabelsCommandHandler();
+      await handler(mockCtx);
+
+      expect(mockReply).toHaveBeenCalledWith(
+        expect.stringContaining('only works in group chats')
+      );
+    });
+  });
+
+  describe('/budget command', () => {
+    it('should reject private chats', async () => {
+      mockCtx.chat.type = 'private';
+
+      const handler = createBudgetCommandHandler();
+      await handler(mockCtx);
+
+      expect(mockReply).toHaveBeenCalledWith(
+        expect.stringContaining('only works in group chats')
+      );
+    });
+  });
+
+  describe('/why command', () => {
+    it('should reject private chats', async () => {
+      mockCtx.chat.type = 'private';
+
+      const handler = createWhyCommandHandler();
+      await handler(mockCtx);
+
+      expect(mockReply).toHaveBeenCalledWith(
+        expect.stringContaining('only works in group chats')
+      );
+    });
+  });
+
   describe('unlink callback handler', () => {
     it('should handle cancel action', async () => {
       mockCtx.callbackQuery = {
@@ -239,4 +389,32 @@ describe('Command Handlers', () => {
       expect(mockAnswerCbQuery).not.toHaveBeenCalled();
     });
   });
+
+  describe('callback query router', () => {
+    it('should dispatch to the handler matching the data prefix', async () => {
+      const unlinkHandler = vi.fn();
+      const clarifyHandler = vi.fn();
+      mockCtx.callbackQuery = { data: 'clarify_507f1f77bcf86cd799439011_bug' };
+
+      const router = createCallbackQueryRouter({
+        unlink_: unlinkHandler,
+        clarify_: clarifyHandler,
+      });
+      await router(mockCtx);
+
+      expect(clarifyHandler).toHaveBeenCalledWith(mockCtx);
+      expect(unlinkHandler).not.toHaveBeenCalled();
+    });
+
+    it('should answer unknown callbacks so the button stops spinning', async () => {
+      const unlinkHandler = vi.fn();
+      mockCtx.callbackQuery = { data: 'other_action_123' };
+
+      const router = createCallbackQueryRouter({ unlink_: unlinkHandler });
+      await router(mockCtx);
+
+      expect(unlinkHandler).not.toHaveBeenCalled();
+      expect(mockAnswerCbQuery).toHaveBeenCalled();
+    });
+  });
 });
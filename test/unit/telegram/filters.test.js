@@ -405,6 +405,45 @@ describe('Message Filtering', () => {
       expect(result.reason).toContain('not triggered');
     });
 
+    it('should pass voice messages without a trigger only with spoken triggers on', () => {
+      const ctx = {
+        message: mockTelegramMessage({
+          text: undefined,
+          voice: { file_id: 'voice-1', duration: 12 },
+        }),
+        botInfo: { username: 'testbot' },
+      };
+
+      const withSpokenTriggers = filterMessage(ctx, { transcribeVoice: true, spokenTriggers: true });
+      const withTranscription = filterMessage(ctx, { transcribeVoice: true });
+      const withoutTranscription = filterMessage(ctx, { spokenTriggers: true });
+
+      expect(withSpokenTriggers.shouldProcess).toBe(true);
+      expect(withSpokenTriggers.triggered).toBe(false);
+      expect(withSpokenTriggers.metadata.voice).toBe(true);
+      expect(withTranscription.shouldProcess).toBe(false);
+      expect(withTranscription.reason).toContain('not triggered');
+      expect(withoutTranscription.shouldProcess).toBe(false);
+    });
+
+    it('should pass voice messages with a triggering caption', () => {
+      const ctx = {
+        message: mockTelegramMessage({
+          text: undefined,
+          caption: '#bug',
+          caption_entities: [{ type: 'hashtag', offset: 0, length: 4 }],
+          voice: { file_id: 'voice-1', duration: 12 },
+        }),
+        botInfo: { username: 'testbot' },
+      };
+
+      const result = filterMessage(ctx, { transcribeVoice: true });
+
+      expect(result.shouldProcess).toBe(true);
+      expect(result.triggered).toBe(true);
+      expect(result.metadata.voice).toBe(true);
+    });
+
     it('should reject message from non-whitelisted chat', () => {
       const ctx = {
         message: mockTelegramMessage({
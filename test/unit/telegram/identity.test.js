@@ -0,0 +1,95 @@
+/**
+ * Unit tests for the /linkgithub command
+ * Verifies linking and verification with a mocked identity repository
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const identityRepo = {
+  getIdentity: vi.fn(),
+  linkIdentity: vi.fn(),
+  markVerified: vi.fn(),
+  removeIdentity: vi.fn(),
+};
+
+vi.mock('../../../src/database/repositories/identities.js', () => ({
+  IdentityRepository: vi.fn(() => identityRepo),
+}));
+
+import { createLinkGitHubCommandHandler } from '../../../src/services/telegram/identity.js';
+import { mockTelegramUser, mockTelegramChat } from '../../mocks/telegram.js';
+
+/**
+ * Builds a command context
+ * @param {string} text - Command text
+ * @param {string} [chatType] - Chat type
+ * @returns {Object} Telegraf context stub
+ */
+function createContext(text, chatType = 'private') {
+  const from = mockTelegramUser({ username: 'alice' });
+  return {
+    chat: { ...mockTelegramChat(), type: chatType },
+    from,
+    message: { text, from },
+    reply: vi.fn().mockResolvedValue({}),
+  };
+}
+
+describe('/linkgithub command', () => {
+  let fetchFn;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetchFn = vi.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ login: 'Alice-GH', bio: 'telegit-verify-abc' }),
+    }));
+  });
+
+  it('should only work in private chats', async () => {
+    const ctx = createContext('/linkgithub alice-gh', 'supergroup');
+
+    await createLinkGitHubCommandHandler({ fetchFn })(ctx);
+
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('private message'));
+    expect(identityRepo.linkIdentity).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid logins', async () => {
+    const ctx = createContext('/linkgithub not_a_login');
+
+    await createLinkGitHubCommandHandler({ fetchFn })(ctx);
+
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('not a valid GitHub login'));
+    expect(fetchFn).not.toHaveBeenCalled();
+  });
+
+  it('should link an existing GitHub account with a verification token', async () => {
+    identityRepo.linkIdentity.mockImplementation(async (userId, data) => ({ ...data, verified: false }));
+    const ctx = createContext('/linkgithub @alice-gh');
+
+    await createLinkGitHubCommandHandler({ fetchFn })(ctx);
+
+    expect(identityRepo.linkIdentity).toHaveBeenCalledWith(ctx.from.id, expect.objectContaining({
+      telegramUsername: 'alice',
+      githubLogin: 'Alice-GH',
+      verificationToken: expect.stringMatching(/^telegit-verify-/),
+    }));
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('/linkgithub verify'));
+  });
+
+  it('should verify a linked account', async () => {
+    identityRepo.getIdentity.mockResolvedValue({
+      githubLogin: 'Alice-GH',
+      verified: false,
+      verificationToken: 'telegit-verify-abc',
+    });
+    const ctx = createContext('/linkgithub verify');
+
+    await createLinkGitHubCommandHandler({ fetchFn })(ctx);
+
+    expect(identityRepo.markVerified).toHaveBeenCalledWith(ctx.from.id, 'bio');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Verified'));
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for search results
+ * Verifies result formatting and paging with mocked repositories and GitHub tools
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const operationsRepo = { getOperationById: vi.fn() };
+const configRepo = { getGroupConfig: vi.fn() };
+
+vi.mock('../../../src/database/repositories/operations.js', () => ({
+  OperationsRepository: vi.fn(() => operationsRepo),
+}));
+
+vi.mock('../../../src/database/repositories/config.js', () => ({
+  ConfigRepository: vi.fn(() => configRepo),
+}));
+
+vi.mock('../../../src/integrations/github/github-tools.js', () => ({
+  createGitHubTools: vi.fn(async () => ({ close: vi.fn(async () => {}) })),
+}));
+
+vi.mock('../../../src/integrations/github/issue-search.js', () => ({
+  searchIssues: vi.fn(),
+}));
+
+vi.mock('../../../src/services/telegram/feedback.js', () => ({
+  editFeedback: vi.fn(async () => {}),
+}));
+
+import {
+  formatSearchResultsMessage,
+  buildSearchKeyboard,
+  createSearchCallbackHandler,
+} from '../../../src/services/telegram/search.js';
+import { searchIssues } from '../../../src/integrations/github/issue-search.js';
+import { editFeedback } from '../../../src/services/telegram/feedback.js';
+
+const OPERATION_ID = '0123456789abcdef01234567';
+
+const issue = {
+  number: 42,
+  title: 'Login fails',
+  state: 'open',
+  labels: ['bug'],
+  assignee: 'alice',
+  url: 'https://github.com/owner/repo/issues/42',
+};
+
+describe('Search results', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('formatSearchResultsMessage', () => {
+    it('should list number, title, state, labels and assignee', () => {
+      const message = formatSearchResultsMessage({ query: 'login', issues: [issue], totalCount: 12, page: 2, perPage: 5 });
+
+      expect(message).toContain('Found 12 issues for "login"');
+      expect(message).toContain('[#42](https://github.com/owner/repo/issues/42) Login fails');
+      expect(message).toContain('🟢 open · 🏷 bug · 👤 alice');
+      expect(message).toContain('Page 2 of 3');
+    });
+
+    it('should say when nothing matches', () => {
+      expect(formatSearchResultsMessage({ query: 'login', issues: [], totalCount: 0, page: 1, perPage: 5 }))
+        .toBe('🔍 No issues found for "login".');
+    });
+
+    it('should reply in the given language', () => {
+      const message = formatSearchResultsMessage({ query: 'вход', issues: [issue], totalCount: 12, page: 2, perPage: 5 }, 'ru');
+
+      expect(message).toContain('Найдено 12 задач по запросу «вход»');
+      expect(message).toContain('🟢 открыта · 🏷 bug · 👤 alice');
+      expect(message).toContain('Страница 2 из 3');
+    });
+  });
+
+  describe('buildSearchKeyboard', () => {
+    it('should offer Prev and Next only where pages exist', () => {
+      const first = buildSearchKeyboard(OPERATION_ID, { page: 1, perPage: 5, totalCount: 12 });
+      const middle = buildSearchKeyboard(OPERATION_ID, { page: 2, perPage: 5, totalCount: 12 });
+
+      expect(first.inline_keyboard[0].map(button => button.callback_data)).toEqual([`search_${OPERATION_ID}_2`]);
+      expect(middle.inline_keyboard[0].map(button => button.callback_data))
+        .toEqual([`search_${OPERATION_ID}_1`, `search_${OPERATION_ID}_3`]);
+    });
+
+    it('should not add buttons for a single page', () => {
+      expect(buildSearchKeyboard(OPERATION_ID, { page: 1, perPage: 5, totalCount: 4 })).toBeUndefined();
+    });
+  });
+
+  describe('createSearchCallbackHandler', () => {
+    /**
+     * Builds a callback query context
+     * @param {string} data - Callback data
+     * @returns {Object} Telegraf context stub
+     */
+    function createContext(data) {
+      return {
+        chat: { id: -100123 },
+        callbackQuery: { data, message: { message_id: 555 } },
+        answerCbQuery: vi.fn().mockResolvedValue(true),
+      };
+    }
+
+    it('should re-run the stored search for the requested page', async () => {
+      operationsRepo.getOperationById.mockResolvedValue({
+        telegramGroupId: -100123,
+        operationData: { search: { query: 'login', labels: [] } },
+      });
+      configRepo.getGroupConfig.mockResolvedValue({ githubRepo: 'owner/repo', githubToken: 'token' });
+      vi.mocked(searchIssues).mockResolvedValue({ issues: [issue], totalCount: 12, page: 3, perPage: 5 });
+      const ctx = createContext(`search_${OPERATION_ID}_3`);
+
+      await createSearchCallbackHandler()(ctx);
+
+      expect(searchIssues).toHaveBeenCalledWith(expect.anything(), {
+        repository: 'owner/repo',
+        query: 'login',
+        labels: [],
+        page: 3,
+      });
+      const [chatId, messageId, message, options] = vi.mocked(editFeedback).mock.calls[0];
+      expect([chatId, messageId]).toEqual([-100123, 555]);
+      expect(message).toContain('Page 3 of 3');
+      expect(options.replyMarkup.inline_keyboard[0].map(button => button.text)).toEqual(['◀️ Prev']);
+      expect(ctx.answerCbQuery).toHaveBeenCalled();
+    });
+
+    it('should ignore searches from other chats', async () => {
+      operationsRepo.getOperationById.mockResolvedValue({
+        telegramGroupId: -100999,
+        operationData: { search: { query: 'login' } },
+      });
+      const ctx = createContext(`search_${OPERATION_ID}_2`);
+
+      await createSearchCallbackHandler()(ctx);
+
+      expect(searchIssues).not.toHaveBeenCalled();
+      expect(ctx.answerCbQuery).toHaveBeenCalledWith('ℹ️ This search is no longer available');
+    });
+  });
+});
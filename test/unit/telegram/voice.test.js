@@ -0,0 +1,238 @@
+/**
+ * Unit tests for voice message transcription
+ * Verifies audio detection, transcript triggers, the transcribed message and
+ * transcription in the queued job
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../../src/integrations/speech/transcription.js', () => ({
+  transcribeAudio: vi.fn(),
+}));
+
+vi.mock('../../../src/services/telegram/auth-check.js', () => ({
+  isGroupAuthenticated: vi.fn(async () => true),
+}));
+
+vi.mock('../../../src/services/telegram/reactions.js', () => ({
+  setAnalyzingReaction: vi.fn(async () => true),
+  setErrorReaction: vi.fn(async () => true),
+}));
+
+vi.mock('../../../src/services/telegram/thread-context.js', () => ({
+  gatherThreadContext: vi.fn(async () => []),
+}));
+
+vi.mock('../../../src/database/repositories/operations.js', () => ({
+  OperationsRepository: vi.fn(),
+}));
+
+import {
+  getVoiceAttachment,
+  isTranscriptTriggered,
+  transcribeVoiceMessage,
+  withTranscript,
+} from '../../../src/services/telegram/voice.js';
+import { handleMessage } from '../../../src/services/telegram/handlers.js';
+import { transcribeAudio } from '../../../src/integrations/speech/transcription.js';
+import { isGroupAuthenticated } from '../../../src/services/telegram/auth-check.js';
+import { setAnalyzingReaction } from '../../../src/services/telegram/reactions.js';
+import { gatherThreadContext } from '../../../src/services/telegram/thread-context.js';
+import { OperationsRepository } from '../../../src/database/repositories/operations.js';
+import { getConfig } from '../../../config/env.js';
+import { mockTelegramMessage } from '../../mocks/telegram.js';
+
+const botInfo = { username: 'telegit_bot', first_name: 'TeleGit' };
+
+describe('Voice Messages', () => {
+  describe('getVoiceAttachment', () => {
+    it('should detect voice notes and audio files', () => {
+      const voice = mockTelegramMessage({ text: undefined, voice: { file_id: 'v1', duration: 42, mime_type: 'audio/ogg' } });
+      const audio = mockTelegramMessage({ text: undefined, audio: { file_id: 'a1', duration: 90, file_name: 'standup.m4a', mime_type: 'audio/mp4' } });
+
+      expect(getVoiceAttachment(voice)).toEqual({
+        kind: 'voice', fileId: 'v1', duration: 42, mimeType: 'audio/ogg', fileName: 'voice.ogg',
+      });
+      expect(getVoiceAttachment(audio)).toMatchObject({ kind: 'audio', fileId: 'a1', fileName: 'standup.m4a' });
+      expect(getVoiceAttachment(mockTelegramMessage({ text: 'Hello' }))).toBeNull();
+    });
+  });
+
+  describe('isTranscriptTriggered', () => {
+    it('should trigger on the bot name or hashtags', () => {
+      expect(isTranscriptTriggered('TeleGit, login is broken on Safari', botInfo)).toBe(true);
+      expect(isTranscriptTriggered('hey telegit bot the export is slow', botInfo)).toBe(true);
+      expect(isTranscriptTriggered('#bug login is broken', botInfo)).toBe(true);
+    });
+
+    it('should not trigger on other speech', () => {
+      expect(isTranscriptTriggered('I will send it over Telegram later', botInfo)).toBe(false);
+      expect(isTranscriptTriggered('See you at 5#', botInfo)).toBe(false);
+      expect(isTranscriptTriggered('', botInfo)).toBe(false);
+    });
+  });
+
+  describe('transcribeVoiceMessage', () => {
+    let originalPublicUrl;
+
+    beforeEach(() => {
+      originalPublicUrl = getConfig().app.publicUrl;
+      vi.stubGlobal('fetch', vi.fn(async () => new Response(new Uint8Array([1, 2, 3]))));
+      vi.mocked(transcribeAudio).mockResolvedValue('TeleGit, login is broken');
+    });
+
+    afterEach(() => {
+      getConfig().app.publicUrl = originalPublicUrl;
+      vi.unstubAllGlobals();
+    });
+
+    it('should download the audio and link it through the asset proxy', async () => {
+      getConfig().app.publicUrl = 'https://bot.example.com';
+      const telegram = {
+        getFile: vi.fn(async () => ({ file_id: 'v1', file_path: 'voice/file_7.oga' })),
+        getFileLink: vi.fn(async () => new URL('https://api.telegram.org/file/botTOKEN/voice/file_7.oga')),
+      };
+      const message = mockTelegramMessage({ text: undefined, voice: { file_id: 'v1', duration: 42 } });
+
+      const transcript = await transcribeVoiceMessage(telegram, message);
+
+      expect(transcribeAudio).toHaveBeenCalledWith({
+        audio: Buffer.from([1, 2, 3]),
+        fileName: 'voice.ogg',
+        mimeType: 'audio/ogg',
+      });
+      expect(transcript).toEqual({
+        kind: 'voice',
+        text: 'TeleGit, login is broken',
+        duration: 42,
+        audioUrl: 'https://bot.example.com/api/telegram-asset/voice%2Ffile_7.oga',
+      });
+    });
+
+    it('should leave out the link without a public URL', async () => {
+      getConfig().app.publicUrl = null;
+      const telegram = {
+        getFile: vi.fn(async () => ({ file_id: 'v1', file_path: 'voice/file_7.oga' })),
+        getFileLink: vi.fn(async () => new URL('https://api.telegram.org/file/botTOKEN/voice/file_7.oga')),
+      };
+
+      const transcript = await transcribeVoiceMessage(telegram, mockTelegramMessage({ voice: { file_id: 'v1', duration: 5 } }));
+
+      expect(transcript.audioUrl).toBeNull();
+    });
+  });
+
+  describe('withTranscript', () => {
+    it('should put the caption before the transcript and keep its entities', () => {
+      const message = mockTelegramMessage({
+        text: undefined,
+        caption: '#bug',
+        caption_entities: [{ type: 'hashtag', offset: 0, length: 4 }],
+        voice: { file_id: 'v1', duration: 42 },
+      });
+      const transcript = { kind: 'voice', text: 'Login is broken', duration: 42, audioUrl: null };
+
+      const result = withTranscript(message, transcript);
+
+      expect(result.text).toBe('#bug\n\nLogin is broken');
+      expect(result.entities).toEqual([{ type: 'hashtag', offset: 0, length: 4 }]);
+      expect(result.transcript).toBe(transcript);
+      expect(message.text).toBeUndefined();
+    });
+  });
+  describe('handleMessage', () => {
+    let telegram;
+
+    /**
+     * Builds the context of a voice message that passed the filter
+     * @param {Object} [options] - Message options
+     * @param {boolean} [options.triggered=true] - Whether the caption triggers the bot
+     * @param {number} [options.duration=12] - Duration in seconds
+     * @returns {Object} Telegraf context
+     */
+    function createVoiceContext({ triggered = true, duration = 12 } = {}) {
+      return {
+        message: mockTelegramMessage({
+          message_id: 7,
+          text: undefined,
+          caption: triggered ? '#bug' : undefined,
+          voice: { file_id: 'v1', duration },
+        }),
+        botInfo,
+        telegram,
+        reply: vi.fn(async () => ({})),
+        state: {
+          filterResult: {
+            shouldProcess: true,
+            triggered,
+            metadata: { botMentioned: false, hashtags: triggered ? ['bug'] : [], voice: true },
+          },
+        },
+      };
+    }
+
+    beforeEach(() => {
+      vi.stubGlobal('fetch', vi.fn(async () => new Response(new Uint8Array([1, 2, 3]))));
+      vi.mocked(transcribeAudio).mockResolvedValue('TeleGit, login is broken');
+      vi.mocked(isGroupAuthenticated).mockResolvedValue(true);
+      vi.mocked(gatherThreadContext).mockResolvedValue([]);
+      vi.mocked(OperationsRepository).mockImplementation(() => ({
+        createOperation: vi.fn(async () => ({ id: 'op-1' })),
+        updateOperationStatus: vi.fn(async () => {}),
+        deleteOperation: vi.fn(async () => true),
+      }));
+      telegram = {
+        getFile: vi.fn(async () => ({ file_id: 'v1', file_path: 'voice/file_7.oga' })),
+        getFileLink: vi.fn(async () => new URL('https://api.telegram.org/file/botTOKEN/voice/file_7.oga')),
+      };
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should queue voice messages without transcribing them in the handler', async () => {
+      const processMessageFn = vi.fn(async () => {});
+      const ctx = createVoiceContext();
+
+      await handleMessage(ctx, processMessageFn);
+
+      expect(transcribeAudio).not.toHaveBeenCalled();
+      expect(setAnalyzingReaction).toHaveBeenCalled();
+      expect(processMessageFn).toHaveBeenCalledWith(ctx, 'op-1', [], { prepareMessage: expect.any(Function) });
+
+      const { prepareMessage } = processMessageFn.mock.calls[0][3];
+      const prepared = await prepareMessage();
+
+      expect(transcribeAudio).toHaveBeenCalledTimes(1);
+      expect(prepared.message.text).toContain('TeleGit, login is broken');
+      expect(prepared.message.transcript.text).toBe('TeleGit, login is broken');
+    });
+
+    it('should turn away voice messages too long to transcribe', async () => {
+      const processMessageFn = vi.fn(async () => {});
+      const ctx = createVoiceContext({ duration: 3600 });
+
+      await handleMessage(ctx, processMessageFn);
+
+      expect(processMessageFn).not.toHaveBeenCalled();
+      expect(ctx.reply).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop a spoken-trigger voice message whose transcript does not address the bot', async () => {
+      vi.mocked(transcribeAudio).mockResolvedValue('See you at lunch');
+      const processMessageFn = vi.fn(async () => {});
+      const ctx = createVoiceContext({ triggered: false });
+
+      await handleMessage(ctx, processMessageFn);
+
+      expect(setAnalyzingReaction).not.toHaveBeenCalled();
+
+      const { prepareMessage } = processMessageFn.mock.calls[0][3];
+
+      expect(await prepareMessage()).toBeNull();
+      expect(setAnalyzingReaction).not.toHaveBeenCalled();
+      expect(vi.mocked(OperationsRepository).mock.results.at(-1).value.deleteOperation).toHaveBeenCalledWith('op-1');
+    });
+  });
+});